@@ -188,6 +188,7 @@ program
 
             class ${modelName} extends Model {
                 static tableName = '${modelName.toLowerCase()}s';
+                static uid = '{${generateUID()}}';
 
                 static fields = {
                     name: new fields.NameField(),
@@ -247,6 +248,124 @@ program
         });
     });
 
+// Helper to run a migration command; loads the database modules lazily so the
+// scaffolding commands above work without a database connection
+const runMigrationCommand = async (callback, { loadModels = false } = {}) => {
+    const { default: pool } = await import('./server/config/db.js');
+    const { default: MigrationManager } = await import('./server/lib/orm/MigrationManager.js');
+    try {
+        let models = {};
+        if (loadModels) {
+            const { default: modelLoader } = await import('./server/models/index.js');
+            models = await modelLoader.init({ syncSchema: false, runSeeders: false });
+        }
+        await callback(new MigrationManager({ models }));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+};
+
+// Command to generate a migration from the model definitions
+program
+    .command('migrate:generate <name>')
+    .description('Generate a migration from the difference between the models and the database')
+    .action((name) => runMigrationCommand(async (migrations) => {
+        const result = await migrations.generate(name);
+        if (!result) {
+            console.log('No schema changes detected, no migration created');
+            return;
+        }
+        console.log(`${result.up.length} statement(s) written to ${result.file}`);
+    }, { loadModels: true }));
+
+// Command to apply pending migrations
+program
+    .command('migrate:up')
+    .description('Apply all pending migrations')
+    .option('--to <name>', 'Stop after the given migration')
+    .action((options) => runMigrationCommand(async (migrations) => {
+        const applied = await migrations.up({ to: options.to });
+        console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'No pending migrations');
+    }));
+
+// Command to roll back migrations
+program
+    .command('migrate:down')
+    .description('Roll back the last batch of migrations')
+    .option('--steps <n>', 'Number of batches to roll back', '1')
+    .action((options) => runMigrationCommand(async (migrations) => {
+        const steps = parseInt(options.steps, 10);
+        if (isNaN(steps) || steps < 1) {
+            throw new Error('--steps must be a positive number');
+        }
+        const reverted = await migrations.down({ steps });
+        console.log(reverted.length ? `Rolled back: ${reverted.join(', ')}` : 'Nothing to roll back');
+    }));
+
+// Command to list migrations and their state
+program
+    .command('migrate:status')
+    .description('Show applied and pending migrations')
+    .action(() => runMigrationCommand(async (migrations) => {
+        const rows = await migrations.status();
+        if (!rows.length) {
+            console.log('No migrations found');
+            return;
+        }
+        for (const row of rows) {
+            const state = row.applied ? `applied (batch ${row.batch})` : 'pending';
+            console.log(`${row.name}  ${state}${row.missing ? '  [file missing]' : ''}`);
+        }
+    }));
+
+// Command to preview the statements a schema synchronization would run
+program
+    .command('schema:plan')
+    .description('Show the DDL a schema sync would run, without changing the database')
+    .option('--force', 'Plan a forced sync, as run by the server with --sync-schema (drops extra columns)')
+    .option('--format <format>', 'Output format printed to stdout: sql or json', 'sql')
+    .option('--output <path>', 'Also write the plan to <path>.sql and <path>.json')
+    .option('--fail-on-destructive', 'Exit with code 2 if any statement may lose data')
+    .action(async (options) => {
+        if (!['sql', 'json'].includes(options.format)) {
+            console.error(`Error: Unknown format ${options.format}, use sql or json`);
+            process.exit(1);
+        }
+
+        const { default: pool } = await import('./server/config/db.js');
+        const { default: modelLoader, planSchemas } = await import('./server/models/index.js');
+        const { default: SchemaManager } = await import('./server/lib/orm/SchemaManager.js');
+        try {
+            const models = await modelLoader.init({ syncSchema: false, runSeeders: false });
+            const plan = await planSchemas(models, { force: !!options.force });
+            const sql = SchemaManager.formatPlanAsSql(plan);
+            const json = SchemaManager.formatPlanAsJson(plan);
+
+            process.stdout.write(options.format === 'json' ? `${json}\n` : sql);
+
+            if (options.output) {
+                fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+                fs.writeFileSync(`${options.output}.sql`, sql);
+                fs.writeFileSync(`${options.output}.json`, json);
+                console.error(`Plan written to ${options.output}.sql and ${options.output}.json`);
+            }
+
+            const destructive = plan.filter(statement => statement.destructive).length;
+            if (destructive) {
+                console.error(`Warning: ${destructive} destructive statement(s) planned`);
+                if (options.failOnDestructive) process.exitCode = 2;
+            }
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exitCode = 1;
+        } finally {
+            await pool.end();
+        }
+    });
+
 // Utility function to generate a unique identifier
 const generateUID = () =>
     'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
@@ -0,0 +1,40 @@
+/**
+ * Main menu of the client.
+ *
+ * An item opens a page of a model ('Model.page', see lib/pages.js) or groups
+ * other items. Users only see items whose model they can read; an item can
+ * also require a permission of its own.
+ */
+
+const menu = [
+    {
+        caption: 'Sales',
+        items: [
+            { caption: 'Customers', page: 'Customer.list' },
+            { caption: 'Countries', page: 'Country.list' },
+        ],
+    },
+    {
+        caption: 'Resources',
+        items: [
+            { caption: 'Resources', page: 'Resource.list' },
+            { caption: 'Business Units', page: 'BusinessUnit.list' },
+        ],
+    },
+    {
+        caption: 'Administration',
+        permission: 'admin',
+        items: [
+            { caption: 'Users', page: 'User.list' },
+            { caption: 'Roles', page: 'Role.list' },
+            { caption: 'Permissions', page: 'Permission.list' },
+            { caption: 'Sessions', page: 'Session.list' },
+            { caption: 'Number Series', page: 'NumberSeries.list' },
+            { caption: 'Currencies', page: 'Currency.list' },
+            { caption: 'Exchange Rates', page: 'ExchangeRate.list' },
+            { caption: 'Logs', page: 'Log.list' },
+        ],
+    },
+];
+
+export default menu;
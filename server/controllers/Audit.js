@@ -0,0 +1,66 @@
+import logger from '../lib/logger.js';
+import AuditEntry from '../models/AuditEntry.js';
+import { getModel, hasModel } from '../lib/orm/modelRegistry.js';
+import { getCurrentUser } from '../lib/orm/asyncContext.js';
+import { AppError, NotFoundError, ValidationError } from '../lib/errors.js';
+
+/**
+ * Controller for the audit trail of audited models
+ * Answers "who changed this record, when, and what did they change"
+ */
+class AuditController {
+    // Permission required for each action (see lib/authorization.js)
+    static permissions = {
+        history: 'authenticated',
+    };
+
+    /**
+     * Get the change history of a single record, newest first.
+     * Requires read access to the record; the history of deleted records is
+     * only available to administrators. Changes of fields the user may not
+     * read are left out.
+     * 
+     * @param {string} model - Model name (e.g. 'Customer')
+     * @param {number} id - Primary key of the record
+     * @param {number} [limit=50] - Maximum number of entries to return
+     * @param {number} [offset=0] - Number of entries to skip for pagination
+     * @returns {Object} Audit entries with success status
+     */
+    static async history(model, id, limit = 50, offset = 0) {
+        try {
+            if (!hasModel(model) || !getModel(model).audited) {
+                throw new ValidationError(`Model ${model} is not audited`, { model: 'Must be an audited model' });
+            }
+
+            // Applies the model's read permission and row rules
+            const Model = getModel(model);
+            const record = await Model.findById(id);
+            if (!record && !getCurrentUser()?.isAdmin) {
+                throw new NotFoundError(`${model} with ID ${id} not found`, { model, id });
+            }
+
+            const entries = await AuditEntry.findForRecord(model, id, { limit, offset });
+            const hidden = await Model._hiddenFields();
+
+            return {
+                success: true,
+                entries: entries.map(entry => ({
+                    id: entry.id,
+                    action: entry.action,
+                    userId: entry.userId,
+                    username: entry.username,
+                    changes: Object.fromEntries(Object.entries(entry.changes || {})
+                        .filter(([field]) => !hidden.includes(field))),
+                    requestId: entry.requestId,
+                    createdAt: entry.createdAt
+                }))
+            };
+        } catch (error) {
+            if (error instanceof AppError) throw error;
+            logger.error(`Error loading audit history of ${model} ${id}:`, error);
+            throw new Error(`Failed to load audit history: ${error.message}`);
+        }
+    }
+}
+
+export default AuditController;
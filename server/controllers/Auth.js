@@ -1,17 +1,24 @@
 import logger from '../lib/logger.js';
 import User from '../models/User.js';
-import crypto from 'crypto';
+import Session from '../models/Session.js';
+import { getRequestInfo } from '../lib/orm/asyncContext.js';
+import { AppError, AuthError } from '../lib/errors.js';
 import jwt from 'jsonwebtoken';
 
-// Secret key for JWT tokens - should be moved to environment variables in production
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-for-jwt-tokens';
-const TOKEN_EXPIRY = '24h'; // Token expiry time
-
 // Development mode settings
 const DEV_MODE = process.env.NODE_ENV !== 'production' || 
                  process.env.FORCE_DEV_MODE === 'true' || 
                  process.env.PORT === '8011';  // Local development port
 
+// Secret key for JWT tokens; the fallback is only accepted in development mode
+const JWT_SECRET = process.env.JWT_SECRET || (DEV_MODE ? 'your-secret-key-for-jwt-tokens' : null);
+if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set in production');
+}
+
+// Access tokens are short-lived; clients renew them with the refresh token of their session
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+
 // Dev token pattern that can be identified in client authentication
 const DEV_TOKEN = 'dev-token-bypass-auth-123456';
 
@@ -33,90 +40,109 @@ const DEV_USER = {
     isAdmin: true
 };
 
+// Public user data returned to clients
+function toUserInfo(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        email: user.email,
+        isAdmin: user.isAdmin
+    };
+}
+
+// Signs an access token bound to a session
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        {
+            userId: user.id,
+            username: user.username,
+            isAdmin: user.isAdmin,
+            sid: sessionId
+        },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRY }
+    );
+}
+
+// Device information of the current connection, set by the WebSocket server
+function getDeviceInfo() {
+    const request = getRequestInfo();
+    return { userAgent: request.userAgent, ipAddress: request.ip };
+}
+
 /**
  * Authentication Controller
  * Handles user authentication operations like login, registration, and token validation
  */
 class Auth {
+    // Authentication actions are callable without a token
+    static permissions = {
+        login: 'public',
+        verifyToken: 'public',
+        refreshToken: 'public',
+        logout: 'public',
+        logoutAll: 'public',
+    };
+
     /**
      * User login method
-     * Authenticates a user and returns a JWT token if successful
+     * Authenticates a user, starts a session and returns an access token
+     * together with the refresh token of the session
      * 
      * @param {string} username - The username to authenticate
      * @param {string} password - The password to verify
-     * @returns {Object} Authentication result with token if successful
+     * @returns {Object} Authentication result with the token pair
+     * @throws {AuthError} If the credentials are invalid or the account is inactive
      */
     static async login(username, password) {
         try {
             logger.info(`Login attempt for user: ${username}`);
 
-            // Get the password field to hash the password
+            // Load the user with the stored hash and verify the password against it;
+            // unknown usernames are checked against a dummy hash to take as long
             const passwordField = User.fields.password;
+            const user = await User.findWithPasswordHash(username);
+            const isValid = user
+                ? await passwordField.verifyPassword(password, user.password)
+                : await passwordField.verifyWithoutHash(password);
 
-            // Hash the password before querying
-            const hashedPassword = await passwordField.hashPassword(password);
-
-            // Find user by username and password in a single query
-            const user = await User.findOne({
-                where: {
-                    username: username,
-                    password: hashedPassword
-                }
-            });
-
-            // If no user found with that username and password
-            if (!user) {
+            if (!isValid) {
                 logger.warn(`Login failed: Invalid credentials for username: ${username}`);
-                return {
-                    success: false,
-                    message: 'Invalid username or password'
-                };
+                throw new AuthError('Invalid username or password');
             }
 
             // Check if user is active
             if (user.isActive === false) {
                 logger.warn(`Login attempt for inactive user: ${username}`);
-                return {
-                    success: false,
-                    message: 'Account is inactive. Please contact an administrator.'
-                };
+                throw new AuthError('Account is inactive. Please contact an administrator.');
             }
 
-            // Update last login timestamp
-            await User.update(user.id, {
-                lastLoginDate: new Date()
-            });
+            // Update last login timestamp, and upgrade outdated hashes (including the
+            // legacy mock hashes) now that the plain password is known
+            await User.update(user.id, { lastLoginDate: new Date() });
+            if (passwordField.needsRehash(user.password)) {
+                await User.setPasswordHash(user.id, await passwordField.hashPassword(password, { validate: false }));
+                logger.info(`Upgraded password hash for user: ${username}`);
+            }
 
-            // Generate JWT token
-            const token = jwt.sign(
-                {
-                    userId: user.id,
-                    username: user.username,
-                    isAdmin: user.isAdmin
-                },
-                JWT_SECRET,
-                { expiresIn: TOKEN_EXPIRY }
-            );
+            // Start a session for this device and issue the token pair
+            const { session, refreshToken } = await Session.start(user.id, getDeviceInfo());
+            const token = signAccessToken(user, session.id);
 
             logger.info(`User ${username} logged in successfully`);
 
             return {
                 success: true,
                 token,
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    name: user.name,
-                    email: user.email,
-                    isAdmin: user.isAdmin
-                }
+                refreshToken,
+                expiresIn: ACCESS_TOKEN_EXPIRY,
+                user: toUserInfo(user)
             };
         } catch (error) {
+            if (error instanceof AppError) throw error;
             logger.error(`Login error: ${error.message}`, error);
-            return {
-                success: false,
-                message: 'An error occurred during login'
-            };
+            throw new Error(`An error occurred during login: ${error.message}`);
         }
     }
 
@@ -125,7 +151,7 @@ class Auth {
      * Verifies a JWT token
      * 
      * @param {string} token - The JWT token to verify
-     * @returns {Object} Verification result
+     * @returns {Object} Verification result with the user, sessionId and expiresAt (ms since epoch)
      */
     static async verifyToken(token) {
         try {
@@ -149,6 +175,15 @@ class Auth {
             // Verify the token
             const decoded = jwt.verify(token, JWT_SECRET);
 
+            // The session the token was issued for must still be active
+            const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+            if (!Session.isActive(session) || session.user !== decoded.userId) {
+                return {
+                    success: false,
+                    message: 'Session has ended. Please log in again.'
+                };
+            }
+
             // Check if the user still exists and is active using findOne
             const user = await User.findOne({
                 where: { id: decoded.userId }
@@ -170,13 +205,9 @@ class Auth {
 
             return {
                 success: true,
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    name: user.name,
-                    email: user.email,
-                    isAdmin: user.isAdmin
-                }
+                sessionId: session.id,
+                expiresAt: decoded.exp * 1000,
+                user: toUserInfo(user)
             };
         } catch (error) {
             logger.error(`Token verification error: ${error.message}`);
@@ -188,44 +219,77 @@ class Auth {
     }
 
     /**
-     * Refreshes a user's token
+     * Exchanges a refresh token for a new access token.
+     * The refresh token is rotated: the returned one replaces it, and presenting
+     * the old one again revokes the session.
      * 
-     * @param {string} token - The current token to refresh
-     * @returns {Object} Refresh result with new token
+     * @param {string} refreshToken - The refresh token received at login or on the last refresh
+     * @returns {Object} Refresh result with the new token pair
+     * @throws {AuthError} If the refresh token is invalid or the account is inactive
      */
-    static async refreshToken(token) {
+    static async refreshToken(refreshToken) {
         try {
-            const verification = await Auth.verifyToken(token);
-
-            if (!verification.success) {
-                return verification;
+            const session = await Session.findByRefreshToken(refreshToken);
+            if (!session) {
+                throw new AuthError('Invalid or expired refresh token');
             }
 
-            const user = verification.user;
+            const user = await User.findById(session.user);
+            if (!user || user.isActive === false) {
+                await Session.revoke(session.id);
+                throw new AuthError('User account is inactive');
+            }
 
-            // Generate a new token
-            const newToken = jwt.sign(
-                {
-                    userId: user.id,
-                    username: user.username,
-                    isAdmin: user.isAdmin
-                },
-                JWT_SECRET,
-                { expiresIn: TOKEN_EXPIRY }
-            );
+            const rotated = await Session.rotate(session);
 
             return {
                 success: true,
-                token: newToken,
-                user
+                token: signAccessToken(user, session.id),
+                refreshToken: rotated.refreshToken,
+                expiresIn: ACCESS_TOKEN_EXPIRY,
+                user: toUserInfo(user)
             };
         } catch (error) {
+            if (error instanceof AppError) throw error;
             logger.error(`Token refresh error: ${error.message}`);
-            return {
-                success: false,
-                message: 'Failed to refresh token'
-            };
+            throw new Error(`Failed to refresh token: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ends the session a refresh token belongs to
+     * 
+     * @param {string} refreshToken - The refresh token of the session
+     * @returns {Object} Logout result
+     */
+    static async logout(refreshToken) {
+        const session = await Session.findByRefreshToken(refreshToken);
+        if (session) {
+            await Session.revoke(session.id);
+            logger.info(`Session ${session.id} of user ${session.user} ended`);
         }
+
+        // Unknown or already ended sessions count as logged out
+        return { success: true };
+    }
+
+    /**
+     * Ends every session of the user the refresh token belongs to
+     * 
+     * @param {string} refreshToken - The refresh token of one of the user's sessions
+     * @returns {Object} Logout result with the number of ended sessions
+     * @throws {AuthError} If the refresh token is invalid
+     */
+    static async logoutAll(refreshToken) {
+        const session = await Session.findByRefreshToken(refreshToken);
+        if (!session) {
+            throw new AuthError('Invalid or expired refresh token');
+        }
+
+        const count = await Session.revokeAllForUser(session.user);
+        logger.info(`Ended ${count} sessions of user ${session.user}`);
+
+        return { success: true, count };
     }
 }
 
@@ -0,0 +1,86 @@
+import controllerLoader from './index.js';
+import { getModel, hasModel } from '../lib/orm/modelRegistry.js';
+import { describeModel, describeModels, describeCaptions } from '../lib/metadata.js';
+import { getLocale } from '../lib/i18n.js';
+import { NotFoundError, PermissionError } from '../lib/errors.js';
+
+/**
+ * Get a model the current user can read
+ *
+ * @param {string} name - Model name
+ * @returns {Promise<Function>} The model class
+ */
+async function readableModel(name) {
+    if (!hasModel(name)) {
+        throw new NotFoundError(`Model ${name} not found`, { model: name });
+    }
+
+    const Model = getModel(name);
+    if (!(await Model.canAccess('read'))) {
+        throw new PermissionError(`You do not have permission to read ${name} records`, {
+            model: name,
+            operation: 'read'
+        });
+    }
+    return Model;
+}
+
+/**
+ * Controller describing the models to clients
+ * Clients build forms and list views from the descriptions (see lib/metadata.js)
+ */
+class MetadataController {
+    // Permission required for each action (see lib/authorization.js)
+    static permissions = {
+        models: 'authenticated',
+        model: 'authenticated',
+        captions: 'authenticated',
+    };
+
+    /**
+     * Describe every model the current user can read
+     *
+     * @returns {Object} Model descriptions with success status
+     */
+    static async models() {
+        return {
+            success: true,
+            models: await describeModels({ controllers: controllerLoader.controllers })
+        };
+    }
+
+    /**
+     * Describe a single model
+     *
+     * @param {string} name - Model name (e.g. 'Customer')
+     * @returns {Object} The model description with success status
+     */
+    static async model(name) {
+        const Model = await readableModel(name);
+
+        return {
+            success: true,
+            model: await describeModel(Model, { controller: controllerLoader.controllers[name] })
+        };
+    }
+
+    /**
+     * Get the captions and labels of a model's fields in the locale of the request
+     * The locale comes from the request's `locale` or the Accept-Language header
+     *
+     * @param {string} name - Model name (e.g. 'Customer')
+     * @returns {Object} The locale and the texts by field name, with success status
+     */
+    static async captions(name) {
+        const Model = await readableModel(name);
+
+        return {
+            success: true,
+            model: name,
+            locale: getLocale(),
+            fields: await describeCaptions(Model)
+        };
+    }
+}
+
+export default MetadataController;
@@ -0,0 +1,52 @@
+import controllerLoader from './index.js';
+import menu from '../config/menu.js';
+import { getPage, describePage, filterMenu } from '../lib/pages.js';
+import { describeModel } from '../lib/metadata.js';
+import { PermissionError } from '../lib/errors.js';
+
+/**
+ * Controller serving the menu and the list and card pages of models
+ * Page actions are called with a 'page_action' request (see lib/pages.js)
+ */
+class PageController {
+    // Permission required for each action (see lib/authorization.js)
+    static permissions = {
+        menu: 'authenticated',
+        get: 'authenticated',
+    };
+
+    /**
+     * Get the menu items the current user can open
+     *
+     * @returns {Object} The menu with success status
+     */
+    static async menu() {
+        return { success: true, menu: await filterMenu(menu) };
+    }
+
+    /**
+     * Get a page of a model, with the description of the model's fields
+     *
+     * @param {string} model - Model name (e.g. 'Customer')
+     * @param {string} [page='list'] - Page name
+     * @returns {Object} The page and the model description with success status
+     */
+    static async get(model, page = 'list') {
+        const { Model, page: definition } = getPage(model, page || 'list');
+        if (!(await Model.canAccess('read'))) {
+            throw new PermissionError(`You do not have permission to read ${model} records`, {
+                model,
+                operation: 'read'
+            });
+        }
+
+        const { controllers } = controllerLoader;
+        return {
+            success: true,
+            page: await describePage(Model, definition, { controllers }),
+            model: await describeModel(Model, { controller: controllers[model] })
+        };
+    }
+}
+
+export default PageController;
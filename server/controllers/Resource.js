@@ -1,18 +1,30 @@
 import logger from '../lib/logger.js';
 import Resource from '../models/Resource.js';
+import { AppError, NotFoundError, ValidationError } from '../lib/errors.js';
+import { setResultMessage } from '../lib/clientMessages.js';
 
 /**
  * Controller for managing Resource entities
  * Provides CRUD operations and specialized resource handling
  */
 class ResourceController {
+    // Permission required for each action (see lib/authorization.js)
+    static permissions = {
+        create: 'Resource.create',
+        get: 'Resource.read',
+        list: 'Resource.read',
+        search: 'Resource.read',
+        update: 'Resource.update',
+        delete: 'Resource.delete',
+    };
+
     /**
      * Create a new resource
      * 
      * @param {string} type - Resource type (person, company, service, system)
      * @param {string} name - Name of the resource
      * @param {string} [title] - Title or prefix (optional)
-     * @param {string} [number] - Reference number (optional)
+     * @param {string} [number] - Reference number (optional, taken from the RESOURCE number series if left out)
      * @param {string} [email] - Email address (optional)
      * @param {string} [phone] - Phone number (optional)
      * @returns {Object} Created resource with success status
@@ -30,6 +42,7 @@ class ResourceController {
                 email,
                 phone
             });
+            setResultMessage(`Created ${type} ${resource.name}`);
             
             return {
                 success: true,
@@ -43,10 +56,12 @@ class ResourceController {
                     email: resource.email,
                     phone: resource.phone,
                     createdAt: resource.createdAt,
-                    updatedAt: resource.updatedAt
+                    updatedAt: resource.updatedAt,
+                    version: resource.version
                 }
             };
         } catch (error) {
+            if (error instanceof AppError) throw error;
             logger.error('Error creating resource:', error);
             throw new Error(`Failed to create resource: ${error.message}`);
         }
@@ -66,10 +81,7 @@ class ResourceController {
             const resource = await Resource.findById(id);
             
             if (!resource) {
-                return {
-                    success: false,
-                    message: `Resource with ID ${id} not found`
-                };
+                throw new NotFoundError(`Resource with ID ${id} not found`, { model: 'Resource', id });
             }
             
             return {
@@ -83,10 +95,12 @@ class ResourceController {
                     email: resource.email,
                     phone: resource.phone,
                     createdAt: resource.createdAt,
-                    updatedAt: resource.updatedAt
+                    updatedAt: resource.updatedAt,
+                    version: resource.version
                 }
             };
         } catch (error) {
+            if (error instanceof AppError) throw error;
             logger.error(`Error fetching resource ID ${id}:`, error);
             throw new Error(`Failed to fetch resource: ${error.message}`);
         }
@@ -102,9 +116,11 @@ class ResourceController {
      * @param {string} [number] - Reference number (optional)
      * @param {string} [email] - Email address (optional)
      * @param {string} [phone] - Phone number (optional)
+     * @param {number} [version] - Version of the resource the changes are based on;
+     *   the update fails with a CONFLICT error if it was changed since (optional)
      * @returns {Object} Updated resource with success status
      */
-    static async update(id, type, name, title, number, email, phone) {
+    static async update(id, type, name, title, number, email, phone, version) {
         try {
             logger.info(`Updating resource with ID: ${id}`);
             
@@ -116,18 +132,17 @@ class ResourceController {
             if (number !== undefined) updateData.number = number;
             if (email !== undefined) updateData.email = email;
             if (phone !== undefined) updateData.phone = phone;
+            if (version !== undefined) updateData.version = version;
             
             // Check if resource exists
             const existingResource = await Resource.findById(id);
             if (!existingResource) {
-                return {
-                    success: false,
-                    message: `Resource with ID ${id} not found`
-                };
+                throw new NotFoundError(`Resource with ID ${id} not found`, { model: 'Resource', id });
             }
             
             // Update resource
             const updatedResource = await Resource.update(id, updateData);
+            setResultMessage(`Updated ${updatedResource.name}`);
             
             return {
                 success: true,
@@ -141,10 +156,12 @@ class ResourceController {
                     email: updatedResource.email,
                     phone: updatedResource.phone,
                     createdAt: updatedResource.createdAt,
-                    updatedAt: updatedResource.updatedAt
+                    updatedAt: updatedResource.updatedAt,
+                    version: updatedResource.version
                 }
             };
         } catch (error) {
+            if (error instanceof AppError) throw error;
             logger.error(`Error updating resource ID ${id}:`, error);
             throw new Error(`Failed to update resource: ${error.message}`);
         }
@@ -163,20 +180,19 @@ class ResourceController {
             // Check if resource exists
             const existingResource = await Resource.findById(id);
             if (!existingResource) {
-                return {
-                    success: false,
-                    message: `Resource with ID ${id} not found`
-                };
+                throw new NotFoundError(`Resource with ID ${id} not found`, { model: 'Resource', id });
             }
             
             // Delete resource
             await Resource.delete(id);
+            setResultMessage(`Deleted ${existingResource.name}`);
             
             return {
                 success: true,
                 message: `Resource with ID ${id} deleted successfully`
             };
         } catch (error) {
+            if (error instanceof AppError) throw error;
             logger.error(`Error deleting resource ID ${id}:`, error);
             throw new Error(`Failed to delete resource: ${error.message}`);
         }
@@ -197,7 +213,7 @@ class ResourceController {
             
             // Build query options
             const options = {
-                where: {},
+                where: Resource.query(),
                 limit: parseInt(limit, 10) || 50,
                 offset: parseInt(offset, 10) || 0,
                 orderBy: { column: 'createdAt', direction: 'DESC' }
@@ -205,12 +221,14 @@ class ResourceController {
             
             // Add type filter if provided
             if (type) {
-                options.where.type = type;
+                options.where.where('type', type);
             }
             
-            // Add search filter if provided (would need custom implementation in a real app)
-            // Note: This is a simplistic approach - in a real application you'd implement
-            // more sophisticated search through SQL LIKE or full-text search
+            // Add search filter if provided; ranked full-text search is search()
+            if (search) {
+                const pattern = `%${String(search).replace(/[\\%_]/g, '\\$&')}%`;
+                options.where.where(q => q.whereILike('name', pattern).orWhereILike('email', pattern));
+            }
             
             // Find resources with options
             const resources = await Resource.find(options);
@@ -231,7 +249,8 @@ class ResourceController {
                     email: resource.email,
                     phone: resource.phone,
                     createdAt: resource.createdAt,
-                    updatedAt: resource.updatedAt
+                    updatedAt: resource.updatedAt,
+                    version: resource.version
                 })),
                 pagination: {
                     total: totalCount,
@@ -241,6 +260,7 @@ class ResourceController {
                 }
             };
         } catch (error) {
+            if (error instanceof AppError) throw error;
             logger.error('Error listing resources:', error);
             throw new Error(`Failed to list resources: ${error.message}`);
         }
@@ -257,44 +277,19 @@ class ResourceController {
     static async search(query, type, limit = 20) {
         try {
             if (!query || query.trim().length < 2) {
-                return {
-                    success: false,
-                    message: 'Search query must be at least 2 characters'
-                };
+                throw new ValidationError('Search query must be at least 2 characters', {
+                    query: 'Must be at least 2 characters'
+                });
             }
             
             logger.info(`Searching resources with query: "${query}"`);
             
-            // In a real implementation, you would use database-specific 
-            // full-text search or LIKE queries. This is a simplified version
-            // that loads and filters resources in memory.
-            
-            const options = {
-                where: {},
-                limit: 100 // Get a larger set for filtering
-            };
-            
-            // Add type filter if provided
-            if (type) {
-                options.where.type = type;
-            }
-            
-            // Get resources
-            const resources = await Resource.find(options);
-            
-            // Filter resources that match the query in any searchable field
-            const searchQuery = query.toLowerCase();
-            const searchResults = resources.filter(resource => {
-                return (
-                    (resource.name && resource.name.toLowerCase().includes(searchQuery)) ||
-                    (resource.email && resource.email.toLowerCase().includes(searchQuery)) ||
-                    (resource.number && resource.number.toLowerCase().includes(searchQuery)) ||
-                    (resource.phone && resource.phone.toLowerCase().includes(searchQuery))
-                );
+            // Ranked full-text search over the fields in Resource.searchable
+            const hits = await Resource.search(query, {
+                where: type ? { type } : {},
+                limit: parseInt(limit, 10) || 20
             });
-            
-            // Limit results
-            const limitedResults = searchResults.slice(0, parseInt(limit, 10) || 20);
+            const limitedResults = hits.map(hit => hit.record);
             
             return {
                 success: true,
@@ -311,6 +306,7 @@ class ResourceController {
                 }))
             };
         } catch (error) {
+            if (error instanceof AppError) throw error;
             logger.error(`Error searching resources with query "${query}":`, error);
             throw new Error(`Failed to search resources: ${error.message}`);
         }
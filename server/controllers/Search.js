@@ -0,0 +1,73 @@
+import { getModel, getModels, hasModel } from '../lib/orm/modelRegistry.js';
+import { ValidationError, NotFoundError } from '../lib/errors.js';
+
+// Number of hits returned when no limit is given, and the most a client may ask for
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Controller searching all searchable models at once (see Model.search)
+ */
+class SearchController {
+    // Permission required for each action (see lib/authorization.js)
+    static permissions = {
+        search: 'authenticated',
+    };
+
+    /**
+     * Search the records of every searchable model the current user can read
+     *
+     * @param {string} query - Search query, at least 2 characters
+     * @param {string[]} [models] - Names of the models to search, defaults to all searchable models
+     * @param {number} [limit=20] - Maximum number of hits, at most 100
+     * @returns {Object} Hits, best first, with success status. Each hit has the
+     *   `model`, `id` and `title` of the record, its `rank`, the `highlight`ed
+     *   text and the `page` that opens it.
+     */
+    static async search(query, models, limit = DEFAULT_LIMIT) {
+        if (!query || String(query).trim().length < 2) {
+            throw new ValidationError('Search query must be at least 2 characters', {
+                query: 'Must be at least 2 characters'
+            });
+        }
+
+        let searched;
+        if (models?.length) {
+            searched = models.map(name => {
+                if (!hasModel(name) || !getModel(name).searchable) {
+                    throw new NotFoundError(`Searchable model ${name} not found`, { model: name });
+                }
+                return [name, getModel(name)];
+            });
+        } else {
+            searched = Object.entries(getModels()).filter(([, Model]) => Model.searchable);
+        }
+
+        const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const hits = [];
+        for (const [name, Model] of searched) {
+            if (!(await Model.canAccess('read'))) continue;
+
+            const { title } = Model._searchConfig();
+            for (const hit of await Model.search(query, { limit: max })) {
+                hits.push({
+                    model: name,
+                    id: hit.record[Model.primaryKey],
+                    title: hit.record[title] ?? null,
+                    rank: hit.rank,
+                    highlight: hit.highlight,
+                    page: `${name}.card`
+                });
+            }
+        }
+        hits.sort((a, b) => b.rank - a.rank);
+
+        return {
+            success: true,
+            query,
+            hits: hits.slice(0, max)
+        };
+    }
+}
+
+export default SearchController;
@@ -0,0 +1,94 @@
+import logger from '../lib/logger.js';
+import Session from '../models/Session.js';
+import { AppError, NotFoundError } from '../lib/errors.js';
+
+/**
+ * Controller for inspecting and ending user sessions
+ * Sessions are started and refreshed through the Auth controller
+ */
+class SessionController {
+    // Permission required for each action (see lib/authorization.js)
+    static permissions = {
+        list: 'admin',
+        revoke: 'admin',
+        revokeAll: 'admin',
+    };
+
+    /**
+     * List the active sessions of a user
+     * 
+     * @param {number} userId - The user whose sessions are listed
+     * @returns {Object} Active sessions with device information
+     */
+    static async list(userId) {
+        try {
+            const sessions = await Session.findActiveForUser(userId);
+
+            return {
+                success: true,
+                sessions: sessions.map(session => ({
+                    id: session.id,
+                    userAgent: session.userAgent,
+                    ipAddress: session.ipAddress,
+                    createdAt: session.createdAt,
+                    lastUsedAt: session.lastUsedAt,
+                    expiresAt: session.expiresAt
+                }))
+            };
+        } catch (error) {
+            if (error instanceof AppError) throw error;
+            logger.error(`Error listing sessions of user ${userId}:`, error);
+            throw new Error(`Failed to list sessions: ${error.message}`);
+        }
+    }
+
+    /**
+     * End a single session; its access and refresh tokens stop working
+     * 
+     * @param {number} id - Session ID
+     * @returns {Object} Success status
+     */
+    static async revoke(id) {
+        try {
+            const count = await Session.revoke(id);
+            if (!count) {
+                throw new NotFoundError(`Active session with ID ${id} not found`, { model: 'Session', id });
+            }
+
+            logger.info(`Session ${id} revoked`);
+            return {
+                success: true,
+                message: `Session with ID ${id} revoked successfully`
+            };
+        } catch (error) {
+            if (error instanceof AppError) throw error;
+            logger.error(`Error revoking session ID ${id}:`, error);
+            throw new Error(`Failed to revoke session: ${error.message}`);
+        }
+    }
+
+    /**
+     * End every session of a user
+     * 
+     * @param {number} userId - The user whose sessions are ended
+     * @returns {Object} Success status with the number of ended sessions
+     */
+    static async revokeAll(userId) {
+        try {
+            const count = await Session.revokeAllForUser(userId);
+            logger.info(`Revoked ${count} sessions of user ${userId}`);
+
+            return {
+                success: true,
+                count,
+                message: `Revoked ${count} sessions`
+            };
+        } catch (error) {
+            if (error instanceof AppError) throw error;
+            logger.error(`Error revoking sessions of user ${userId}:`, error);
+            throw new Error(`Failed to revoke sessions: ${error.message}`);
+        }
+    }
+}
+
+export default SessionController;
@@ -1,6 +1,12 @@
 import logger from '../lib/logger.js';
 
 class Test {
+    // Permission required for each action (see lib/authorization.js)
+    static permissions = {
+        performTest: 'authenticated',
+        sendWelcomeMail: 'admin',
+    };
+
     // Example method that could be called via a controller request
     static async performTest(testParam1, testParam2) {
         logger.info('Test controller called with params:', testParam1, testParam2);
@@ -2,10 +2,14 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from '../lib/logger.js';
+import { getModels } from '../lib/orm/modelRegistry.js';
+import { createModelController } from '../lib/modelController.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 class ControllerLoader {
+    controllers = {};
+
     async init() {
         const controllerSpinner = logger.spinner('Loading controllers');
         try {
@@ -27,6 +31,16 @@ class ControllerLoader {
                 controllerSpinner.text = `Loaded ${loadedCount}/${totalFiles} controllers`;
             }
 
+            // Models without a controller file of their own get the generic CRUD controller
+            for (const [name, model] of Object.entries(getModels())) {
+                if (!controllers[name] && model.controller !== false) {
+                    controllers[name] = createModelController(model);
+                }
+            }
+
+            // Kept for controllers that describe the others (see Metadata.js)
+            this.controllers = controllers;
+
             controllerSpinner.succeed(`Successfully loaded ${Object.keys(controllers).length} controllers`);
             return controllers;
         } catch (error) {
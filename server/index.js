@@ -5,6 +5,15 @@ import pool from './config/db.js';
 import modelLoader from './models/index.js';
 import controllerLoader from './controllers/index.js';
 import logger from './lib/logger.js';
+import { authorizeAction } from './lib/authorization.js';
+import { AppError, AuthError, NotFoundError, ValidationError } from './lib/errors.js';
+import { createResponse, createErrorResponse, createEvent } from './lib/protocol.js';
+import { takeClientMessages } from './lib/clientMessages.js';
+import changeBus from './lib/changeBus.js';
+import { subscribe, unsubscribe, unsubscribeAll, dispatchChange } from './lib/subscriptions.js';
+import { bindConnectionUser, unbindConnectionUser, endRevokedSessions } from './lib/connections.js';
+import { getPageAction } from './lib/pages.js';
+import { resolveLocale } from './lib/i18n.js';
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
@@ -22,15 +31,22 @@ const args = process.argv.slice(2);
 const forceSyncSchema = args.includes('--sync-schema') || args.includes('-s');
 const forceReseed = args.includes('--seed') || args.includes('-d');
 const skipSeeders = args.includes('--no-seed');
+const runMigrations = args.includes('--migrate') || process.env.SCHEMA_MODE === 'migrations';
 
 // Load models and controllers
 const models = await modelLoader.init({ 
     forceSyncSchema,
+    runMigrations,
     runSeeders: !skipSeeders,
     forceReseed
 });
 const controllers = await controllerLoader.init();
 
+// Committed record changes are pushed to the subscribed connections
+await changeBus.start();
+changeBus.on('change', dispatchChange);
+changeBus.on('change', endRevokedSessions);
+
 const rateLimiter = new RateLimiterMemory({ points: 100, duration: 60 });
 const clients = new Set();
 
@@ -160,125 +176,173 @@ wss.on('error', (error) => logger.error('Server error:', error));
 pool.on('error', (error) => logger.error('Pool error:', error));
 
 // Handle individual client connections
-async function handleClientConnection(ws) {
+async function handleClientConnection(ws, req) {
   clients.add(ws);
   logger.info('Client connected');
 
+  // Connection details made available to controllers (e.g. for sessions)
+  const connectionInfo = {
+    ip: req?.socket?.remoteAddress,
+    userAgent: req?.headers?.['user-agent'],
+    acceptLanguage: req?.headers?.['accept-language']
+  };
+
   ws.on('message', async (message) => {
     let client;
+    let store = null; // Context of the request, holding the messages collected for the client
+    let request = null;
     try {
-      await rateLimiter.consume(ws._socket.remoteAddress);
-      const request = JSON.parse(message);
+      await rateLimiter.consume(ws._socket.remoteAddress).catch(() => {
+        throw new AppError('Too many requests. Please try again later.', { code: 'RATE_LIMITED' });
+      });
+      request = parseRequest(message);
+
+      // Metadata of this request, available through getRequestInfo()
+      const requestInfo = {
+        ...connectionInfo,
+        requestId: request.requestId,
+        controller: request.name,
+        action: request.action,
+        // Captions and messages are translated to the request's locale, else the connection's language
+        locale: resolveLocale(request.locale, connectionInfo.acceptLanguage)
+      };
 
       // Special handling for authentication requests
       if (request.type === 'controller' && request.name === 'Auth') {
-        try {
-          // Authentication requests don't require a token
-          // Acquire a client from the pool
-          client = await pool.connect();
-
-          // Run the request processing in an AsyncLocalStorage context
-          await asyncLocalStorage.run({ client }, async () => {
-            await client.query('BEGIN');
-
-            // Process the authentication request
-            const result = await handleControllerRequest('Auth', request.action, request.parameters || {});
-
-            await client.query('COMMIT');
-            ws.send(JSON.stringify({
-              success: true,
-              type: request.type,
-              data: result,
-              requestId: request.requestId
-            }));
-          });
-        } catch (error) {
-          if (client) await client.query('ROLLBACK');
-          logger.error('Authentication error:', error);
-          ws.send(JSON.stringify({ 
-            success: false, 
-            message: error.message,
-            requestId: request.requestId 
-          }));
-        } finally {
-          if (client) {
-            client.release();
-            client = null; // Prevent double-release in the outer finally block
+        let result;
+        let messages;
+
+        // Authentication requests don't require a token
+        // Acquire a client from the pool
+        client = await pool.connect();
+
+        // Run the request processing in an AsyncLocalStorage context
+        store = { client, user: null, request: requestInfo };
+        await asyncLocalStorage.run(store, async () => {
+          await client.query('BEGIN');
+
+          // Process the authentication request
+          try {
+            result = await handleControllerRequest('Auth', request.action, request.parameters || {}, null);
+          } catch (error) {
+            // A failed authentication can have effects that must stick, such as
+            // revoking a session whose rotated refresh token was presented again
+            if (error instanceof AuthError) {
+              await client.query('COMMIT');
+              publishChanges();
+              client.release();
+              client = null;
+            }
+            throw error;
           }
+
+          await client.query('COMMIT');
+          publishChanges();
+          messages = takeClientMessages();
+        });
+        client.release();
+        client = null; // The transaction is over; nothing to roll back or release below
+
+        // A successful login or refresh authenticates the connection; logging out ends it
+        if (result?.success && result.token) {
+          await authenticateConnection(ws, result.token);
+        } else if (result?.success && ['logout', 'logoutAll'].includes(request.action)) {
+          unbindConnectionUser(ws);
+          unsubscribeAll(ws);
         }
+
+        ws.send(JSON.stringify(createResponse(request, result, messages)));
         return;
       }
 
       // Check for heartbeat requests which don't need authentication
       if (request.type === 'heartbeat') {
-        // Send heartbeat response
-        ws.send(JSON.stringify({ 
-          type: 'heartbeat_response',
-          timestamp: Date.now(),
-          success: true
-        }));
+        ws.send(JSON.stringify(createResponse(request, { timestamp: Date.now() })));
         return;
       }
 
-      // For all other requests, verify token using Auth controller directly
-      if (!request.token) {
-        ws.send(JSON.stringify({ 
-          success: false, 
-          message: 'Unauthorized. Please authenticate first.',
-          requestId: request.requestId
-        }));
+      // Authenticate the connection with a token, e.g. after reconnecting
+      if (request.type === 'authenticate') {
+        const verification = await authenticateConnection(ws, request.token);
+        if (!verification.success) {
+          throw new AuthError(verification.message || 'Invalid or expired token');
+        }
+        ws.send(JSON.stringify(createResponse(request, {
+          user: verification.user,
+          expiresAt: verification.expiresAt
+        })));
         return;
       }
-      
-      // Verify token using the Auth controller
-      const verificationResult = await controllers.Auth.verifyToken(request.token);
-      if (!verificationResult.success) {
-        ws.send(JSON.stringify({ 
-          success: false, 
-          message: verificationResult.message || 'Unauthorized. Please authenticate first.',
-          requestId: request.requestId
-        }));
+
+      // Requests may still carry a token; it authenticates the connection once
+      if (!ws.auth && request.token) {
+        await authenticateConnection(ws, request.token);
+      }
+
+      if (!ws.auth) {
+        throw new AuthError('Unauthorized. Please authenticate first.');
+      }
+
+      // Subscribe to record changes: a model, one record (id) or a filter (where)
+      if (request.type === 'subscribe') {
+        const subscription = await subscribe(ws, request);
+        ws.send(JSON.stringify(createResponse(request, { subscriptionId: subscription.id })));
+        return;
+      }
+
+      if (request.type === 'unsubscribe') {
+        if (!unsubscribe(ws, request.subscriptionId)) {
+          throw new NotFoundError('Subscription not found', { subscriptionId: request.subscriptionId });
+        }
+        ws.send(JSON.stringify(createResponse(request, { subscriptionId: request.subscriptionId })));
         return;
       }
 
+      // Process controller and page action requests only
+      if (request.type !== 'controller' && request.type !== 'page_action') {
+        throw new ValidationError(`Invalid request type "${request.type}"`, {
+          type: 'Must be one of controller, page_action, authenticate, subscribe, unsubscribe or heartbeat'
+        });
+      }
+
       // Acquire a client from the pool
       client = await pool.connect();
 
-      // Run the request processing in an AsyncLocalStorage context
-      await asyncLocalStorage.run({ client }, async () => {
+      // Run the request processing in an AsyncLocalStorage context; the user is
+      // available to models and controllers through getCurrentUser()
+      const { user, sessionId } = ws.auth;
+      store = { client, user, session: sessionId, request: requestInfo };
+      await asyncLocalStorage.run(store, async () => {
         await client.query('BEGIN');
 
         // Extract common request properties
-        const { type, name, action, parameters = {}, requestId } = request;
-        let result;
-
-        // Process controller request only
-        if (type === 'controller') {
-          result = await handleControllerRequest(name, action, parameters);
-        } else {
-          throw new Error('Invalid request type. Only "controller" is supported');
-        }
+        const { name, action, parameters = {} } = request;
+        const result = request.type === 'page_action'
+          ? await handlePageActionRequest(request, user)
+          : await handleControllerRequest(name, action, parameters, user);
 
         await client.query('COMMIT');
-        ws.send(
-          JSON.stringify({
-            success: true,
-            message: 'Operation succeeded',
-            requestId: request.requestId,
-            result,
-          })
-        );
+        publishChanges();
+        ws.send(JSON.stringify(createResponse(request, result, takeClientMessages())));
       });
     } catch (error) {
       if (client) await client.query('ROLLBACK');
-      logger.error('Request error:', error);
-      ws.send(JSON.stringify({ success: false, message: error.message }));
+      // Application errors are expected outcomes; anything else is a failure of the server
+      if (error instanceof AppError) {
+        logger.warn(`Request ${request?.requestId ?? ''} failed: [${error.code}] ${error.message}`);
+      } else {
+        logger.error('Request error:', error);
+      }
+      // Messages collected before the failure, such as the log of the steps taken, are sent too
+      ws.send(JSON.stringify(createErrorResponse(request, error, takeClientMessages(store))));
     } finally {
       if (client) client.release();
     }
   });
 
   ws.on('close', () => {
+    unbindConnectionUser(ws);
+    unsubscribeAll(ws);
     clients.delete(ws);
     logger.info('Client disconnected');
   });
@@ -286,16 +350,52 @@ async function handleClientConnection(ws) {
   ws.on('error', (error) => logger.error('WebSocket error:', error));
 }
 
+// Parses a message into a request object
+function parseRequest(message) {
+  let request;
+  try {
+    request = JSON.parse(message);
+  } catch {
+    throw new ValidationError('The message is not valid JSON');
+  }
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    throw new ValidationError('The message must be a JSON object');
+  }
+  return request;
+}
+
+// Verifies a token and binds its user to the connection until the token expires
+// or its session is revoked. Later messages on the connection are authorized
+// without verifying again.
+async function authenticateConnection(ws, token) {
+  const verification = await controllers.Auth.verifyToken(token);
+  if (verification.success) bindConnectionUser(ws, verification);
+  return verification;
+}
+
+// Publishes the changes queued by models during the current request.
+// Called after COMMIT, so rolled back changes are never announced.
+function publishChanges() {
+  const { changes } = asyncLocalStorage.getStore();
+  changeBus.publish(changes).catch((error) => logger.error('Failed to publish changes:', error));
+}
+
 // Handle controller requests (business logic actions)
-async function handleControllerRequest(controllerName, action, parameters) {
+async function handleControllerRequest(controllerName, action, parameters, user) {
   const ControllerClass = controllers[controllerName];
   
   if (!ControllerClass) {
-    throw new Error(`Controller "${controllerName}" not found`);
+    throw new NotFoundError(`Controller "${controllerName}" not found`, { controller: controllerName });
   }
   if (typeof ControllerClass[action] !== 'function') {
-    throw new Error(`Action "${action}" not available for controller "${controllerName}"`);
+    throw new NotFoundError(`Action "${action}" not available for controller "${controllerName}"`, {
+      controller: controllerName,
+      action
+    });
   }
+
+  // Check the permission declared for the action before running it
+  await authorizeAction(ControllerClass, controllerName, action, user);
   
   // Construct parameters array
   const expectedParams = getFunctionParameters(ControllerClass[action]);
@@ -307,6 +407,28 @@ async function handleControllerRequest(controllerName, action, parameters) {
   return await ControllerClass[action](...paramArray);
 }
 
+// Handle page actions: a controller action bound to a page of a model, called
+// with the page's current record (see lib/pages.js)
+async function handlePageActionRequest({ model, page, action, id, parameters = {} }, user) {
+  const { Model, page: definition, action: pageAction } = getPageAction(model, page, action);
+
+  let record = null;
+  if (id !== undefined && id !== null) {
+    // Applies the model's read permission and row rules
+    record = await Model.findById(id);
+    if (!record) throw new NotFoundError(`${model} with ID ${id} not found`, { model, id });
+  } else if (definition.type === 'card') {
+    throw new ValidationError(`Action ${action} needs the current record`, { id: 'Required for card page actions' });
+  }
+
+  return handleControllerRequest(pageAction.controller, pageAction.action, {
+    ...(parameters || {}),
+    model: Model.name,
+    id: record ? id : null,
+    record
+  }, user);
+}
+
 // Main function to start the server (unchanged)
 async function main() {
   const { PORT = 8011 } = process.env;
@@ -321,6 +443,7 @@ async function main() {
   // Handle shutdown
   async function shutdown() {
     server.close();
+    await changeBus.stop();
     await pool.end();
     logger.info('Server shut down');
     process.exit(0);
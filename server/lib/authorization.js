@@ -0,0 +1,103 @@
+// server/lib/authorization.js
+// Permission checks for controller actions and model access.
+//
+// A permission is either a code such as 'Resource.update' granted through roles
+// (Role -> Permission, User -> Role), or one of the special values below.
+// Administrators (User.isAdmin) pass every check.
+import { asyncLocalStorage, getCurrentUser } from './orm/asyncContext.js';
+import { getModel, hasModel } from './orm/modelRegistry.js';
+import { PermissionError } from './errors.js';
+
+// Anyone, including unauthenticated connections
+export const PUBLIC = 'public';
+// Any authenticated user
+export const AUTHENTICATED = 'authenticated';
+// Administrators only
+export const ADMIN = 'admin';
+
+export { getCurrentUser };
+
+/**
+ * Loads the permission codes granted to a user through their roles.
+ * The result is cached for the duration of the request.
+ * @param {Object} user - The user
+ * @returns {Promise<Set<string>>} Granted permission codes
+ */
+export async function getPermissions(user) {
+  if (!user?.id) return new Set();
+
+  const store = asyncLocalStorage.getStore();
+  if (store?.permissions && store.permissionsUserId === user.id) {
+    return store.permissions;
+  }
+  if (!hasModel('Permission')) return new Set();
+
+  const rows = await getModel('Permission').query(
+    `SELECT DISTINCT p.code
+     FROM permissions p
+     JOIN role_permissions rp ON rp."permissionId" = p.id
+     JOIN user_roles ur ON ur."roleId" = rp."roleId"
+     WHERE ur."userId" = $1`,
+    [user.id]
+  );
+  const permissions = new Set(rows.map(row => row.code));
+
+  if (store) {
+    store.permissions = permissions;
+    store.permissionsUserId = user.id;
+  }
+  return permissions;
+}
+
+/**
+ * Checks whether a user holds a permission.
+ * A granted 'Resource.*' covers every 'Resource.<action>', and '*' covers everything.
+ * @param {Object|null} user - The user (null for unauthenticated requests)
+ * @param {string|Function} permission - Permission code, special value, or `(user) => boolean`
+ * @returns {Promise<boolean>} True if permitted
+ */
+export async function hasPermission(user, permission) {
+  if (permission === undefined || permission === null || permission === PUBLIC) return true;
+  if (!user) return false;
+  if (permission === AUTHENTICATED) return true;
+  if (user.isAdmin) return true;
+  if (permission === ADMIN) return false;
+  if (typeof permission === 'function') return !!(await permission(user));
+
+  const granted = await getPermissions(user);
+  const [resource] = String(permission).split('.');
+  return granted.has(permission) || granted.has(`${resource}.*`) || granted.has('*');
+}
+
+/**
+ * Returns the permission a controller action requires.
+ * Controllers declare it in `static permissions = { action: 'Code' }`; undeclared
+ * actions require the permission '<Controller>.<action>'.
+ * @param {Function} Controller - The controller class
+ * @param {string} controllerName - Name the controller is registered under
+ * @param {string} action - The action name
+ * @returns {string|Function} The required permission
+ */
+export function getActionPermission(Controller, controllerName, action) {
+  const declared = Controller.permissions?.[action];
+  return declared !== undefined ? declared : `${controllerName}.${action}`;
+}
+
+/**
+ * Throws a PermissionError unless the user may call the controller action
+ * @param {Function} Controller - The controller class
+ * @param {string} controllerName - Name the controller is registered under
+ * @param {string} action - The action name
+ * @param {Object|null} user - The user making the request
+ * @returns {Promise<void>}
+ */
+export async function authorizeAction(Controller, controllerName, action, user) {
+  const permission = getActionPermission(Controller, controllerName, action);
+  if (!(await hasPermission(user, permission))) {
+    throw new PermissionError(`You do not have permission to call ${controllerName}.${action}`, {
+      controller: controllerName,
+      action,
+      ...(typeof permission === 'string' ? { permission } : {})
+    });
+  }
+}
@@ -0,0 +1,115 @@
+// server/lib/changeBus.js
+// Distributes record change events to the subscriptions of the WebSocket server.
+//
+// Models queue `{ model, action, id }` events while a request runs; the server
+// publishes them after the transaction commits. Events carry no record data:
+// each subscriber reads the record with its own permissions. Only hard deletes
+// carry the removed `row`, as it can no longer be read.
+//
+// Events are always emitted in this process. With CHANGE_BUS=postgres their keys
+// are also sent through NOTIFY on the 'model_changes' channel to the other server
+// instances that LISTEN on it. Removed rows stay in the process that deleted
+// them: they may exceed the NOTIFY payload limit and must not reach every
+// listener, so other instances cannot check, and do not send, hard deletes.
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import pool from '../config/db.js';
+import logger from './logger.js';
+
+const CHANNEL = 'model_changes';
+
+// Identifies the notifications of this process, which has emitted those events already
+const INSTANCE_ID = crypto.randomUUID();
+
+class ChangeBus extends EventEmitter {
+  constructor() {
+    super();
+    this.backend = 'memory';
+    this.listenClient = null;
+  }
+
+  /**
+   * Starts the bus. With the postgres backend a pool client is kept to LISTEN for events.
+   * @param {Object} [options={}] - Bus options
+   * @param {string} [options.backend=process.env.CHANGE_BUS] - 'memory' or 'postgres'
+   * @returns {Promise<void>}
+   */
+  async start({ backend = process.env.CHANGE_BUS || 'memory' } = {}) {
+    if (backend !== 'postgres') {
+      this.backend = 'memory';
+      return;
+    }
+
+    this.listenClient = await pool.connect();
+    this.listenClient.on('notification', (message) => this._receive(message));
+    await this.listenClient.query(`LISTEN ${CHANNEL}`);
+    this.backend = 'postgres';
+    logger.info(`Change events are distributed through Postgres channel '${CHANNEL}'`);
+  }
+
+  /**
+   * Stops listening and releases the LISTEN client
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.listenClient) return;
+    const client = this.listenClient;
+    this.listenClient = null;
+    this.backend = 'memory';
+    try {
+      await client.query(`UNLISTEN ${CHANNEL}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Publishes committed changes to all subscribers
+   * @param {Object[]} events - `{ model, action, id }` events, with `row` for hard deletes
+   * @returns {Promise<void>}
+   */
+  async publish(events) {
+    if (!events?.length) return;
+
+    this._emitChanges(events);
+    if (this.backend !== 'postgres') return;
+
+    for (const { model, action, id } of events) {
+      const payload = JSON.stringify({ model, action, id, origin: INSTANCE_ID });
+      await pool.query('SELECT pg_notify($1, $2)', [CHANNEL, payload]);
+    }
+  }
+
+  /**
+   * Emits the event of a notification from another server instance
+   * @param {Object} message - The notification
+   * @private
+   */
+  _receive(message) {
+    if (message.channel !== CHANNEL) return;
+    try {
+      const { origin, ...event } = JSON.parse(message.payload);
+      if (origin !== INSTANCE_ID) this._emitChanges([event]);
+    } catch (error) {
+      logger.error('Invalid change notification:', error);
+    }
+  }
+
+  /**
+   * Emits each event as 'change'; a failing listener does not stop the others
+   * @param {Object[]} events - The events
+   * @private
+   */
+  _emitChanges(events) {
+    for (const event of events) {
+      try {
+        this.emit('change', event);
+      } catch (error) {
+        logger.error('Change listener error:', error);
+      }
+    }
+  }
+}
+
+// Export a singleton instance
+export default new ChangeBus();
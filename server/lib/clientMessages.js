@@ -0,0 +1,74 @@
+// server/lib/clientMessages.js
+// Messages for the user, collected while a request runs and sent with its response.
+//
+// Controllers, model hooks and fields call these functions anywhere during a
+// request; the WebSocket server adds what was collected to the response as
+//   messages: { result, dialog, log: [{ level, text, time }] }
+// `result` is shown in the footer, `dialog` in a modal, and the log lists the
+// steps of the action ("Created customer", "Checked stock for 3 items").
+// Outside of a request (CLI, seeders) the calls do nothing.
+import { asyncLocalStorage } from './orm/asyncContext.js';
+
+/**
+ * Returns the messages of the current request, creating them on first use
+ * @returns {Object|null} The messages, or null outside of a request
+ */
+function currentMessages() {
+  const store = asyncLocalStorage.getStore();
+  if (!store) return null;
+  if (!store.messages) store.messages = { result: null, dialog: null, log: [] };
+  return store.messages;
+}
+
+/**
+ * Sets the message shown in the client's footer; a later call replaces it
+ * @param {string} text - The message
+ */
+export function setResultMessage(text) {
+  const messages = currentMessages();
+  if (messages) messages.result = String(text);
+}
+
+/**
+ * Sets the message the client shows in a dialog; a later call replaces it
+ * @param {string} text - The message
+ */
+export function setDialogMessage(text) {
+  const messages = currentMessages();
+  if (messages) messages.dialog = String(text);
+}
+
+/**
+ * Adds a step to the client log
+ * @param {string} text - What was done
+ */
+export function clientLog(text) {
+  currentMessages()?.log.push({ level: 'info', text: String(text), time: new Date().toISOString() });
+}
+
+/**
+ * Adds a warning to the client log
+ * @param {string} text - The warning
+ */
+export function clientWarning(text) {
+  currentMessages()?.log.push({ level: 'warning', text: String(text), time: new Date().toISOString() });
+}
+
+/**
+ * Returns the messages collected in the current request and clears them
+ * @param {Object|null} [store] - Context store of the request; defaults to the current one,
+ *   pass it when the request's context has already been left (e.g. after it failed)
+ * @returns {Object|null} `{ result?, dialog?, log? }`, or null if there are none
+ */
+export function takeClientMessages(store = asyncLocalStorage.getStore()) {
+  const messages = store?.messages;
+  if (!messages) return null;
+  store.messages = null;
+
+  const taken = {
+    ...(messages.result !== null ? { result: messages.result } : {}),
+    ...(messages.dialog !== null ? { dialog: messages.dialog } : {}),
+    ...(messages.log.length ? { log: messages.log } : {})
+  };
+  return Object.keys(taken).length ? taken : null;
+}
@@ -0,0 +1,96 @@
+// server/lib/connections.js
+// The authenticated user bound to each WebSocket connection.
+//
+// A connection is authenticated once, by a login or a token, and later messages
+// are authorized as the bound user without verifying the token again. The binding
+// ends when the access token expires or when its session is revoked: revocations
+// are Session changes on the change bus, so they reach the connections of every
+// server instance.
+import { asyncLocalStorage } from './orm/asyncContext.js';
+import { getModel, hasModel } from './orm/modelRegistry.js';
+import { unsubscribeAll } from './subscriptions.js';
+import { createEvent } from './protocol.js';
+import logger from './logger.js';
+
+// Session id -> Set of connections bound to it
+const sessionConnections = new Map();
+
+/**
+ * Binds the user of a verified token to a connection until the token expires
+ * @param {Object} ws - The WebSocket connection
+ * @param {Object} verification - The successful result of Auth.verifyToken
+ */
+export function bindConnectionUser(ws, verification) {
+  unbindConnectionUser(ws);
+  ws.auth = { user: verification.user, sessionId: verification.sessionId };
+
+  if (verification.expiresAt) {
+    // setTimeout fires immediately for delays above 2^31 - 1 ms
+    const delay = Math.min(Math.max(verification.expiresAt - Date.now(), 0), 2 ** 31 - 1);
+    ws.auth.expiryTimer = setTimeout(() => endConnection(ws, 'session_expired'), delay);
+  }
+
+  if (verification.sessionId != null) {
+    const key = String(verification.sessionId);
+    if (!sessionConnections.has(key)) sessionConnections.set(key, new Set());
+    sessionConnections.get(key).add(ws);
+  }
+}
+
+/**
+ * Removes the user binding of a connection
+ * @param {Object} ws - The WebSocket connection
+ */
+export function unbindConnectionUser(ws) {
+  if (!ws.auth) return;
+  if (ws.auth.expiryTimer) clearTimeout(ws.auth.expiryTimer);
+
+  const key = String(ws.auth.sessionId);
+  const bound = sessionConnections.get(key);
+  if (bound) {
+    bound.delete(ws);
+    if (!bound.size) sessionConnections.delete(key);
+  }
+  ws.auth = null;
+}
+
+/**
+ * Unbinds a connection, tells the client why and closes the connection
+ * @param {Object} ws - The WebSocket connection
+ * @param {'session_expired'|'session_revoked'} reason - The event sent to the client
+ */
+export function endConnection(ws, reason) {
+  unbindConnectionUser(ws);
+  unsubscribeAll(ws);
+  ws.send(JSON.stringify(createEvent(reason, {
+    message: reason === 'session_revoked'
+      ? 'Your session has been ended. Please log in again.'
+      : 'Your session has expired. Please log in again.'
+  })));
+  ws.close(4001, reason === 'session_revoked' ? 'Session revoked' : 'Session expired');
+}
+
+/**
+ * Ends the connections of a session that was changed and can no longer be used,
+ * e.g. after a logout on another device or a revocation by an administrator
+ * @param {Object} event - A change event from the change bus
+ * @returns {Promise<void>}
+ */
+export async function endRevokedSessions(event) {
+  if (event?.model !== 'Session' || !hasModel('Session')) return;
+  const bound = sessionConnections.get(String(event.id));
+  if (!bound) return;
+
+  try {
+    const Session = getModel('Session');
+    const session = await asyncLocalStorage.run(
+      { client: null, user: null, request: {} },
+      () => Session.findById(event.id)
+    );
+    if (Session.isActive(session)) return;
+
+    for (const ws of [...bound]) endConnection(ws, 'session_revoked');
+  } catch (error) {
+    logger.error(`Failed to check session ${event.id} of open connections:`, error);
+  }
+}
@@ -0,0 +1,92 @@
+// server/lib/errors.js
+// Application error classes. Each error carries a stable `code` the client can act on.
+// Any other error is treated as internal; lib/protocol.js hides its message in production.
+
+/**
+ * Base class for errors raised deliberately by the application
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [options={}] - Error options
+   * @param {string} [options.code='INTERNAL_ERROR'] - Machine readable error code
+   * @param {Object} [options.details] - Additional data describing the error
+   */
+  constructor(message, { code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+/**
+ * Raised when input is invalid. `details.fields` maps each invalid field to its message.
+ */
+class ValidationError extends AppError {
+  /**
+   * @param {string} [message] - Human readable message
+   * @param {Object} [fields] - Field name -> error message
+   * @param {Object} [details] - Additional data describing the error
+   */
+  constructor(message = 'The data is invalid', fields, details = {}) {
+    super(message, { code: 'VALIDATION_ERROR', details: fields ? { ...details, fields } : details });
+  }
+}
+
+/**
+ * Raised when a requested record, model, controller or action does not exist
+ */
+class NotFoundError extends AppError {
+  /**
+   * @param {string} [message] - Human readable message
+   * @param {Object} [details] - E.g. the model and id that were looked up
+   */
+  constructor(message = 'Not found', details) {
+    super(message, { code: 'NOT_FOUND', details });
+  }
+}
+
+/**
+ * Raised when a request is not authenticated: missing or invalid credentials or tokens
+ */
+class AuthError extends AppError {
+  /**
+   * @param {string} [message] - Human readable message
+   * @param {Object} [details] - Additional data describing the error
+   */
+  constructor(message = 'Authentication required', details) {
+    super(message, { code: 'UNAUTHORIZED', details });
+  }
+}
+
+/**
+ * Raised when the current user lacks the permission for an action, model or field
+ */
+class PermissionError extends AppError {
+  /**
+   * @param {string} [message] - Human readable message
+   * @param {Object} [details] - E.g. the missing permission, model or field
+   */
+  constructor(message = 'You do not have permission to perform this action', details) {
+    super(message, { code: 'FORBIDDEN', details });
+  }
+}
+
+/**
+ * Raised when a record was changed by someone else since the client read it.
+ * `details.current` holds the server copy so the client can offer a merge.
+ */
+class ConflictError extends AppError {
+  /**
+   * @param {string} [message] - Human readable message
+   * @param {Object} [details] - E.g. the model, id, expected version and current record
+   */
+  constructor(message = 'The record was changed by another user', details) {
+    super(message, { code: 'CONFLICT', details });
+  }
+}
+
+export { AppError, ValidationError, NotFoundError, AuthError, PermissionError, ConflictError };
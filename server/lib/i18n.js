@@ -0,0 +1,130 @@
+// server/lib/i18n.js
+// Translations of captions, labels and messages.
+//
+// Each language has a catalog in server/locales/<language>.js with:
+//   messages - message id -> text with {placeholders}, e.g. 'field.required': '{field} is required.'
+//   fields   - field uid -> { English text -> translation }, for every field of
+//              that template, e.g. the Yes/No labels of all BooleanFields
+//   models   - model name -> field name -> caption, or { caption, options, trueLabel, falseLabel }
+//              for the texts of one model's fields
+// Model entries win over field uid entries; texts a catalog lacks stay as they
+// are in the code. Messages a catalog lacks are taken from the English one.
+//
+// The locale of a request comes from its `locale` property, or else the
+// connection's Accept-Language header (see resolveLocale in server/index.js).
+import { asyncLocalStorage } from './orm/asyncContext.js';
+import en from '../locales/en.js';
+import da from '../locales/da.js';
+import de from '../locales/de.js';
+
+const CATALOGS = { en, da, de };
+
+// Locale of requests that ask for none we have a catalog for, and of code running outside requests
+export const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-US';
+
+/**
+ * Returns the locale of the current request
+ * @returns {string} BCP 47 locale, e.g. 'da-DK'
+ */
+export function getLocale() {
+  return asyncLocalStorage.getStore()?.request?.locale || DEFAULT_LOCALE;
+}
+
+/**
+ * Returns the catalog of a locale's language
+ * @param {string} locale - BCP 47 locale
+ * @returns {Object|null} The catalog, or null if there is none
+ */
+function catalogOf(locale) {
+  const language = String(locale || '').split(/[-_]/)[0].toLowerCase();
+  return CATALOGS[language] || null;
+}
+
+/**
+ * Picks the first requested locale that has a catalog
+ * @param {...string} candidates - Locales or Accept-Language values, e.g. 'de-DE,de;q=0.9,en;q=0.8', in order of preference
+ * @returns {string} The canonical locale, or DEFAULT_LOCALE
+ */
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    if (!candidate || typeof candidate !== 'string') continue;
+
+    const tags = candidate.split(',')
+      .map(part => {
+        const [tag, weight] = part.trim().split(/;\s*q=/);
+        return { tag: tag.trim(), quality: weight === undefined ? 1 : Number(weight) };
+      })
+      .filter(({ tag, quality }) => tag && tag !== '*' && quality > 0)
+      .sort((a, b) => b.quality - a.quality);
+
+    for (const { tag } of tags) {
+      try {
+        const [locale] = Intl.getCanonicalLocales(tag);
+        if (catalogOf(locale)) return locale;
+      } catch {
+        // Not a locale; try the next one
+      }
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Translates a message
+ * @param {string} id - Message id, e.g. 'field.required'
+ * @param {Object} [params={}] - Values of the placeholders
+ * @param {string} [locale] - Locale, defaults to the locale of the request
+ * @returns {string} The text; the id if no catalog has the message
+ */
+export function t(id, params = {}, locale = getLocale()) {
+  const text = catalogOf(locale)?.messages?.[id] ?? en.messages[id] ?? id;
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+/**
+ * Translates a text of a field template, such as an enum option or a boolean label
+ * @param {Object} field - The field
+ * @param {string} text - The English text in the code
+ * @param {string} [locale] - Locale, defaults to the locale of the request
+ * @returns {string} The translation, or the text
+ */
+export function translateText(field, text, locale = getLocale()) {
+  if (text === undefined || text === null) return text;
+  return catalogOf(locale)?.fields?.[field?.uid]?.[text] ?? text;
+}
+
+/**
+ * Translates the caption and labels of a field of a model
+ * @param {Function} Model - The model class
+ * @param {string} name - Name of the field
+ * @param {string} [locale] - Locale, defaults to the locale of the request
+ * @returns {Object} `{ caption }`, with `labels` for enum fields and `trueLabel`/`falseLabel` for boolean fields
+ */
+export function translateField(Model, name, locale = getLocale()) {
+  const field = Model.getSchema()[name];
+  const entry = catalogOf(locale)?.models?.[Model.name]?.[name];
+  const own = typeof entry === 'string' ? { caption: entry } : (entry || {});
+  const translate = (text, override) => override ?? translateText(field, text, locale);
+
+  const texts = { caption: translate(field?.caption, own.caption) };
+  if (typeof field?.getOptions === 'function') {
+    texts.labels = Object.fromEntries(field.getOptions().map(option => [option, translate(option, own.options?.[option])]));
+  }
+  if (typeof field?.getLabels === 'function') {
+    const { trueLabel, falseLabel } = field.getLabels();
+    texts.trueLabel = translate(trueLabel, own.trueLabel);
+    texts.falseLabel = translate(falseLabel, own.falseLabel);
+  }
+  return texts;
+}
+
+/**
+ * Returns the translated caption of a field, for messages
+ * @param {Function} Model - The model class
+ * @param {string} name - Name of the field
+ * @param {string} [locale] - Locale, defaults to the locale of the request
+ * @returns {string} The caption, or the field name if the field has none
+ */
+export function fieldCaption(Model, name, locale = getLocale()) {
+  return translateField(Model, name, locale).caption || name;
+}
@@ -0,0 +1,134 @@
+// server/lib/metadata.js
+// Descriptions of models for clients, served by the Metadata controller.
+//
+// Clients build forms and list views from them and validate input with the
+// same rules as the server: each field is described by Field.describe() (type,
+// caption, required, length, pattern, enum options, lookup target, default,
+// documentation for tooltips). The description is tailored to the user: fields
+// they can't read are left out, fields they can't write are marked readOnly,
+// and `access` and `actions` say what they may do. Captions and labels are in
+// the locale of the request (see lib/i18n.js).
+import { getModels } from './orm/modelRegistry.js';
+import { getCurrentUser, hasPermission, getActionPermission } from './authorization.js';
+import { getLocale, translateField } from './i18n.js';
+
+// Texts of a field description that are translated
+const TEXT_KEYS = ['caption', 'labels', 'trueLabel', 'falseLabel'];
+
+/**
+ * Describes a column that is not a Field, such as id, createdAt or version
+ * @param {Object} column - Column definition with `sql`
+ * @returns {Object} Field description
+ */
+function describeColumn(column) {
+  return {
+    type: String(column.sql || '').split(/\s+/)[0].toLowerCase(),
+    required: !!column.required,
+    system: true,
+    readOnly: true
+  };
+}
+
+/**
+ * Describes the fields of a model the user can read
+ * @param {Function} Model - The model class
+ * @param {Object|null} user - The user
+ * @returns {Promise<Object>} Field descriptions by name, in schema order
+ */
+async function describeFields(Model, user) {
+  const fieldRules = Model.permissions?.fields || {};
+  const fields = {};
+
+  for (const [name, definition] of Object.entries(Model.getSchema())) {
+    const rule = fieldRules[name] || {};
+    if (user && rule.read !== undefined && !(await hasPermission(user, rule.read))) continue;
+
+    if (typeof definition?.describe !== 'function') {
+      fields[name] = describeColumn(definition);
+      continue;
+    }
+    const readOnly = !!definition.computed || (!!user && rule.write !== undefined && !(await hasPermission(user, rule.write)));
+    fields[name] = { name, ...definition.describe(), ...translateField(Model, name), readOnly };
+  }
+  return fields;
+}
+
+/**
+ * Lists the actions of a controller the user may call
+ * @param {Function} [Controller] - The controller class
+ * @param {string} name - Name the controller is registered under
+ * @param {Object|null} user - The user
+ * @returns {Promise<string[]>} Action names
+ */
+async function describeActions(Controller, name, user) {
+  if (!Controller) return [];
+
+  const actions = [];
+  for (const action of Object.getOwnPropertyNames(Controller)) {
+    if (typeof Controller[action] !== 'function') continue;
+    if (await hasPermission(user, getActionPermission(Controller, name, action))) actions.push(action);
+  }
+  return actions;
+}
+
+/**
+ * Describes a model for the user
+ * @param {Function} Model - The model class
+ * @param {Object} [options={}] - Options
+ * @param {Function} [options.controller] - The controller registered under the model's name
+ * @param {Object|null} [options.user] - The user, defaults to the current user
+ * @returns {Promise<Object>} The model description
+ */
+export async function describeModel(Model, { controller, user = getCurrentUser() } = {}) {
+  const access = {};
+  for (const operation of ['read', 'create', 'update', 'delete']) {
+    access[operation] = await Model.canAccess(operation, user);
+  }
+
+  return {
+    name: Model.name,
+    tableName: Model.tableName,
+    primaryKey: Model.primaryKey,
+    audited: Model.audited,
+    softDelete: Model.softDelete,
+    versioned: Model.versioned,
+    fields: await describeFields(Model, user),
+    indexes: (Model.indexes || []).map(({ name, columns, unique }) => ({ name, columns, unique: !!unique })),
+    access,
+    actions: await describeActions(controller, Model.name, user)
+  };
+}
+
+/**
+ * Returns the translated captions and labels of the fields of a model the user can read
+ * @param {Function} Model - The model class
+ * @param {Object} [options={}] - Options
+ * @param {Object|null} [options.user] - The user, defaults to the current user
+ * @param {string} [options.locale] - Locale, defaults to the locale of the request
+ * @returns {Promise<Object>} Field name -> `{ caption, labels?, trueLabel?, falseLabel? }`
+ */
+export async function describeCaptions(Model, { user = getCurrentUser(), locale = getLocale() } = {}) {
+  const captions = {};
+  for (const name of Object.keys(await describeFields(Model, user))) {
+    if (typeof Model.getSchema()[name]?.describe !== 'function') continue;
+    const texts = translateField(Model, name, locale);
+    captions[name] = Object.fromEntries(TEXT_KEYS.filter(key => texts[key] !== undefined).map(key => [key, texts[key]]));
+  }
+  return captions;
+}
+
+/**
+ * Describes every registered model the user can read
+ * @param {Object} [options={}] - Options
+ * @param {Object} [options.controllers={}] - Loaded controllers by name
+ * @param {Object|null} [options.user] - The user, defaults to the current user
+ * @returns {Promise<Object[]>} Model descriptions, sorted by name
+ */
+export async function describeModels({ controllers = {}, user = getCurrentUser() } = {}) {
+  const descriptions = [];
+  for (const [name, Model] of Object.entries(getModels()).sort(([a], [b]) => a.localeCompare(b))) {
+    if (!(await Model.canAccess('read', user))) continue;
+    descriptions.push(await describeModel(Model, { controller: controllers[name], user }));
+  }
+  return descriptions;
+}
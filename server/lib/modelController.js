@@ -0,0 +1,363 @@
+// server/lib/modelController.js
+// Generic CRUD controller for a model.
+//
+// The controller loader creates one for every registered model that has no
+// controller file of its own (and doesn't set `static controller = false`), so a
+// new model is usable from the client as soon as it is listed in models/index.js.
+// Hand-written controllers can extend createModelController(Model) to add actions.
+//
+// Actions take named parameters like any controller action:
+//   create(data), get(id), update(id, data), delete(id),
+//   list(where, orderBy, limit, offset), count(where),
+//   first(where, orderBy), last(where, orderBy),
+//   next(id, where, orderBy), previous(id, where, orderBy)
+// Permissions are those of the model (read, create, update, delete, row and
+// field rules). Operations the model declares no rule for require the code
+// '<Model>.<operation>', e.g. 'Customer.update' for update(id, data).
+// Values of write-only fields such as passwords are never returned, and fields
+// the user may not read cannot be filtered or sorted on.
+// Records are returned with their computed fields; aggregate fields can be
+// used in where and orderBy, but are never written.
+import { NotFoundError, ValidationError } from './errors.js';
+import { setResultMessage } from './clientMessages.js';
+
+// Number of records list() returns when no limit is given, and the most it returns
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Model operation each action performs
+const ACTION_OPERATIONS = {
+  create: 'create',
+  get: 'read',
+  update: 'update',
+  delete: 'delete',
+  list: 'read',
+  count: 'read',
+  first: 'read',
+  last: 'read',
+  next: 'read',
+  previous: 'read',
+};
+
+/**
+ * Permissions of the actions. An action the model has a rule for only needs an
+ * authenticated user, as the model checks the rule; otherwise the action needs
+ * the code '<Model>.<operation>'. Models with permissions are readable unless
+ * they say otherwise (see Model.canAccess); changes need `write` or their own rule.
+ * @param {Function} Model - The model class
+ * @returns {Object} Permission per action
+ */
+function actionPermissions(Model) {
+  const rules = Model.permissions || {};
+  return Object.fromEntries(Object.entries(ACTION_OPERATIONS).map(([action, operation]) => {
+    const declared = rules[operation] !== undefined ||
+      (operation === 'read' ? Object.keys(rules).length > 0 : rules.write !== undefined);
+    return [action, declared ? 'authenticated' : `${Model.name}.${operation}`];
+  }));
+}
+
+/**
+ * Checks that an object only names the given fields
+ * @param {Function} Model - The model class
+ * @param {Object} [values] - The object, e.g. data or conditions
+ * @param {string[]} allowed - Field names that may be used
+ * @param {string} name - Name of the parameter, for the error message
+ * @returns {Object} The object, or an empty one
+ */
+function checkFields(Model, values, allowed, name) {
+  if (values === undefined || values === null) return {};
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new ValidationError(`${name} must be an object`, { [name]: 'Must be an object' });
+  }
+
+  const unknown = Object.keys(values).filter(field => !allowed.includes(field));
+  if (unknown.length) {
+    throw new ValidationError(
+      `Unknown fields for ${Model.name}: ${unknown.join(', ')}`,
+      Object.fromEntries(unknown.map(field => [field, `${Model.name} has no field ${field}`]))
+    );
+  }
+  return values;
+}
+
+/**
+ * Fields clients may write: the model's own stored fields, and the version of versioned models
+ * @param {Function} Model - The model class
+ * @param {boolean} isUpdate - Whether the data is for an update
+ * @returns {string[]} Field names
+ */
+function writableFields(Model, isUpdate) {
+  const stored = Object.entries(Model.fields || {}).filter(([, field]) => !field?.computed).map(([name]) => name);
+  return [...stored, ...(isUpdate && Model.versioned ? ['version'] : [])];
+}
+
+/**
+ * Fields that can be filtered and sorted on: all columns and aggregate fields,
+ * but not fields computed in JavaScript, write-only fields and fields the current
+ * user may not read, whose values could otherwise be probed with conditions
+ * @param {Function} Model - The model class
+ * @returns {Promise<string[]>} Field names
+ */
+async function queryableFields(Model) {
+  const hidden = await Model._hiddenFields();
+  return Object.entries(Model.getSchema())
+    .filter(([name, field]) => (!field?.computed || field.aggregate) && !field?.writeOnly && !hidden.includes(name))
+    .map(([name]) => name);
+}
+
+/**
+ * Validates the where parameter against the queryable fields of the model,
+ * including the columns that conditions compare with (`{ column, compare }`)
+ * @param {Function} Model - The model class
+ * @param {Object} [where] - Conditions
+ * @returns {Promise<Object>} The conditions
+ */
+async function checkWhere(Model, where) {
+  const allowed = await queryableFields(Model);
+  const conditions = checkFields(Model, where, allowed, 'where');
+  const compared = Object.fromEntries(Object.values(conditions)
+    .filter(condition => condition && typeof condition === 'object' && 'column' in condition)
+    .map(condition => [condition.column, true]));
+  checkFields(Model, compared, allowed, 'where');
+  return conditions;
+}
+
+/**
+ * Normalizes the orderBy parameter to `{ column, direction }`
+ * @param {Function} Model - The model class
+ * @param {string|Object} [orderBy] - Column name or `{ column, direction }`; defaults to the primary key
+ * @returns {Promise<{ column: string, direction: string }>} The order
+ */
+async function parseOrder(Model, orderBy) {
+  const order = typeof orderBy === 'string' ? { column: orderBy } : (orderBy || {});
+  const column = order.column || Model.primaryKey;
+  if (!(await queryableFields(Model)).includes(column)) {
+    throw new ValidationError(`Cannot order ${Model.name} by ${column}`, { orderBy: `${Model.name} has no field ${column}` });
+  }
+  return { column, direction: String(order.direction || 'ASC').toUpperCase() === 'DESC' ? 'DESC' : 'ASC' };
+}
+
+/**
+ * Converts a record for the client, leaving out write-only fields
+ * @param {Function} Model - The model class
+ * @param {Object|null} record - Model instance or row
+ * @returns {Object|null} Plain object
+ */
+function toClient(Model, record) {
+  if (!record) return null;
+  const data = { ...(record.data || record) };
+  for (const [name, field] of Object.entries(Model.fields || {})) {
+    if (field?.writeOnly) delete data[name];
+  }
+  return data;
+}
+
+/**
+ * Loads a record or throws a NotFoundError
+ * @param {Function} Model - The model class
+ * @param {string|number} id - Primary key value
+ * @returns {Promise<Object>} The record
+ */
+async function findOrFail(Model, id) {
+  const record = id === undefined || id === null ? null : await Model.findById(id, { computed: true });
+  if (!record) {
+    throw new NotFoundError(`${Model.name} with ID ${id} not found`, { model: Model.name, id });
+  }
+  return record;
+}
+
+/**
+ * Finds the record before or after a record in the given order.
+ * Postgres sorts NULLs last in ascending order; ties are broken by the primary key.
+ * @param {Function} Model - The model class
+ * @param {string|number} id - Primary key of the current record
+ * @param {Object} where - Conditions
+ * @param {Object} orderBy - The order
+ * @param {boolean} forward - True for the next record, false for the previous one
+ * @returns {Promise<Object|null>} The neighbouring record
+ */
+async function findNeighbour(Model, id, where, orderBy, forward) {
+  const { column, direction } = await parseOrder(Model, orderBy);
+  const key = Model.primaryKey;
+  const current = await findOrFail(Model, id);
+  const value = current[column];
+
+  // Moving towards the end of an ascending order, or the start of a descending one
+  const ascending = (direction === 'ASC') === forward;
+  const operator = ascending ? '>' : '<';
+  const query = Model.query().where(await checkWhere(Model, where)).computed();
+
+  if (column === key) {
+    query.where(key, operator, id);
+  } else if (value === null || value === undefined) {
+    // NULLs come after all values in ascending order
+    query.where(q => {
+      q.where(inner => inner.whereNull(column).where(key, operator, current[key]));
+      if (!ascending) q.orWhere(inner => inner.whereNotNull(column));
+    });
+  } else {
+    query.where(q => {
+      q.where(column, operator, value)
+        .orWhere(inner => inner.where(column, value).where(key, operator, current[key]));
+      if (ascending) q.orWhere(inner => inner.whereNull(column));
+    });
+  }
+
+  const sort = ascending ? 'ASC' : 'DESC';
+  const [record] = await query.orderBy(column, sort).orderBy(key, sort).limit(1).find();
+  return record || null;
+}
+
+/**
+ * Creates a controller class with CRUD and navigation actions for a model
+ * @param {Function} Model - The model class
+ * @returns {Function} The controller class
+ */
+export function createModelController(Model) {
+  const ModelController = class {
+    static permissions = actionPermissions(Model);
+
+    /**
+     * Create a record
+     * @param {Object} data - Field values
+     * @returns {Object} The created record
+     */
+    static async create(data) {
+      const record = await Model.create(checkFields(Model, data, writableFields(Model, false), 'data'));
+      setResultMessage(`Created ${Model.name} ${record[Model.primaryKey]}`);
+      return { success: true, record: toClient(Model, record) };
+    }
+
+    /**
+     * Get a record by its ID
+     * @param {number} id - Record ID
+     * @returns {Object} The record
+     */
+    static async get(id) {
+      return { success: true, record: toClient(Model, await findOrFail(Model, id)) };
+    }
+
+    /**
+     * Update a record; pass the `version` it was read with on versioned models
+     * @param {number} id - Record ID
+     * @param {Object} data - Changed field values
+     * @returns {Object} The updated record
+     */
+    static async update(id, data) {
+      const record = await Model.update(id, checkFields(Model, data, writableFields(Model, true), 'data'));
+      setResultMessage(`Updated ${Model.name} ${id}`);
+      return { success: true, record: toClient(Model, record) };
+    }
+
+    /**
+     * Delete a record
+     * @param {number} id - Record ID
+     * @returns {Object} The ID of the deleted record
+     */
+    static async delete(id) {
+      await findOrFail(Model, id);
+      await Model.delete(id);
+      setResultMessage(`Deleted ${Model.name} ${id}`);
+      return { success: true, id };
+    }
+
+    /**
+     * List records
+     * @param {Object} [where] - Conditions, e.g. `{ country: 1 }`
+     * @param {string|Object} [orderBy] - Column name or `{ column, direction }`
+     * @param {number} [limit=50] - Maximum number of records (at most 500)
+     * @param {number} [offset=0] - Number of records to skip
+     * @returns {Object} The records and the total number of matching records
+     */
+    static async list(where, orderBy, limit, offset) {
+      const conditions = await checkWhere(Model, where);
+      const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+      const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+      const order = await parseOrder(Model, orderBy);
+      const records = await Model.find({
+        where: conditions,
+        orderBy: [order, { column: Model.primaryKey, direction: order.direction }],
+        limit: pageSize,
+        offset: skip,
+        computed: true
+      });
+      const total = await Model.count({ where: conditions });
+
+      return {
+        success: true,
+        records: records.map(record => toClient(Model, record)),
+        total,
+        limit: pageSize,
+        offset: skip
+      };
+    }
+
+    /**
+     * Count records
+     * @param {Object} [where] - Conditions
+     * @returns {Object} The number of matching records
+     */
+    static async count(where) {
+      return { success: true, count: await Model.count({ where: await checkWhere(Model, where) }) };
+    }
+
+    /**
+     * Get the first record in the given order
+     * @param {Object} [where] - Conditions
+     * @param {string|Object} [orderBy] - Column name or `{ column, direction }`
+     * @returns {Object} The record, or null if there is none
+     */
+    static async first(where, orderBy) {
+      const order = await parseOrder(Model, orderBy);
+      const record = await Model.findOne({
+        where: await checkWhere(Model, where),
+        orderBy: [order, { column: Model.primaryKey, direction: order.direction }],
+        computed: true
+      });
+      return { success: true, record: toClient(Model, record) };
+    }
+
+    /**
+     * Get the last record in the given order
+     * @param {Object} [where] - Conditions
+     * @param {string|Object} [orderBy] - Column name or `{ column, direction }`
+     * @returns {Object} The record, or null if there is none
+     */
+    static async last(where, orderBy) {
+      const { column, direction } = await parseOrder(Model, orderBy);
+      const reversed = direction === 'ASC' ? 'DESC' : 'ASC';
+      const record = await Model.findOne({
+        where: await checkWhere(Model, where),
+        orderBy: [{ column, direction: reversed }, { column: Model.primaryKey, direction: reversed }],
+        computed: true
+      });
+      return { success: true, record: toClient(Model, record) };
+    }
+
+    /**
+     * Get the record after the given one
+     * @param {number} id - ID of the current record
+     * @param {Object} [where] - Conditions
+     * @param {string|Object} [orderBy] - Column name or `{ column, direction }`
+     * @returns {Object} The record, or null at the end
+     */
+    static async next(id, where, orderBy) {
+      return { success: true, record: toClient(Model, await findNeighbour(Model, id, where, orderBy, true)) };
+    }
+
+    /**
+     * Get the record before the given one
+     * @param {number} id - ID of the current record
+     * @param {Object} [where] - Conditions
+     * @param {string|Object} [orderBy] - Column name or `{ column, direction }`
+     * @returns {Object} The record, or null at the start
+     */
+    static async previous(id, where, orderBy) {
+      return { success: true, record: toClient(Model, await findNeighbour(Model, id, where, orderBy, false)) };
+    }
+  };
+
+  Object.defineProperty(ModelController, 'name', { value: `${Model.name}Controller` });
+  return ModelController;
+}
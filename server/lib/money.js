@@ -0,0 +1,97 @@
+// server/lib/money.js
+// Amounts of money: parsing, rounding and formatting.
+//
+// The company keeps its books in the base currency (BASE_CURRENCY, 'USD' by
+// default). Amounts in other currencies are converted with the dated rates of
+// the ExchangeRate model, e.g. ExchangeRate.toBase(100, 'EUR', date).
+import { t, getLocale } from './i18n.js';
+
+/**
+ * Returns the code of the company's base currency
+ * @returns {string} ISO 4217 code, e.g. 'USD'
+ */
+export function getBaseCurrency() {
+  return (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+}
+
+// Group and decimal separators by locale, e.g. { group: '.', decimal: ',' } for 'de-DE'
+const separators = new Map();
+
+/**
+ * Returns the group and decimal separators of a locale
+ * @param {string} locale - BCP 47 locale
+ * @returns {{ group: string, decimal: string }} The separators
+ */
+function getSeparators(locale) {
+  if (!separators.has(locale)) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    separators.set(locale, {
+      group: parts.find(part => part.type === 'group')?.value ?? ',',
+      decimal: parts.find(part => part.type === 'decimal')?.value ?? '.'
+    });
+  }
+  return separators.get(locale);
+}
+
+/**
+ * Converts an amount entered by a user to a number, with the separators of the
+ * locale ('1,250.50' in 'en-US', '1.250,50' in 'de-DE'). Currency symbols and
+ * spaces are ignored. Digit groups must have three digits, so text that only
+ * makes sense with the other separators, such as '1.5' in 'de-DE', is rejected.
+ * @param {any} value - Number or text such as '$1,250.00'
+ * @param {string} [locale] - BCP 47 locale, defaults to the locale of the request
+ * @returns {number|null|any} The amount, null for empty values; other types are returned unchanged
+ * @throws {Error} If the text is not an amount
+ */
+export function parseAmount(value, locale = getLocale()) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'string') return value;
+
+  // Only the digits and the separators between them count, so symbols such as 'kr.' are ignored
+  const { group, decimal } = getSeparators(locale);
+  const first = value.search(/\d/);
+  const start = value[first - 1] === decimal ? first - 1 : first;
+  const sign = value.slice(0, start).includes('-') ? '-' : '';
+  const digits = [...value.slice(start, value.search(/\d\D*$/) + 1)]
+    .filter(char => /\d/.test(char) || char === group || char === decimal);
+  const text = first === -1 ? '' : sign + digits.join('');
+  const [integer, fraction = '', ...rest] = text.split(decimal);
+  const [head, ...groups] = integer.split(group);
+  const wellFormed = !rest.length && /\d/.test(integer + fraction) && /^\d*$/.test(fraction) && (groups.length
+    ? /^-?\d{1,3}$/.test(head) && groups.every(part => /^\d{3}$/.test(part))
+    : /^-?\d*$/.test(head));
+  if (!wellFormed) {
+    throw new Error(t('money.invalid', { value }));
+  }
+  return Number(`${head}${groups.join('')}.${fraction}`);
+}
+
+/**
+ * Rounds an amount half away from zero, without the binary rounding errors of
+ * Math.round(amount * 100) / 100 (1.005 rounds to 1.01)
+ * @param {number} amount - The amount
+ * @param {number} [decimals=2] - Number of decimal places
+ * @returns {number} The rounded amount
+ */
+export function roundAmount(amount, decimals = 2) {
+  const factor = 10 ** decimals;
+  const shifted = Number((Math.abs(amount) * factor).toPrecision(15));
+  return (Math.sign(amount) * Math.round(shifted)) / factor || 0;
+}
+
+/**
+ * Formats an amount with its currency for a locale, e.g. '1.234,50 €' in 'de-DE'
+ * @param {number|string} amount - The amount
+ * @param {string} [currency] - ISO 4217 code, defaults to the base currency
+ * @param {string} [locale] - BCP 47 locale, defaults to the locale of the request
+ * @returns {string|null} The formatted amount, null for a missing amount
+ */
+export function formatMoney(amount, currency = getBaseCurrency(), locale = getLocale()) {
+  if (amount === null || amount === undefined) return null;
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(amount));
+  } catch {
+    // Codes Intl doesn't know, e.g. in-house currencies
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+}
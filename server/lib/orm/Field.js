@@ -1,4 +1,5 @@
 // models/fields/Field.js
+import { t } from '../i18n.js';
 
 /**
  * Represents a field in an ORM model with validation and transformation capabilities.
@@ -18,6 +19,8 @@
  * @param {function} [options.onGet] - Transformation function applied after retrieval.
  * @param {boolean} [options.primary=false] - Whether this is a primary key field.
  * @param {boolean} [options.nullable=true] - Whether this field can be null.
+ * @param {boolean} [options.writeOnly=false] - Whether the value is never sent to clients (e.g. passwords).
+ * @param {string} [options.numberSeries] - Code of the NumberSeries that fills the field on create when it is left empty.
  */
 export default class Field {
     constructor(options = {}, fieldName = 'Field') {
@@ -31,9 +34,33 @@ export default class Field {
         this.scale = options.scale;
         this.uid = options.uid; // UID must be provided manually
         this.caption = options.caption; // User-friendly display name
+        this.writeOnly = options.writeOnly || false; // Accepted from clients, never returned to them
+        this.numberSeries = options.numberSeries; // Filled from this series on create (see Model.validate)
         this.options = options; // Store all options for reference
-        
-        
+
+        // Transformations passed as options replace the onSet/onGet methods
+        if (typeof options.onSet === 'function') this.onSet = options.onSet;
+        if (typeof options.onGet === 'function') this.onGet = options.onGet;
+    }
+
+    /**
+     * Transforms a value before it is saved; subclasses override it.
+     *
+     * @param {any} value - The value to be set.
+     * @returns {any} The value to save.
+     */
+    onSet(value) {
+        return this.defaultOnSet(value);
+    }
+
+    /**
+     * Transforms a stored value when it is read; subclasses override it.
+     *
+     * @param {any} value - The stored value.
+     * @returns {any} The value to return.
+     */
+    onGet(value) {
+        return this.defaultOnGet(value);
     }
 
     /**
@@ -58,16 +85,17 @@ export default class Field {
 
     /**
      * Validates the provided value against the field's constraints.
-     * Throws an error if validation fails.
+     * Throws an error if validation fails, with a message in the locale of the request.
+     * Models call it with the value converted by onSet (see Model.validate).
      *
      * @param {any} value - The value to validate.
+     * @param {string} [name=this.fieldName] - Name of the field in error messages.
      */
-    validate(value) {
-        const name = this.fieldName;
+    validate(value, name = this.fieldName) {
 
         // Check if the field is required
         if (this.required && (value === undefined || value === null)) {
-            throw new Error(`${name} is required.`);
+            throw new Error(t('field.required', { field: name }));
         }
 
         // Skip further validation if value is null or undefined (allowed if not required)
@@ -82,45 +110,45 @@ export default class Field {
                 case 'varchar':
                 case 'text':
                     if (typeof value !== 'string') {
-                        throw new Error(`${name} must be a string.`);
+                        throw new Error(t('field.string', { field: name }));
                     }
                     if (this.length && value.length > this.length) {
-                        throw new Error(`${name} exceeds the maximum length of ${this.length}.`);
+                        throw new Error(t('field.maxLength', { field: name, length: this.length }));
                     }
                     if (this.pattern && !this.pattern.test(value)) {
-                        throw new Error(`${name} does not match the required pattern.`);
+                        throw new Error(t('field.pattern', { field: name }));
                     }
                     break;
                 case 'integer':
                 case 'int':
                     if (!Number.isInteger(value)) {
-                        throw new Error(`${name} must be an integer.`);
+                        throw new Error(t('field.integer', { field: name }));
                     }
                     break;
                 case 'bigint':
                     if (typeof value !== 'bigint' && !Number.isInteger(value)) {
-                        throw new Error(`${name} must be a bigint or integer.`);
+                        throw new Error(t('field.bigint', { field: name }));
                     }
                     break;
                 case 'numeric':
                     if (isNaN(Number(value))) {
-                        throw new Error(`${name} must be a number.`);
+                        throw new Error(t('field.number', { field: name }));
                     }
                     // Additional precision/scale checks can be added if needed
                     break;
                 case 'boolean':
                     if (typeof value !== 'boolean') {
-                        throw new Error(`${name} must be a boolean.`);
+                        throw new Error(t('field.boolean', { field: name }));
                     }
                     break;
                 case 'date':
-                    if (!(value instanceof Date) || isNaN(value.getTime())) {
-                        throw new Error(`${name} must be a valid date.`);
+                    if (!this._isDate(value)) {
+                        throw new Error(t('field.date', { field: name }));
                     }
                     break;
                 case 'timestamp':
-                    if (!(value instanceof Date) || isNaN(value.getTime())) {
-                        throw new Error(`${name} must be a valid timestamp.`);
+                    if (!this._isDate(value)) {
+                        throw new Error(t('field.timestamp', { field: name }));
                     }
                     break;
                 default:
@@ -131,12 +159,51 @@ export default class Field {
     }
 
     /**
-     * Returns the default value for the field.
+     * Whether a value is a valid date: a Date, or a date string as sent in JSON.
+     *
+     * @param {any} value - The value to check.
+     * @returns {boolean} True if the value is a valid date.
+     * @private
+     */
+    _isDate(value) {
+        if (typeof value === 'string') value = new Date(value);
+        return value instanceof Date && !isNaN(value.getTime());
+    }
+
+    /**
+     * Describes the field for clients, which build forms from it and validate
+     * input with the same rules as the server (see lib/metadata.js).
+     * Subclasses with rules of their own extend the description.
+     *
+     * @returns {Object} JSON-safe description of the field.
+     */
+    describe() {
+        return {
+            type: this.type,
+            caption: this.caption,
+            required: this.required,
+            length: this.length,
+            precision: this.precision,
+            scale: this.scale,
+            min: this.options.min,
+            max: this.options.max,
+            // RegExp doesn't survive JSON; clients rebuild it with new RegExp(source, flags)
+            pattern: this.pattern ? { source: this.pattern.source, flags: this.pattern.flags } : undefined,
+            default: typeof this.default === 'function' ? undefined : this.default,
+            writeOnly: this.writeOnly,
+            numberSeries: this.numberSeries,
+            documentation: this.options.documentation,
+        };
+    }
+
+    /**
+     * Returns the default value for the field; a function default is called
+     * for every new record.
      *
      * @returns {any} The default value.
      */
     getDefault() {
-        return this.default;
+        return typeof this.default === 'function' ? this.default() : this.default;
     }
 
     /**
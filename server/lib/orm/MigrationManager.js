@@ -0,0 +1,324 @@
+// server/lib/orm/MigrationManager.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import pool from '../../config/db.js';
+import logger from '../logger.js';
+import SchemaManager from './SchemaManager.js';
+import { orderByDependencies } from './modelRegistry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../migrations');
+const MIGRATION_FILE_PATTERN = /^\d{14}_[a-z0-9_]+\.js$/;
+
+// Key for the advisory lock that keeps two processes from migrating at the same time
+const MIGRATION_LOCK_KEY = 727361;
+
+/**
+ * MigrationManager class to handle versioned migrations
+ * Migrations are timestamped files in server/migrations exporting `up(client)` and
+ * `down(client)`. Applied migrations are recorded in the schema_migrations table,
+ * grouped in batches so `down` reverts the last run of `up`.
+ */
+export default class MigrationManager {
+  /**
+   * Creates a new MigrationManager instance
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.directory] - Directory containing the migration files
+   * @param {Object} [options.models={}] - Map of model name to model class, used by generate()
+   */
+  constructor({ directory = DEFAULT_DIRECTORY, models = {} } = {}) {
+    this.directory = directory;
+    this.models = models;
+  }
+
+  /**
+   * Generates a migration file from the difference between the model definitions
+   * and the live database
+   * @param {string} name - Descriptive name of the migration (e.g. 'add_customer_number')
+   * @returns {Promise<{file: string, up: string[], down: string[]}|null>} The generated migration, or null if there are no changes
+   */
+  async generate(name) {
+    const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+      throw new Error('A migration name is required');
+    }
+
+    const { up, down } = await this.diff();
+    if (!up.length) {
+      return null;
+    }
+
+    const fileName = `${this._timestamp()}_${slug}.js`;
+    const file = path.join(this.directory, fileName);
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(file, this._renderMigration(fileName, up, down));
+    logger.success(`Migration created at ${file}`);
+
+    return { file, up, down };
+  }
+
+  /**
+   * Computes the forward and reverse statements for all models, in dependency order
+   * @returns {Promise<{up: string[], down: string[]}>} Forward and reverse statements
+   */
+  async diff() {
+    const up = [];
+    const down = [];
+    const client = await pool.connect();
+
+    try {
+      const ordered = orderByDependencies(this.models);
+
+      for (const [, model] of ordered) {
+        const changes = await new SchemaManager(model).diff(client);
+        up.push(...changes.up);
+        down.unshift(...changes.down);
+      }
+
+      // Junction tables reference both sides, so they come after all tables.
+      // Both sides of an association declare the same table; keep the first one.
+      for (const [, model] of ordered) {
+        const changes = await new SchemaManager(model).diffJunctionTables(client);
+        changes.up.filter(statement => !up.includes(statement)).forEach(statement => up.push(statement));
+        changes.down.filter(statement => !down.includes(statement)).forEach(statement => down.unshift(statement));
+      }
+    } finally {
+      client.release();
+    }
+
+    return { up, down };
+  }
+
+  /**
+   * Applies all pending migrations in order, each in its own transaction
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.to] - Stop after the migration with this name
+   * @returns {Promise<string[]>} Names of the applied migrations
+   */
+  async up({ to } = {}) {
+    return this._withLock(async (client) => {
+      const applied = await this._getApplied(client);
+      const pending = this._listFiles().filter(name => !applied.has(name));
+
+      if (to) {
+        const index = pending.indexOf(to);
+        if (index === -1) {
+          throw new Error(`Migration ${to} is not pending`);
+        }
+        pending.splice(index + 1);
+      }
+
+      const batch = Math.max(0, ...[...applied.values()].map(row => row.batch)) + 1;
+      const done = [];
+
+      for (const name of pending) {
+        const migration = await this._loadMigration(name);
+        logger.schema(`Applying migration ${name}`);
+        await this._runInTransaction(client, async () => {
+          await migration.up(client);
+          await client.query(
+            `INSERT INTO schema_migrations (name, batch, applied_at) VALUES ($1, $2, NOW())`,
+            [name, batch]
+          );
+        }, name);
+        done.push(name);
+      }
+
+      return done;
+    });
+  }
+
+  /**
+   * Rolls back the most recent batches of migrations, newest first
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.steps=1] - Number of batches to roll back
+   * @returns {Promise<string[]>} Names of the rolled back migrations
+   */
+  async down({ steps = 1 } = {}) {
+    return this._withLock(async (client) => {
+      const applied = [...(await this._getApplied(client)).values()];
+      const batches = [...new Set(applied.map(row => row.batch))].sort((a, b) => b - a).slice(0, steps);
+      const toRevert = applied
+        .filter(row => batches.includes(row.batch))
+        .sort((a, b) => b.name.localeCompare(a.name));
+      const done = [];
+
+      for (const { name } of toRevert) {
+        const migration = await this._loadMigration(name);
+        logger.schema(`Rolling back migration ${name}`);
+        await this._runInTransaction(client, async () => {
+          await migration.down(client);
+          await client.query(`DELETE FROM schema_migrations WHERE name = $1`, [name]);
+        }, name);
+        done.push(name);
+      }
+
+      return done;
+    });
+  }
+
+  /**
+   * Lists all migrations with their state
+   * @returns {Promise<Array<{name: string, applied: boolean, batch: number|null, appliedAt: Date|null, missing: boolean}>>} Migration states
+   */
+  async status() {
+    const client = await pool.connect();
+    try {
+      await this._ensureMigrationsTable(client);
+      const applied = await this._getApplied(client);
+      const files = this._listFiles();
+      const names = [...new Set([...files, ...applied.keys()])].sort();
+
+      return names.map(name => ({
+        name,
+        applied: applied.has(name),
+        batch: applied.get(name)?.batch ?? null,
+        appliedAt: applied.get(name)?.applied_at ?? null,
+        missing: !files.includes(name)
+      }));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Runs a callback on a dedicated client while holding the migration lock
+   * @param {Function} callback - Receives the client
+   * @returns {Promise<any>} The callback result
+   * @private
+   */
+  async _withLock(callback) {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      await this._ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+
+  /**
+   * Runs a callback inside a transaction
+   * @param {Object} client - Database client
+   * @param {Function} callback - The work to do
+   * @param {string} name - Migration name, for error messages
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runInTransaction(client, callback, name) {
+    await client.query('BEGIN');
+    try {
+      await callback();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Migration ${name} failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ensures the schema_migrations table exists
+   * @param {Object} client - Database client
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(255) PRIMARY KEY,
+        batch INTEGER NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+  }
+
+  /**
+   * Reads the applied migrations
+   * @param {Object} client - Database client
+   * @returns {Promise<Map<string, Object>>} Map of migration name to its schema_migrations row
+   * @private
+   */
+  async _getApplied(client) {
+    const { rows } = await client.query(`SELECT name, batch, applied_at FROM schema_migrations ORDER BY name`);
+    return new Map(rows.map(row => [row.name, row]));
+  }
+
+  /**
+   * Lists the migration files, oldest first
+   * @returns {string[]} Migration file names
+   * @private
+   */
+  _listFiles() {
+    if (!fs.existsSync(this.directory)) return [];
+    return fs.readdirSync(this.directory)
+      .filter(file => MIGRATION_FILE_PATTERN.test(file))
+      .sort();
+  }
+
+  /**
+   * Imports a migration file and checks its exports
+   * @param {string} name - Migration file name
+   * @returns {Promise<{up: Function, down: Function}>} The migration module
+   * @private
+   */
+  async _loadMigration(name) {
+    const file = path.join(this.directory, name);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Migration file ${name} not found in ${this.directory}`);
+    }
+
+    const migration = await import(pathToFileURL(file).href);
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${name} must export up(client) and down(client) functions`);
+    }
+    return migration;
+  }
+
+  /**
+   * Returns the current UTC time as YYYYMMDDHHMMSS
+   * @returns {string} Timestamp
+   * @private
+   */
+  _timestamp() {
+    return new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+  }
+
+  /**
+   * Renders the source of a migration file
+   * @param {string} fileName - Migration file name
+   * @param {string[]} up - Forward statements
+   * @param {string[]} down - Reverse statements
+   * @returns {string} File content
+   * @private
+   */
+  _renderMigration(fileName, up, down) {
+    const render = statements => statements
+      .map(statement => `  await client.query(\`${statement.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')}\`);`)
+      .join('\n');
+
+    return `// server/migrations/${fileName}
+// Generated from the model definitions. Review before applying:
+// dropped columns lose their data, and down() only restores the column.
+
+/**
+ * Applies the migration
+ * @param {Object} client - Database client (runs inside a transaction)
+ */
+export async function up(client) {
+${render(up)}
+}
+
+/**
+ * Reverts the migration
+ * @param {Object} client - Database client (runs inside a transaction)
+ */
+export async function down(client) {
+${render(down) || '  // Nothing to revert'}
+}
+`;
+  }
+}
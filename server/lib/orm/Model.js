@@ -1,6 +1,18 @@
+import crypto from 'crypto';
 import pool from '../../config/db.js';
-import { asyncLocalStorage } from '../../lib/orm/asyncContext.js';
+import { asyncLocalStorage, getRequestInfo } from '../../lib/orm/asyncContext.js';
 import logger from '../../lib/logger.js';
+import { getModel, hasModel } from './modelRegistry.js';
+import QueryBuilder from './QueryBuilder.js';
+import { getCurrentUser, hasPermission } from '../authorization.js';
+import { AppError, ValidationError, NotFoundError, PermissionError, ConflictError } from '../errors.js';
+import changeBus from '../changeBus.js';
+import { t, fieldCaption } from '../i18n.js';
+
+// Search markers around the words ts_headline highlights; control characters
+// can't occur in the searched text, unlike HTML tags
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
 
 /**
  * Base Model class for ORM implementation
@@ -10,6 +22,98 @@ export default class Model {
   static tableName = '';
   static primaryKey = 'id';
 
+  /**
+   * Stable identifier of the table, stored as its comment, e.g. '{599ccae3-...}'.
+   * When tableName changes and the uid stays, schema sync renames the table and
+   * keeps its data (see SchemaManager). Every model needs its own uid.
+   * @type {string|null}
+   */
+  static uid = null;
+
+  /**
+   * Access rules, enforced when the request context has a user (see lib/authorization.js).
+   * Calls without a user (seeders, schema sync, login) are not restricted.
+   * @example
+   * static permissions = {
+   *   read: 'Customer.read',            // find/count
+   *   write: 'Customer.write',          // fallback for create/update/delete
+   *   delete: 'admin',
+   *   rows: (user) => ({ owner: user.id }), // row filter for non-admins
+   *   fields: { isAdmin: { write: 'admin' }, salary: { read: 'Employee.salary' } }
+   * };
+   * @type {Object}
+   */
+  static permissions = {};
+
+  /**
+   * When true, the model gets `createdBy`/`updatedBy` columns and every create,
+   * update and delete is recorded as an AuditEntry with a per-field old/new diff.
+   * @type {boolean}
+   */
+  static audited = false;
+
+  /**
+   * When true, the model gets a `deletedAt` column: deletes only set it, reads skip
+   * deleted rows unless `withDeleted` or `onlyDeleted` is passed, and restore(id)
+   * brings a record back. Unique indexes ignore deleted rows.
+   * @type {boolean}
+   */
+  static softDelete = false;
+
+  /**
+   * When true, the model gets a `version` column that every update increments.
+   * An update that passes the `version` it read fails with a ConflictError if the
+   * row was changed in the meantime; instance save() passes it automatically.
+   * @type {boolean}
+   */
+  static versioned = false;
+
+  /**
+   * Models without a controller file get a generic CRUD controller
+   * (see lib/modelController.js); set to false to not expose the model that way.
+   * @type {boolean}
+   */
+  static controller = true;
+
+  /**
+   * Rules spanning several fields, checked on every write after the field checks
+   * (see validate()). A rule returns the messages of the invalid fields, or nothing:
+   * @example
+   * static validators = [
+   *   async (record, { operation, existing }) => {
+   *     const country = await Country.findById(record.country);
+   *     if (country?.code === 'US' && !/^\d{5}$/.test(record.zip)) return { zip: 'Must be a US zip code' };
+   *   },
+   * ];
+   * `record` is the stored record with the changes applied; batch updates only pass the changes.
+   * @type {Function[]}
+   */
+  static validators = [];
+
+  /**
+   * Full-text search of the model (see search()), or null when it isn't searchable:
+   * @example
+   * static searchable = {
+   *   fields: { name: 'A', email: 'B', phone: 'B' }, // weight A (highest) to D; an array means all 'A'
+   *   fuzzy: ['name', 'email', 'phone'],           // partial and typo-tolerant matches (pg_trgm)
+   *   title: 'name',                               // field shown as the title of a hit
+   *   language: 'simple',                          // text search configuration
+   * };
+   * The fields are indexed in a generated `searchVector` tsvector column with a GIN
+   * index; fuzzy fields get GIN trigram indexes. Every user searches the same vector,
+   * so fields with a read rule (permissions.fields) are left out of it; make them
+   * fuzzy to let the users who may read them search them.
+   * @type {Object|null}
+   */
+  static searchable = null;
+
+  /**
+   * List and card pages of the model shown by the client, and their actions
+   * (see lib/pages.js). Without a `list` or `card` page the model gets a default one.
+   * @type {Object|null}
+   */
+  static pages = null;
+
   /**
    * Default field definitions included in all models
    * @type {Object}
@@ -32,11 +136,53 @@ export default class Model {
     },
   };
 
+  /**
+   * Fields added to audited models, filled with the id of the current user
+   * @type {Object}
+   */
+  static auditFields = {
+    createdBy: {
+      uid: '{5d0c8a3e-2f4b-4c71-9e6a-b8d1f7a2c3e4}',
+      sql: 'INT',
+    },
+    updatedBy: {
+      uid: '{8b7e1f92-6c3d-4a58-b0e4-d2f9a6c1e5b7}',
+      sql: 'INT',
+    },
+  };
+
+  /**
+   * Fields added to soft-delete models
+   * @type {Object}
+   */
+  static softDeleteFields = {
+    deletedAt: {
+      uid: '{c4a9e2d7-3b81-4f6c-a5e0-7d2b9f8c1a63}',
+      sql: 'TIMESTAMPTZ',
+    },
+  };
+
+  /**
+   * Fields added to versioned models
+   * @type {Object}
+   */
+  static versionFields = {
+    version: {
+      uid: '{3e8f6b1a-9d24-4c57-b6a0-f1c7e2d95b48}',
+      sql: 'INT NOT NULL DEFAULT 1',
+    },
+  };
+
   /**
    * Constructor for Model instances
    * @param {Object} data - The data to initialize the model with
    */
   constructor(data = {}) {
+    // The search vector only serves search(); it isn't part of a record
+    if (data && 'searchVector' in data) {
+      data = { ...data };
+      delete data.searchVector;
+    }
     this.data = data;
     
     // Instead of using a Proxy, copy properties from data to this for direct access
@@ -113,6 +259,13 @@ export default class Model {
       }
     }
     
+    // Fields computed in JavaScript see the converted values
+    for (const [key, field] of Object.entries(fields)) {
+      if (typeof field?.compute === 'function') {
+        processedData[key] = field.compute(processedData);
+      }
+    }
+    
     // Return a new instance of the model with the processed data
     return new this(processedData);
   }
@@ -129,35 +282,55 @@ export default class Model {
       typeof Object.getPrototypeOf(this).getSchema === 'function'
         ? Object.getPrototypeOf(this).getSchema()
         : {};
-    return { ...parentSchema, ...(this.fields || {}) };
+    return {
+      ...parentSchema,
+      ...(this.audited ? Model.auditFields : {}),
+      ...(this.softDelete ? Model.softDeleteFields : {}),
+      ...(this.versioned ? Model.versionFields : {}),
+      ...(this.fields || {})
+    };
   }
 
   /* ==================== Public CRUD Methods ==================== */
 
   /**
    * Retrieves multiple records based on the provided options.
-   * @param {Object} [options={}] - Query options.
-   * @param {Object} [options.where] - Conditions for filtering records.
+   * @param {Object|QueryBuilder} [options={}] - Query options, or a query builder.
+   * @param {Object|QueryBuilder} [options.where] - Conditions for filtering records.
+   * @param {string[]} [options.select] - Columns to return (defaults to all columns).
    * @param {number} [options.limit] - Maximum number of records to return.
    * @param {number} [options.offset] - Number of records to skip.
-   * @param {Object} [options.orderBy] - Column to order results by.
+   * @param {Object|Object[]} [options.orderBy] - Column(s) to order results by.
    * @param {string} [options.orderBy.column] - Column name to order by.
    * @param {string} [options.orderBy.direction="ASC"] - Direction to order (ASC or DESC).
    * @param {Object} [options.join] - Join configuration for related tables.
    * @param {string} [options.join.table] - Table to join with.
    * @param {string} [options.join.on] - Join condition.
    * @param {string} [options.join.type="INNER"] - Join type (INNER, LEFT, RIGHT, etc).
+   * @param {Array<string|Object>} [options.include] - Reference fields and associations to load with each record,
+   *   e.g. ['country'] or [{ association: 'resources', as: 'resources', include: ['businessUnits'] }].
+   * @param {boolean|string[]} [options.computed] - Aggregate fields to compute, or true for all of them.
+   *   Aggregate fields named in `select` are always computed.
+   * @param {boolean} [options.withDeleted=false] - Include soft-deleted records.
+   * @param {boolean} [options.onlyDeleted=false] - Return only soft-deleted records.
    * @returns {Promise<Object[]>} Array of records.
    */
   static async find(options = {}) {
     // Ensure options is an object, not null
-    options = options || {};
+    options = this._normalizeOptions(options);
+    await this._authorize('read');
     
-    const { where = {}, limit, offset, orderBy, join } = options;
+    const { select, limit, offset, orderBy, join, include, computed } = options;
+    const { where } = await this._applyRowRules(this._scopeDeleted(options.where, options));
     const { whereClause, values } = this.buildWhere(where);
     
+    // Referenced records are loaded as JSON subqueries in the same statement
+    const includes = this._resolveIncludes(include);
+    const includeColumns = await this._buildIncludeColumns(includes, this._quoteIdentifier(this.tableName), values);
+    const columns = this._selectColumns(select, computed);
+    
     // Base query with potential join
-    let query = `SELECT ${this.tableName}.* FROM ${this._quoteIdentifier(this.tableName)}`;
+    let query = `SELECT ${columns}${includeColumns} FROM ${this._quoteIdentifier(this.tableName)}`;
     
     // Handle joins if specified
     if (join) {
@@ -168,30 +341,28 @@ export default class Model {
     // Add where clause
     query += ` ${whereClause}`;
     
-    // Add ordering
-    if (orderBy) {
-      const { column, direction = 'ASC' } = orderBy;
-      query += ` ORDER BY ${this._quoteIdentifier(column)} ${direction.toUpperCase()}`;
-    }
-    
-    // Add pagination
-    if (limit) query += ` LIMIT ${limit}`;
-    if (offset) query += ` OFFSET ${offset}`;
+    // Add ordering and pagination
+    query += this._buildOrderBy(orderBy);
+    query += this._buildPagination(limit, offset);
     
     const rows = await this.query(query, values);
-    return rows.map(row => this._processOnGet(row));
+    return this._filterReadableFields(rows.map(row => this._hydrate(row, includes)), includes);
   }
 
   /**
    * Retrieves a single record by its primary key.
    * @param {string|number} id - The primary key value.
+   * @param {Object} [options={}] - Additional query options such as `include`.
    * @returns {Promise<Object|null>} The record or null if not found.
    */
-  static async findById(id) {
-    const query = `SELECT * FROM ${this._quoteIdentifier(this.tableName)} WHERE ${this._quoteIdentifier(this.primaryKey)} = $1`;
-    const rows = await this.query(query, [id]);
+  static async findById(id, options = {}) {
+    const [record] = await this.find({
+      ...(options || {}),
+      where: { [this.primaryKey]: id },
+      limit: 1
+    });
     
-    return rows.length > 0 ? this._processOnGet(rows[0]) : null;
+    return record || null;
   }
 
   /**
@@ -221,7 +392,7 @@ export default class Model {
    */
   static async findLast(options = {}) {
     // Ensure options is an object, not null
-    options = options || {};
+    options = this._normalizeOptions(options);
     
     // Use descending order by ID to get the last record
     const { where = {}, ...otherOptions } = options;
@@ -247,15 +418,12 @@ export default class Model {
    */
   static async findNext(id, options = {}) {
     // Ensure options is an object, not null
-    options = options || {};
+    options = this._normalizeOptions(options);
     
     // Find the next record with ID > current ID
     const { where = {}, ...otherOptions } = options;
     const nextOptions = {
-      where: {
-        ...where,
-        [this.primaryKey]: { operator: '>', value: id }
-      },
+      where: this._andWhere(where, { [this.primaryKey]: { operator: '>', value: id } }),
       orderBy: { column: this.primaryKey, direction: 'ASC' },
       limit: 1,
       ...otherOptions
@@ -283,15 +451,12 @@ export default class Model {
    */
   static async findPrevious(id, options = {}) {
     // Ensure options is an object, not null
-    options = options || {};
+    options = this._normalizeOptions(options);
     
     // Find the previous record with ID < current ID
     const { where = {}, ...otherOptions } = options;
     const prevOptions = {
-      where: {
-        ...where,
-        [this.primaryKey]: { operator: '<', value: id }
-      },
+      where: this._andWhere(where, { [this.primaryKey]: { operator: '<', value: id } }),
       orderBy: { column: this.primaryKey, direction: 'DESC' },
       limit: 1,
       ...otherOptions
@@ -310,11 +475,13 @@ export default class Model {
 
   /**
    * Counts records matching the options.
-   * @param {Object} [options={}] - Query options with `where`.
+   * @param {Object|QueryBuilder} [options={}] - Query options with `where` (and `withDeleted`/`onlyDeleted`), or a query builder.
    * @returns {Promise<number>} The number of matching records.
    */
   static async count(options = {}) {
-    const { where = {} } = options;
+    await this._authorize('read');
+    options = this._normalizeOptions(options);
+    const { where } = await this._applyRowRules(this._scopeDeleted(options.where, options));
     const { whereClause, values } = this.buildWhere(where);
     const query = `SELECT COUNT(*) FROM ${this._quoteIdentifier(this.tableName)} ${whereClause}`;
     const result = await this.query(query, values);
@@ -327,29 +494,16 @@ export default class Model {
    * @returns {Promise<Object>} The created record.
    */
   static async create(data) {
+    await this._authorize('create');
+    await this._authorizeFields(data);
+    
     // Run the onBeforeCreate hook if it exists
     if (typeof this.onBeforeCreate === 'function') {
       data = await this.onBeforeCreate(data);
     }
 
-    // Process the data through onSet transformations
-    const processedData = {};
-    const fields = this.fields || {};
-    
-    // Process all fields asynchronously if needed
-    for (const [key, value] of Object.entries(data)) {
-      if (fields[key] && typeof fields[key].onSet === 'function') {
-        try {
-          // Handle async onSet methods
-          processedData[key] = await fields[key].onSet(value);
-        } catch (error) {
-          logger.error(`Error processing field ${key}:`, error);
-          throw error;
-        }
-      } else {
-        processedData[key] = value;
-      }
-    }
+    const processedData = await this.validate(data);
+    this._stampAuditFields(processedData, true);
     
     // Build the SQL query
     const columns = Object.keys(processedData).map(key => this._quoteIdentifier(key)).join(', ');
@@ -362,6 +516,8 @@ export default class Model {
     
     // Execute the query
     const result = await this.query(query, values);
+    await this._recordAudit('create', [{ before: null, after: result[0] }]);
+    this._queueChanges('create', result);
     
     // Create a model instance with the result
     const model = new this(result[0]);
@@ -376,9 +532,12 @@ export default class Model {
 
   /**
    * Updates a single record by its primary key.
+   * On versioned models, `data.version` is the version the client read; if the row
+   * has a different version by now, a ConflictError with the current record is thrown.
    * @param {string|number} id - The primary key value.
    * @param {Object} data - The fields to update.
    * @returns {Promise<Object>} The updated record.
+   * @throws {ConflictError} If the record was changed since the given version.
    */
   static async update(id, data) {
     logger.debug(`Update request received for ${this.tableName}:${id}`);
@@ -393,52 +552,32 @@ export default class Model {
       const updateData = { ...data };
       delete updateData[this.primaryKey];
       
-      // Get the existing record to run hooks
+      // The version is maintained by the database; a given one is only compared
+      const expectedVersion = this.versioned ? updateData.version : undefined;
+      delete updateData.version;
+      
+      await this._authorize('update');
+      
+      // Get the existing record to run hooks (row rules apply, so hidden rows are not found)
       const existingRecord = await this.findById(id);
       if (!existingRecord) {
         logger.error(`Record not found for update: ${this.tableName}:${id}`);
-        throw new Error(`Record with ${this.primaryKey} = ${id} not found for update`);
+        throw new NotFoundError(`Record with ${this.primaryKey} = ${id} not found for update`, { model: this.name, id });
+      }
+      if (expectedVersion != null && Number(existingRecord.version) !== Number(expectedVersion)) {
+        throw this._conflictError(id, expectedVersion, existingRecord);
       }
+      await this._authorizeFields(updateData, existingRecord.data);
   
       // Run the onBeforeUpdate hook if it exists
       if (typeof this.onBeforeUpdate === 'function') {
         await this.onBeforeUpdate(existingRecord);
       }
   
-      // Process fields with validation
-      const processedData = {};
-      const fields = this.fields || {};
-      const schema = this.getSchema();
-  
-      for (const [key, value] of Object.entries(updateData)) {
-        // Skip the primary key from updates
-        if (key === this.primaryKey) continue;
-  
-        // Process the field through onSet transformation
-        if (fields[key] && typeof fields[key].onSet === 'function') {
-          try {
-            // Handle async onSet methods
-            processedData[key] = await fields[key].onSet(value);
-          } catch (error) {
-            logger.error(`Error processing field ${key}:`, error);
-            throw error;
-          }
-        } else {
-          processedData[key] = value;
-        }
-  
-        // Validate against the schema
-        if (schema[key] && typeof schema[key].validate === 'function') {
-          try {
-            schema[key].validate(processedData[key]);
-          } catch (error) {
-            throw new Error(`Validation failed for field '${key}' in table '${this.tableName}': ${error.message}`);
-          }
-        }
-      }
+      const processedData = await this.validate(updateData, { existing: existingRecord.data });
   
       // Add updatedAt timestamp
-      if (fields.updatedAt) {
+      if (this.fields?.updatedAt) {
         processedData.updatedAt = new Date();
       }
   
@@ -447,20 +586,38 @@ export default class Model {
         logger.debug('No valid fields to update');
         return existingRecord;
       }
+      this._stampAuditFields(processedData, false);
+      
+      // The stored values before the change, for the audit diff
+      const [previousRow] = this.audited
+        ? await this.query(`SELECT * FROM ${this._quoteIdentifier(this.tableName)} WHERE ${this._quoteIdentifier(this.primaryKey)} = $1`, [id])
+        : [];
   
       const setClause = Object.keys(processedData)
         .map((key, i) => `${this._quoteIdentifier(key)} = $${i + 1}`)
         .join(', ');
       const values = Object.values(processedData);
       values.push(id); // Add the ID for the WHERE clause
+      let whereClause = `WHERE ${this._quoteIdentifier(this.primaryKey)} = $${values.length}`;
+      
+      // Only write if nobody changed the row since it was read
+      if (expectedVersion != null) {
+        values.push(expectedVersion);
+        whereClause += ` AND "version" = $${values.length}`;
+      }
   
       const query = `UPDATE ${this._quoteIdentifier(this.tableName)} 
-                    SET ${setClause} 
-                    WHERE ${this._quoteIdentifier(this.primaryKey)} = $${values.length} 
+                    SET ${setClause}${this._versionIncrement()} 
+                    ${whereClause} 
                     RETURNING *`;
       
       // Execute the query
       const result = await this.query(query, values);
+      if (!result.length && expectedVersion != null) {
+        throw this._conflictError(id, expectedVersion, await this.findById(id));
+      }
+      await this._recordAudit('update', [{ before: previousRow, after: result[0] }]);
+      this._queueChanges('update', result);
       
       // Create a model instance with the result
       const updatedModel = new this(result[0]);
@@ -472,24 +629,10 @@ export default class Model {
       
       return updatedModel;
     } catch (error) {
-      // Check for unique constraint violations
-      if (error.message && error.message.includes('duplicate key') && error.message.includes('unique constraint')) {
-        // Extract the constraint name if available
-        const constraintMatch = error.message.match(/unique constraint "([^"]+)"/);
-        const constraintName = constraintMatch ? constraintMatch[1] : 'unknown';
-        
-        // Create a more specific error message
-        const enhancedError = new Error(
-          `Duplicate value detected for unique constraint '${constraintName}' in table '${this.tableName}'. ` +
-          `The value you provided already exists in another record.`
-        );
-        
-        logger.error(`${enhancedError.message}`, error);
-        throw enhancedError;
+      // Validation errors, conflicts and the like are reported to the client as they are
+      if (!(error instanceof AppError)) {
+        logger.error(`Update error in ${this.tableName}:`, error);
       }
-      
-      // Re-throw other errors
-      logger.error(`Update error in ${this.tableName}:`, error);
       throw error;
     }
   }
@@ -497,12 +640,13 @@ export default class Model {
   /**
    * Updates multiple records based on conditions.
    * @param {Object} options - Options with where and data.
-   * @param {Object} options.where - Conditions to identify records.
+   * @param {Object|QueryBuilder} options.where - Conditions to identify records.
    * @param {Object} options.data - Fields to update.
+   * @param {boolean} [options.withDeleted=false] - Also update soft-deleted records.
    * @returns {Promise<Object[]>} Array of updated records.
    */
-  static async updateBatch({ where, data } = {}) {
-    if (!where || !Object.keys(where).length) {
+  static async updateBatch({ where, data, withDeleted = false } = {}) {
+    if (this._isEmptyWhere(where)) {
       throw new Error("A 'where' condition is required for updateBatch.");
     }
     
@@ -510,10 +654,9 @@ export default class Model {
       throw new Error("No data provided for updateBatch.");
     }
     
-    // Validate the data
-    const schema = this.getSchema();
-    const fields = this.fields || {};
-    const processedData = {};
+    await this._authorize('update');
+    await this._authorizeFields(data);
+    ({ where } = await this._applyRowRules(this._scopeDeleted(where, { withDeleted })));
     
     // Execute the onBeforeUpdate hook if it exists
     let preparedData = { ...data };
@@ -521,37 +664,26 @@ export default class Model {
       preparedData = await this.onBeforeUpdate(preparedData);
     }
     
-    // Process and validate each field
-    for (const [key, value] of Object.entries(preparedData)) {
-      // Validate the field
-      if (schema[key]?.validate) {
-        try {
-          schema[key].validate(value);
-        } catch (error) {
-          throw new Error(`Validation failed for field '${key}' in table '${this.tableName}': ${error.message}`);
-        }
-      }
-      
-      // Process with onSet if available
-      if (fields[key] && typeof fields[key].onSet === 'function') {
-        try {
-          processedData[key] = await fields[key].onSet(value);
-        } catch (error) {
-          logger.error(`Error processing field ${key}:`, error);
-          throw error;
-        }
-      } else {
-        processedData[key] = value;
-      }
+    // The version is maintained by the database
+    if (this.versioned) {
+      delete preparedData.version;
     }
     
+    const processedData = await this.validate(preparedData, { operation: 'update' });
+    
     // Add updatedAt timestamp if it exists
-    if (fields.updatedAt) {
+    if (this.fields?.updatedAt) {
       processedData.updatedAt = new Date();
     }
+    this._stampAuditFields(processedData, false);
     
     // Build the update query
     const { whereClause, values: whereValues } = this.buildWhere(where);
+    
+    // The stored values before the change, for the audit diff
+    const previousRows = this.audited
+      ? await this.query(`SELECT * FROM ${this._quoteIdentifier(this.tableName)} ${whereClause}`, whereValues)
+      : [];
     const updateKeys = Object.keys(processedData);
     const setClause = updateKeys.map((k, i) => `${this._quoteIdentifier(k)} = $${i + 1}`).join(', ');
     
@@ -561,12 +693,15 @@ export default class Model {
     );
     
     const query = `UPDATE ${this._quoteIdentifier(this.tableName)} 
-                   SET ${setClause} 
+                   SET ${setClause}${this._versionIncrement()} 
                    ${adjustedWhereClause} 
                    RETURNING *`;
     
     // Execute the query and process results
     const result = await this.query(query, [...Object.values(processedData), ...whereValues]);
+    const previousById = new Map(previousRows.map(row => [row[this.primaryKey], row]));
+    await this._recordAudit('update', result.map(row => ({ before: previousById.get(row[this.primaryKey]), after: row })));
+    this._queueChanges('update', result);
     const updatedRecords = result.map(row => this._processOnGet(row));
     
     // Execute the onAfterUpdate hook for each record if it exists
@@ -581,19 +716,25 @@ export default class Model {
 
   /**
    * Deletes a single record by its primary key.
+   * Soft-delete models only set `deletedAt`, unless `force` is passed.
    * @param {string|number} id - The primary key value.
+   * @param {Object} [options={}] - Delete options.
+   * @param {boolean} [options.force=false] - Remove the row even if the model uses soft delete.
    * @returns {Promise<Object[]>} Array of deleted records (typically one).
    */
-  static async delete(id) {
+  static async delete(id, { force = false } = {}) {
+    await this._authorize('delete');
+    await this._assertRowAccess(id);
+    
     if (typeof this.onBeforeDelete === 'function') {
       await this.onBeforeDelete(id);
     }
     
-    const query = `DELETE FROM ${this._quoteIdentifier(this.tableName)} 
-                  WHERE ${this._quoteIdentifier(this.primaryKey)} = $1 
-                  RETURNING *`;
-    
-    const result = await this.query(query, [id]);
+    const result = await this._deleteRows(
+      `WHERE ${this._quoteIdentifier(this.primaryKey)} = $1`,
+      [id],
+      force
+    );
     
     if (typeof this.onAfterDelete === 'function') {
       await this.onAfterDelete(result);
@@ -604,15 +745,20 @@ export default class Model {
 
   /**
    * Deletes multiple records based on conditions.
+   * Soft-delete models only set `deletedAt`, unless `force` is passed.
    * @param {Object} options - Options with where condition.
-   * @param {Object} options.where - Conditions to identify records.
+   * @param {Object|QueryBuilder} options.where - Conditions to identify records.
+   * @param {boolean} [options.force=false] - Remove the rows even if the model uses soft delete.
+   * @param {boolean} [options.withDeleted=false] - Also match soft-deleted records (e.g. to purge them with `force`).
    * @returns {Promise<Object[]>} Array of deleted records.
    */
-  static async deleteBatch({ where } = {}) {
-    if (!where || !Object.keys(where).length) {
+  static async deleteBatch({ where, force = false, withDeleted = false } = {}) {
+    if (this._isEmptyWhere(where)) {
       throw new Error("A 'where' condition is required for deleteBatch.");
     }
     
+    await this._authorize('delete');
+    ({ where } = await this._applyRowRules(this._scopeDeleted(where, { withDeleted })));
     const { whereClause, values } = this.buildWhere(where);
     
     // Execute the onBeforeDelete hook for each record if it exists
@@ -628,11 +774,7 @@ export default class Model {
       }
     }
     
-    const query = `DELETE FROM ${this._quoteIdentifier(this.tableName)} 
-                  ${whereClause} 
-                  RETURNING *`;
-    
-    const result = await this.query(query, values);
+    const result = await this._deleteRows(whereClause, values, force);
     
     if (typeof this.onAfterDelete === 'function') {
       await this.onAfterDelete(result);
@@ -641,6 +783,78 @@ export default class Model {
     return result.map(row => this._processOnGet(row));
   }
 
+  /**
+   * Restores a soft-deleted record.
+   * @param {string|number} id - The primary key value.
+   * @returns {Promise<Object|null>} The restored record, or null if no deleted record has the id.
+   */
+  static async restore(id) {
+    if (!this.softDelete) {
+      throw new Error(`${this.name} does not use soft delete; there is nothing to restore`);
+    }
+    
+    await this._authorize('update');
+    await this._assertRowAccess(id, { onlyDeleted: true });
+    
+    const table = this._quoteIdentifier(this.tableName);
+    const key = this._quoteIdentifier(this.primaryKey);
+    const [deleted] = await this.query(
+      `SELECT * FROM ${table} WHERE ${key} = $1 AND "deletedAt" IS NOT NULL`,
+      [id]
+    );
+    if (!deleted) return null;
+    
+    const data = { deletedAt: null };
+    this._stampAuditFields(data, false);
+    const columns = Object.keys(data);
+    const result = await this.query(
+      `UPDATE ${table} 
+       SET ${columns.map((column, i) => `${this._quoteIdentifier(column)} = $${i + 2}`).join(', ')}${this._versionIncrement()} 
+       WHERE ${key} = $1 
+       RETURNING *`,
+      [id, ...Object.values(data)]
+    );
+    await this._recordAudit('restore', [{ before: deleted, after: result[0] }]);
+    this._queueChanges('restore', result);
+    
+    return this._processOnGet(result[0]);
+  }
+
+  /**
+   * Deletes the rows matching a WHERE clause, or marks them deleted for soft-delete models
+   * @param {string} whereClause - WHERE clause (with the keyword)
+   * @param {any[]} values - Parameter values of the clause
+   * @param {boolean} force - Remove the rows even if the model uses soft delete
+   * @returns {Promise<Object[]>} The affected rows
+   * @private
+   */
+  static async _deleteRows(whereClause, values, force) {
+    const table = this._quoteIdentifier(this.tableName);
+    
+    if (this.softDelete && !force) {
+      const data = { deletedAt: new Date() };
+      this._stampAuditFields(data, false);
+      const columns = Object.keys(data);
+      const offset = values.length;
+      const condition = whereClause.replace(/^\s*WHERE\s+/i, '');
+      const result = await this.query(
+        `UPDATE ${table} 
+         SET ${columns.map((column, i) => `${this._quoteIdentifier(column)} = $${offset + i + 1}`).join(', ')}${this._versionIncrement()} 
+         WHERE ${condition ? `(${condition}) AND ` : ''}${table}."deletedAt" IS NULL 
+         RETURNING *`,
+        [...values, ...Object.values(data)]
+      );
+      await this._recordAudit('delete', result.map(row => ({ before: { ...row, deletedAt: null }, after: row })));
+      this._queueChanges('delete', result);
+      return result;
+    }
+    
+    const result = await this.query(`DELETE FROM ${table} ${whereClause} RETURNING *`, values);
+    await this._recordAudit('delete', result.map(row => ({ before: row, after: null })));
+    this._queueChanges('delete', result, { withRows: true });
+    return result;
+  }
+
   /**
    * Creates multiple records in a single query.
    * @param {Object[]} dataArray - Array of data objects to insert.
@@ -651,8 +865,11 @@ export default class Model {
       throw new Error(`dataArray must be a non-empty array for batch create in table '${this.tableName}'`);
     }
     
-    const schema = this.getSchema();
-    const fields = this.fields || {};
+    await this._authorize('create');
+    for (const data of dataArray) {
+      await this._authorizeFields(data);
+    }
+    
     const baseKeys = Object.keys(dataArray[0]).sort();
     
     // Validate all objects have the same structure
@@ -662,47 +879,33 @@ export default class Model {
       }
     }
     
-    // Process and validate each object
+    // Process and validate each object; failures of all items are reported
+    // together, keyed by item index and field: { '2.email': 'Invalid email address' }
     const processedArray = [];
+    const errors = {};
     
-    for (const data of dataArray) {
-      const processedItem = {};
-      
+    for (const [index, data] of dataArray.entries()) {
       // Execute onBeforeCreate hook if exists
       let itemData = { ...data };
       if (typeof this.onBeforeCreate === 'function') {
         itemData = await this.onBeforeCreate(itemData);
       }
       
-      // Process and validate each field
-      for (const [key, value] of Object.entries(itemData)) {
-        // Validate the field
-        if (schema[key]?.validate) {
-          try {
-            schema[key].validate(value);
-          } catch (error) {
-            throw new Error(`Validation failed for field '${key}' in table '${this.tableName}': ${error.message}`);
-          }
-        }
-        
-        // Process with onSet if available
-        if (fields[key] && typeof fields[key].onSet === 'function') {
-          try {
-            processedItem[key] = await fields[key].onSet(value);
-          } catch (error) {
-            logger.error(`Error processing field ${key}:`, error);
-            throw error;
-          }
-        } else {
-          processedItem[key] = value;
+      try {
+        const processedItem = await this.validate(itemData);
+        this._stampAuditFields(processedItem, true);
+        processedArray.push(processedItem);
+      } catch (error) {
+        if (!(error instanceof ValidationError) || !error.details?.fields) throw error;
+        for (const [field, message] of Object.entries(error.details.fields)) {
+          errors[`${index}.${field}`] = message;
         }
       }
-      
-      processedArray.push(processedItem);
     }
+    if (Object.keys(errors).length) throw this._validationError(errors);
     
-    // Build the batch insert query
-    const keys = baseKeys;
+    // Build the batch insert query; defaults may add columns the items didn't have
+    const keys = [...new Set(processedArray.flatMap(item => Object.keys(item)))];
     let values = [];
     
     // Create placeholders for each row
@@ -724,6 +927,8 @@ export default class Model {
     
     // Execute the query
     const result = await this.query(query, values);
+    await this._recordAudit('create', result.map(row => ({ before: null, after: row })));
+    this._queueChanges('create', result);
     const createdRecords = result.map(row => this._processOnGet(row));
     
     // Execute onAfterCreate hook for each record if it exists
@@ -743,7 +948,7 @@ export default class Model {
    */
   static async findFirst(options = {}) {
     // Ensure options is an object, not null
-    options = options || {};
+    options = this._normalizeOptions(options);
     
     // Ensure we always order by ID in ascending order by default
     const orderBy = options.orderBy || { column: this.primaryKey, direction: 'ASC' };
@@ -778,7 +983,6 @@ export default class Model {
       joinColumn, 
       localColumn = this.primaryKey, 
       joinType = 'INNER',
-      where = {},
       limit,
       offset,
       orderBy
@@ -788,6 +992,8 @@ export default class Model {
       throw new Error('joinTable and joinColumn are required for findWithJoin');
     }
     
+    await this._authorize('read');
+    const { where } = await this._applyRowRules(this._scopeDeleted(options.where, options));
     const { whereClause, values } = this.buildWhere(where);
     
     let query = `SELECT ${this.tableName}.* 
@@ -796,149 +1002,1419 @@ export default class Model {
                 ON ${this._quoteIdentifier(this.tableName)}.${this._quoteIdentifier(localColumn)} = ${this._quoteIdentifier(joinTable)}.${this._quoteIdentifier(joinColumn)}
                 ${whereClause}`;
     
-    // Add ordering
-    if (orderBy) {
-      const { column, direction = 'ASC' } = orderBy;
-      query += ` ORDER BY ${this._quoteIdentifier(column)} ${direction.toUpperCase()}`;
-    }
-    
-    // Add pagination
-    if (limit) query += ` LIMIT ${limit}`;
-    if (offset) query += ` OFFSET ${offset}`;
+    // Add ordering and pagination
+    query += this._buildOrderBy(orderBy);
+    query += this._buildPagination(limit, offset);
     
     const rows = await this.query(query, values);
     return rows.map(row => this._processOnGet(row));
   }
 
-  /* ==================== Query Builders ==================== */
+  /* ==================== Associations ==================== */
 
   /**
-   * Builds a WHERE clause from conditions.
-   * @param {Object} [where={}] - Filtering conditions.
-   * @returns {{ whereClause: string, values: any[] }} WHERE clause and parameter values.
+   * Declarative associations to other models, keyed by association name.
+   * Reference fields are added automatically as `belongsTo` associations.
+   * @example
+   * static associations = {
+   *   resources: { type: 'hasMany', model: 'Resource', foreignKey: 'customer' },
+   *   businessUnits: { type: 'belongsToMany', model: 'BusinessUnit', through: 'resource_business_units' },
+   * };
+   * @type {Object}
    */
-  static buildWhere(where = {}) {
-    const keys = Object.keys(where);
-    if (!keys.length) return { whereClause: '', values: [] };
-    
-    const clauses = [];
-    const values = [];
-    
-    keys.forEach(key => {
-      const condition = where[key];
-      const quotedKey = this._quoteIdentifier(key);
-      
-      // Handle complex conditions (operator/value pairs)
-      if (condition && typeof condition === 'object') {
-        if ('operator' in condition && 'value' in condition) {
-          // Simple operator condition
-          clauses.push(`${quotedKey} ${this._sanitizeOperator(condition.operator)} $${values.length + 1}`);
-          values.push(condition.value);
-        } else if (Array.isArray(condition)) {
-          // IN condition
-          const placeholders = condition.map((_, i) => `$${values.length + i + 1}`).join(', ');
-          clauses.push(`${quotedKey} IN (${placeholders})`);
-          values.push(...condition);
-        } else if ('between' in condition && Array.isArray(condition.between) && condition.between.length === 2) {
-          // BETWEEN condition
-          clauses.push(`${quotedKey} BETWEEN $${values.length + 1} AND $${values.length + 2}`);
-          values.push(condition.between[0], condition.between[1]);
-        } else if ('like' in condition) {
-          // LIKE condition
-          clauses.push(`${quotedKey} LIKE $${values.length + 1}`);
-          values.push(condition.like);
-        } else if ('isNull' in condition && condition.isNull === true) {
-          // IS NULL condition
-          clauses.push(`${quotedKey} IS NULL`);
-        } else if ('isNotNull' in condition && condition.isNotNull === true) {
-          // IS NOT NULL condition
-          clauses.push(`${quotedKey} IS NOT NULL`);
-        } else {
-          // Default to equality
-          clauses.push(`${quotedKey} = $${values.length + 1}`);
-          values.push(condition);
-        }
-      } else {
-        // Simple equality condition
-        clauses.push(`${quotedKey} = $${values.length + 1}`);
-        values.push(condition);
+  static associations = {};
+
+  /**
+   * Returns the normalized associations of the model, including the implicit
+   * `belongsTo` associations of reference fields.
+   * @returns {Object} Map of association name to association descriptor
+   */
+  static getAssociations() {
+    const fields = this.fields || {};
+    const result = {};
+    
+    // Reference fields are belongsTo associations named after the field
+    for (const [name, field] of Object.entries(fields)) {
+      if (field?.reference?.model) {
+        result[name] = this._normalizeAssociation(name, {
+          type: 'belongsTo',
+          model: field.reference.model,
+          foreignKey: name,
+          targetKey: field.reference.field,
+          as: field.reference.as
+        });
       }
-    });
+    }
+    
+    for (const [name, definition] of Object.entries(this.associations || {})) {
+      result[name] = this._normalizeAssociation(name, definition);
+    }
     
-    return { whereClause: `WHERE ${clauses.join(' AND ')}`, values };
+    return result;
   }
-  
+
   /**
-   * Sanitizes SQL operators to prevent SQL injection
-   * @param {string} operator - The operator to sanitize
-   * @returns {string} Sanitized operator
+   * Fills in the defaults of an association definition
+   * @param {string} name - The association name
+   * @param {Object} definition - The association definition
+   * @returns {Object} The association descriptor
    * @private
    */
-  static _sanitizeOperator(operator) {
-    const allowedOperators = ['=', '<>', '!=', '>', '<', '>=', '<=', 'LIKE', 'NOT LIKE', 'IN', 'NOT IN', 'IS NULL', 'IS NOT NULL'];
-    const sanitized = operator.toUpperCase().trim();
+  static _normalizeAssociation(name, definition) {
+    const { type, model } = definition;
+    if (!['belongsTo', 'hasMany', 'belongsToMany'].includes(type)) {
+      throw new Error(`Invalid association type '${type}' for '${name}' in table '${this.tableName}'`);
+    }
+    if (!model) {
+      throw new Error(`Association '${name}' in table '${this.tableName}' must specify a model`);
+    }
     
-    if (allowedOperators.includes(sanitized)) {
-      return sanitized;
+    const source = this;
+    const fields = this.fields || {};
+    const association = {
+      name,
+      type,
+      model,
+      singular: definition.singular || this._singularize(name),
+      // A column with the association name holds the foreign key, so the loaded record needs another key
+      as: definition.as || (fields[name] ? `${name}Record` : name),
+      get target() {
+        return getModel(model);
+      }
+    };
+    
+    if (type === 'belongsTo') {
+      association.foreignKey = definition.foreignKey || name;
+      association.targetKey = definition.targetKey || 'id';
+    } else if (type === 'hasMany') {
+      association.sourceKey = definition.sourceKey || this.primaryKey;
+      // Default to the reference field on the target pointing back to this model
+      Object.defineProperty(association, 'foreignKey', {
+        enumerable: true,
+        get() {
+          if (definition.foreignKey) return definition.foreignKey;
+          const [foreignKey] = Object.entries(association.target.fields || {})
+            .find(([, field]) => field?.reference?.model === source.name) || [];
+          if (!foreignKey) {
+            throw new Error(`Association '${name}' in table '${source.tableName}' needs a foreignKey: ${model} has no reference field to ${source.name}`);
+          }
+          return foreignKey;
+        }
+      });
+    } else {
+      association.sourceKey = definition.sourceKey || this.primaryKey;
+      association.foreignKey = definition.foreignKey || `${this._lowerFirst(this.name)}Id`;
+      association.otherKey = definition.otherKey || `${this._lowerFirst(model)}Id`;
+      Object.defineProperty(association, 'through', {
+        enumerable: true,
+        get() {
+          return definition.through || [source.tableName, association.target.tableName].sort().join('_');
+        }
+      });
     }
     
-    // Default to equality if operator isn't allowed
-    logger.warn(`Invalid operator "${operator}" sanitized to "="`);
-    return '=';
+    return association;
   }
 
-  /* ==================== Database Connection Management ==================== */
-
   /**
-   * Executes a database query with proper connection management
-   * @param {string} text - SQL query text.
-   * @param {any[]} params - Query parameters.
-   * @returns {Promise<Object[]>} Query results.
+   * Defines the instance helpers for every association, e.g. `getResources()`,
+   * `addResource()`, `removeResource()` and `countResources()` for a hasMany
+   * association named `resources`. Existing methods are never overwritten.
+   * Called by the model loader once the model is registered.
    */
-  static async query(text, params) {
-    let client;
-    let releaseClient = false;
-    const store = asyncLocalStorage.getStore();
-
-    try {
-      // Get a client either from the current transaction or a new one
-      if (store?.client) {
-        client = store.client; // Use client from request context
-      } else {
-        client = await pool.connect(); // Fallback for non-request contexts
-        releaseClient = true;
-      }
-
-      // Execute the query
-      const result = await client.query(text, params);
-      return result.rows;
-    } catch (error) {
-      // Create enhanced error with more context
-      const tableName = this.tableName || 'unknown_table';
-      const enhancedError = new Error(
-        `Database error in table '${tableName}': ${error.message}\nQuery: ${text}\nParameters: ${JSON.stringify(params)}`
-      );
-      
-      // Add field information if available
-      if (error.column) {
-        enhancedError.field = error.column;
-      } else if (error.detail?.match(/column "([^"]+)"/i)) {
-        enhancedError.field = error.detail.match(/column "([^"]+)"/i)[1];
+  static initAssociations() {
+    // Only once per model class; subclasses get their own helpers
+    if (Object.prototype.hasOwnProperty.call(this, '_associationsInitialized')) return;
+    this._associationsInitialized = true;
+    
+    const define = (methodName, fn) => {
+      if (methodName in this.prototype) {
+        logger.warn(`Association helper ${this.name}.${methodName} already exists and was not redefined`);
+        return;
       }
+      Object.defineProperty(this.prototype, methodName, { value: fn, configurable: true, writable: true });
+    };
+    
+    for (const [name, association] of Object.entries(this.getAssociations())) {
+      const plural = this._capitalize(name);
+      const singular = this._capitalize(association.singular);
       
-      enhancedError.originalError = error;
-      logger.error('Database query error:', { tableName, text, params, error });
-      throw enhancedError;
-    } finally {
-      // Always release the client if we acquired one
-      if (releaseClient && client) {
-        client.release();
+      if (association.type === 'belongsTo') {
+        define(`get${plural}`, function (options = {}) {
+          const id = this.data[association.foreignKey];
+          return id === null || id === undefined ? null : association.target.findOne({
+            ...options,
+            where: { ...(options.where || {}), [association.targetKey]: id }
+          });
+        });
+        define(`set${plural}`, async function (recordOrId) {
+          await this.constructor.update(this._getPrimaryKeyValue(), {
+            [association.foreignKey]: Model._getKeyValue(recordOrId, association.targetKey)
+          });
+          this.data[association.foreignKey] = Model._getKeyValue(recordOrId, association.targetKey);
+          return this;
+        });
+      } else if (association.type === 'hasMany') {
+        const scope = (instance, where = {}) => ({
+          ...where,
+          [association.foreignKey]: instance.data[association.sourceKey]
+        });
+        
+        define(`get${plural}`, function (options = {}) {
+          return association.target.find({ ...options, where: scope(this, options.where) });
+        });
+        define(`count${plural}`, function (options = {}) {
+          return association.target.count({ ...options, where: scope(this, options.where) });
+        });
+        define(`create${singular}`, function (data = {}) {
+          return association.target.create({ ...data, [association.foreignKey]: this.data[association.sourceKey] });
+        });
+        define(`add${singular}`, function (recordOrId) {
+          return association.target.update(
+            Model._getKeyValue(recordOrId, association.target.primaryKey),
+            { [association.foreignKey]: this.data[association.sourceKey] }
+          );
+        });
+        define(`remove${singular}`, function (recordOrId) {
+          return association.target.update(
+            Model._getKeyValue(recordOrId, association.target.primaryKey),
+            { [association.foreignKey]: null }
+          );
+        });
+      } else {
+        define(`get${plural}`, function (options = {}) {
+          return this.constructor._findThrough(association, this.data[association.sourceKey], options);
+        });
+        define(`count${plural}`, async function (options = {}) {
+          const { from, whereClause, values } = await this.constructor._throughScope(association, this.data[association.sourceKey], options);
+          const result = await this.constructor.query(`SELECT COUNT(*) ${from} ${whereClause}`, values);
+          return parseInt(result[0].count, 10);
+        });
+        define(`add${singular}`, function (...recordsOrIds) {
+          return this.constructor._linkThrough(association, this.data[association.sourceKey], recordsOrIds.flat());
+        });
+        define(`add${plural}`, function (recordsOrIds) {
+          return this.constructor._linkThrough(association, this.data[association.sourceKey], recordsOrIds);
+        });
+        define(`remove${singular}`, function (...recordsOrIds) {
+          return this.constructor._unlinkThrough(association, this.data[association.sourceKey], recordsOrIds.flat());
+        });
+        define(`set${plural}`, async function (recordsOrIds = []) {
+          await this.constructor._unlinkThrough(association, this.data[association.sourceKey]);
+          return this.constructor._linkThrough(association, this.data[association.sourceKey], recordsOrIds);
+        });
       }
     }
   }
 
-  /* ==================== Schema Synchronization ==================== */
-
+  /**
+   * Finds the records linked to a source record through a junction table.
+   * The target is read as its own find would read it: its read permission,
+   * row rules, soft-delete scope and field read rules apply.
+   * @param {Object} association - belongsToMany association descriptor
+   * @param {string|number} sourceId - Key of the source record
+   * @param {Object} [options={}] - Query options (`where`, `include`, `limit`, `offset`, `withDeleted`, `onlyDeleted`)
+   * @returns {Promise<Object[]>} The linked records
+   * @private
+   */
+  static async _findThrough(association, sourceId, options = {}) {
+    const target = association.target;
+    const alias = this._quoteIdentifier(target.tableName);
+    const includes = target._resolveIncludes(options.include);
+    const { from, whereClause, values } = await this._throughScope(association, sourceId, options);
+    const includeColumns = await target._buildIncludeColumns(includes, alias, values);
+    
+    let query = `SELECT ${alias}.*${includeColumns} ${from} ${whereClause}
+                 ORDER BY ${alias}.${this._quoteIdentifier(target.primaryKey)}`;
+    query += this._buildPagination(options.limit, options.offset);
+    
+    const rows = await this.query(query, values);
+    return target._filterReadableFields(rows.map(row => target._hydrate(row, includes)), includes);
+  }
+
+  /**
+   * Builds the FROM and WHERE clauses selecting the records linked to a source
+   * record through a junction table that the current user may read
+   * @param {Object} association - belongsToMany association descriptor
+   * @param {string|number} sourceId - Key of the source record
+   * @param {Object} [options={}] - `where`, `withDeleted` and `onlyDeleted`
+   * @returns {Promise<{ from: string, whereClause: string, values: any[] }>} The clauses and their parameter values
+   * @throws {PermissionError} If the user may not read the target model
+   * @private
+   */
+  static async _throughScope(association, sourceId, options = {}) {
+    const target = association.target;
+    await target._authorize('read');
+    
+    const alias = this._quoteIdentifier(target.tableName);
+    const { where } = await target._applyRowRules(target._scopeDeleted(options.where, options));
+    const { whereClause, values } = target.buildWhere(where, [sourceId]);
+    const conditions = whereClause ? ` AND (${whereClause.replace(/^WHERE /, '')})` : '';
+    
+    return {
+      from: `FROM ${alias} JOIN ${this._quoteIdentifier(association.through)} AS "j" ` +
+        `ON "j".${this._quoteIdentifier(association.otherKey)} = ${alias}.${this._quoteIdentifier(target.primaryKey)}`,
+      whereClause: `WHERE "j".${this._quoteIdentifier(association.foreignKey)} = $1${conditions}`,
+      values
+    };
+  }
+
+  /**
+   * Inserts junction rows linking a source record to target records
+   * @param {Object} association - belongsToMany association descriptor
+   * @param {string|number} sourceId - Key of the source record
+   * @param {Array} recordsOrIds - Target records or their keys
+   * @returns {Promise<number>} Number of links created
+   * @private
+   */
+  static async _linkThrough(association, sourceId, recordsOrIds = []) {
+    const ids = recordsOrIds.map(r => this._getKeyValue(r, association.target.primaryKey));
+    if (!ids.length) return 0;
+    
+    const placeholders = ids.map((_, i) => `($1, $${i + 2})`).join(', ');
+    const result = await this.query(
+      `INSERT INTO ${this._quoteIdentifier(association.through)}
+       (${this._quoteIdentifier(association.foreignKey)}, ${this._quoteIdentifier(association.otherKey)})
+       VALUES ${placeholders}
+       ON CONFLICT DO NOTHING
+       RETURNING 1`,
+      [sourceId, ...ids]
+    );
+    return result.length;
+  }
+
+  /**
+   * Deletes junction rows between a source record and target records
+   * @param {Object} association - belongsToMany association descriptor
+   * @param {string|number} sourceId - Key of the source record
+   * @param {Array} [recordsOrIds] - Target records or keys; all links are removed when omitted
+   * @returns {Promise<number>} Number of links removed
+   * @private
+   */
+  static async _unlinkThrough(association, sourceId, recordsOrIds) {
+    const values = [sourceId];
+    let query = `DELETE FROM ${this._quoteIdentifier(association.through)}
+                 WHERE ${this._quoteIdentifier(association.foreignKey)} = $1`;
+    
+    if (recordsOrIds) {
+      const ids = recordsOrIds.map(r => this._getKeyValue(r, association.target.primaryKey));
+      if (!ids.length) return 0;
+      query += ` AND ${this._quoteIdentifier(association.otherKey)} IN (${ids.map((_, i) => `$${i + 2}`).join(', ')})`;
+      values.push(...ids);
+    }
+    
+    const result = await this.query(`${query} RETURNING 1`, values);
+    return result.length;
+  }
+
+  /* ==================== Includes ==================== */
+
+  /**
+   * Normalizes the `include` option into resolved relation descriptors
+   * @param {Array<string|Object>|string|Object} [include] - Include specification,
+   *   e.g. ['country', { association: 'resources', include: ['businessUnits'] }]
+   * @returns {Object[]} Resolved includes
+   * @private
+   */
+  static _resolveIncludes(include) {
+    if (!include) return [];
+    const specs = Array.isArray(include) ? include : [include];
+    const associations = this.getAssociations();
+    
+    return specs.map(spec => {
+      const { association: associationName, field, as, include: nested } =
+        typeof spec === 'string' ? { association: spec } : spec;
+      const name = associationName || field;
+      const association = associations[name];
+      
+      if (!association) {
+        throw new Error(`Cannot include '${name}' in table '${this.tableName}': it is not a reference field or association`);
+      }
+      
+      const target = association.target;
+      return {
+        ...association,
+        target,
+        as: as || association.as,
+        include: target._resolveIncludes(nested)
+      };
+    });
+  }
+
+  /**
+   * Builds the select-list subqueries that load included records as JSON.
+   * Included records are read as the target's own find would read them: its
+   * read permission is checked, and its row rules and soft-delete scope apply.
+   * @param {Object[]} includes - Resolved includes
+   * @param {string} sourceAlias - Quoted alias of the table the includes belong to
+   * @param {any[]} values - Parameter values of the statement; the filters' values are appended
+   * @param {number} [depth=1] - Nesting depth, used to keep aliases unique
+   * @returns {Promise<string>} SQL fragment to append to the select list
+   * @private
+   */
+  static async _buildIncludeColumns(includes, sourceAlias, values, depth = 1) {
+    const columns = [];
+    for (const inc of includes) {
+      const alias = this._quoteIdentifier(`t${depth}`);
+      const rowAlias = this._quoteIdentifier(`r${depth}`);
+      const junction = this._quoteIdentifier(`j${depth}`);
+      const table = this._quoteIdentifier(inc.target.tableName);
+      const targetKey = this._quoteIdentifier(inc.target.primaryKey);
+      const scope = await inc.target._readScope(alias, values);
+      const nested = await inc.target._buildIncludeColumns(inc.include, alias, values, depth + 1);
+      const as = this._quoteIdentifier(inc.as);
+      
+      if (inc.type === 'belongsTo') {
+        columns.push(`, (SELECT row_to_json(${rowAlias}) FROM (` +
+          `SELECT ${alias}.*${nested} FROM ${table} AS ${alias} ` +
+          `WHERE ${alias}.${this._quoteIdentifier(inc.targetKey)} = ${sourceAlias}.${this._quoteIdentifier(inc.foreignKey)}${scope} LIMIT 1` +
+          `) AS ${rowAlias}) AS ${as}`);
+        continue;
+      }
+      
+      const from = inc.type === 'hasMany'
+        ? `FROM ${table} AS ${alias} ` +
+          `WHERE ${alias}.${this._quoteIdentifier(inc.foreignKey)} = ${sourceAlias}.${this._quoteIdentifier(inc.sourceKey)}`
+        : `FROM ${table} AS ${alias} ` +
+          `JOIN ${this._quoteIdentifier(inc.through)} AS ${junction} ON ${junction}.${this._quoteIdentifier(inc.otherKey)} = ${alias}.${targetKey} ` +
+          `WHERE ${junction}.${this._quoteIdentifier(inc.foreignKey)} = ${sourceAlias}.${this._quoteIdentifier(inc.sourceKey)}`;
+      
+      columns.push(`, COALESCE((SELECT json_agg(row_to_json(${rowAlias})) FROM (` +
+        `SELECT ${alias}.*${nested} ${from}${scope} ORDER BY ${alias}.${targetKey}` +
+        `) AS ${rowAlias}), '[]'::json) AS ${as}`);
+    }
+    return columns.join('');
+  }
+
+  /**
+   * Builds the condition limiting rows of this model, read under an alias in
+   * another model's statement, to those the current user may read
+   * @param {string} alias - Quoted alias of the table in the statement
+   * @param {any[]} values - Parameter values of the statement; the condition's values are appended
+   * @returns {Promise<string>} SQL fragment starting with ' AND ', or '' if every row may be read
+   * @throws {PermissionError} If the user may not read the model
+   * @private
+   */
+  static async _readScope(alias, values) {
+    await this._authorize('read');
+    const { where } = await this._applyRowRules(this._scopeDeleted({}));
+    if (this._isEmptyWhere(where)) return '';
+    
+    // The conditions refer to the table by name, so they are checked in a subquery
+    const table = this._quoteIdentifier(this.tableName);
+    const key = this._quoteIdentifier(this.primaryKey);
+    const { whereClause } = this.buildWhere(where, values);
+    return ` AND ${alias}.${key} IN (SELECT ${table}.${key} FROM ${table} ${whereClause})`;
+  }
+
+  /**
+   * Turns a database row (including JSON columns for includes) into a model instance
+   * @param {Object} row - The database row
+   * @param {Object[]} [includes=[]] - Resolved includes
+   * @returns {Object|null} The model instance
+   * @private
+   */
+  static _hydrate(row, includes = []) {
+    if (!row) return null;
+    
+    const data = { ...row };
+    for (const inc of includes) {
+      const value = row[inc.as];
+      data[inc.as] = Array.isArray(value)
+        ? value.map(item => inc.target._hydrate(item, inc.include))
+        : inc.target._hydrate(value, inc.include);
+    }
+    
+    return this._processOnGet(data);
+  }
+
+  /* ==================== Access Control ==================== */
+
+  /**
+   * Whether a user may perform an operation on the model. Row rules are not
+   * considered; they only limit which records the operation applies to.
+   * @param {string} operation - 'read', 'create', 'update' or 'delete'
+   * @param {Object|null} [user] - The user, defaults to the current user
+   * @returns {Promise<boolean>} True if permitted (always outside of a request)
+   */
+  static async canAccess(operation, user = getCurrentUser()) {
+    if (!user) return true;
+
+    const rules = this.permissions || {};
+    const permission = rules[operation] !== undefined || operation === 'read' ? rules[operation] : rules.write;
+    return hasPermission(user, permission);
+  }
+
+  /**
+   * Throws a PermissionError unless the current user may perform the operation on the model
+   * @param {string} operation - 'read', 'create', 'update' or 'delete'
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _authorize(operation) {
+    if (!(await this.canAccess(operation))) {
+      throw new PermissionError(`You do not have permission to ${operation} ${this.name} records`, {
+        model: this.name,
+        operation
+      });
+    }
+  }
+
+  /**
+   * Throws a PermissionError if the data changes a field the current user may not write
+   * @param {Object} data - Data being written
+   * @param {Object} [existing] - Current values of the record being updated
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _authorizeFields(data, existing) {
+    const user = getCurrentUser();
+    const fieldRules = this.permissions?.fields;
+    if (!user || !fieldRules || !data) return;
+
+    for (const [field, value] of Object.entries(data)) {
+      const permission = fieldRules[field]?.write;
+      if (permission === undefined || value === undefined) continue;
+      // Unchanged values, and the field default on create, are allowed
+      const current = existing ? existing[field] : this.fields?.[field]?.default;
+      if (JSON.stringify(current ?? null) === JSON.stringify(value ?? null)) continue;
+
+      if (!(await hasPermission(user, permission))) {
+        throw new PermissionError(`You do not have permission to change ${this.name}.${field}`, {
+          model: this.name,
+          field
+        });
+      }
+    }
+  }
+
+  /**
+   * Adds the row filter of `permissions.rows` for the current user to the conditions.
+   * The result is wrapped in an object because a QueryBuilder is thenable and would
+   * execute when resolved from a promise.
+   * @param {Object|QueryBuilder} [where={}] - Conditions
+   * @returns {Promise<{ where: Object|QueryBuilder }>} The restricted conditions
+   * @private
+   */
+  static async _applyRowRules(where = {}) {
+    await this._resolveAggregateScopes();
+    const user = getCurrentUser();
+    const rows = this.permissions?.rows;
+    if (!user || user.isAdmin || typeof rows !== 'function') return { where: where || {} };
+
+    let rowWhere = rows(user);
+    if (rowWhere instanceof Promise) rowWhere = await rowWhere;
+    if (!rowWhere) return { where: where || {} };
+    return { where: new QueryBuilder(this).where(where || {}).where(rowWhere) };
+  }
+
+  /**
+   * Throws a PermissionError if the record is outside the current user's row filter
+   * @param {string|number} id - Primary key value
+   * @param {Object} [options={}] - Count options such as `onlyDeleted`
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _assertRowAccess(id, options = {}) {
+    const user = getCurrentUser();
+    if (!user || user.isAdmin || typeof this.permissions?.rows !== 'function') return;
+
+    if (!(await this.count({ ...options, where: { [this.primaryKey]: id } }))) {
+      throw new PermissionError(`You do not have access to ${this.name} ${id}`, {
+        model: this.name,
+        id
+      });
+    }
+  }
+
+  /**
+   * Removes fields the current user may not read from loaded records and
+   * the records included with them
+   * @param {Object[]} records - Model instances
+   * @param {Object[]} [includes=[]] - Resolved includes loaded with the records
+   * @returns {Promise<Object[]>} The same records
+   * @private
+   */
+  static async _filterReadableFields(records, includes = []) {
+    const hidden = await this._hiddenFields();
+    for (const record of records) {
+      for (const field of hidden) {
+        // Instance properties read through to `data`
+        if (record.data) delete record.data[field];
+        else delete record[field];
+      }
+    }
+
+    for (const inc of includes) {
+      const included = records
+        .flatMap(record => (record.data || record)[inc.as] ?? [])
+        .filter(Boolean);
+      await inc.target._filterReadableFields(included, inc.include);
+    }
+    return records;
+  }
+
+  /**
+   * Fields the current user may not read
+   * @returns {Promise<string[]>} Field names
+   * @private
+   */
+  static async _hiddenFields() {
+    const user = getCurrentUser();
+    const fieldRules = this.permissions?.fields;
+    if (!user || !fieldRules) return [];
+
+    const hidden = [];
+    for (const [field, rule] of Object.entries(fieldRules)) {
+      if (rule?.read !== undefined && !(await hasPermission(user, rule.read))) {
+        hidden.push(field);
+      }
+    }
+    return hidden;
+  }
+
+  /* ==================== Search ==================== */
+
+  /**
+   * Searches the model's searchable fields.
+   * Every word of the term matches words starting with it ("ann smi" finds
+   * "Anna Smith"); fuzzy fields also match anywhere inside the value and with
+   * typos. Hits are ranked by relevance; permissions and row rules apply.
+   * Fields with a read rule are only searched fuzzily, and only for the users
+   * who may read them; fields the user can't read aren't highlighted either.
+   * @param {string} term - The search term
+   * @param {Object} [options={}] - Search options
+   * @param {Object|QueryBuilder} [options.where] - Additional conditions
+   * @param {number} [options.limit=20] - Maximum number of hits
+   * @param {boolean} [options.withDeleted=false] - Include soft-deleted records
+   * @returns {Promise<Array<{ record: Object, rank: number, highlight: Array<{ text: string, match: boolean }> }>>}
+   *   Hits, best first; `highlight` is the matched text split into matching and other parts
+   */
+  static async search(term, options = {}) {
+    const config = this._searchConfig();
+    if (!config) throw new Error(`${this.name} is not searchable`);
+    await this._authorize('read');
+
+    const text = String(term ?? '').trim();
+    const tsquery = this._toTsQuery(text);
+    if (!tsquery) return [];
+
+    const hidden = await this._hiddenFields();
+    const shown = Object.keys(config.fields).filter(field => !hidden.includes(field));
+    const fuzzy = config.fuzzy.filter(field => !hidden.includes(field));
+
+    const { where } = await this._applyRowRules(this._scopeDeleted(options.where, options));
+    const { whereClause, values } = this.buildWhere(where);
+    const param = value => `$${values.push(value)}`;
+
+    const language = `'${config.language}'::regconfig`;
+    const query = `to_tsquery(${language}, ${param(tsquery)})`;
+    const matches = [`"searchVector" @@ ${query}`];
+    let rank = `ts_rank("searchVector", ${query})`;
+    if (fuzzy.length) {
+      const termParam = param(text);
+      const likeParam = param(`%${text.replace(/[\\%_]/g, '\\$&')}%`);
+      const columns = fuzzy.map(field => this._quoteIdentifier(field));
+      matches.push(...columns.map(column => `${column} ILIKE ${likeParam} OR ${termParam} <% ${column}`));
+      rank += ` + COALESCE(GREATEST(${columns.map(column => `word_similarity(${termParam}, ${column})`).join(', ')}), 0)`;
+    }
+    const document = shown.length
+      ? `concat_ws(' ', ${shown.map(field => this._quoteIdentifier(field)).join(', ')})`
+      : `''`;
+    const headline = `ts_headline(${language}, ${document}, ${query}, ${param(`StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}`)})`;
+
+    const limit = Math.max(parseInt(options.limit, 10) || 20, 1);
+    const rows = await this.query(
+      `SELECT ${this._quoteIdentifier(this.tableName)}.*, ${rank} AS "_searchRank", ${headline} AS "_searchHighlight"
+       FROM ${this._quoteIdentifier(this.tableName)}
+       WHERE ${whereClause ? `(${whereClause.replace(/^WHERE /, '')}) AND ` : ''}(${matches.join(' OR ')})
+       ORDER BY "_searchRank" DESC, ${this._quoteIdentifier(this.primaryKey)} ASC
+       LIMIT ${limit}`,
+      values
+    );
+
+    const hits = rows.map(({ _searchRank, _searchHighlight, ...row }) => ({
+      record: this._hydrate(row),
+      rank: Number(_searchRank),
+      highlight: this._parseHighlight(_searchHighlight)
+    }));
+    await this._filterReadableFields(hits.map(hit => hit.record));
+    return hits;
+  }
+
+  /**
+   * Normalized search configuration of the model
+   * @returns {{ fields: Object, fuzzy: string[], title: string, language: string }|null} The configuration
+   * @private
+   */
+  static _searchConfig() {
+    if (!this.searchable) return null;
+
+    const { fields: declared = {}, fuzzy = [], title, language = 'simple' } = this.searchable;
+    const fields = Array.isArray(declared)
+      ? Object.fromEntries(declared.map(field => [field, 'A']))
+      : { ...declared };
+
+    const known = Object.keys(this.fields || {});
+    for (const [field, weight] of Object.entries(fields)) {
+      if (!known.includes(field)) throw new Error(`${this.name}.searchable uses unknown field ${field}`);
+      if (!/^[A-D]$/.test(weight)) throw new Error(`${this.name}.searchable: weight of ${field} must be A, B, C or D`);
+    }
+    for (const field of fuzzy) {
+      if (!known.includes(field)) throw new Error(`${this.name}.searchable uses unknown fuzzy field ${field}`);
+    }
+    if (!/^[a-z_]+$/.test(language)) throw new Error(`${this.name}.searchable: invalid language ${language}`);
+
+    return { fields, fuzzy, title: title || Object.keys(fields)[0], language };
+  }
+
+  /**
+   * The generated search vector column of a searchable model, for SchemaManager.
+   * Its checksum changes with the expression, since generated columns can't be
+   * altered and have to be added again.
+   * @returns {Object} `{ searchVector: columnDefinition }`, or an empty object
+   * @private
+   */
+  static _searchColumns() {
+    const config = this._searchConfig();
+    if (!config) return {};
+
+    // The vector is shared by all users, so it leaves out fields only some may read
+    const fieldRules = this.permissions?.fields || {};
+    const indexed = Object.entries(config.fields).filter(([field]) => fieldRules[field]?.read === undefined);
+    const document = indexed.length
+      ? indexed
+        .map(([field, weight]) =>
+          `setweight(to_tsvector('${config.language}'::regconfig, coalesce(${this._quoteIdentifier(field)}::text, '')), '${weight}')`
+        )
+        .join(' || ')
+      : `''::tsvector`;
+    return {
+      searchVector: {
+        uid: '{6f2d9c84-1a7e-4b35-9e0c-d84b2a6f51c3}',
+        sql: `TSVECTOR GENERATED ALWAYS AS (${document}) STORED`,
+        checksum: crypto.createHash('sha1').update(document).digest('hex').slice(0, 12),
+        // Part of the schema hash, so changing them syncs the trigram indexes
+        fuzzy: config.fuzzy,
+      },
+    };
+  }
+
+  /**
+   * GIN indexes of a searchable model, for SchemaManager
+   * @returns {Object[]} Index definitions
+   * @private
+   */
+  static _searchIndexes() {
+    const config = this._searchConfig();
+    if (!config) return [];
+
+    return [
+      { name: 'idx_search', columns: ['searchVector'], using: 'gin' },
+      ...config.fuzzy.map(field => ({ name: `idx_search_${field}`, columns: [field], using: 'gin', opclass: 'gin_trgm_ops' }))
+    ];
+  }
+
+  /**
+   * Builds a prefix tsquery from a search term: every word must match the start of a word
+   * @param {string} text - The search term
+   * @returns {string} The tsquery, or an empty string if the term has no words
+   * @private
+   */
+  static _toTsQuery(text) {
+    return text
+      .toLowerCase()
+      .split(/\s+/)
+      .map(word => word.replace(/[&|!():*<>'\\]/g, ''))
+      .filter(Boolean)
+      .map(word => `'${word}':*`)
+      .join(' & ');
+  }
+
+  /**
+   * Splits a ts_headline result into matching and other parts
+   * @param {string|null} headline - Text with highlight markers
+   * @returns {Array<{ text: string, match: boolean }>} The parts
+   * @private
+   */
+  static _parseHighlight(headline) {
+    const parts = [];
+    for (const [index, text] of String(headline ?? '').split(new RegExp(`[${HIGHLIGHT_START}${HIGHLIGHT_STOP}]`)).entries()) {
+      if (text) parts.push({ text, match: index % 2 === 1 });
+    }
+    return parts;
+  }
+
+  /* ==================== Validation ==================== */
+
+  /**
+   * Prepares data for writing and checks it. Every write path runs this stage:
+   * 1. on create, fields missing from the data get their default, and empty
+   *    fields with a `numberSeries` the next number of that series;
+   * 2. each value is converted by its field's onSet (trimming, hashing, ...);
+   * 3. Field.validate checks the converted values: type, length, pattern and
+   *    required (on update, only the fields being changed);
+   * 4. the model's validators check rules spanning several fields.
+   * All failures are collected, so the client can mark every invalid field at once.
+   * @param {Object} data - The values to write
+   * @param {Object} [options={}] - Options
+   * @param {Object|null} [options.existing=null] - The stored record, when updating one
+   * @param {string} [options.operation] - 'create' or 'update'; 'update' when `existing` is given
+   * @returns {Promise<Object>} The converted values
+   * @throws {ValidationError} With the message of each invalid field in `details.fields`
+   */
+  static async validate(data, { existing = null, operation = existing ? 'update' : 'create' } = {}) {
+    const fields = this.fields || {};
+    const schema = this.getSchema();
+    const errors = {};
+    const fail = (key, error) => {
+      if (error instanceof ValidationError && error.details?.fields) {
+        for (const [field, message] of Object.entries(error.details.fields)) errors[field] ??= message;
+      } else if (error instanceof AppError || key === null) {
+        throw error;
+      } else {
+        errors[key] ??= error.message;
+      }
+    };
+
+    const values = { ...data };
+    if (operation === 'create') {
+      for (const [key, field] of Object.entries(fields)) {
+        if (values[key] === undefined && field?.default !== undefined && typeof field.getDefault === 'function') {
+          values[key] = field.getDefault();
+        }
+        if (field?.numberSeries && (values[key] === undefined || values[key] === null || values[key] === '')) {
+          try {
+            values[key] = await getModel('NumberSeries').next(field.numberSeries);
+          } catch (error) {
+            fail(key, error);
+          }
+        }
+      }
+    }
+
+    const processed = {};
+    for (const [key, value] of Object.entries(values)) {
+      // Set from the current user when the record is written (see _stampAuditFields)
+      if (this.audited && key in Model.auditFields) continue;
+      if (fields[key]?.computed) {
+        errors[key] ??= t('field.computed');
+        continue;
+      }
+      try {
+        processed[key] = typeof fields[key]?.onSet === 'function' ? await fields[key].onSet(value) : value;
+      } catch (error) {
+        fail(key, error);
+      }
+    }
+
+    // On create every field is checked, so missing required fields are reported too
+    for (const key of operation === 'create' ? Object.keys(schema) : Object.keys(processed)) {
+      if (key in errors || typeof schema[key]?.validate !== 'function') continue;
+      try {
+        await schema[key].validate(processed[key], fieldCaption(this, key));
+      } catch (error) {
+        fail(key, error);
+      }
+    }
+
+    const record = { ...(existing || {}), ...processed };
+    for (const validator of this.validators || []) {
+      try {
+        const result = await validator.call(this, record, { operation, existing });
+        for (const [field, message] of Object.entries(result || {})) errors[field] ??= message;
+      } catch (error) {
+        fail(null, error);
+      }
+    }
+
+    if (Object.keys(errors).length) throw this._validationError(errors);
+    return processed;
+  }
+
+  /* ==================== Computed Fields ==================== */
+
+  /**
+   * Builds the select list of find: the selected columns or all of them, and
+   * the subqueries of the requested aggregate fields
+   * @param {string[]} [select] - Selected columns; fields computed in JavaScript are skipped
+   * @param {boolean|string[]} [computed] - Aggregate fields to add to all columns, or true for all of them
+   * @returns {string} The select list
+   * @private
+   */
+  static _selectColumns(select, computed) {
+    const fields = this.fields || {};
+    const aggregate = name => `${this._columnRef(name)} AS ${this._quoteIdentifier(name)}`;
+    
+    if (select?.length) {
+      return select
+        .filter(column => !fields[column]?.computed || fields[column].aggregate)
+        .map(column => (fields[column]?.aggregate ? aggregate(column) : this._columnRef(column)))
+        .join(', ');
+    }
+    
+    const names = computed === true
+      ? Object.keys(fields).filter(name => fields[name]?.aggregate)
+      : (computed || []);
+    for (const name of names) {
+      if (!fields[name]?.aggregate) {
+        throw new Error(`Cannot compute '${name}' in table '${this.tableName}': it is not an aggregate field`);
+      }
+    }
+    return `${this._quoteIdentifier(this.tableName)}.*${names.map(name => `, ${aggregate(name)}`).join('')}`;
+  }
+
+  /**
+   * Returns the association an aggregate field reads from
+   * @param {string} name - Name of the field
+   * @param {Object} aggregate - The aggregate of the field (see ComputedField)
+   * @returns {Object} A hasMany or belongsToMany association
+   * @private
+   */
+  static _aggregateAssociation(name, aggregate) {
+    const association = aggregate.association
+      ? this.getAssociations()[aggregate.association]
+      : this._normalizeAssociation(name, { type: 'hasMany', model: aggregate.model, foreignKey: aggregate.foreignKey });
+    if (!association || association.type === 'belongsTo') {
+      throw new Error(`Aggregate field '${name}' in table '${this.tableName}' needs a hasMany or belongsToMany association, got '${aggregate.association}'`);
+    }
+    return association;
+  }
+
+  /**
+   * Resolves for the current user which related records each aggregate field may
+   * see: none without the target's read permission, else those allowed by the
+   * target's row rules. Conditions are compiled synchronously, so the scopes are
+   * kept in the request's context for _aggregateSQL(); every query resolves them
+   * through _applyRowRules() before it is built.
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _resolveAggregateScopes() {
+    const store = asyncLocalStorage.getStore();
+    if (!store || !getCurrentUser()) return;
+
+    store.aggregateScopes ??= new Map();
+    for (const [name, field] of Object.entries(this.fields || {})) {
+      const key = `${this.name}.${name}`;
+      if (!field?.aggregate || store.aggregateScopes.has(key)) continue;
+
+      // Nothing is visible while resolving, which also ends cycles between models
+      store.aggregateScopes.set(key, null);
+      const { target } = this._aggregateAssociation(name, field.aggregate);
+      if (await target.canAccess('read')) {
+        const { where } = await target._applyRowRules(target._scopeDeleted(field.aggregate.where));
+        store.aggregateScopes.set(key, { where });
+      }
+    }
+  }
+
+  /**
+   * Builds the correlated subquery of an aggregate field. The related records
+   * are those of a hasMany or belongsToMany association, or of a model with a
+   * reference to this one; soft-deleted ones are not counted. For a user, only
+   * records the user may read are counted, and the field is NULL if the user may
+   * not read the related model (see _resolveAggregateScopes).
+   * The filter is declared in code, so its values are inlined as literals and
+   * the expression can be used in any clause without parameters.
+   * @param {string} name - Name of the field
+   * @param {Object} aggregate - The aggregate of the field (see ComputedField)
+   * @returns {string} SQL expression
+   * @private
+   */
+  static _aggregateSQL(name, aggregate) {
+    const association = this._aggregateAssociation(name, aggregate);
+    const target = association.target;
+    let where = target._scopeDeleted(aggregate.where);
+    if (getCurrentUser()) {
+      const scopes = asyncLocalStorage.getStore()?.aggregateScopes;
+      const key = `${this.name}.${name}`;
+      if (!scopes?.has(key)) {
+        throw new Error(`The read scope of aggregate field '${name}' in table '${this.tableName}' was not resolved`);
+      }
+      if (!scopes.get(key)) return 'NULL';
+      where = scopes.get(key).where;
+    }
+
+    const source = this._quoteIdentifier(this.tableName);
+    const table = this._quoteIdentifier(target.tableName);
+    let from = table;
+    let correlation = `${table}.${this._quoteIdentifier(association.foreignKey)} = ${source}.${this._quoteIdentifier(association.sourceKey)}`;
+    if (association.type === 'belongsToMany') {
+      const junction = this._quoteIdentifier(association.through);
+      from += ` JOIN ${junction} ON ${junction}.${this._quoteIdentifier(association.otherKey)} = ${table}.${this._quoteIdentifier(target.primaryKey)}`;
+      correlation = `${junction}.${this._quoteIdentifier(association.foreignKey)} = ${source}.${this._quoteIdentifier(association.sourceKey)}`;
+    }
+    
+    const { whereClause, values } = target.buildWhere(where);
+    const filter = whereClause
+      .replace(/^WHERE /, '')
+      .replace(/\$(\d+)/g, (placeholder, index) => this._sqlLiteral(values[index - 1]));
+    const body = `FROM ${from} WHERE ${correlation}${filter ? ` AND (${filter})` : ''}`;
+    const column = aggregate.field && target._columnRef(aggregate.field);
+    
+    switch (aggregate.function) {
+      case 'count': return `(SELECT COUNT(*) ${body})`;
+      case 'exists': return `EXISTS (SELECT 1 ${body})`;
+      case 'sum': return `(SELECT COALESCE(SUM(${column}), 0) ${body})`;
+      default: return `(SELECT ${aggregate.function.toUpperCase()}(${column}) ${body})`;
+    }
+  }
+
+  /**
+   * Quotes a value as an SQL literal
+   * @param {any} value - The value
+   * @returns {string} The literal
+   * @private
+   */
+  static _sqlLiteral(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return `'${text.replace(/'/g, "''")}'`;
+  }
+
+  /* ==================== Versioning ==================== */
+
+  /**
+   * SET clause fragment that increments the version of a versioned model
+   * @returns {string} `, "version" = "version" + 1` or an empty string
+   * @private
+   */
+  static _versionIncrement() {
+    return this.versioned ? ', "version" = "version" + 1' : '';
+  }
+
+  /**
+   * Builds the error for an update based on an outdated version
+   * @param {string|number} id - The primary key value
+   * @param {number} expectedVersion - The version the client read
+   * @param {Object|null} current - The record as it is stored now
+   * @returns {ConflictError} The error, carrying the current record
+   * @private
+   */
+  static _conflictError(id, expectedVersion, current) {
+    logger.warn(`Version conflict on ${this.tableName}:${id} (expected version ${expectedVersion})`);
+    return new ConflictError(
+      `${this.name} ${id} was changed by another user. Reload it and apply your changes again.`,
+      {
+        model: this.name,
+        id,
+        expectedVersion: Number(expectedVersion),
+        currentVersion: current ? current.version : null,
+        current: current ? { ...(current.data || current) } : null,
+      }
+    );
+  }
+
+  /* ==================== Errors ==================== */
+
+  /**
+   * Builds the error reporting invalid fields, in the locale of the request
+   * @param {Object} errors - Field name -> error message
+   * @returns {ValidationError} The error, with the messages in `details.fields`
+   * @private
+   */
+  static _validationError(errors) {
+    const entries = Object.entries(errors);
+    const message = entries.length === 1
+      ? t('validation.field', { field: entries[0][0], table: this.tableName, message: entries[0][1] })
+      : t('validation.fields', {
+        count: entries.length,
+        table: this.tableName,
+        messages: entries.map(([field, text]) => `${field}: ${text}`).join('; ')
+      });
+    return new ValidationError(message, errors);
+  }
+
+  /**
+   * Converts a unique violation of the database into a ValidationError on the affected fields
+   * @param {Error} error - The database error (code 23505)
+   * @returns {ValidationError} The error
+   * @private
+   */
+  static _duplicateError(error) {
+    // The detail reads: Key (email)=(a@example.com) already exists.
+    const columns = /^Key \(([^)]*)\)=/.exec(error.detail || '')?.[1].split(', ') || [];
+    const fields = Object.fromEntries(columns.map(column => [column.replace(/"/g, ''), t('validation.duplicate')]));
+    
+    return new ValidationError(
+      `Duplicate value detected for unique constraint '${error.constraint || 'unknown'}' in table '${this.tableName}'. ` +
+      `The value you provided already exists in another record.`,
+      columns.length ? fields : undefined,
+      { constraint: error.constraint }
+    );
+  }
+
+  /* ==================== Change events ==================== */
+
+  /**
+   * Queues change events for the WebSocket subscriptions.
+   * Within a request they are published by the server after the transaction
+   * commits; outside of one (seeders, CLI) they are published right away.
+   * @param {string} action - 'create', 'update', 'delete' or 'restore'
+   * @param {Object[]} rows - The affected rows
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.withRows=false] - Add each row to its event as `row`;
+   *   used for rows removed from the table, which subscribers can no longer read
+   * @private
+   */
+  static _queueChanges(action, rows, { withRows = false } = {}) {
+    const events = rows.map(row => ({
+      model: this.name,
+      action,
+      id: row[this.primaryKey],
+      ...(withRows ? { row } : {})
+    }));
+    if (!events.length) return;
+
+    const store = asyncLocalStorage.getStore();
+    if (store) {
+      store.changes = [...(store.changes || []), ...events];
+    } else {
+      changeBus.publish(events).catch(error => logger.error('Failed to publish changes:', error));
+    }
+  }
+
+  /**
+   * Whether the current user could have read a row removed from the table, and
+   * whether it matched the given conditions. The database checks the row as a
+   * record of the table's type, so conditions and row rules work as in find().
+   * @param {Object} row - The removed row, as returned by the DELETE
+   * @param {Object|QueryBuilder} [where={}] - Conditions the row must have matched
+   * @returns {Promise<boolean>} True if the row matched and was readable
+   * @throws {PermissionError} If the user may not read the model
+   */
+  static async matchesRemovedRow(row, where = {}) {
+    await this._authorize('read');
+    const { where: scoped } = await this._applyRowRules(where);
+    if (this._isEmptyWhere(scoped)) return true;
+
+    const table = this._quoteIdentifier(this.tableName);
+    const { whereClause, values } = this.buildWhere(scoped, [JSON.stringify(row)]);
+    const result = await this.query(
+      `SELECT 1 FROM jsonb_populate_record(NULL::${table}, $1::jsonb) AS ${table} ${whereClause}`,
+      values
+    );
+    return result.length > 0;
+  }
+
+  /* ==================== Audit ==================== */
+
+  /**
+   * Sets `createdBy` (on create) and `updatedBy` of an audited model to the current user.
+   * Values passed in are never used, so the audit trail cannot be spoofed.
+   * @param {Object} data - Data being written (modified in place)
+   * @param {boolean} isCreate - Whether a record is being created
+   * @private
+   */
+  static _stampAuditFields(data, isCreate) {
+    if (!this.audited) return;
+    delete data.createdBy;
+    delete data.updatedBy;
+
+    const user = getCurrentUser();
+    if (!user?.id) return;
+    if (isCreate) data.createdBy = user.id;
+    data.updatedBy = user.id;
+  }
+
+  /**
+   * Records audit entries for changed rows of an audited model
+   * @param {string} action - 'create', 'update' or 'delete'
+   * @param {Array<{ before: Object|null, after: Object|null }>} changes - Stored rows before and after the change
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _recordAudit(action, changes) {
+    if (!this.audited || !hasModel('AuditEntry')) return;
+
+    const user = getCurrentUser();
+    const { requestId } = getRequestInfo();
+    const entries = [];
+
+    for (const { before, after } of changes) {
+      const diff = this._diffRecords(before, after);
+      // Updates that did not change anything are not recorded
+      if (action === 'update' && !Object.keys(diff).length) continue;
+
+      entries.push({
+        model: this.name,
+        recordId: String((after || before)[this.primaryKey]),
+        action,
+        userId: user?.id ?? null,
+        username: user?.username ?? null,
+        changes: diff,
+        requestId
+      });
+    }
+
+    await getModel('AuditEntry').record(entries);
+  }
+
+  /**
+   * Computes the per-field differences between two stored rows.
+   * Values are passed through the field's onGet, so masked fields stay masked.
+   * @param {Object|null} before - Row before the change (null on create)
+   * @param {Object|null} after - Row after the change (null on delete)
+   * @returns {Object} `{ field: { old, new } }` for every changed field
+   * @private
+   */
+  static _diffRecords(before, after) {
+    const ignored = [this.primaryKey, 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'version', 'searchVector'];
+    const schema = this.getSchema();
+    const toAuditValue = (key, value) => {
+      if (value === null || value === undefined) return null;
+      if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+      return typeof schema[key]?.onGet === 'function' ? schema[key].onGet(value) : value;
+    };
+
+    const diff = {};
+    for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+      if (ignored.includes(key)) continue;
+
+      const oldValue = before?.[key] ?? null;
+      const newValue = after?.[key] ?? null;
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+      diff[key] = { old: toAuditValue(key, oldValue), new: toAuditValue(key, newValue) };
+    }
+    return diff;
+  }
+
+  /* ==================== Query Builders ==================== */
+
+  /**
+   * Creates a chainable query builder for the model when called without arguments,
+   * e.g. `Customer.query().where({ country: 3 }).orWhere('name', 'ILIKE', '%acme%')`.
+   * With arguments, executes a raw SQL query (see below).
+   * @returns {QueryBuilder} A new query builder
+   */
+  static queryBuilder() {
+    return new QueryBuilder(this);
+  }
+
+  /**
+   * Builds a WHERE clause from conditions.
+   * @param {Object|QueryBuilder} [where={}] - Filtering conditions or a query builder.
+   * @param {any[]} [params=[]] - Parameter values to append to (placeholders continue their numbering).
+   * @returns {{ whereClause: string, values: any[] }} WHERE clause and parameter values.
+   */
+  static buildWhere(where = {}, params = []) {
+    const builder = where instanceof QueryBuilder
+      ? where
+      : new QueryBuilder(this).where(where || {});
+    
+    return builder.buildWhere(params);
+  }
+
+  /**
+   * Builds an ORDER BY clause.
+   * @param {Object|string|Array<Object|string>} [orderBy] - `{ column, direction }`, a column name, or an array of them.
+   * @returns {string} The ORDER BY clause (with leading space) or an empty string.
+   * @private
+   */
+  static _buildOrderBy(orderBy) {
+    if (!orderBy) return '';
+    
+    const entries = (Array.isArray(orderBy) ? orderBy : [orderBy])
+      .map(entry => typeof entry === 'string' ? { column: entry } : entry)
+      .filter(entry => entry && entry.column);
+    if (!entries.length) return '';
+    
+    const columns = entries.map(({ column, direction = 'ASC' }) => {
+      const sanitizedDirection = String(direction).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+      return `${this._columnRef(column)} ${sanitizedDirection}`;
+    });
+    
+    return ` ORDER BY ${columns.join(', ')}`;
+  }
+
+  /**
+   * Builds LIMIT/OFFSET clauses from numeric values.
+   * @param {number} [limit] - Maximum number of records.
+   * @param {number} [offset] - Number of records to skip.
+   * @returns {string} The pagination clause (with leading space) or an empty string.
+   * @private
+   */
+  static _buildPagination(limit, offset) {
+    let sql = '';
+    const parsedLimit = parseInt(limit, 10);
+    const parsedOffset = parseInt(offset, 10);
+    
+    if (parsedLimit > 0) sql += ` LIMIT ${parsedLimit}`;
+    if (parsedOffset > 0) sql += ` OFFSET ${parsedOffset}`;
+    return sql;
+  }
+
+  /**
+   * Returns the SQL expression for a column, qualified with the table name.
+   * Dotted names (e.g. 'countries.name') are quoted part by part, and aggregate
+   * fields are their subquery.
+   * @param {string} column - The column name
+   * @returns {string} The column expression
+   * @private
+   */
+  static _columnRef(column) {
+    const field = this.fields?.[column];
+    if (field?.computed) {
+      if (!field.aggregate) {
+        throw new ValidationError(
+          `Cannot filter or sort ${this.name} by '${column}': it is computed in JavaScript`,
+          { [column]: 'Cannot be used in conditions or sorting' }
+        );
+      }
+      return this._aggregateSQL(column, field.aggregate);
+    }
+    if (column.includes('.')) {
+      return column.split('.').map(part => this._quoteIdentifier(part)).join('.');
+    }
+    return `${this._quoteIdentifier(this.tableName)}.${this._quoteIdentifier(column)}`;
+  }
+
+  /**
+   * Normalizes query options, accepting a query builder in place of an options object
+   * @param {Object|QueryBuilder|null} options - The options
+   * @returns {Object} The options object
+   * @private
+   */
+  static _normalizeOptions(options) {
+    if (options instanceof QueryBuilder) return options.toOptions();
+    return options || {};
+  }
+
+  /**
+   * Adds the soft-delete filter to conditions: deleted rows are excluded unless
+   * `withDeleted` is set, and `onlyDeleted` selects only deleted rows.
+   * @param {Object|QueryBuilder} [where={}] - Conditions
+   * @param {Object} [options={}] - `withDeleted` and `onlyDeleted` flags
+   * @returns {Object|QueryBuilder} The scoped conditions
+   * @private
+   */
+  static _scopeDeleted(where = {}, { withDeleted = false, onlyDeleted = false } = {}) {
+    if (!this.softDelete || (withDeleted && !onlyDeleted)) return where || {};
+    return new QueryBuilder(this)
+      .where(where || {})
+      .where(onlyDeleted ? { deletedAt: { isNotNull: true } } : { deletedAt: null });
+  }
+
+  /**
+   * Combines existing conditions with additional ones using AND
+   * @param {Object|QueryBuilder} where - Existing conditions
+   * @param {Object} conditions - Conditions to add
+   * @returns {Object|QueryBuilder} The combined conditions
+   * @private
+   */
+  static _andWhere(where, conditions) {
+    if (where instanceof QueryBuilder) {
+      return new QueryBuilder(this).where(where).where(conditions);
+    }
+    return { ...(where || {}), ...conditions };
+  }
+
+  /**
+   * Whether a where condition is missing or has no conditions
+   * @param {Object|QueryBuilder} where - The conditions
+   * @returns {boolean} True if empty
+   * @private
+   */
+  static _isEmptyWhere(where) {
+    if (where instanceof QueryBuilder) return where.isEmpty();
+    return !where || !Object.keys(where).length;
+  }
+  
+  /**
+   * Sanitizes SQL operators to prevent SQL injection
+   * @param {string} operator - The operator to sanitize
+   * @returns {string} Sanitized operator
+   * @private
+   */
+  static _sanitizeOperator(operator) {
+    const allowedOperators = ['=', '<>', '!=', '>', '<', '>=', '<=', 'LIKE', 'NOT LIKE', 'ILIKE', 'NOT ILIKE', 'IN', 'NOT IN', 'IS NULL', 'IS NOT NULL'];
+    const sanitized = String(operator).toUpperCase().trim();
+    
+    if (allowedOperators.includes(sanitized)) {
+      return sanitized;
+    }
+    
+    // Default to equality if operator isn't allowed
+    logger.warn(`Invalid operator "${operator}" sanitized to "="`);
+    return '=';
+  }
+
+  /* ==================== Database Connection Management ==================== */
+
+  /**
+   * Executes a database query with proper connection management.
+   * Called without arguments, returns a chainable query builder instead.
+   * @param {string} [text] - SQL query text.
+   * @param {any[]} [params] - Query parameters.
+   * @returns {Promise<Object[]>|QueryBuilder} Query results, or a query builder.
+   */
+  static query(text, params) {
+    if (text === undefined) {
+      return this.queryBuilder();
+    }
+    return this._executeQuery(text, params);
+  }
+
+  /**
+   * Executes a database query with proper connection management
+   * @param {string} text - SQL query text.
+   * @param {any[]} params - Query parameters.
+   * @returns {Promise<Object[]>} Query results.
+   * @private
+   */
+  static async _executeQuery(text, params) {
+    let client;
+    let releaseClient = false;
+    const store = asyncLocalStorage.getStore();
+
+    try {
+      // Get a client either from the current transaction or a new one
+      if (store?.client) {
+        client = store.client; // Use client from request context
+      } else {
+        client = await pool.connect(); // Fallback for non-request contexts
+        releaseClient = true;
+      }
+
+      // Execute the query
+      const result = await client.query(text, params);
+      return result.rows;
+    } catch (error) {
+      // Unique violations are caused by the data rather than the query
+      if (error.code === '23505') {
+        throw this._duplicateError(error);
+      }
+      
+      // Create enhanced error with more context
+      const tableName = this.tableName || 'unknown_table';
+      const enhancedError = new Error(
+        `Database error in table '${tableName}': ${error.message}\nQuery: ${text}\nParameters: ${JSON.stringify(params)}`
+      );
+      
+      // Add field information if available
+      if (error.column) {
+        enhancedError.field = error.column;
+      } else if (error.detail?.match(/column "([^"]+)"/i)) {
+        enhancedError.field = error.detail.match(/column "([^"]+)"/i)[1];
+      }
+      
+      enhancedError.originalError = error;
+      logger.error('Database query error:', { tableName, text, params, error });
+      throw enhancedError;
+    } finally {
+      // Always release the client if we acquired one
+      if (releaseClient && client) {
+        client.release();
+      }
+    }
+  }
+
+  /* ==================== Schema Synchronization ==================== */
+
   /**
    * Synchronizes the database schema with the model definition.
    * @param {Object} [options={dropExtraColumns: false, force: false}] - Sync options.
@@ -953,6 +2429,19 @@ export default class Model {
     return schemaManager.syncSchema(options);
   }
 
+  /**
+   * Creates the junction tables of the model's belongsToMany associations.
+   * Runs after all tables are synchronized, since junction tables reference both sides.
+   * @param {Object} [options={}] - Sync options (see SchemaManager.syncJunctionTables)
+   * @returns {Promise<void>}
+   */
+  static async syncJunctionTables(options = {}) {
+    const { default: SchemaManager } = await import('./SchemaManager.js');
+    
+    const schemaManager = new SchemaManager(this);
+    return schemaManager.syncJunctionTables(options);
+  }
+
   /* ==================== Utility Methods ==================== */
 
   /**
@@ -965,6 +2454,53 @@ export default class Model {
     return `"${identifier.replace(/"/g, '""')}"`;
   }
 
+  /**
+   * Returns the key of a record, accepting model instances, plain objects or raw keys
+   * @param {Object|string|number} recordOrId - The record or key
+   * @param {string} [key='id'] - The key column
+   * @returns {string|number} The key value
+   * @private
+   */
+  static _getKeyValue(recordOrId, key = 'id') {
+    if (recordOrId && typeof recordOrId === 'object') {
+      return recordOrId.data ? recordOrId.data[key] : recordOrId[key];
+    }
+    return recordOrId;
+  }
+
+  /**
+   * Capitalizes the first letter of a name
+   * @param {string} name - The name
+   * @returns {string} The capitalized name
+   * @private
+   */
+  static _capitalize(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  /**
+   * Lower-cases the first letter of a name
+   * @param {string} name - The name
+   * @returns {string} The name with a lower-case first letter
+   * @private
+   */
+  static _lowerFirst(name) {
+    return name.charAt(0).toLowerCase() + name.slice(1);
+  }
+
+  /**
+   * Naive English singularization used for association helper names
+   * @param {string} name - The plural name
+   * @returns {string} The singular name
+   * @private
+   */
+  static _singularize(name) {
+    if (/ies$/.test(name)) return name.replace(/ies$/, 'y');
+    if (/(ss|x|ch|sh)es$/.test(name)) return name.replace(/es$/, '');
+    if (/s$/.test(name) && !/ss$/.test(name)) return name.slice(0, -1);
+    return name;
+  }
+
   /**
    * Process a field value through its onSet transformation
    * @param {Object} field - The field definition
@@ -987,17 +2523,29 @@ export default class Model {
 
   /* ==================== Instance Methods ==================== */
 
+  /**
+   * Returns the plain record data, including any included records
+   * @returns {Object} The record data
+   */
+  toJSON() {
+    return { ...this.data };
+  }
+
   /**
    * Save method for instances - Add record if new, update if exists
    * @returns {Promise<this>} Returns this instance after save operation
    */
   async save() {
     if (this.data && this.data[this.constructor.primaryKey]) {
-      // Update existing record
-      await this.constructor.update(this.data[this.constructor.primaryKey], this.data);
+      // Update existing record; the data includes the version it was read with,
+      // so concurrent changes are detected on versioned models
+      const result = await this.constructor.update(this.data[this.constructor.primaryKey], this._storedData());
+      if (result && this.constructor.versioned) {
+        this.data.version = result.version; // Keep the new version for the next save
+      }
     } else {
       // Create new record
-      const result = await this.constructor.create(this.data);
+      const result = await this.constructor.create(this._storedData());
       if (result) {
         this.data = result.data || result; // Update with returned data
       }
@@ -1005,6 +2553,35 @@ export default class Model {
     return this;
   }
 
+  /**
+   * Returns the values of the instance that are stored in columns of the table.
+   * Included records, computed fields and the masked values of write-only fields
+   * (what their onGet returns, e.g. '********' for passwords) are left out.
+   * @returns {Object} The values to save
+   * @private
+   */
+  _storedData() {
+    const schema = this.constructor.getSchema();
+    return Object.fromEntries(Object.entries(this.data || {}).filter(([key, value]) => {
+      const field = schema[key];
+      if (!field || field.computed) return false;
+      return !(field.writeOnly && typeof field.onGet === 'function' && field.onGet(value) === value);
+    }));
+  }
+
+  /**
+   * Returns the primary key value of the instance
+   * @returns {string|number} The primary key value
+   * @private
+   */
+  _getPrimaryKeyValue() {
+    const id = this.data?.[this.constructor.primaryKey];
+    if (id === undefined || id === null) {
+      throw new Error('The model has not been saved yet');
+    }
+    return id;
+  }
+
   /**
    * Delete the current model instance from the database
    * @returns {Promise<boolean>} True if successful
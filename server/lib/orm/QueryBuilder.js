@@ -0,0 +1,485 @@
+// server/lib/orm/QueryBuilder.js
+
+/**
+ * Chainable query builder for a model.
+ * Conditions are compiled into a parameterised WHERE clause; execution goes
+ * through the model's find/count/updateBatch/deleteBatch and therefore Model.query.
+ *
+ * @example
+ * const customers = await Customer.query()
+ *   .where({ country: 3 })
+ *   .where(q => q.whereILike('name', '%acme%').orWhereILike('email', '%acme%'))
+ *   .whereNot('gender', 'Male')
+ *   .select(['id', 'name', 'email'])
+ *   .orderBy([{ column: 'name' }, { column: 'id', direction: 'DESC' }])
+ *   .limit(50);
+ */
+export default class QueryBuilder {
+  /**
+   * Creates a new QueryBuilder
+   * @param {Function} model - The model class the query runs against
+   */
+  constructor(model) {
+    this.model = model;
+    this._conditions = [];
+    this._select = null;
+    this._orderBy = [];
+    this._limit = undefined;
+    this._offset = undefined;
+    this._include = undefined;
+    this._computed = undefined;
+    this._withDeleted = false;
+    this._onlyDeleted = false;
+  }
+
+  /* ==================== Conditions ==================== */
+
+  /**
+   * Adds a condition joined with AND.
+   * Accepts a where object (same syntax as Model.buildWhere), a group callback,
+   * `(column, value)` or `(column, operator, value)`.
+   * @returns {QueryBuilder} This builder
+   */
+  where(...args) {
+    return this._addCondition('AND', false, args);
+  }
+
+  /**
+   * Adds a condition joined with OR
+   * @returns {QueryBuilder} This builder
+   */
+  orWhere(...args) {
+    return this._addCondition('OR', false, args);
+  }
+
+  /**
+   * Adds a negated condition joined with AND
+   * @returns {QueryBuilder} This builder
+   */
+  whereNot(...args) {
+    return this._addCondition('AND', true, args);
+  }
+
+  /**
+   * Adds a negated condition joined with OR
+   * @returns {QueryBuilder} This builder
+   */
+  orWhereNot(...args) {
+    return this._addCondition('OR', true, args);
+  }
+
+  /**
+   * Adds an IN condition
+   * @param {string} column - Column name
+   * @param {Array} values - Allowed values
+   * @returns {QueryBuilder} This builder
+   */
+  whereIn(column, values) {
+    return this._push('AND', false, (params) => this._compileIn(column, values, params));
+  }
+
+  /**
+   * Adds a NOT IN condition
+   * @param {string} column - Column name
+   * @param {Array} values - Excluded values
+   * @returns {QueryBuilder} This builder
+   */
+  whereNotIn(column, values) {
+    return this._push('AND', true, (params) => this._compileIn(column, values, params));
+  }
+
+  /**
+   * Adds an IS NULL condition
+   * @param {string} column - Column name
+   * @returns {QueryBuilder} This builder
+   */
+  whereNull(column) {
+    return this._push('AND', false, () => `${this._column(column)} IS NULL`);
+  }
+
+  /**
+   * Adds an IS NOT NULL condition
+   * @param {string} column - Column name
+   * @returns {QueryBuilder} This builder
+   */
+  whereNotNull(column) {
+    return this._push('AND', false, () => `${this._column(column)} IS NOT NULL`);
+  }
+
+  /**
+   * Adds a BETWEEN condition
+   * @param {string} column - Column name
+   * @param {Array} range - Lower and upper bound
+   * @returns {QueryBuilder} This builder
+   */
+  whereBetween(column, [from, to]) {
+    return this._push('AND', false, (params) =>
+      `${this._column(column)} BETWEEN ${this._param(params, from)} AND ${this._param(params, to)}`
+    );
+  }
+
+  /**
+   * Adds a case-insensitive pattern condition (ILIKE)
+   * @param {string} column - Column name
+   * @param {string} pattern - Pattern with % and _ wildcards
+   * @returns {QueryBuilder} This builder
+   */
+  whereILike(column, pattern) {
+    return this.where(column, 'ILIKE', pattern);
+  }
+
+  /**
+   * Adds a case-insensitive pattern condition (ILIKE) joined with OR
+   * @param {string} column - Column name
+   * @param {string} pattern - Pattern with % and _ wildcards
+   * @returns {QueryBuilder} This builder
+   */
+  orWhereILike(column, pattern) {
+    return this.orWhere(column, 'ILIKE', pattern);
+  }
+
+  /**
+   * Compares two columns, e.g. whereColumn('updatedAt', '>', 'createdAt')
+   * @param {string} left - Left column
+   * @param {string} operator - Comparison operator
+   * @param {string} [right] - Right column (when omitted, operator is used as the column and '=' as operator)
+   * @returns {QueryBuilder} This builder
+   */
+  whereColumn(left, operator, right) {
+    if (right === undefined) {
+      right = operator;
+      operator = '=';
+    }
+    return this._push('AND', false, () =>
+      `${this._column(left)} ${this.model._sanitizeOperator(operator)} ${this._column(right)}`
+    );
+  }
+
+  /* ==================== Select, Order and Pagination ==================== */
+
+  /**
+   * Restricts the selected columns
+   * @param {string[]} columns - Column names
+   * @returns {QueryBuilder} This builder
+   */
+  select(columns) {
+    this._select = Array.isArray(columns) ? columns : [...arguments];
+    return this;
+  }
+
+  /**
+   * Computes aggregate fields for the returned records (see Model.find)
+   * @param {boolean|string[]} [fields=true] - Names of the fields, or true for all of them
+   * @returns {QueryBuilder} This builder
+   */
+  computed(fields = true) {
+    this._computed = fields;
+    return this;
+  }
+
+  /**
+   * Adds one or more ORDER BY columns.
+   * Accepts `(column, direction)`, `{ column, direction }`, or an array of either
+   * (strings, objects or [column, direction] tuples).
+   * @returns {QueryBuilder} This builder
+   */
+  orderBy(column, direction) {
+    if (Array.isArray(column)) {
+      column.forEach(entry => Array.isArray(entry) ? this.orderBy(...entry) : this.orderBy(entry));
+    } else if (column && typeof column === 'object') {
+      this._orderBy.push({ column: column.column, direction: column.direction });
+    } else if (column) {
+      this._orderBy.push({ column, direction });
+    }
+    return this;
+  }
+
+  /**
+   * Limits the number of returned records
+   * @param {number} limit - Maximum number of records
+   * @returns {QueryBuilder} This builder
+   */
+  limit(limit) {
+    this._limit = limit;
+    return this;
+  }
+
+  /**
+   * Skips a number of records
+   * @param {number} offset - Number of records to skip
+   * @returns {QueryBuilder} This builder
+   */
+  offset(offset) {
+    this._offset = offset;
+    return this;
+  }
+
+  /**
+   * Loads reference fields and associations with each record
+   * @param {Array<string|Object>} include - Include specification (see Model.find)
+   * @returns {QueryBuilder} This builder
+   */
+  include(include) {
+    this._include = include;
+    return this;
+  }
+
+  /**
+   * Includes soft-deleted records
+   * @returns {QueryBuilder} This builder
+   */
+  withDeleted() {
+    this._withDeleted = true;
+    return this;
+  }
+
+  /**
+   * Selects only soft-deleted records
+   * @returns {QueryBuilder} This builder
+   */
+  onlyDeleted() {
+    this._onlyDeleted = true;
+    return this;
+  }
+
+  /* ==================== Execution ==================== */
+
+  /**
+   * Returns the options object understood by Model.find
+   * @returns {Object} Find options
+   */
+  toOptions() {
+    return {
+      where: this,
+      select: this._select || undefined,
+      orderBy: this._orderBy.length ? this._orderBy : undefined,
+      limit: this._limit,
+      offset: this._offset,
+      include: this._include,
+      computed: this._computed,
+      withDeleted: this._withDeleted,
+      onlyDeleted: this._onlyDeleted,
+    };
+  }
+
+  /**
+   * Executes the query and returns the matching records
+   * @returns {Promise<Object[]>} Matching records
+   */
+  find() {
+    return this.model.find(this.toOptions());
+  }
+
+  /**
+   * Executes the query and returns the first matching record
+   * @returns {Promise<Object|null>} The first record or null
+   */
+  first() {
+    return this.model.findOne(this.toOptions());
+  }
+
+  /**
+   * Counts the matching records
+   * @returns {Promise<number>} Number of matching records
+   */
+  count() {
+    return this.model.count({ where: this, withDeleted: this._withDeleted, onlyDeleted: this._onlyDeleted });
+  }
+
+  /**
+   * Updates all matching records
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object[]>} Updated records
+   */
+  update(data) {
+    return this.model.updateBatch({ where: this, data, withDeleted: this._withDeleted });
+  }
+
+  /**
+   * Deletes all matching records (soft-delete models only mark them deleted)
+   * @param {Object} [options={}] - `force` removes the rows of soft-delete models
+   * @returns {Promise<Object[]>} Deleted records
+   */
+  delete({ force = false } = {}) {
+    return this.model.deleteBatch({ where: this, force, withDeleted: this._withDeleted });
+  }
+
+  /**
+   * Makes the builder awaitable; resolves to the result of find()
+   */
+  then(resolve, reject) {
+    return this.find().then(resolve, reject);
+  }
+
+  /* ==================== Compilation ==================== */
+
+  /**
+   * Whether the builder has any conditions
+   * @returns {boolean} True if there are no conditions
+   */
+  isEmpty() {
+    return this._conditions.length === 0;
+  }
+
+  /**
+   * Compiles the conditions into a WHERE clause
+   * @param {any[]} [params=[]] - Parameter list to append values to (placeholders continue its numbering)
+   * @returns {{ whereClause: string, values: any[] }} WHERE clause and parameter values
+   */
+  buildWhere(params = []) {
+    const sql = this._compileConditions(params);
+    return { whereClause: sql ? `WHERE ${sql}` : '', values: params };
+  }
+
+  /**
+   * Compiles the conditions without the WHERE keyword
+   * @param {any[]} params - Parameter list to append values to
+   * @returns {string} The compiled condition, or an empty string
+   * @private
+   */
+  _compileConditions(params) {
+    return this._conditions.reduce((sql, { bool, not, compile }) => {
+      let clause = compile(params);
+      if (!clause) return sql;
+      if (not) clause = `NOT (${clause})`;
+      return sql ? `${sql} ${bool} ${clause}` : clause;
+    }, '');
+  }
+
+  /**
+   * Dispatches the different where(...) call forms
+   * @private
+   */
+  _addCondition(bool, not, args) {
+    const [first, second, third] = args;
+
+    if (typeof first === 'function') {
+      // Nested group: where(q => q.where(...).orWhere(...))
+      const group = new QueryBuilder(this.model);
+      first(group);
+      return this._push(bool, not, (params) => {
+        const sql = group._compileConditions(params);
+        return sql ? `(${sql})` : '';
+      });
+    }
+
+    if (first instanceof QueryBuilder) {
+      return this._push(bool, not, (params) => {
+        const sql = first._compileConditions(params);
+        return sql ? `(${sql})` : '';
+      });
+    }
+
+    if (first && typeof first === 'object') {
+      // Where object: all keys are ANDed
+      return this._push(bool, not, (params) => {
+        const clauses = Object.entries(first).map(([column, condition]) => this._compileObjectCondition(column, condition, params));
+        if (!clauses.length) return '';
+        return clauses.length > 1 ? `(${clauses.join(' AND ')})` : clauses[0];
+      });
+    }
+
+    if (args.length === 2) {
+      return this._push(bool, not, (params) => this._compileObjectCondition(first, second, params));
+    }
+
+    return this._push(bool, not, (params) => this._compileOperator(first, second, third, params));
+  }
+
+  /**
+   * Compiles a single condition of a where object
+   * @private
+   */
+  _compileObjectCondition(column, condition, params) {
+    const quotedKey = this._column(column);
+
+    // Handle complex conditions (operator/value pairs)
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('operator' in condition) {
+        // Simple operator condition
+        return this._compileOperator(column, condition.operator, condition.value, params);
+      } else if (Array.isArray(condition)) {
+        // IN condition
+        return this._compileIn(column, condition, params);
+      } else if ('between' in condition && Array.isArray(condition.between) && condition.between.length === 2) {
+        // BETWEEN condition
+        return `${quotedKey} BETWEEN ${this._param(params, condition.between[0])} AND ${this._param(params, condition.between[1])}`;
+      } else if ('like' in condition) {
+        // LIKE condition
+        return `${quotedKey} LIKE ${this._param(params, condition.like)}`;
+      } else if ('ilike' in condition) {
+        // ILIKE condition
+        return `${quotedKey} ILIKE ${this._param(params, condition.ilike)}`;
+      } else if ('isNull' in condition && condition.isNull === true) {
+        // IS NULL condition
+        return `${quotedKey} IS NULL`;
+      } else if ('isNotNull' in condition && condition.isNotNull === true) {
+        // IS NOT NULL condition
+        return `${quotedKey} IS NOT NULL`;
+      } else if ('column' in condition) {
+        // Column-to-column comparison
+        return `${quotedKey} ${this.model._sanitizeOperator(condition.compare || '=')} ${this._column(condition.column)}`;
+      }
+    }
+
+    if (condition === null) {
+      return `${quotedKey} IS NULL`;
+    }
+
+    // Default to equality
+    return `${quotedKey} = ${this._param(params, condition)}`;
+  }
+
+  /**
+   * Compiles a `column operator value` condition
+   * @private
+   */
+  _compileOperator(column, operator, value, params) {
+    const sanitized = this.model._sanitizeOperator(operator);
+
+    if (sanitized === 'IS NULL' || sanitized === 'IS NOT NULL') {
+      return `${this._column(column)} ${sanitized}`;
+    }
+    if (sanitized === 'IN' || sanitized === 'NOT IN') {
+      const clause = this._compileIn(column, value, params);
+      return sanitized === 'IN' ? clause : `NOT (${clause})`;
+    }
+    return `${this._column(column)} ${sanitized} ${this._param(params, value)}`;
+  }
+
+  /**
+   * Compiles an IN condition; an empty list never matches
+   * @private
+   */
+  _compileIn(column, values, params) {
+    const list = Array.isArray(values) ? values : [values];
+    if (!list.length) return 'FALSE';
+    return `${this._column(column)} IN (${list.map(value => this._param(params, value)).join(', ')})`;
+  }
+
+  /**
+   * Registers a compiled condition
+   * @private
+   */
+  _push(bool, not, compile) {
+    this._conditions.push({ bool, not, compile });
+    return this;
+  }
+
+  /**
+   * Adds a parameter and returns its placeholder
+   * @private
+   */
+  _param(params, value) {
+    params.push(value);
+    return `$${params.length}`;
+  }
+
+  /**
+   * Returns the SQL expression for a column
+   * @private
+   */
+  _column(column) {
+    return this.model._columnRef(column);
+  }
+}
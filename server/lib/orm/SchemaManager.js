@@ -1,6 +1,10 @@
 // server/lib/orm/SchemaManager.js
 import pool from '../../config/db.js';
 import logger from '../logger.js';
+import { getModel, hasModel } from './modelRegistry.js';
+
+// Statements that only read or control the transaction; everything else is planned, not run
+const PASSTHROUGH_STATEMENT = /^\s*(SELECT|WITH|BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)\b/i;
 
 /**
  * SchemaManager class to handle database schema synchronization
@@ -15,21 +19,24 @@ export default class SchemaManager {
     this.model = model;
     this.tableName = model.tableName;
     this.quotedTableName = this._quoteIdentifier(model.tableName);
+    // Name the table currently has in the database; differs from tableName
+    // only while planning a table rename that has not been executed
+    this.liveTableName = model.tableName;
   }
 
   /**
    * Synchronizes the database schema with the model definition
    * @param {Object} [options={dropExtraColumns: false, force: false}] - Sync options
+   * @param {Array} [options.plan] - Plan mode: statements are appended to this array instead of being executed
    * @returns {Promise<void>}
    */
   async syncSchema(options = { dropExtraColumns: false, force: false }) {
-    const schema = { 
-      ...this.model.defaultFields, 
-      ...(this.model.fields || this.model.schema) 
-    };
+    const schema = this._getSchema();
+    const plan = options.plan;
     
     // Acquire database client
-    const client = await pool.connect();
+    const connection = await pool.connect();
+    const client = plan ? this._createPlanClient(connection, plan) : connection;
     let clientReleased = false;
 
     try {
@@ -39,23 +46,26 @@ export default class SchemaManager {
       // Ensure schema_versions table exists
       await this._ensureSchemaVersionsTable(client);
       
+      // Rename the table if the model's tableName changed (matched by model uid)
+      const renamed = await this._renameMovedTable(client);
+      
       // Calculate schema hash to detect changes
       const schemaHash = this._calculateSchemaHash(schema);
       
-      // Check if synchronization is needed
-      const syncInfo = await this._checkSyncRequired(client, schemaHash, options);
+      // Check if synchronization is needed (always after a rename, to rename indexes and keys)
+      const syncInfo = await this._checkSyncRequired(client, schemaHash, renamed ? { ...options, force: true } : options);
       const { tableExists, needsSync } = syncInfo;
       
       // If no sync needed, commit and exit early
       if (!needsSync) {
         await client.query('COMMIT');
-        client.release();
+        connection.release();
         clientReleased = true;
         return;
       }
 
       // Log schema synchronization start
-      logger.schema(`Syncing schema for table: ${this.tableName}`);
+      if (!plan) logger.schema(`Syncing schema for table: ${this.tableName}`);
 
       if (!tableExists) {
         // Create table if it doesn't exist
@@ -66,11 +76,18 @@ export default class SchemaManager {
       }
 
       // Handle indexes
-      if (this.model.indexes) {
-        await this._syncIndexes(client, this.model.indexes);
+      const indexes = this._getIndexes();
+      if (indexes) {
+        if (this._needsTrigramExtension()) {
+          await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+        }
+        await this._syncIndexes(client, indexes);
       }
 
-      // Save field UIDs as column comments
+      // Handle foreign keys for reference fields
+      await this._syncForeignKeys(client, schema);
+
+      // Save model and field UIDs as table and column comments
       await this._saveFieldMetadata(client, schema);
       
       // Update schema version
@@ -83,7 +100,7 @@ export default class SchemaManager {
 
       // Commit transaction
       await client.query('COMMIT');
-      logger.schema(`Schema synchronization completed for table: ${this.tableName}`);
+      if (!plan) logger.schema(`Schema synchronization completed for table: ${this.tableName}`);
     } catch (error) {
       // Roll back transaction on error
       await client.query('ROLLBACK');
@@ -103,9 +120,210 @@ export default class SchemaManager {
     } finally {
       // Release client back to pool if not already released
       if (!clientReleased) {
-        client.release();
+        connection.release();
+      }
+    }
+  }
+
+  /**
+   * Creates the junction tables of belongsToMany associations if they don't exist.
+   * Both sides of an association may declare the same junction table, so all
+   * statements are idempotent.
+   * @param {Object} [options={}] - Sync options
+   * @param {Array} [options.plan] - Plan mode: statements are appended to this array instead of being executed
+   * @returns {Promise<void>}
+   */
+  async syncJunctionTables(options = {}) {
+    const associations = Object.values(this.model.getAssociations?.() || {})
+      .filter(association => association.type === 'belongsToMany');
+    if (!associations.length) return;
+
+    const connection = await pool.connect();
+    const client = options.plan ? this._createPlanClient(connection, options.plan) : connection;
+    try {
+      await client.query('BEGIN');
+
+      for (const association of associations) {
+        // Only plan junction tables that don't exist yet
+        if (options.plan && (await client.query(`SELECT to_regclass($1) AS oid`, [`public.${association.through}`])).rows[0].oid) {
+          continue;
+        }
+        for (const statement of this._getJunctionTableStatements(association)) {
+          await client.query(statement);
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Junction table sync error for table ${this.tableName}:`, error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Checks whether a planned statement can lose data
+   * (dropping tables or columns, changing column types, overwriting rows)
+   * @param {string} sql - SQL statement
+   * @returns {boolean} True if destructive
+   */
+  static isDestructiveStatement(sql) {
+    return /^\s*(DROP\s+TABLE|TRUNCATE|DELETE)\b/i.test(sql)
+      || /\bDROP\s+COLUMN\b/i.test(sql)
+      || /\bALTER\s+COLUMN\s+\S+\s+TYPE\b/i.test(sql)
+      // Backfilling NULLs is safe, any other UPDATE overwrites data
+      || (/^\s*UPDATE\b/i.test(sql) && !/\bIS\s+NULL\s*$/i.test(sql));
+  }
+
+  /**
+   * Formats planned statements as an SQL script, grouped by table
+   * @param {Array<{table: string, sql: string, destructive: boolean}>} plan - Planned statements
+   * @returns {string} SQL script
+   */
+  static formatPlanAsSql(plan) {
+    if (!plan.length) return '-- No schema changes planned\n';
+
+    const destructiveCount = plan.filter(statement => statement.destructive).length;
+    const lines = [`-- Schema plan: ${plan.length} statement(s), ${destructiveCount} destructive`];
+    let currentTable = null;
+
+    for (const { table, sql, destructive } of plan) {
+      if (table !== currentTable) {
+        lines.push('', `-- Table: ${table}`);
+        currentTable = table;
+      }
+      if (destructive) lines.push('-- DESTRUCTIVE: may lose data');
+      lines.push(`${sql};`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Formats planned statements as JSON
+   * @param {Array<{table: string, sql: string, destructive: boolean}>} plan - Planned statements
+   * @returns {string} JSON document
+   */
+  static formatPlanAsJson(plan) {
+    return JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      summary: {
+        total: plan.length,
+        destructive: plan.filter(statement => statement.destructive).length
+      },
+      statements: plan
+    }, null, 2);
+  }
+
+  /**
+   * Reads the live columns of the table, including the field uid stored in the column comment
+   * @param {Object} client - Database client
+   * @returns {Promise<Object>} Map of lowercased column name to column info (with `uid`)
+   */
+  async getColumnMetadata(client) {
+    const dbColumns = {};
+    (await client.query(
+      `SELECT c.column_name, c.data_type, c.character_maximum_length, c.numeric_precision, c.numeric_scale,
+              c.is_nullable, c.column_default,
+              col_description(format('%I.%I', c.table_schema, c.table_name)::regclass, c.ordinal_position) AS comment
+       FROM information_schema.columns c
+       WHERE c.table_name = $1 AND c.table_schema = 'public'
+       ORDER BY c.ordinal_position`,
+      [this.liveTableName]
+    )).rows.forEach(row => {
+      const uid = row.comment?.match(/uid:\s*(\{[^}]+\})/)?.[1] || null;
+      const checksum = row.comment?.match(/checksum:\s*(\w+)/)?.[1] || null;
+      dbColumns[row.column_name.toLowerCase()] = { ...row, uid, checksum };
+    });
+    return dbColumns;
+  }
+
+  /**
+   * Computes the SQL needed to bring the live table in line with the model definition,
+   * together with the SQL that reverts it. Nothing is executed.
+   * Renames are detected through the field uids stored as column comments.
+   * @param {Object} client - Database client
+   * @returns {Promise<{up: string[], down: string[]}>} Forward and reverse statements
+   */
+  async diff(client) {
+    const schema = this._getSchema();
+    const steps = [];
+    const step = (up, down) => steps.push({ up, down });
+
+    let tableExists = (await client.query(
+      `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = $1)`,
+      [this.tableName]
+    )).rows[0].exists;
+
+    // A table with the model's uid under another name was renamed
+    const previousName = tableExists ? null : await this._findMovedTable(client);
+    if (previousName) {
+      for (const [up, down] of this._getRenameTableStatements(previousName)) {
+        step(up, down);
       }
+      this.liveTableName = previousName;
+      tableExists = true;
     }
+
+    if (!tableExists) {
+      step(this._getCreateTableSQL(schema), `DROP TABLE IF EXISTS ${this.quotedTableName}`);
+      await this._diffExtensions(client, step);
+      for (const idx of this._getIndexes() || []) {
+        step(this._getCreateIndexSQL(idx), null);
+      }
+      for (const [name, { definition }] of Object.entries(this._getDesiredForeignKeys(schema))) {
+        step(`ALTER TABLE ${this.quotedTableName} ADD CONSTRAINT ${this._quoteIdentifier(name)} ${definition}`, null);
+      }
+      for (const [fieldName, fieldDef] of Object.entries(schema)) {
+        if (fieldDef.uid) step(this._getFieldMetadataSQL(fieldName, fieldDef), null);
+      }
+      if (this.model.uid) step(this._getTableMetadataSQL(), null);
+    } else {
+      if (this.model.uid) {
+        const { comment } = (await client.query(
+          `SELECT obj_description(to_regclass($1), 'pg_class') AS comment`,
+          [`public.${this.liveTableName}`]
+        )).rows[0] || {};
+        if (comment !== `uid: ${this.model.uid}`) step(this._getTableMetadataSQL(), null);
+      }
+      const rebuilt = await this._diffColumns(client, schema, step);
+      const indexes = this._getIndexes();
+      if (indexes) {
+        await this._diffExtensions(client, step);
+        await this._diffIndexes(client, indexes, step, rebuilt);
+      }
+      await this._diffForeignKeys(client, schema, step);
+    }
+
+    return {
+      up: steps.map(s => s.up).filter(Boolean),
+      down: steps.reverse().map(s => s.down).filter(Boolean)
+    };
+  }
+
+  /**
+   * Computes the SQL that creates missing junction tables of belongsToMany associations
+   * @param {Object} client - Database client
+   * @returns {Promise<{up: string[], down: string[]}>} Forward and reverse statements
+   */
+  async diffJunctionTables(client) {
+    const up = [];
+    const down = [];
+    const associations = Object.values(this.model.getAssociations?.() || {})
+      .filter(association => association.type === 'belongsToMany');
+
+    for (const association of associations) {
+      const exists = (await client.query(
+        `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = $1)`,
+        [association.through]
+      )).rows[0].exists;
+      if (exists) continue;
+
+      up.push(...this._getJunctionTableStatements(association));
+      down.unshift(`DROP TABLE IF EXISTS ${this._quoteIdentifier(association.through)}`);
+    }
+    return { up, down };
   }
 
   /**
@@ -151,17 +369,19 @@ export default class SchemaManager {
     // Check if table exists
     const tableExists = (await client.query(
       `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = $1)`,
-      [this.tableName]
+      [this.liveTableName]
     )).rows[0].exists;
     
     let needsSync = options.force || !tableExists;
     
     if (tableExists && !options.force) {
+      // In plan mode schema_versions may not have been created yet
+      const versionTableExists = (await client.query(`SELECT to_regclass('public.schema_versions') AS oid`)).rows[0].oid;
+
       // Check if there's a hash for this table
-      const versionResult = await client.query(
-        `SELECT hash FROM schema_versions WHERE table_name = $1`,
-        [this.tableName]
-      );
+      const versionResult = versionTableExists
+        ? await client.query(`SELECT hash FROM schema_versions WHERE table_name = $1`, [this.tableName])
+        : { rows: [] };
       
       if (versionResult.rows.length === 0) {
         // No record for this table, we should sync
@@ -184,20 +404,8 @@ export default class SchemaManager {
    * @private
    */
   async _createTable(client, schema) {
-    // Create column definitions
-    const columns = Object.entries(schema).map(([name, def]) => {
-      let columnDef;
-      if (def.sql) {
-        columnDef = `${this._quoteIdentifier(name)} ${def.sql}`;
-      } else {
-        columnDef = this._getColumnDefinition(name, def);
-      }
-      logger.schema(`Column definition for ${name}: ${columnDef}`);
-      return columnDef;
-    });
-    
     // Execute CREATE TABLE statement
-    const createTableSQL = `CREATE TABLE ${this.quotedTableName} (${columns.join(', ')})`;
+    const createTableSQL = this._getCreateTableSQL(schema);
     logger.schema(`CREATE TABLE SQL: ${createTableSQL}`);
     await client.query(createTableSQL);
   }
@@ -212,12 +420,16 @@ export default class SchemaManager {
    */
   async _updateTableStructure(client, schema, options) {
     // Get existing columns from database
-    const dbColumns = {};
-    (await client.query(
-      `SELECT column_name, data_type, character_maximum_length, is_nullable, column_default
-       FROM information_schema.columns WHERE table_name = $1 AND table_schema = 'public'`,
-      [this.tableName]
-    )).rows.forEach(row => dbColumns[row.column_name.toLowerCase()] = row);
+    const dbColumns = await this.getColumnMetadata(client);
+
+    // Rename columns whose field key changed but whose uid stayed the same,
+    // instead of adding an empty column and dropping the old one
+    for (const { from, to } of this._detectRenames(schema, dbColumns)) {
+      logger.schema(`Renaming column ${this.tableName}.${from} to ${to}`);
+      await client.query(`ALTER TABLE ${this.quotedTableName} RENAME COLUMN ${this._quoteIdentifier(from)} TO ${this._quoteIdentifier(to)}`);
+      dbColumns[to.toLowerCase()] = { ...dbColumns[from.toLowerCase()], column_name: to };
+      delete dbColumns[from.toLowerCase()];
+    }
 
     // Process each field in the schema
     for (const [fieldName, fieldDef] of Object.entries(schema)) {
@@ -225,15 +437,6 @@ export default class SchemaManager {
       
       // Check if column doesn't exist
       if (!dbColumns[key]) {
-        // Handle renamed columns if a rename map is provided
-        if (this.model.renameMap?.[fieldName] && dbColumns[this.model.renameMap[fieldName].toLowerCase()]) {
-          const oldKey = this.model.renameMap[fieldName].toLowerCase();
-          await client.query(`ALTER TABLE ${this.quotedTableName} RENAME COLUMN ${this._quoteIdentifier(oldKey)} TO ${this._quoteIdentifier(fieldName)}`);
-          dbColumns[key] = dbColumns[oldKey];
-          delete dbColumns[oldKey];
-          continue;
-        }
-        
         // Add new column
         const defString = fieldDef.sql ? 
           `${fieldDef.sql}` : 
@@ -242,14 +445,19 @@ export default class SchemaManager {
         logger.schema(`Adding column ${fieldName}, SQL: ALTER TABLE ${this.quotedTableName} ADD COLUMN ${this._quoteIdentifier(fieldName)} ${defString}`);
         await client.query(`ALTER TABLE ${this.quotedTableName} ADD COLUMN ${this._quoteIdentifier(fieldName)} ${defString}`);
         
-        // Handle required columns with no default
-        if (fieldDef.required && fieldDef.default === undefined) {
+        // Handle required columns with no default (raw SQL definitions carry their own)
+        if (!fieldDef.sql && fieldDef.required && fieldDef.default === undefined) {
           const safeDefault = this._getSafeDefault(fieldDef);
           if (safeDefault !== null) {
             await client.query(`UPDATE ${this.quotedTableName} SET ${this._quoteIdentifier(fieldName)} = ${safeDefault} WHERE ${this._quoteIdentifier(fieldName)} IS NULL`);
           }
           await client.query(`ALTER TABLE ${this.quotedTableName} ALTER COLUMN ${this._quoteIdentifier(fieldName)} SET NOT NULL`);
         }
+      } else if (fieldDef.checksum && dbColumns[key].checksum !== fieldDef.checksum) {
+        // Generated columns can't be altered; add them again with the new expression
+        logger.schema(`Rebuilding generated column ${this.tableName}.${fieldName}`);
+        await client.query(`ALTER TABLE ${this.quotedTableName} DROP COLUMN ${this._quoteIdentifier(fieldName)}`);
+        await client.query(`ALTER TABLE ${this.quotedTableName} ADD COLUMN ${this._quoteIdentifier(fieldName)} ${fieldDef.sql}`);
       } else if (!fieldDef.sql) {
         // Update existing column if needed
         await this._updateColumn(client, fieldName, fieldDef, dbColumns[key]);
@@ -325,6 +533,7 @@ export default class SchemaManager {
     const schemaKeys = Object.keys(schema).map(k => k.toLowerCase());
     for (const dbKey in dbColumns) {
       if (!schemaKeys.includes(dbKey)) {
+        if (!client.planning) logger.warn(`Dropping column ${this.tableName}.${dbKey} (not in model definition); its data is lost`);
         await client.query(`ALTER TABLE ${this.quotedTableName} DROP COLUMN ${this._quoteIdentifier(dbKey)}`);
       }
     }
@@ -342,7 +551,7 @@ export default class SchemaManager {
     const dbIndexes = {};
     (await client.query(
       `SELECT indexname, indexdef FROM pg_indexes WHERE tablename = $1 AND schemaname = 'public'`,
-      [this.tableName]
+      [this.liveTableName]
     )).rows.forEach(row => dbIndexes[row.indexname] = row.indexdef);
 
     // Get model index names
@@ -361,10 +570,50 @@ export default class SchemaManager {
       const existingDef = dbIndexes[name];
       if (!existingDef || this._indexNeedsRecreation(existingDef, idx)) {
         if (existingDef) await client.query(`DROP INDEX ${this._quoteIdentifier(name)}`);
-        const unique = idx.unique ? 'UNIQUE' : '';
-        await client.query(
-          `CREATE ${unique} INDEX ${this._quoteIdentifier(name)} ON ${this.quotedTableName} (${idx.columns.map(col => this._quoteIdentifier(col)).join(', ')})`
-        );
+        await client.query(this._getCreateIndexSQL(idx));
+      }
+    }
+  }
+
+  /**
+   * Synchronizes FOREIGN KEY constraints for reference fields
+   * Constraints are named `<table>_<column>_fkey`; only constraints following this
+   * naming are dropped when a field stops being a reference.
+   * @param {Object} client - Database client
+   * @param {Object} schema - Schema definition
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _syncForeignKeys(client, schema) {
+    const dbForeignKeys = await this._getForeignKeys(client);
+    const desired = this._getDesiredForeignKeys(schema);
+
+    // Drop managed foreign keys that are no longer defined or have changed
+    for (const [name, definition] of Object.entries(dbForeignKeys)) {
+      if (!name.endsWith('_fkey')) continue;
+      if (!desired[name] || this._normalizeConstraint(desired[name].definition) !== this._normalizeConstraint(definition)) {
+        logger.schema(`Dropping foreign key ${name} on ${this.tableName}`);
+        await client.query(`ALTER TABLE ${this.quotedTableName} DROP CONSTRAINT ${this._quoteIdentifier(name)}`);
+        delete dbForeignKeys[name];
+      }
+    }
+
+    // Create missing foreign keys
+    for (const [name, { fieldName, definition }] of Object.entries(desired)) {
+      if (dbForeignKeys[name]) continue;
+
+      // Add as NOT VALID first so existing orphaned rows don't block the sync,
+      // then try to validate the existing data separately.
+      logger.schema(`Adding foreign key ${name} on ${this.tableName}: ${definition}`);
+      await client.query(`ALTER TABLE ${this.quotedTableName} ADD CONSTRAINT ${this._quoteIdentifier(name)} ${definition} NOT VALID`);
+
+      await client.query('SAVEPOINT validate_fkey');
+      try {
+        await client.query(`ALTER TABLE ${this.quotedTableName} VALIDATE CONSTRAINT ${this._quoteIdentifier(name)}`);
+        await client.query('RELEASE SAVEPOINT validate_fkey');
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT validate_fkey');
+        logger.warn(`Existing rows in ${this.tableName}.${fieldName} reference missing records; foreign key ${name} only applies to new data: ${error.message}`);
       }
     }
   }
@@ -377,13 +626,536 @@ export default class SchemaManager {
    * @private
    */
   async _saveFieldMetadata(client, schema) {
+    if (this.model.uid) {
+      await client.query(this._getTableMetadataSQL());
+    }
     for (const [fieldName, fieldDef] of Object.entries(schema)) {
       if (fieldDef.uid) {
-        await client.query(`COMMENT ON COLUMN ${this.quotedTableName}.${this._quoteIdentifier(fieldName)} IS 'uid: ${fieldDef.uid}'`);
+        await client.query(this._getFieldMetadataSQL(fieldName, fieldDef));
       }
     }
   }
 
+  /**
+   * Finds the table that belongs to the model under a previous name, by the model uid
+   * stored in the table comment
+   * @param {Object} client - Database client
+   * @returns {Promise<string|null>} The previous table name, or null
+   * @private
+   */
+  async _findMovedTable(client) {
+    if (!this.model.uid) return null;
+
+    const { rows } = await client.query(
+      `SELECT c.relname
+       FROM pg_class c
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE c.relkind = 'r' AND n.nspname = 'public' AND obj_description(c.oid, 'pg_class') = $1`,
+      [`uid: ${this.model.uid}`]
+    );
+
+    if (rows.length > 1) {
+      logger.warn(`Several tables carry the uid of ${this.tableName} (${rows.map(r => r.relname).join(', ')}); not renaming`);
+      return null;
+    }
+    return rows[0]?.relname || null;
+  }
+
+  /**
+   * Renames the table when the model's tableName changed but its uid stayed the same
+   * @param {Object} client - Database client
+   * @returns {Promise<boolean>} True if the table was renamed
+   * @private
+   */
+  async _renameMovedTable(client) {
+    const tableExists = (await client.query(
+      `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = $1)`,
+      [this.tableName]
+    )).rows[0].exists;
+    if (tableExists) return false;
+
+    const previousName = await this._findMovedTable(client);
+    if (!previousName) return false;
+
+    logger.schema(`Renaming table ${previousName} to ${this.tableName}`);
+    for (const [statement] of this._getRenameTableStatements(previousName)) {
+      await client.query(statement);
+    }
+    await client.query(`DELETE FROM schema_versions WHERE table_name = $1`, [previousName]);
+
+    // In plan mode the rename is only recorded, so keep reading the old table
+    if (client.planning) this.liveTableName = previousName;
+    return true;
+  }
+
+  /**
+   * Get the statements renaming the table (and its primary key) from a previous name,
+   * as [up, down] pairs
+   * @param {string} previousName - Current name of the table in the database
+   * @returns {Array<[string, string]>} - Statement pairs
+   * @private
+   */
+  _getRenameTableStatements(previousName) {
+    const oldTable = this._quoteIdentifier(previousName);
+    const oldPkey = this._quoteIdentifier(`${previousName}_pkey`);
+    const newPkey = this._quoteIdentifier(`${this.tableName}_pkey`);
+
+    return [
+      [
+        `ALTER TABLE ${oldTable} RENAME TO ${this.quotedTableName}`,
+        `ALTER TABLE ${this.quotedTableName} RENAME TO ${oldTable}`
+      ],
+      [
+        `ALTER TABLE ${this.quotedTableName} RENAME CONSTRAINT ${oldPkey} TO ${newPkey}`,
+        `ALTER TABLE ${this.quotedTableName} RENAME CONSTRAINT ${newPkey} TO ${oldPkey}`
+      ]
+    ];
+  }
+
+  /**
+   * Adds the column changes between the live table and the schema to a diff
+   * @param {Object} client - Database client
+   * @param {Object} schema - Schema definition
+   * @param {Function} step - Callback receiving (upSQL, downSQL)
+   * @returns {Promise<string[]>} Generated columns that are dropped and added again
+   * @private
+   */
+  async _diffColumns(client, schema, step) {
+    const dbColumns = await this.getColumnMetadata(client);
+    const rebuilt = [];
+
+    // Renamed columns keep their data
+    for (const { from, to } of this._detectRenames(schema, dbColumns)) {
+      step(
+        `ALTER TABLE ${this.quotedTableName} RENAME COLUMN ${this._quoteIdentifier(from)} TO ${this._quoteIdentifier(to)}`,
+        `ALTER TABLE ${this.quotedTableName} RENAME COLUMN ${this._quoteIdentifier(to)} TO ${this._quoteIdentifier(from)}`
+      );
+      dbColumns[to.toLowerCase()] = dbColumns[from.toLowerCase()];
+      delete dbColumns[from.toLowerCase()];
+    }
+
+    for (const [fieldName, fieldDef] of Object.entries(schema)) {
+      const column = this._quoteIdentifier(fieldName);
+      const dbCol = dbColumns[fieldName.toLowerCase()];
+
+      if (!dbCol) {
+        const needsBackfill = !fieldDef.sql && fieldDef.required && fieldDef.default === undefined;
+        const defString = fieldDef.sql || this._getColumnDefinition(fieldName, needsBackfill ? { ...fieldDef, required: false } : fieldDef)
+          .replace(`${column} `, '');
+
+        step(
+          `ALTER TABLE ${this.quotedTableName} ADD COLUMN ${column} ${defString}`,
+          `ALTER TABLE ${this.quotedTableName} DROP COLUMN IF EXISTS ${column}`
+        );
+        if (needsBackfill) {
+          const safeDefault = this._getSafeDefault(fieldDef);
+          if (safeDefault !== null) {
+            step(`UPDATE ${this.quotedTableName} SET ${column} = ${safeDefault} WHERE ${column} IS NULL`, null);
+          }
+          step(`ALTER TABLE ${this.quotedTableName} ALTER COLUMN ${column} SET NOT NULL`, null);
+        }
+        if (fieldDef.uid) step(this._getFieldMetadataSQL(fieldName, fieldDef), null);
+        continue;
+      }
+
+      if (fieldDef.checksum && dbCol.checksum !== fieldDef.checksum) {
+        // Generated columns can't be altered; they are added again with the new expression
+        step(`ALTER TABLE ${this.quotedTableName} DROP COLUMN ${column}`, null);
+        step(`ALTER TABLE ${this.quotedTableName} ADD COLUMN ${column} ${fieldDef.sql}`, `ALTER TABLE ${this.quotedTableName} DROP COLUMN IF EXISTS ${column}`);
+        step(this._getFieldMetadataSQL(fieldName, fieldDef), null);
+        rebuilt.push(fieldName);
+        continue;
+      }
+      if (fieldDef.uid && dbCol.uid !== fieldDef.uid) {
+        step(this._getFieldMetadataSQL(fieldName, fieldDef), null);
+      }
+      if (fieldDef.sql) continue;
+
+      const desiredDef = this._parseFieldDefinition(fieldDef);
+      if (
+        desiredDef.dataType !== dbCol.data_type ||
+        (desiredDef.maxLength && parseInt(dbCol.character_maximum_length, 10) !== desiredDef.maxLength)
+      ) {
+        const typeClause = desiredDef.dataType + (desiredDef.maxLength ? `(${desiredDef.maxLength})` : '');
+        const oldTypeClause = this._getDbColumnType(dbCol);
+        step(
+          `ALTER TABLE ${this.quotedTableName} ALTER COLUMN ${column} TYPE ${typeClause} USING ${column}::${typeClause}`,
+          `ALTER TABLE ${this.quotedTableName} ALTER COLUMN ${column} TYPE ${oldTypeClause} USING ${column}::${oldTypeClause}`
+        );
+      }
+
+      if (desiredDef.notNull && dbCol.is_nullable === 'YES') {
+        step(
+          `ALTER TABLE ${this.quotedTableName} ALTER COLUMN ${column} SET NOT NULL`,
+          `ALTER TABLE ${this.quotedTableName} ALTER COLUMN ${column} DROP NOT NULL`
+        );
+      } else if (!desiredDef.notNull && dbCol.is_nullable === 'NO') {
+        step(
+          `ALTER TABLE ${this.quotedTableName} ALTER COLUMN ${column} DROP NOT NULL`,
+          `ALTER TABLE ${this.quotedTableName} ALTER COLUMN ${column} SET NOT NULL`
+        );
+      }
+    }
+
+    // Columns no longer in the model; the down migration restores the column, not its data
+    const schemaKeys = Object.keys(schema).map(k => k.toLowerCase());
+    for (const [dbKey, dbCol] of Object.entries(dbColumns)) {
+      if (schemaKeys.includes(dbKey)) continue;
+      step(
+        `ALTER TABLE ${this.quotedTableName} DROP COLUMN ${this._quoteIdentifier(dbCol.column_name)}`,
+        `ALTER TABLE ${this.quotedTableName} ADD COLUMN ${this._quoteIdentifier(dbCol.column_name)} ${this._getDbColumnType(dbCol)}`
+      );
+    }
+    return rebuilt;
+  }
+
+  /**
+   * Adds the index changes between the live table and the model to a diff
+   * @param {Object} client - Database client
+   * @param {Array} indexes - Index definitions
+   * @param {Function} step - Callback receiving (upSQL, downSQL)
+   * @param {string[]} [rebuilt=[]] - Columns added again by the diff, which lost their indexes
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _diffIndexes(client, indexes, step, rebuilt = []) {
+    const dbIndexes = {};
+    (await client.query(
+      `SELECT indexname, indexdef FROM pg_indexes WHERE tablename = $1 AND schemaname = 'public'`,
+      [this.liveTableName]
+    )).rows.forEach(row => dbIndexes[row.indexname] = row.indexdef);
+
+    const modelIndexNames = indexes.map(idx => this._getIndexName(idx));
+
+    for (const [indexName, indexDef] of Object.entries(dbIndexes)) {
+      if (indexName.toLowerCase() !== `${this.tableName.toLowerCase()}_pkey` && !modelIndexNames.includes(indexName)) {
+        step(`DROP INDEX ${this._quoteIdentifier(indexName)}`, indexDef);
+      }
+    }
+
+    for (const idx of indexes) {
+      const name = this._getIndexName(idx);
+      const existingDef = idx.columns.some(col => rebuilt.includes(col)) ? null : dbIndexes[name];
+      if (!existingDef) {
+        step(this._getCreateIndexSQL(idx), `DROP INDEX IF EXISTS ${this._quoteIdentifier(name)}`);
+      } else if (this._indexNeedsRecreation(existingDef, idx)) {
+        step(`DROP INDEX ${this._quoteIdentifier(name)}`, existingDef);
+        step(this._getCreateIndexSQL(idx), `DROP INDEX IF EXISTS ${this._quoteIdentifier(name)}`);
+      }
+    }
+  }
+
+  /**
+   * Adds the foreign key changes between the live table and the schema to a diff
+   * @param {Object} client - Database client
+   * @param {Object} schema - Schema definition
+   * @param {Function} step - Callback receiving (upSQL, downSQL)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _diffForeignKeys(client, schema, step) {
+    const dbForeignKeys = await this._getForeignKeys(client);
+    const desired = this._getDesiredForeignKeys(schema);
+
+    for (const [name, definition] of Object.entries(dbForeignKeys)) {
+      if (!name.endsWith('_fkey')) continue;
+      if (!desired[name] || this._normalizeConstraint(desired[name].definition) !== this._normalizeConstraint(definition)) {
+        step(
+          `ALTER TABLE ${this.quotedTableName} DROP CONSTRAINT ${this._quoteIdentifier(name)}`,
+          `ALTER TABLE ${this.quotedTableName} ADD CONSTRAINT ${this._quoteIdentifier(name)} ${definition}`
+        );
+        delete dbForeignKeys[name];
+      }
+    }
+
+    for (const [name, { definition }] of Object.entries(desired)) {
+      if (dbForeignKeys[name]) continue;
+      step(
+        `ALTER TABLE ${this.quotedTableName} ADD CONSTRAINT ${this._quoteIdentifier(name)} ${definition}`,
+        `ALTER TABLE ${this.quotedTableName} DROP CONSTRAINT IF EXISTS ${this._quoteIdentifier(name)}`
+      );
+    }
+  }
+
+  /**
+   * Detects renamed columns by matching field uids against the uids stored as column comments.
+   * A rename is only assumed when exactly one new field and exactly one orphaned column share a uid;
+   * otherwise the columns are treated as added and dropped. An explicit `renameMap` on the model wins.
+   * @param {Object} schema - Schema definition
+   * @param {Object} dbColumns - Live columns (see getColumnMetadata)
+   * @returns {Array<{from: string, to: string}>} Detected renames
+   * @private
+   */
+  _detectRenames(schema, dbColumns) {
+    const schemaKeys = Object.keys(schema).map(k => k.toLowerCase());
+    const missingFields = Object.keys(schema).filter(name => !dbColumns[name.toLowerCase()]);
+    const orphanedColumns = Object.values(dbColumns).filter(col => !schemaKeys.includes(col.column_name.toLowerCase()));
+    const renames = [];
+    const used = new Set();
+
+    for (const fieldName of missingFields) {
+      const oldName = this.model.renameMap?.[fieldName];
+      const orphan = oldName && orphanedColumns.find(col => col.column_name.toLowerCase() === oldName.toLowerCase());
+      if (orphan) {
+        renames.push({ from: orphan.column_name, to: fieldName });
+        used.add(orphan.column_name);
+      }
+    }
+
+    for (const fieldName of missingFields) {
+      const uid = schema[fieldName].uid;
+      if (!uid || renames.some(r => r.to === fieldName)) continue;
+
+      const sameUidFields = missingFields.filter(name => schema[name].uid === uid);
+      const candidates = orphanedColumns.filter(col => col.uid === uid && !used.has(col.column_name));
+      if (sameUidFields.length === 1 && candidates.length === 1) {
+        renames.push({ from: candidates[0].column_name, to: fieldName });
+        used.add(candidates[0].column_name);
+      }
+    }
+
+    return renames;
+  }
+
+  /**
+   * Wraps a client for plan mode: reads and transaction control run against the
+   * database, all other statements are recorded in the plan and not executed.
+   * Bookkeeping on schema_versions is left out of the plan.
+   * @param {Object} client - Database client
+   * @param {Array} plan - Array receiving the planned statements
+   * @returns {Object} Client-like object with a query method
+   * @private
+   */
+  _createPlanClient(client, plan) {
+    return {
+      planning: true,
+      query: async (text, params) => {
+        if (PASSTHROUGH_STATEMENT.test(text)) {
+          return client.query(text, params);
+        }
+
+        const sql = text.replace(/\s+/g, ' ').trim();
+        // Both sides of a belongsToMany association plan the same junction table
+        if (!/\bschema_versions\b/.test(sql) && !plan.some(statement => statement.sql === sql)) {
+          plan.push({
+            table: this.tableName,
+            sql,
+            ...(params?.length ? { params } : {}),
+            destructive: SchemaManager.isDestructiveStatement(sql)
+          });
+        }
+        return { rows: [], rowCount: 0 };
+      }
+    };
+  }
+
+  /**
+   * Returns the columns of the model's table (default fields plus stored model fields)
+   * @returns {Object} Schema definition
+   * @private
+   */
+  _getSchema() {
+    const schema = { 
+      ...this.model.defaultFields, 
+      ...(this.model.audited ? this.model.auditFields : {}),
+      ...(this.model.softDelete ? this.model.softDeleteFields : {}),
+      ...(this.model.versioned ? this.model.versionFields : {}),
+      ...(this.model.fields || this.model.schema),
+      // Not part of Model.getSchema(): the search vector isn't a field of records
+      ...(this.model._searchColumns ? this.model._searchColumns() : {})
+    };
+    // Computed fields have no column
+    return Object.fromEntries(Object.entries(schema).filter(([, field]) => !field?.computed));
+  }
+
+  /**
+   * Reads the existing foreign key constraints of the table
+   * @param {Object} client - Database client
+   * @returns {Promise<Object>} Map of constraint name to definition
+   * @private
+   */
+  async _getForeignKeys(client) {
+    const dbForeignKeys = {};
+    (await client.query(
+      `SELECT con.conname, pg_get_constraintdef(con.oid) AS definition
+       FROM pg_constraint con
+       JOIN pg_class rel ON rel.oid = con.conrelid
+       JOIN pg_namespace nsp ON nsp.oid = rel.relnamespace
+       WHERE con.contype = 'f' AND rel.relname = $1 AND nsp.nspname = 'public'`,
+      [this.liveTableName]
+    )).rows.forEach(row => dbForeignKeys[row.conname] = row.definition);
+    return dbForeignKeys;
+  }
+
+  /**
+   * Builds the desired foreign keys from the reference fields
+   * @param {Object} schema - Schema definition
+   * @returns {Object} Map of constraint name to { fieldName, definition }
+   * @private
+   */
+  _getDesiredForeignKeys(schema) {
+    const desired = {};
+    for (const [fieldName, fieldDef] of Object.entries(schema)) {
+      if (!fieldDef.reference?.model) continue;
+
+      if (!hasModel(fieldDef.reference.model)) {
+        logger.warn(`Skipping foreign key for ${this.tableName}.${fieldName}: model '${fieldDef.reference.model}' is not registered`);
+        continue;
+      }
+
+      const target = getModel(fieldDef.reference.model);
+      desired[this._getForeignKeyName(fieldName)] = {
+        fieldName,
+        definition: `FOREIGN KEY (${this._quoteIdentifier(fieldName)}) ` +
+          `REFERENCES ${this._quoteIdentifier(target.tableName)}(${this._quoteIdentifier(fieldDef.reference.field)})` +
+          (fieldDef.reference.onDelete !== 'NO ACTION' ? ` ON DELETE ${fieldDef.reference.onDelete}` : '')
+      };
+    }
+    return desired;
+  }
+
+  /**
+   * Get the CREATE TABLE statement for a schema
+   * @param {Object} schema - Schema definition
+   * @returns {string} - CREATE TABLE SQL
+   * @private
+   */
+  _getCreateTableSQL(schema) {
+    const columns = Object.entries(schema).map(([name, def]) => {
+      let columnDef;
+      if (def.sql) {
+        columnDef = `${this._quoteIdentifier(name)} ${def.sql}`;
+      } else {
+        columnDef = this._getColumnDefinition(name, def);
+      }
+      logger.schema(`Column definition for ${name}: ${columnDef}`);
+      return columnDef;
+    });
+    return `CREATE TABLE ${this.quotedTableName} (${columns.join(', ')})`;
+  }
+
+  /**
+   * Get the CREATE INDEX statement for an index definition
+   * @param {Object} idx - Index definition
+   * @returns {string} - CREATE INDEX SQL
+   * @private
+   */
+  _getCreateIndexSQL(idx) {
+    const unique = idx.unique ? 'UNIQUE ' : '';
+    const using = idx.using ? ` USING ${idx.using}` : '';
+    const columns = idx.columns.map(col => this._quoteIdentifier(col) + (idx.opclass ? ` ${idx.opclass}` : '')).join(', ');
+    const where = this._getIndexPredicate(idx);
+    return `CREATE ${unique}INDEX ${this._quoteIdentifier(this._getIndexName(idx))} ON ${this.quotedTableName}${using} (${columns})${where ? ` WHERE ${where}` : ''}`;
+  }
+
+  /**
+   * Index definitions of the model, including the search indexes of searchable models
+   * @returns {Array|null} Index definitions, or null if the model declares none
+   * @private
+   */
+  _getIndexes() {
+    const searchIndexes = this.model._searchIndexes ? this.model._searchIndexes() : [];
+    if (!this.model.indexes && !searchIndexes.length) return null;
+    return [...(this.model.indexes || []), ...searchIndexes];
+  }
+
+  /**
+   * Whether the model's indexes need the pg_trgm extension (trigram operator classes)
+   * @returns {boolean} True if an index uses a trigram operator class
+   * @private
+   */
+  _needsTrigramExtension() {
+    return (this._getIndexes() || []).some(idx => /^gi[nst]_trgm_ops$/.test(idx.opclass || ''));
+  }
+
+  /**
+   * Adds the extensions the model's indexes need and the database lacks to a diff
+   * @param {Object} client - Database client
+   * @param {Function} step - Callback receiving (upSQL, downSQL)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _diffExtensions(client, step) {
+    if (!this._needsTrigramExtension()) return;
+    const { rows } = await client.query(`SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm'`);
+    if (!rows.length) step('CREATE EXTENSION IF NOT EXISTS pg_trgm', null);
+  }
+
+  /**
+   * Returns the WHERE predicate of a partial index.
+   * Unique indexes of soft-delete models ignore deleted rows, so a deleted
+   * record does not block a new one with the same values.
+   * @param {Object} idx - Index definition (`where` sets the predicate explicitly)
+   * @returns {string|null} The predicate or null for a full index
+   * @private
+   */
+  _getIndexPredicate(idx) {
+    if (idx.where) return idx.where;
+    return this.model.softDelete && idx.unique ? '"deletedAt" IS NULL' : null;
+  }
+
+  /**
+   * Get the statements creating the junction table of a belongsToMany association
+   * @param {Object} association - Normalized association
+   * @returns {string[]} - SQL statements (all idempotent)
+   * @private
+   */
+  _getJunctionTableStatements(association) {
+    const target = association.target;
+    const through = this._quoteIdentifier(association.through);
+    const foreignKey = this._quoteIdentifier(association.foreignKey);
+    const otherKey = this._quoteIdentifier(association.otherKey);
+
+    return [
+      `CREATE TABLE IF NOT EXISTS ${through} (
+            ${foreignKey} INT NOT NULL REFERENCES ${this.quotedTableName}(${this._quoteIdentifier(association.sourceKey)}) ON DELETE CASCADE,
+            ${otherKey} INT NOT NULL REFERENCES ${this._quoteIdentifier(target.tableName)}(${this._quoteIdentifier(target.primaryKey)}) ON DELETE CASCADE,
+            "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (${foreignKey}, ${otherKey})
+          )`,
+      // The primary key covers lookups by the first column; index the other side too
+      `CREATE INDEX IF NOT EXISTS ${this._quoteIdentifier(`${association.through}_${association.otherKey}_idx`)} ON ${through} (${otherKey})`,
+      `CREATE INDEX IF NOT EXISTS ${this._quoteIdentifier(`${association.through}_${association.foreignKey}_idx`)} ON ${through} (${foreignKey})`
+    ];
+  }
+
+  /**
+   * Get the statement storing a field uid as column comment
+   * @param {string} fieldName - Field name
+   * @param {Object} fieldDef - Field definition
+   * @returns {string} - COMMENT ON COLUMN SQL
+   * @private
+   */
+  _getFieldMetadataSQL(fieldName, fieldDef) {
+    const checksum = fieldDef.checksum ? `, checksum: ${fieldDef.checksum}` : '';
+    return `COMMENT ON COLUMN ${this.quotedTableName}.${this._quoteIdentifier(fieldName)} IS 'uid: ${fieldDef.uid}${checksum}'`;
+  }
+
+  /**
+   * Get the statement storing the model uid as table comment
+   * @returns {string} - COMMENT ON TABLE SQL
+   * @private
+   */
+  _getTableMetadataSQL() {
+    return `COMMENT ON TABLE ${this.quotedTableName} IS 'uid: ${this.model.uid}'`;
+  }
+
+  /**
+   * Get the SQL type of a live column
+   * @param {Object} dbCol - Column info from information_schema
+   * @returns {string} - SQL type clause
+   * @private
+   */
+  _getDbColumnType(dbCol) {
+    if (dbCol.data_type === 'character varying' && dbCol.character_maximum_length) {
+      return `character varying(${dbCol.character_maximum_length})`;
+    }
+    if (dbCol.data_type === 'numeric' && dbCol.numeric_precision) {
+      return `numeric(${dbCol.numeric_precision}, ${dbCol.numeric_scale || 0})`;
+    }
+    return dbCol.data_type;
+  }
+
   /**
    * Quote an identifier to make it safe for SQL
    * @param {string} identifier - The identifier to quote
@@ -536,6 +1308,26 @@ export default class SchemaManager {
     return indexDef.name.toLowerCase().startsWith(prefix) ? indexDef.name : `${this.tableName}_${indexDef.name}`;
   }
 
+  /**
+   * Get the foreign key constraint name for a reference column
+   * @param {string} fieldName - Field name
+   * @returns {string} - Constraint name
+   * @private
+   */
+  _getForeignKeyName(fieldName) {
+    return `${this.tableName}_${fieldName}_fkey`;
+  }
+
+  /**
+   * Normalize a constraint definition for comparison
+   * @param {string} definition - Constraint definition SQL
+   * @returns {string} - Normalized definition
+   * @private
+   */
+  _normalizeConstraint(definition) {
+    return definition.replace(/"/g, '').replace(/\s+NOT VALID$/i, '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
   /**
    * Check if an index needs to be recreated
    * @param {string} existingDef - Existing index definition
@@ -544,10 +1336,14 @@ export default class SchemaManager {
    * @private
    */
   _indexNeedsRecreation(existingDef, idx) {
-    const columns = existingDef.match(/\(([^)]+)\)/)?.[1].split(',').map(s => s.trim().replace(/"/g, '').toLowerCase()).sort().join(',') || '';
+    // Columns may be followed by an operator class, e.g. `name gin_trgm_ops`
+    const columns = existingDef.match(/\(([^)]+)\)/)?.[1].split(',').map(s => s.trim().split(/\s+/)[0].replace(/"/g, '').toLowerCase()).sort().join(',') || '';
     const desiredColumns = idx.columns.map(col => col.toLowerCase()).sort().join(',');
     const dbUnique = existingDef.includes('UNIQUE');
-    return columns !== desiredColumns || dbUnique !== !!idx.unique;
+    const dbPartial = /\sWHERE\s/i.test(existingDef);
+    const dbMethod = existingDef.match(/\sUSING\s+(\w+)/i)?.[1].toLowerCase() || 'btree';
+    return columns !== desiredColumns || dbUnique !== !!idx.unique || dbPartial !== !!this._getIndexPredicate(idx) ||
+      dbMethod !== (idx.using || 'btree').toLowerCase();
   }
 
   /**
@@ -1,4 +1,26 @@
 // server/asyncContext.js
 import { AsyncLocalStorage } from 'async_hooks';
+
+// Request-scoped store. The WebSocket server runs each request with
+// { client, user, session, request }: the transaction client, the authenticated
+// user (null for Auth requests), the session id and the request metadata.
 const asyncLocalStorage = new AsyncLocalStorage();
-export { asyncLocalStorage };
\ No newline at end of file
+
+/**
+ * Returns the user of the current request, if any
+ * @returns {Object|null} The authenticated user
+ */
+function getCurrentUser() {
+  return asyncLocalStorage.getStore()?.user || null;
+}
+
+/**
+ * Returns the metadata of the current request: ip, userAgent, acceptLanguage, requestId,
+ * controller, action and locale
+ * @returns {Object} The request metadata, empty outside of a request
+ */
+function getRequestInfo() {
+  return asyncLocalStorage.getStore()?.request || {};
+}
+
+export { asyncLocalStorage, getCurrentUser, getRequestInfo };
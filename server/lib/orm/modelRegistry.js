@@ -0,0 +1,79 @@
+// server/lib/orm/modelRegistry.js
+// Registry of loaded model classes, keyed by model name.
+// Fields and associations reference other models by name (e.g. 'Country'),
+// which avoids circular imports between model modules.
+const models = new Map();
+
+/**
+ * Registers a model class under the given name
+ * @param {string} name - The model name (e.g. 'Customer')
+ * @param {Function} model - The model class
+ */
+function registerModel(name, model) {
+  models.set(name, model);
+}
+
+/**
+ * Looks up a registered model class by name
+ * @param {string} name - The model name
+ * @returns {Function} The model class
+ * @throws {Error} If no model is registered under the name
+ */
+function getModel(name) {
+  const model = models.get(name);
+  if (!model) {
+    throw new Error(`Model "${name}" is not registered. Make sure it is listed in models/index.js`);
+  }
+  return model;
+}
+
+/**
+ * Checks whether a model is registered under the given name
+ * @param {string} name - The model name
+ * @returns {boolean} True if registered
+ */
+function hasModel(name) {
+  return models.has(name);
+}
+
+/**
+ * Returns all registered models
+ * @returns {Object} Map of model name to model class
+ */
+function getModels() {
+  return Object.fromEntries(models);
+}
+
+/**
+ * Orders models so that referenced models come before the models referencing them.
+ * Foreign keys can only be created once the referenced table exists.
+ * @param {Object} models - Map of model name to model class
+ * @returns {Array<[string, Function]>} [name, model] pairs in dependency order
+ */
+function orderByDependencies(models) {
+  const ordered = [];
+  const visiting = new Set();
+  const visited = new Set();
+
+  const visit = (name) => {
+    if (visited.has(name) || visiting.has(name)) return; // Already done, or a cycle
+    visiting.add(name);
+
+    const fields = models[name].fields || {};
+    for (const field of Object.values(fields)) {
+      const target = field?.reference?.model;
+      if (target && target !== name && models[target]) {
+        visit(target);
+      }
+    }
+
+    visiting.delete(name);
+    visited.add(name);
+    ordered.push([name, models[name]]);
+  };
+
+  Object.keys(models).forEach(visit);
+  return ordered;
+}
+
+export { registerModel, getModel, hasModel, getModels, orderByDependencies };
@@ -0,0 +1,228 @@
+// server/lib/pages.js
+// List and card pages of models, and the menu that opens them.
+//
+// Models declare their pages in `static pages`; a model without a `list` or
+// `card` page gets one showing all of its fields:
+//
+//   static pages = {
+//     list: {
+//       caption: 'Customers',
+//       columns: ['name', 'email', { field: 'country', caption: 'Country' }],
+//       filters: ['country', 'gender'],
+//       orderBy: { column: 'name', direction: 'ASC' },
+//     },
+//     card: {
+//       groups: [{ caption: 'General', fields: ['name', 'email'] }],
+//       actions: [{ name: 'history', caption: 'Change History', controller: 'Audit', action: 'history' }],
+//     },
+//   };
+//
+// Page actions are controller actions (the controller defaults to the model's).
+// The client calls them with a `page_action` request carrying the id of the
+// current record; the action receives it as the named parameters `model`, `id`
+// and `record` (the loaded record) besides its own parameters. Card actions
+// always need a record, list actions get the selected one if there is one.
+import { getModel, hasModel } from './orm/modelRegistry.js';
+import { getCurrentUser, hasPermission, getActionPermission } from './authorization.js';
+import { NotFoundError } from './errors.js';
+
+const PAGE_TYPES = ['list', 'card'];
+
+/**
+ * Names of the fields a page can show: the model's fields except write-only ones,
+ * and the system columns (id, createdAt, ...)
+ * @param {Function} Model - The model class
+ * @returns {string[]} Field names
+ */
+function pageFields(Model) {
+  return Object.entries(Model.getSchema())
+    .filter(([, field]) => !field?.writeOnly)
+    .map(([name]) => name);
+}
+
+/**
+ * Fields shown by the default pages: the model's own fields except write-only ones
+ * @param {Function} Model - The model class
+ * @returns {string[]} Field names
+ */
+function defaultFields(Model) {
+  return Object.keys(Model.fields || {}).filter(name => !Model.fields[name]?.writeOnly);
+}
+
+/**
+ * Throws unless every name is a field the page can show
+ * @param {Function} Model - The model class
+ * @param {string} pageName - Name of the page, for the error message
+ * @param {string[]} names - Field names used by the page
+ */
+function checkPageFields(Model, pageName, names) {
+  const known = pageFields(Model);
+  const unknown = names.filter(name => !known.includes(name));
+  if (unknown.length) {
+    throw new Error(`Page ${Model.name}.${pageName} uses unknown fields: ${unknown.join(', ')}`);
+  }
+}
+
+/**
+ * Normalizes the actions of a page
+ * @param {Function} Model - The model class
+ * @param {Array<string|Object>} [actions] - Action names or `{ name, caption, controller, action }`
+ * @returns {Object[]} Actions with every property set
+ */
+function normalizeActions(Model, actions = []) {
+  return actions.map(entry => {
+    const action = typeof entry === 'string' ? { name: entry } : entry;
+    return {
+      name: action.name,
+      caption: action.caption || action.name,
+      controller: action.controller || Model.name,
+      action: action.action || action.name
+    };
+  });
+}
+
+/**
+ * Normalizes a page definition and checks the fields it uses
+ * @param {Function} Model - The model class
+ * @param {string} name - Name of the page
+ * @param {Object} definition - The page definition
+ * @returns {Object} The normalized page
+ */
+function normalizePage(Model, name, definition) {
+  const type = definition.type || name;
+  if (!PAGE_TYPES.includes(type)) {
+    throw new Error(`Page ${Model.name}.${name} must have a type (${PAGE_TYPES.join(' or ')})`);
+  }
+
+  const page = {
+    name,
+    type,
+    model: Model.name,
+    caption: definition.caption || Model.name,
+    actions: normalizeActions(Model, definition.actions)
+  };
+
+  if (type === 'list') {
+    page.columns = (definition.columns || defaultFields(Model)).map(column =>
+      typeof column === 'string' ? { field: column } : column
+    );
+    page.filters = definition.filters || [];
+    page.orderBy = definition.orderBy || { column: Model.primaryKey, direction: 'ASC' };
+    page.card = definition.card === undefined ? 'card' : definition.card;
+    checkPageFields(Model, name, [...page.columns.map(column => column.field), ...page.filters, page.orderBy.column]);
+  } else {
+    page.groups = definition.groups || [{ caption: 'General', fields: defaultFields(Model) }];
+    checkPageFields(Model, name, page.groups.flatMap(group => group.fields));
+  }
+  return page;
+}
+
+/**
+ * Returns the pages of a model, including the default list and card pages
+ * @param {Function} Model - The model class
+ * @returns {Object} Normalized pages by name
+ */
+export function getPages(Model) {
+  const definitions = { list: {}, card: {}, ...(Model.pages || {}) };
+  return Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [name, normalizePage(Model, name, definition)])
+  );
+}
+
+/**
+ * Returns a page of a model, or throws a NotFoundError
+ * @param {string} modelName - Name of the model
+ * @param {string} pageName - Name of the page
+ * @returns {{ Model: Function, page: Object }} The model and the normalized page
+ */
+export function getPage(modelName, pageName) {
+  const Model = hasModel(modelName) ? getModel(modelName) : null;
+  const pages = Model ? getPages(Model) : {};
+  const page = Object.hasOwn(pages, pageName) ? pages[pageName] : null;
+  if (!page) {
+    throw new NotFoundError(`Page ${modelName}.${pageName} not found`, { model: modelName, page: pageName });
+  }
+  return { Model, page };
+}
+
+/**
+ * Returns an action of a page, or throws a NotFoundError
+ * @param {string} modelName - Name of the model
+ * @param {string} pageName - Name of the page
+ * @param {string} actionName - Name of the action
+ * @returns {{ Model: Function, page: Object, action: Object }} The model, page and action
+ */
+export function getPageAction(modelName, pageName, actionName) {
+  const { Model, page } = getPage(modelName, pageName);
+  const action = page.actions.find(entry => entry.name === actionName);
+  if (!action) {
+    throw new NotFoundError(`Action ${actionName} not found on page ${modelName}.${pageName}`, {
+      model: modelName,
+      page: pageName,
+      action: actionName
+    });
+  }
+  return { Model, page, action };
+}
+
+/**
+ * Tailors a page to the user: leaves out fields they can't read and actions they can't call
+ * @param {Function} Model - The model class
+ * @param {Object} page - The normalized page
+ * @param {Object} [options={}] - Options
+ * @param {Object} [options.controllers={}] - Loaded controllers by name
+ * @param {Object|null} [options.user] - The user, defaults to the current user
+ * @returns {Promise<Object>} The page
+ */
+export async function describePage(Model, page, { controllers = {}, user = getCurrentUser() } = {}) {
+  const fieldRules = Model.permissions?.fields || {};
+  const hidden = [];
+  for (const [field, rule] of Object.entries(fieldRules)) {
+    if (user && rule?.read !== undefined && !(await hasPermission(user, rule.read))) hidden.push(field);
+  }
+  const visible = field => !hidden.includes(field);
+
+  const actions = [];
+  for (const action of page.actions) {
+    const Controller = controllers[action.controller];
+    if (typeof Controller?.[action.action] !== 'function') continue;
+    if (await hasPermission(user, getActionPermission(Controller, action.controller, action.action))) {
+      actions.push(action);
+    }
+  }
+
+  return {
+    ...page,
+    actions,
+    ...(page.columns ? { columns: page.columns.filter(column => visible(column.field)) } : {}),
+    ...(page.filters ? { filters: page.filters.filter(visible) } : {}),
+    ...(page.groups ? { groups: page.groups.map(group => ({ ...group, fields: group.fields.filter(visible) })) } : {})
+  };
+}
+
+/**
+ * Returns the menu items the user can open: items whose page exists and whose
+ * model they can read, and whose own `permission` (if any) they hold.
+ * Groups without any such items are left out.
+ * @param {Object[]} items - Menu items: `{ caption, page: 'Model.page' }` or `{ caption, items }`
+ * @param {Object|null} [user] - The user, defaults to the current user
+ * @returns {Promise<Object[]>} The menu
+ */
+export async function filterMenu(items, user = getCurrentUser()) {
+  const menu = [];
+  for (const item of items) {
+    if (item.permission !== undefined && !(await hasPermission(user, item.permission))) continue;
+
+    if (item.items) {
+      const children = await filterMenu(item.items, user);
+      if (children.length) menu.push({ ...item, items: children });
+      continue;
+    }
+
+    const [modelName, pageName = 'list'] = String(item.page).split('.');
+    if (!hasModel(modelName) || !Object.hasOwn(getPages(getModel(modelName)), pageName)) continue;
+    if (!(await getModel(modelName).canAccess('read', user))) continue;
+    menu.push({ ...item, page: `${modelName}.${pageName}` });
+  }
+  return menu;
+}
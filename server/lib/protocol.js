@@ -0,0 +1,86 @@
+// server/lib/protocol.js
+// Message envelope of the WebSocket protocol.
+//
+// Responses echo the request's type and requestId:
+//   { version, type, requestId, success: true, data, messages? }
+//   { version, type, requestId, success: false, error: { code, message, details? } }
+// Messages the server pushes on its own (change, session_expired, session_revoked) are events:
+//   { version, type, ...payload }
+import { AppError } from './errors.js';
+
+// Bumped when the envelope changes incompatibly
+export const PROTOCOL_VERSION = 1;
+
+// Messages of unexpected errors (database errors, bugs) can contain SQL and
+// other internals; in production clients only get a generic message
+const EXPOSE_INTERNAL_ERRORS = process.env.NODE_ENV !== 'production';
+
+/**
+ * Maps an error to the `error` object of a response.
+ * AppErrors keep their code, message and details; anything else becomes
+ * INTERNAL_ERROR, with the original message only outside production.
+ * @param {Error|any} error - The error
+ * @param {Object} [options={}] - Serialization options
+ * @param {boolean} [options.exposeInternal] - Include messages of internal errors
+ * @returns {{ code: string, message: string, details?: Object }} The serialized error
+ */
+export function serializeError(error, { exposeInternal = EXPOSE_INTERNAL_ERRORS } = {}) {
+  if (error instanceof AppError) {
+    return {
+      code: error.code,
+      message: error.message,
+      ...(error.details !== undefined ? { details: error.details } : {})
+    };
+  }
+
+  return {
+    code: 'INTERNAL_ERROR',
+    message: exposeInternal && error?.message ? error.message : 'An unexpected error occurred'
+  };
+}
+
+/**
+ * Builds a successful response to a request
+ * @param {Object|null} request - The request being answered
+ * @param {any} data - The result
+ * @param {Object|null} [messages] - Messages for the user (see lib/clientMessages.js)
+ * @returns {Object} The response message
+ */
+export function createResponse(request, data, messages = null) {
+  return {
+    version: PROTOCOL_VERSION,
+    type: request?.type ?? null,
+    requestId: request?.requestId ?? null,
+    success: true,
+    data: data ?? null,
+    ...(messages ? { messages } : {})
+  };
+}
+
+/**
+ * Builds an error response to a request
+ * @param {Object|null} request - The request being answered (null if it could not be parsed)
+ * @param {Error|any} error - The error
+ * @param {Object|null} [messages=null] - Messages collected before the request failed (see clientMessages.js)
+ * @returns {Object} The response message
+ */
+export function createErrorResponse(request, error, messages = null) {
+  return {
+    version: PROTOCOL_VERSION,
+    type: request?.type ?? null,
+    requestId: request?.requestId ?? null,
+    success: false,
+    error: serializeError(error),
+    ...(messages ? { messages } : {})
+  };
+}
+
+/**
+ * Builds a message the server sends without a request
+ * @param {string} type - Event type, e.g. 'change'
+ * @param {Object} [payload={}] - Event data
+ * @returns {Object} The event message
+ */
+export function createEvent(type, payload = {}) {
+  return { version: PROTOCOL_VERSION, type, ...payload };
+}
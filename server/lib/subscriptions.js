@@ -0,0 +1,159 @@
+// server/lib/subscriptions.js
+// Record change subscriptions of WebSocket connections.
+//
+// A connection subscribes to a model, optionally narrowed to one record id and/or
+// a where object on the model's fields. Change events from the change bus are
+// pushed as `{ type: 'change', subscriptionId, model, action, id, record }`.
+// The record is read with the subscriber's permissions (row rules and field
+// rules apply); hard-deleted records are sent with `record: null` if the removed
+// row, carried by the event, matched the subscriber's row rules and filter. The
+// row is only known in the server instance that deleted it (see changeBus.js).
+import crypto from 'crypto';
+import { asyncLocalStorage } from './orm/asyncContext.js';
+import { getModel, hasModel } from './orm/modelRegistry.js';
+import { hasPermission } from './authorization.js';
+import { NotFoundError, ValidationError } from './errors.js';
+import { createEvent } from './protocol.js';
+import logger from './logger.js';
+
+// Connection -> Map of subscription id -> { id, model, recordId, where }
+const subscriptions = new Map();
+
+/**
+ * Runs a function as the user bound to a connection, outside of any transaction
+ * @param {Object} ws - The WebSocket connection
+ * @param {Function} fn - The function to run
+ * @returns {Promise<any>} The result of the function
+ */
+function runAsConnectionUser(ws, fn) {
+  const { user, sessionId } = ws.auth;
+  return asyncLocalStorage.run({ client: null, user, session: sessionId, request: {} }, fn);
+}
+
+/**
+ * Checks that a subscription filter only uses fields of the model
+ * @param {Function} Model - The model class
+ * @param {Object} [where] - The filter
+ * @returns {Object} The filter
+ */
+function validateFilter(Model, where) {
+  if (where === undefined || where === null) return {};
+  if (typeof where !== 'object' || Array.isArray(where)) {
+    throw new ValidationError('The subscription filter must be an object', { where: 'Must be an object' });
+  }
+
+  const schema = Model.getSchema();
+  const unknown = Object.keys(where).filter(field => !(field in schema));
+  if (unknown.length) {
+    throw new ValidationError(
+      `Unknown fields in subscription filter: ${unknown.join(', ')}`,
+      Object.fromEntries(unknown.map(field => [field, `${Model.name} has no field ${field}`]))
+    );
+  }
+  return where;
+}
+
+/**
+ * Subscribes a connection to changes of a model, a record or a filtered query.
+ * The connection's user must be allowed to read the model.
+ * @param {Object} ws - The authenticated WebSocket connection
+ * @param {Object} options - What to subscribe to
+ * @param {string} options.model - Model name, e.g. 'Customer'
+ * @param {string|number} [options.id] - Only this record
+ * @param {Object} [options.where] - Only records matching these conditions
+ * @returns {Promise<Object>} The subscription `{ id, model, recordId, where }`
+ */
+export async function subscribe(ws, { model, id, where } = {}) {
+  if (!model || !hasModel(model)) {
+    throw new NotFoundError(`Model "${model}" not found`, { model });
+  }
+  const Model = getModel(model);
+  const filter = validateFilter(Model, where);
+
+  // Checks the read permission, and that the filter compiles, before registering
+  const conditions = id !== undefined && id !== null ? { ...filter, [Model.primaryKey]: id } : filter;
+  await runAsConnectionUser(ws, () => Model.count({ where: conditions, withDeleted: true }));
+
+  const subscription = { id: crypto.randomUUID(), model, recordId: id ?? null, where: filter };
+  if (!subscriptions.has(ws)) subscriptions.set(ws, new Map());
+  subscriptions.get(ws).set(subscription.id, subscription);
+  return subscription;
+}
+
+/**
+ * Ends a subscription of a connection
+ * @param {Object} ws - The WebSocket connection
+ * @param {string} subscriptionId - The subscription id
+ * @returns {boolean} True if the subscription existed
+ */
+export function unsubscribe(ws, subscriptionId) {
+  const own = subscriptions.get(ws);
+  const removed = !!own?.delete(subscriptionId);
+  if (own && !own.size) subscriptions.delete(ws);
+  return removed;
+}
+
+/**
+ * Ends every subscription of a connection, e.g. when it closes or logs out
+ * @param {Object} ws - The WebSocket connection
+ */
+export function unsubscribeAll(ws) {
+  subscriptions.delete(ws);
+}
+
+/**
+ * Reads the changed record for a subscription with the subscriber's permissions
+ * @param {Object} ws - The subscribed connection
+ * @param {Object} subscription - The subscription
+ * @param {Object} event - The change event
+ * @returns {Promise<Object|null|undefined>} The record, null for a hard delete,
+ *   or undefined if the change must not be sent
+ */
+async function readChangedRecord(ws, subscription, event) {
+  const Model = getModel(event.model);
+
+  return runAsConnectionUser(ws, async () => {
+    if (!(await hasPermission(ws.auth.user, Model.permissions?.read))) return undefined;
+
+    const record = await Model.findOne({
+      where: { ...subscription.where, [Model.primaryKey]: event.id },
+      withDeleted: true
+    });
+    if (record) return record;
+    // The row is gone; the client only learns its id, and only if it could have read the row
+    if (event.action !== 'delete' || !event.row) return undefined;
+    return (await Model.matchesRemovedRow(event.row, subscription.where)) ? null : undefined;
+  });
+}
+
+/**
+ * Pushes a committed change to every authorised subscriber of the record
+ * @param {Object} event - `{ model, action, id }`, with the removed `row` for hard deletes
+ * @returns {Promise<void>}
+ */
+export async function dispatchChange(event) {
+  if (!event?.model || !hasModel(event.model)) return;
+
+  for (const [ws, own] of subscriptions) {
+    for (const subscription of own.values()) {
+      if (subscription.model !== event.model) continue;
+      if (subscription.recordId !== null && String(subscription.recordId) !== String(event.id)) continue;
+      if (!ws.auth || ws.readyState !== ws.OPEN) continue;
+
+      try {
+        const record = await readChangedRecord(ws, subscription, event);
+        if (record === undefined) continue;
+
+        ws.send(JSON.stringify(createEvent('change', {
+          subscriptionId: subscription.id,
+          model: event.model,
+          action: event.action,
+          id: event.id,
+          record
+        })));
+      } catch (error) {
+        logger.error(`Failed to deliver ${event.model} change to subscription ${subscription.id}:`, error);
+      }
+    }
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Danish translations (see lib/i18n.js)
+ */
+
+export default {
+    messages: {
+        'field.required': '{field} skal udfyldes.',
+        'field.string': '{field} skal være tekst.',
+        'field.maxLength': '{field} må højst være {length} tegn.',
+        'field.pattern': '{field} har ikke det krævede format.',
+        'field.integer': '{field} skal være et heltal.',
+        'field.bigint': '{field} skal være et heltal.',
+        'field.number': '{field} skal være et tal.',
+        'field.boolean': '{field} skal være ja eller nej.',
+        'field.date': '{field} skal være en gyldig dato.',
+        'field.timestamp': '{field} skal være et gyldigt tidspunkt.',
+        'field.computed': 'Beregnes og kan ikke angives',
+
+        'enum.invalid': 'Værdien "{value}" er ikke en af de tilladte: {options}',
+        'reference.invalid': '{field} skal være et gyldigt id.',
+        'number.pattern': 'Værdien "{value}" har ikke det krævede format for numre',
+        'money.invalid': '"{value}" er ikke et beløb',
+        'password.string': 'Adgangskoden skal være tekst',
+        'password.minLength': 'Adgangskoden skal være på mindst {length} tegn',
+        'password.special': 'Adgangskoden skal indeholde mindst ét specialtegn',
+        'password.number': 'Adgangskoden skal indeholde mindst ét tal',
+        'password.uppercase': 'Adgangskoden skal indeholde mindst ét stort bogstav',
+        'file.size': 'Filen ({size} bytes) er større end de tilladte {maxSize} bytes',
+        'file.type': 'Filtypen {type} er ikke tilladt. Tilladte typer: {types}',
+
+        'validation.field': "Feltet '{field}' i tabellen '{table}' er ugyldigt: {message}",
+        'validation.fields': "{count} felter i tabellen '{table}' er ugyldige: {messages}",
+        'validation.duplicate': 'Værdien findes allerede',
+
+        'numberSeries.missing': 'Nummerserien {code} findes ikke',
+        'numberSeries.counter': 'Skal indeholde tælleren, f.eks. {#####}',
+        'numberSeries.year': 'Skal indeholde {YYYY} eller {YY}, når tælleren starter forfra hvert år',
+        'currency.decimals': 'Skal være mellem 0 og 4',
+        'exchangeRate.rate': 'Skal være større end 0',
+        'exchangeRate.base': 'Basisvalutaen har ingen valutakurs',
+        'exchangeRate.missing': 'Ingen valutakurs for {currency} den {date}',
+    },
+
+    // Texts of the field templates, by field uid
+    fields: {
+        // BooleanField
+        '5f7a9d82-6b8e-4e2c-a6a0-5d4c8e3b7f1d': { Boolean: 'Ja/nej', Yes: 'Ja', No: 'Nej', Admin: 'Administrator', 'Regular User': 'Almindelig bruger' },
+        // EnumField
+        '7e3a9f82-5c8e-4d2c-b6a0-3e4c8e3b7f2d': {
+            Enum: 'Valg',
+            Male: 'Mand',
+            Female: 'Kvinde',
+            'Non-binary': 'Nonbinær',
+            'Prefer not to say': 'Ønsker ikke at oplyse',
+            person: 'Person',
+            company: 'Virksomhed',
+            service: 'Service',
+            system: 'System',
+            gapFree: 'Uden huller',
+            fast: 'Hurtig',
+        },
+        // PhoneField
+        '{2880f18c-87a7-4ca9-9029-64969bfb4335}': { 'Phone Number': 'Telefonnummer' },
+        // NumberField
+        '{12345678-9abc-def0-1234-56789abcdef0}': { Number: 'Nummer' },
+        // CountryField
+        '{a7e9d312-8f56-4b91-b954-c0e76c3d8e2f}': { Country: 'Land' },
+        // CurrencyCodeField
+        '{5d13e146-d027-47f7-90ce-771c67a67bd5}': { 'Currency Code': 'Valutakode' },
+        // MoneyField
+        '{d060bd4b-d843-4854-9286-ae271fb74ef7}': { Amount: 'Beløb' },
+        // FileBlobField, FileDiskField
+        '{d8e72a3f-7ab1-4e43-8ce5-c5a3d81b7e22}': { 'File Upload (Database)': 'Fil' },
+        '{e4f5a8b3-1c9d-4f67-8e25-b47d32a0c91f}': { 'File Upload (Disk)': 'Fil' },
+    },
+
+    // Captions and labels of the models' fields
+    models: {
+        Customer: {
+            number: 'Kundenr.',
+            name: 'Navn',
+            address: 'Adresse',
+            address2: 'Adresse 2',
+            age: 'Alder',
+            phone: 'Telefon',
+            zip: 'Postnr.',
+            email: 'E-mail',
+            country: 'Land',
+            gender: 'Køn',
+            logo: 'Firmalogo',
+            documentation: 'Dokumentation',
+            resourceCount: 'Ressourcer',
+        },
+        Country: { code: 'Landekode', name: 'Land' },
+        Resource: {
+            type: 'Ressourcetype',
+            name: 'Navn',
+            title: 'Titel',
+            number: 'Nr.',
+            email: 'E-mail',
+            phone: 'Telefon',
+            customer: 'Kunde',
+        },
+        BusinessUnit: { code: 'Forretningsenhedskode', name: 'Forretningsenhed' },
+        Currency: { code: 'Valutakode', name: 'Valuta', symbol: 'Symbol', decimals: 'Decimaler' },
+        ExchangeRate: { currency: 'Valuta', startingDate: 'Startdato', rate: 'Valutakurs' },
+        NumberSeries: {
+            code: 'Nummerseriekode',
+            description: 'Beskrivelse',
+            prefix: 'Præfiks',
+            pattern: 'Mønster',
+            nextValue: 'Næste nummer',
+            mode: 'Tildeling',
+            resetYearly: 'Start forfra hvert år',
+            year: 'År',
+        },
+        User: {
+            name: 'Fulde navn',
+            username: 'Brugernavn',
+            password: 'Adgangskode',
+            email: 'E-mailadresse',
+            isAdmin: 'Administrator',
+            lastLoginDate: 'Seneste login',
+            isActive: 'Aktiv',
+        },
+        Role: { code: 'Rollekode', name: 'Rolle' },
+        Permission: { code: 'Tilladelseskode', description: 'Beskrivelse' },
+    },
+};
@@ -0,0 +1,129 @@
+/**
+ * German translations (see lib/i18n.js)
+ */
+
+export default {
+    messages: {
+        'field.required': '{field} muss angegeben werden.',
+        'field.string': '{field} muss ein Text sein.',
+        'field.maxLength': '{field} darf höchstens {length} Zeichen lang sein.',
+        'field.pattern': '{field} hat nicht das erforderliche Format.',
+        'field.integer': '{field} muss eine ganze Zahl sein.',
+        'field.bigint': '{field} muss eine ganze Zahl sein.',
+        'field.number': '{field} muss eine Zahl sein.',
+        'field.boolean': '{field} muss Ja oder Nein sein.',
+        'field.date': '{field} muss ein gültiges Datum sein.',
+        'field.timestamp': '{field} muss ein gültiger Zeitpunkt sein.',
+        'field.computed': 'Wird berechnet und kann nicht gesetzt werden',
+
+        'enum.invalid': 'Der Wert "{value}" ist keine der zulässigen Optionen: {options}',
+        'reference.invalid': '{field} muss eine gültige ID sein.',
+        'number.pattern': 'Der Wert "{value}" hat nicht das erforderliche Format für Nummern',
+        'money.invalid': '"{value}" ist kein Betrag',
+        'password.string': 'Das Passwort muss ein Text sein',
+        'password.minLength': 'Das Passwort muss mindestens {length} Zeichen lang sein',
+        'password.special': 'Das Passwort muss mindestens ein Sonderzeichen enthalten',
+        'password.number': 'Das Passwort muss mindestens eine Ziffer enthalten',
+        'password.uppercase': 'Das Passwort muss mindestens einen Großbuchstaben enthalten',
+        'file.size': 'Die Datei ({size} Bytes) ist größer als die zulässigen {maxSize} Bytes',
+        'file.type': 'Der Dateityp {type} ist nicht zulässig. Zulässige Typen: {types}',
+
+        'validation.field': "Das Feld '{field}' in der Tabelle '{table}' ist ungültig: {message}",
+        'validation.fields': "{count} Felder in der Tabelle '{table}' sind ungültig: {messages}",
+        'validation.duplicate': 'Dieser Wert existiert bereits',
+
+        'numberSeries.missing': 'Die Nummernserie {code} existiert nicht',
+        'numberSeries.counter': 'Muss den Zähler enthalten, z. B. {#####}',
+        'numberSeries.year': 'Muss {YYYY} oder {YY} enthalten, wenn der Zähler jedes Jahr neu beginnt',
+        'currency.decimals': 'Muss zwischen 0 und 4 liegen',
+        'exchangeRate.rate': 'Muss größer als 0 sein',
+        'exchangeRate.base': 'Die Basiswährung hat keinen Wechselkurs',
+        'exchangeRate.missing': 'Kein Wechselkurs für {currency} am {date}',
+    },
+
+    // Texts of the field templates, by field uid
+    fields: {
+        // BooleanField
+        '5f7a9d82-6b8e-4e2c-a6a0-5d4c8e3b7f1d': { Boolean: 'Ja/Nein', Yes: 'Ja', No: 'Nein', Admin: 'Administrator', 'Regular User': 'Normaler Benutzer' },
+        // EnumField
+        '7e3a9f82-5c8e-4d2c-b6a0-3e4c8e3b7f2d': {
+            Enum: 'Auswahl',
+            Male: 'Männlich',
+            Female: 'Weiblich',
+            'Non-binary': 'Nichtbinär',
+            'Prefer not to say': 'Keine Angabe',
+            person: 'Person',
+            company: 'Unternehmen',
+            service: 'Dienstleistung',
+            system: 'System',
+            gapFree: 'Lückenlos',
+            fast: 'Schnell',
+        },
+        // PhoneField
+        '{2880f18c-87a7-4ca9-9029-64969bfb4335}': { 'Phone Number': 'Telefonnummer' },
+        // NumberField
+        '{12345678-9abc-def0-1234-56789abcdef0}': { Number: 'Nummer' },
+        // CountryField
+        '{a7e9d312-8f56-4b91-b954-c0e76c3d8e2f}': { Country: 'Land' },
+        // CurrencyCodeField
+        '{5d13e146-d027-47f7-90ce-771c67a67bd5}': { 'Currency Code': 'Währungscode' },
+        // MoneyField
+        '{d060bd4b-d843-4854-9286-ae271fb74ef7}': { Amount: 'Betrag' },
+        // FileBlobField, FileDiskField
+        '{d8e72a3f-7ab1-4e43-8ce5-c5a3d81b7e22}': { 'File Upload (Database)': 'Datei' },
+        '{e4f5a8b3-1c9d-4f67-8e25-b47d32a0c91f}': { 'File Upload (Disk)': 'Datei' },
+    },
+
+    // Captions and labels of the models' fields
+    models: {
+        Customer: {
+            number: 'Kundennr.',
+            name: 'Name',
+            address: 'Adresse',
+            address2: 'Adresse 2',
+            age: 'Alter',
+            phone: 'Telefon',
+            zip: 'PLZ',
+            email: 'E-Mail',
+            country: 'Land',
+            gender: 'Geschlecht',
+            logo: 'Firmenlogo',
+            documentation: 'Dokumentation',
+            resourceCount: 'Ressourcen',
+        },
+        Country: { code: 'Ländercode', name: 'Land' },
+        Resource: {
+            type: 'Ressourcenart',
+            name: 'Name',
+            title: 'Anrede',
+            number: 'Nr.',
+            email: 'E-Mail',
+            phone: 'Telefon',
+            customer: 'Kunde',
+        },
+        BusinessUnit: { code: 'Geschäftsbereichscode', name: 'Geschäftsbereich' },
+        Currency: { code: 'Währungscode', name: 'Währung', symbol: 'Symbol', decimals: 'Nachkommastellen' },
+        ExchangeRate: { currency: 'Währung', startingDate: 'Startdatum', rate: 'Wechselkurs' },
+        NumberSeries: {
+            code: 'Nummernseriencode',
+            description: 'Beschreibung',
+            prefix: 'Präfix',
+            pattern: 'Muster',
+            nextValue: 'Nächste Nummer',
+            mode: 'Vergabe',
+            resetYearly: 'Jährlich neu beginnen',
+            year: 'Jahr',
+        },
+        User: {
+            name: 'Vollständiger Name',
+            username: 'Benutzername',
+            password: 'Passwort',
+            email: 'E-Mail-Adresse',
+            isAdmin: 'Administrator',
+            lastLoginDate: 'Letzte Anmeldung',
+            isActive: 'Aktiv',
+        },
+        Role: { code: 'Rollencode', name: 'Rolle' },
+        Permission: { code: 'Berechtigungscode', description: 'Beschreibung' },
+    },
+};
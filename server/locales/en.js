@@ -0,0 +1,49 @@
+/**
+ * English messages (see lib/i18n.js).
+ * The source of every message: other catalogs fall back to these, and
+ * captions and labels are written in English in the code.
+ */
+
+export default {
+    messages: {
+        // Field.validate
+        'field.required': '{field} is required.',
+        'field.string': '{field} must be a string.',
+        'field.maxLength': '{field} exceeds the maximum length of {length}.',
+        'field.pattern': '{field} does not match the required pattern.',
+        'field.integer': '{field} must be an integer.',
+        'field.bigint': '{field} must be a bigint or integer.',
+        'field.number': '{field} must be a number.',
+        'field.boolean': '{field} must be a boolean.',
+        'field.date': '{field} must be a valid date.',
+        'field.timestamp': '{field} must be a valid timestamp.',
+        'field.computed': 'Is computed and cannot be set',
+
+        // Field templates
+        'enum.invalid': 'Value "{value}" is not in the allowed options: {options}',
+        'reference.invalid': '{field} must be a valid integer ID.',
+        'number.pattern': 'Value "{value}" does not match the required pattern for reference numbers',
+        'money.invalid': '"{value}" is not an amount',
+        'password.string': 'Password must be a string',
+        'password.minLength': 'Password must be at least {length} characters long',
+        'password.special': 'Password must contain at least one special character',
+        'password.number': 'Password must contain at least one number',
+        'password.uppercase': 'Password must contain at least one uppercase letter',
+        'file.size': 'File size ({size} bytes) exceeds maximum allowed size ({maxSize} bytes)',
+        'file.type': 'File type {type} is not allowed. Allowed types: {types}',
+
+        // Model.validate
+        'validation.field': "Validation failed for field '{field}' in table '{table}': {message}",
+        'validation.fields': "Validation failed for {count} fields in table '{table}': {messages}",
+        'validation.duplicate': 'This value already exists',
+
+        // Model validators
+        'numberSeries.missing': 'Number series {code} does not exist',
+        'numberSeries.counter': 'Must contain the counter, e.g. {#####}',
+        'numberSeries.year': 'Must contain {YYYY} or {YY} when the counter restarts every year',
+        'currency.decimals': 'Must be between 0 and 4',
+        'exchangeRate.rate': 'Must be greater than 0',
+        'exchangeRate.base': 'The base currency has no exchange rate',
+        'exchangeRate.missing': 'No exchange rate for {currency} on {date}',
+    },
+};
@@ -0,0 +1,92 @@
+// models/AuditEntry.js
+import Model from '../lib/orm/Model.js';
+import fields from './fields/index.js';
+
+/**
+ * Model class for AuditEntry.
+ * One entry per create, update, delete or restore of a record of an audited model
+ * (`static audited = true`), written by Model in the same transaction.
+ */
+class AuditEntry extends Model {
+    // The database table name for the model.
+    static tableName = 'audit_entries';
+    static uid = '{58c2f180-a943-478b-ab28-4361cd60750f}';
+
+    // Field definitions using domain-specific field templates.
+    static fields = {
+        model: new fields.String100({ required: true, caption: 'Model' }),
+        recordId: new fields.String50({ required: true, caption: 'Record ID' }),
+        action: new fields.EnumField({
+            caption: 'Action',
+            options: ['create', 'update', 'delete', 'restore'],
+            required: true
+        }),
+        // No foreign key: entries outlive users, and the development user has no row
+        userId: new fields.Field({ type: 'integer', caption: 'User ID', default: null }),
+        username: new fields.String250({ caption: 'Username' }),
+        // { field: { old, new } } for every changed field
+        changes: new fields.JsonField({ default: null }),
+        requestId: new fields.String100({ caption: 'Request ID' }),
+    };
+
+    // Entries are written by Model only; nobody edits the history.
+    static permissions = {
+        read: 'authenticated',
+        write: 'admin',
+    };
+
+    // No generic controller: the history is read through the Audit controller,
+    // which checks access to the audited record.
+    static controller = false;
+
+    // Define indexes for performance and uniqueness.
+    static indexes = [
+        { name: 'idx_audit_record', columns: ['model', 'recordId'] },
+        { name: 'idx_audit_user', columns: ['userId'] },
+    ];
+
+    /**
+     * Inserts audit entries without permission checks or hooks, so that users
+     * without write access to the history still get their changes recorded.
+     * @param {Object[]} entries - Entries with model, recordId, action, userId, username, changes and requestId
+     * @returns {Promise<void>}
+     */
+    static async record(entries) {
+        if (!entries.length) return;
+
+        const columns = ['model', 'recordId', 'action', 'userId', 'username', 'changes', 'requestId'];
+        const values = [];
+        const rows = entries.map(entry => {
+            const placeholders = columns.map(column => {
+                const value = entry[column];
+                values.push(column === 'changes' ? JSON.stringify(value ?? null) : value ?? null);
+                return `$${values.length}`;
+            });
+            return `(${placeholders.join(', ')})`;
+        });
+
+        await this.query(
+            `INSERT INTO ${this._quoteIdentifier(this.tableName)} (${columns.map(column => this._quoteIdentifier(column)).join(', ')})
+             VALUES ${rows.join(', ')}`,
+            values
+        );
+    }
+
+    /**
+     * Returns the history of a record, newest first
+     * @param {string} model - Model name
+     * @param {string|number} recordId - Primary key of the record
+     * @param {Object} [options={}] - `limit` and `offset`
+     * @returns {Promise<Object[]>} Audit entries
+     */
+    static async findForRecord(model, recordId, { limit = 50, offset = 0 } = {}) {
+        return this.find({
+            where: { model, recordId: String(recordId) },
+            orderBy: [{ column: 'createdAt', direction: 'DESC' }, { column: 'id', direction: 'DESC' }],
+            limit,
+            offset
+        });
+    }
+}
+
+export default AuditEntry;
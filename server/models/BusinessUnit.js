@@ -0,0 +1,96 @@
+// models/BusinessUnit.js
+import Model from '../lib/orm/Model.js';
+import fields from './fields/index.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Model class for BusinessUnit.
+ * Represents an organizational unit that users and resources are linked to.
+ */
+class BusinessUnit extends Model {
+    // The database table name for the model.
+    static tableName = 'business_units';
+    static uid = '{3a7124ff-e764-490c-bc48-23081c4fb09b}';
+
+    // Field definitions using domain-specific field templates.
+    static fields = {
+        code: new fields.Code10({ required: true, caption: 'Business Unit Code' }),
+        name: new fields.NameField({ required: true, caption: 'Business Unit Name' }),
+    };
+
+    // Links to users and resources through junction tables.
+    static associations = {
+        resources: {
+            type: 'belongsToMany',
+            model: 'Resource',
+            through: 'resource_business_units',
+            foreignKey: 'businessUnitId',
+            otherKey: 'resourceId'
+        },
+        users: {
+            type: 'belongsToMany',
+            model: 'User',
+            through: 'user_business_units',
+            foreignKey: 'businessUnitId',
+            otherKey: 'userId'
+        },
+    };
+
+    // Define indexes for performance and uniqueness.
+    static indexes = [
+        { name: 'idx_business_unit_code', columns: ['code'], unique: true },
+    ];
+
+    // --------------------------
+    // Hooks
+    // --------------------------
+
+    /**
+     * Hook executed before creating a new business unit.
+     * @param {Object} businessUnit - The business unit data.
+     * @returns {Object} The processed business unit data.
+     */
+    static async onBeforeCreate(businessUnit) {
+        return businessUnit;
+    }
+
+    /**
+     * Hook executed after a new business unit is created.
+     * @param {Object} businessUnit - The created business unit data.
+     */
+    static async onAfterCreate(businessUnit) {
+        logger.info(`Business unit created: ${businessUnit.name} (${businessUnit.id})`);
+    }
+
+    /**
+     * Hook executed before updating an existing business unit.
+     * @param {Object} businessUnit - The business unit data to update.
+     * @returns {Object} The processed business unit data.
+     */
+    static async onBeforeUpdate(businessUnit) {
+        return businessUnit;
+    }
+
+    /**
+     * Hook executed after a business unit is updated.
+     * @param {Object} businessUnit - The updated business unit data.
+     */
+    static async onAfterUpdate(businessUnit) {
+    }
+
+    /**
+     * Hook executed before deleting a business unit.
+     * @param {any} id - The identifier of the business unit to delete.
+     */
+    static async onBeforeDelete(id) {
+    }
+
+    /**
+     * Hook executed after a business unit is deleted.
+     * @param {Object} result - The result of the deletion operation.
+     */
+    static async onAfterDelete(result) {
+    }
+}
+
+export default BusinessUnit;
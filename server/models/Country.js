@@ -11,6 +11,7 @@ import logger from '../lib/logger.js';
 class Country extends Model {
     // The database table name for the model.
     static tableName = 'countries';
+    static uid = '{9a7e49c9-f4d0-41a1-a405-a5bb38d874e0}';
 
     // Field definitions using domain-specific field templates.
     static fields = {
@@ -0,0 +1,76 @@
+// models/Currency.js
+import Model from '../lib/orm/Model.js';
+import fields from './fields/index.js';
+import { t } from '../lib/i18n.js';
+
+/**
+ * Model class for Currency.
+ * The ISO 4217 currencies amounts can be kept in (see MoneyField and
+ * CurrencyCodeField). Their rates to the company's base currency are kept in
+ * ExchangeRate.
+ */
+class Currency extends Model {
+    // The database table name for the model.
+    static tableName = 'currencies';
+    static uid = '{599ccae3-d1cf-4ad1-825f-5ef6eec81c25}';
+
+    // Field definitions using domain-specific field templates.
+    static fields = {
+        code: new fields.CurrencyCodeField({ required: true, reference: false }),
+        name: new fields.String100({ required: true, caption: 'Currency Name' }),
+        symbol: new fields.String10({ caption: 'Symbol' }),
+        // Decimal places of amounts in the currency, e.g. 0 for JPY and 3 for KWD
+        decimals: new fields.Field({ type: 'integer', required: true, default: 2, caption: 'Decimal Places' }),
+    };
+
+    // Exchange rates of the currency, by currency code
+    static associations = {
+        rates: { type: 'hasMany', model: 'ExchangeRate', foreignKey: 'currency', sourceKey: 'code' },
+    };
+
+    // Everyone picks currencies; administrators maintain them.
+    static permissions = {
+        read: 'authenticated',
+        write: 'admin',
+    };
+
+    // Amounts are stored with 4 decimal places (see MoneyField)
+    static validators = [
+        ({ decimals }) => {
+            if (decimals !== undefined && decimals !== null && (decimals < 0 || decimals > 4)) {
+                return { decimals: t('currency.decimals') };
+            }
+        },
+    ];
+
+    static pages = {
+        list: {
+            caption: 'Currencies',
+            columns: ['code', 'name', 'symbol', 'decimals'],
+            orderBy: { column: 'code', direction: 'ASC' },
+        },
+        card: {
+            caption: 'Currency',
+            groups: [
+                { caption: 'General', fields: ['code', 'name', 'symbol', 'decimals'] },
+            ],
+        },
+    };
+
+    // Define indexes for performance and uniqueness; currency code fields reference the code.
+    static indexes = [
+        { name: 'idx_currency_code', columns: ['code'], unique: true },
+    ];
+
+    /**
+     * Returns the number of decimal places of a currency
+     * @param {string} code - ISO 4217 code
+     * @returns {Promise<number>} The decimal places, 2 for unknown currencies
+     */
+    static async getDecimals(code) {
+        const currency = await this.findOne({ where: { code: String(code).toUpperCase() } });
+        return currency ? Number(currency.decimals) : 2;
+    }
+}
+
+export default Currency;
@@ -1,6 +1,5 @@
 // models/Customer.js
 import Model from '../lib/orm/Model.js';
-import Log from './Log.js'; // Corrected import path
 import fields from './fields/index.js'; // Corrected import path
 import logger from '../lib/logger.js'; // Import the logger
 
@@ -10,9 +9,18 @@ import logger from '../lib/logger.js'; // Import the logger
 
 class Customer extends Model {
     static tableName = 'customers';
+    static uid = '{e672527f-747e-4623-a3cc-a172966bf1be}';
+
+    // Record every change in the audit trail (AuditEntry)
+    static audited = true;
+
+    static softDelete = true;
+    static versioned = true;
 
     // Use the domain‑specific field templates; you can override only `required` and `default`
     static fields = {
+        // Taken from the CUSTOMER number series when left empty
+        number: new fields.NumberField({ caption: 'Customer No.', numberSeries: 'CUSTOMER' }),
         name: new fields.NameField(),
         address: new fields.String250(),
         address2: new fields.String250(),
@@ -20,7 +28,14 @@ class Customer extends Model {
         phone: new fields.PhoneField(),
         zip: new fields.ZipField(),
         email: new fields.Email(),
-        country: new fields.CountryField(),
+        country: new fields.ReferenceField({
+            // The uid of the CountryField this column was created with
+            uid: '{a7e9d312-8f56-4b91-b954-c0e76c3d8e2f}',
+            model: 'Country',
+            caption: 'Country',
+            displayField: 'name',
+            onDelete: 'SET NULL'
+        }),
         gender: new fields.EnumField({
             caption: 'Gender',
             options: ['Male', 'Female', 'Non-binary', 'Prefer not to say'],
@@ -38,12 +53,47 @@ class Customer extends Model {
             maxSizeBytes: 10 * 1024 * 1024, // 10MB limit for disk storage
             preserveFilename: true
         }),
+        // Number of resources of the customer; not stored, counted when read
+        resourceCount: new fields.ComputedField({ caption: 'Resources', aggregate: 'count', association: 'resources' }),
+    };
+
+    // Resources that reference this customer through Resource.customer
+    static associations = {
+        resources: { type: 'hasMany', model: 'Resource', foreignKey: 'customer' },
+    };
+
+    static pages = {
+        list: {
+            caption: 'Customers',
+            columns: ['number', 'name', 'email', 'phone', 'country', 'resourceCount'],
+            filters: ['country', 'gender'],
+            orderBy: { column: 'name', direction: 'ASC' },
+        },
+        card: {
+            caption: 'Customer',
+            groups: [
+                { caption: 'General', fields: ['number', 'name', 'gender', 'age', 'resourceCount', 'logo'] },
+                { caption: 'Address', fields: ['address', 'address2', 'zip', 'country'] },
+                { caption: 'Communication', fields: ['email', 'phone'] },
+                { caption: 'Documents', fields: ['documentation'] },
+            ],
+            actions: [
+                { name: 'history', caption: 'Change History', controller: 'Audit', action: 'history' },
+            ],
+        },
+    };
+
+    static searchable = {
+        fields: { number: 'A', name: 'A', email: 'B', phone: 'B' },
+        fuzzy: ['name', 'email'],
+        title: 'name',
     };
 
     // Optionally add renameMap, indexes, etc.
 
     static indexes = [
         { name: 'idx_name', columns: ['name'], unique: true }, // Unique index on name
+        { name: 'idx_customer_number', columns: ['number'], unique: true },
         { name: 'idx_zip', columns: ['zip'], unique: false }, // Non-unique index on zip
     ];
 
@@ -58,12 +108,6 @@ class Customer extends Model {
 
     static async onAfterCreate(customer) {
         logger.model('afterCreate', 'Customer', customer);
-
-        // Add a log entry
-        //let a = models
-        await Log.create({ path: '/customers', data: customer });
-
-        
     }
 
     static async onBeforeUpdate(customer) {
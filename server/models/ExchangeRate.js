@@ -0,0 +1,131 @@
+// models/ExchangeRate.js
+import Model from '../lib/orm/Model.js';
+import Currency from './Currency.js';
+import fields from './fields/index.js';
+import { NotFoundError } from '../lib/errors.js';
+import { getBaseCurrency, roundAmount } from '../lib/money.js';
+import { t } from '../lib/i18n.js';
+
+/**
+ * Returns a date as 'YYYY-MM-DD'; rates apply from a calendar day on
+ * @param {Date|string} date - The date
+ * @returns {string} The day
+ */
+function toDay(date) {
+    if (typeof date === 'string') return date.slice(0, 10);
+    const day = new Date(date);
+    return [
+        day.getFullYear(),
+        String(day.getMonth() + 1).padStart(2, '0'),
+        String(day.getDate()).padStart(2, '0'),
+    ].join('-');
+}
+
+/**
+ * Model class for ExchangeRate.
+ * A rate is the amount of the base currency (BASE_CURRENCY) one unit of a
+ * currency is worth, from its starting date until the next rate of the
+ * currency. Amounts are converted between two other currencies through the
+ * base currency.
+ */
+class ExchangeRate extends Model {
+    // The database table name for the model.
+    static tableName = 'exchange_rates';
+    static uid = '{ad7bb8c1-67c8-4621-b17d-e5e11d25c97c}';
+
+    // Field definitions using domain-specific field templates.
+    static fields = {
+        currency: new fields.CurrencyCodeField({ required: true, onDelete: 'CASCADE' }),
+        startingDate: new fields.Field({ type: 'date', required: true, caption: 'Starting Date' }),
+        rate: new fields.Field({ type: 'numeric', precision: 18, scale: 6, required: true, caption: 'Exchange Rate' }),
+    };
+
+    // Everyone converts amounts; administrators maintain the rates.
+    static permissions = {
+        read: 'authenticated',
+        write: 'admin',
+    };
+
+    static validators = [
+        ({ rate }) => {
+            if (rate !== undefined && rate !== null && !(Number(rate) > 0)) return { rate: t('exchangeRate.rate') };
+        },
+        ({ currency }) => {
+            if (currency === getBaseCurrency()) return { currency: t('exchangeRate.base') };
+        },
+    ];
+
+    static pages = {
+        list: {
+            caption: 'Exchange Rates',
+            columns: ['currency', 'startingDate', 'rate'],
+            filters: ['currency'],
+            orderBy: { column: 'startingDate', direction: 'DESC' },
+        },
+        card: {
+            caption: 'Exchange Rate',
+            groups: [
+                { caption: 'General', fields: ['currency', 'startingDate', 'rate'] },
+            ],
+        },
+    };
+
+    // One rate per currency and day
+    static indexes = [
+        { name: 'idx_exchange_rate_currency_date', columns: ['currency', 'startingDate'], unique: true },
+    ];
+
+    /**
+     * Returns the rate of a currency on a date: the latest rate starting on or before it
+     * @param {string} currency - ISO 4217 code
+     * @param {Date|string} [date=new Date()] - The date
+     * @returns {Promise<number>} Amount of the base currency one unit is worth; 1 for the base currency
+     * @throws {NotFoundError} If the currency has no rate on the date
+     */
+    static async getRate(currency, date = new Date()) {
+        const code = String(currency).toUpperCase();
+        if (code === getBaseCurrency()) return 1;
+
+        const day = toDay(date);
+        const [rate] = await this.find({
+            where: { currency: code, startingDate: { operator: '<=', value: day } },
+            orderBy: { column: 'startingDate', direction: 'DESC' },
+            limit: 1,
+        });
+        if (!rate) {
+            throw new NotFoundError(t('exchangeRate.missing', { currency: code, date: day }), { currency: code, date: day });
+        }
+        return Number(rate.rate);
+    }
+
+    /**
+     * Converts an amount between currencies at the rates of a date, rounded to
+     * the decimal places of the target currency
+     * @param {number} amount - The amount
+     * @param {string} from - Currency of the amount
+     * @param {string} [to] - Currency to convert to, defaults to the base currency
+     * @param {Date|string} [date=new Date()] - The date of the rates
+     * @returns {Promise<number|null>} The converted amount
+     */
+    static async convert(amount, from, to = getBaseCurrency(), date = new Date()) {
+        if (amount === null || amount === undefined) return null;
+
+        const fromRate = await this.getRate(from, date);
+        const toRate = await this.getRate(to, date);
+        const decimals = await Currency.getDecimals(to);
+        return roundAmount((Number(amount) * fromRate) / toRate, decimals);
+    }
+
+    /**
+     * Converts an amount to the base currency
+     * @param {number} amount - The amount
+     * @param {string} currency - Currency of the amount
+     * @param {Date|string} [date=new Date()] - The date of the rate
+     * @returns {Promise<number|null>} The amount in the base currency
+     */
+    static async toBase(amount, currency, date = new Date()) {
+        return this.convert(amount, currency, getBaseCurrency(), date);
+    }
+}
+
+export default ExchangeRate;
@@ -5,12 +5,19 @@ import logger from '../lib/logger.js';
 
 class Log extends Model {
     static tableName = 'logs';
+    static uid = '{138512fb-9db7-4010-a853-aa4f0c481133}';
 
     static fields = {
         path: new fields.PathField(),
         data: new fields.JsonField(),
     };
 
+    // Access rules: logs can contain internals, so only administrators see them.
+    static permissions = {
+        read: 'admin',
+        write: 'admin',
+    };
+
     static indexes = [
     ];
 
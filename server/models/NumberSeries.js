@@ -0,0 +1,156 @@
+// models/NumberSeries.js
+import Model from '../lib/orm/Model.js';
+import pool from '../config/db.js';
+import { asyncLocalStorage } from '../lib/orm/asyncContext.js';
+import fields from './fields/index.js';
+import { t } from '../lib/i18n.js';
+
+// Placeholders of a pattern: {PREFIX}, {YYYY}, {YY}, {MM} and {#####} (the
+// counter, zero-padded to the number of #)
+const PATTERN_TOKEN = /\{(PREFIX|YYYY|YY|MM|#+)\}/g;
+
+/**
+ * Model class for NumberSeries.
+ * A series hands out the numbers of documents and master data, such as
+ * 'CUST-2024-00042'. Fields declared with `numberSeries: 'CUSTOMER'` are filled
+ * from the series with that code when a record is created without a value.
+ */
+class NumberSeries extends Model {
+    // The database table name for the model.
+    static tableName = 'number_series';
+    static uid = '{3c5b8f2e-71a4-4d09-b6e3-9f0d2a8c4e17}';
+
+    // Field definitions using domain-specific field templates.
+    static fields = {
+        code: new fields.String20({ required: true, caption: 'Series Code' }),
+        description: new fields.String100({ caption: 'Description' }),
+        prefix: new fields.String20({ caption: 'Prefix' }),
+        pattern: new fields.String50({ required: true, default: '{PREFIX}{#####}', caption: 'Pattern' }),
+        nextValue: new fields.Field({ type: 'integer', required: true, default: 1, caption: 'Next Value' }),
+        // gapFree: numbers are taken in the transaction of the create, which holds
+        // the series until it commits; a rolled back create gives its number back.
+        // fast: numbers are taken right away, so creates don't wait for each other,
+        // but a failed create leaves a gap.
+        mode: new fields.EnumField({ options: ['gapFree', 'fast'], default: 'gapFree', caption: 'Mode' }),
+        resetYearly: new fields.BooleanField({ caption: 'Restart Every Year' }),
+        // Year of the last number handed out, to restart the counter in a new year
+        year: new fields.Field({ type: 'integer', caption: 'Year', default: null }),
+    };
+
+    // Series are set up by administrators.
+    static permissions = {
+        read: 'admin',
+        write: 'admin',
+    };
+
+    // A pattern needs the counter, and a yearly counter needs the year to keep numbers unique.
+    static validators = [
+        ({ pattern, resetYearly }) => {
+            if (!pattern) return;
+            if (!/\{#+\}/.test(pattern)) return { pattern: t('numberSeries.counter') };
+            if (resetYearly && !/\{YY(YY)?\}/.test(pattern)) return { pattern: t('numberSeries.year') };
+        },
+    ];
+
+    static pages = {
+        list: {
+            caption: 'Number Series',
+            columns: ['code', 'description', 'pattern', 'nextValue', 'mode'],
+            orderBy: { column: 'code', direction: 'ASC' },
+        },
+        card: {
+            caption: 'Number Series',
+            groups: [
+                { caption: 'General', fields: ['code', 'description'] },
+                { caption: 'Numbering', fields: ['prefix', 'pattern', 'nextValue', 'mode', 'resetYearly', 'year'] },
+            ],
+        },
+    };
+
+    // Define indexes for performance and uniqueness.
+    static indexes = [
+        { name: 'idx_number_series_code', columns: ['code'], unique: true },
+    ];
+
+    /**
+     * Formats a number of a series
+     * @param {Object} series - The series, with its prefix and pattern
+     * @param {number} value - The counter value
+     * @param {Date} [date=new Date()] - Date the number is taken on
+     * @returns {string} The number, e.g. 'CUST-2024-00042'
+     */
+    static format({ prefix, pattern }, value, date = new Date()) {
+        return pattern.replace(PATTERN_TOKEN, (token, name) => {
+            switch (name) {
+                case 'PREFIX': return prefix || '';
+                case 'YYYY': return String(date.getFullYear());
+                case 'YY': return String(date.getFullYear()).slice(-2);
+                case 'MM': return String(date.getMonth() + 1).padStart(2, '0');
+                default: return String(value).padStart(name.length, '0');
+            }
+        });
+    }
+
+    /**
+     * Takes the next number of a series.
+     * The series row is locked while its counter is advanced, so concurrent
+     * requests never get the same number. Gap-free series are advanced in the
+     * current transaction; fast series, and calls outside a transaction, in one
+     * of their own.
+     * @param {string} code - Code of the series
+     * @param {Date} [date=new Date()] - Date the number is taken on
+     * @returns {Promise<string>} The formatted number
+     * @throws {Error} If there is no series with the code
+     */
+    static async next(code, date = new Date()) {
+        const [series] = await this.query(
+            `SELECT "mode" FROM ${this._quoteIdentifier(this.tableName)} WHERE "code" = $1`,
+            [code]
+        );
+        if (!series) {
+            throw new Error(t('numberSeries.missing', { code }));
+        }
+
+        const store = asyncLocalStorage.getStore();
+        if (series.mode !== 'fast' && store?.client) {
+            return this._take(code, date);
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const number = await asyncLocalStorage.run({ ...store, client }, () => this._take(code, date));
+            await client.query('COMMIT');
+            return number;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Locks a series and advances its counter, within the current transaction
+     * @param {string} code - Code of the series
+     * @param {Date} date - Date the number is taken on
+     * @returns {Promise<string>} The formatted number
+     * @private
+     */
+    static async _take(code, date) {
+        const table = this._quoteIdentifier(this.tableName);
+        const [series] = await this.query(`SELECT * FROM ${table} WHERE "code" = $1 FOR UPDATE`, [code]);
+
+        const year = date.getFullYear();
+        const restart = series.resetYearly && series.year != null && Number(series.year) !== year;
+        const value = restart ? 1 : Number(series.nextValue);
+
+        await this.query(
+            `UPDATE ${table} SET "nextValue" = $1, "year" = $2, "updatedAt" = NOW() WHERE "id" = $3`,
+            [value + 1, year, series.id]
+        );
+        return this.format(series, value, date);
+    }
+}
+
+export default NumberSeries;
@@ -0,0 +1,57 @@
+// models/Permission.js
+import Model from '../lib/orm/Model.js';
+import fields from './fields/index.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Model class for Permission.
+ * A permission is identified by a code such as 'Resource.update', matching the
+ * codes controllers and models declare in their `static permissions`.
+ * A code of 'Resource.*' grants every Resource permission.
+ */
+class Permission extends Model {
+    // The database table name for the model.
+    static tableName = 'permissions';
+    static uid = '{01450c9b-bb93-4866-9e67-741a3153f48e}';
+
+    // Field definitions using domain-specific field templates.
+    static fields = {
+        code: new fields.String100({ required: true, caption: 'Permission Code' }),
+        description: new fields.String250({ caption: 'Description' }),
+    };
+
+    // Roles granting the permission.
+    static associations = {
+        roles: {
+            type: 'belongsToMany',
+            model: 'Role',
+            through: 'role_permissions',
+            foreignKey: 'permissionId',
+            otherKey: 'roleId'
+        },
+    };
+
+    // Only administrators manage permissions.
+    static permissions = {
+        write: 'admin',
+    };
+
+    // Define indexes for performance and uniqueness.
+    static indexes = [
+        { name: 'idx_permission_code', columns: ['code'], unique: true },
+    ];
+
+    // --------------------------
+    // Hooks
+    // --------------------------
+
+    /**
+     * Hook executed after a new permission is created.
+     * @param {Object} permission - The created permission data.
+     */
+    static async onAfterCreate(permission) {
+        logger.info(`Permission created: ${permission.code}`);
+    }
+}
+
+export default Permission;
@@ -11,6 +11,10 @@ import fields from './fields/index.js';
 class Resource extends Model {
     // The database table name for the model.
     static tableName = 'resources';
+    static uid = '{d169a870-3683-4dd7-8061-bd612fbb2b56}';
+
+    static softDelete = true;
+    static versioned = true;
 
     // Field definitions using domain-specific field templates.
     static fields = {
@@ -30,21 +34,72 @@ class Resource extends Model {
         // Title or prefix (Mr., Mrs., Dr., etc.)
         title: new fields.String20({ caption: 'Title' }),
         
-        // Reference number or identifier
-        number: new fields.NumberField(),
+        // Reference number, taken from the RESOURCE number series when left empty
+        number: new fields.NumberField({ numberSeries: 'RESOURCE' }),
         
         // Email address
         email: new fields.Email(),
         
         // Phone number
-        phone: new fields.PhoneField()
+        phone: new fields.PhoneField(),
+
+        // Customer the resource belongs to (optional)
+        customer: new fields.ReferenceField({
+            uid: '{6b0d3f52-94c1-4a7e-b8d2-1e5f7c3a9d04}',
+            model: 'Customer',
+            caption: 'Customer',
+            onDelete: 'SET NULL'
+        })
+    };
+
+    // Business units the resource is assigned to.
+    static associations = {
+        businessUnits: {
+            type: 'belongsToMany',
+            model: 'BusinessUnit',
+            through: 'resource_business_units',
+            foreignKey: 'resourceId',
+            otherKey: 'businessUnitId'
+        }
+    };
+
+    // Access rules with the codes the Resource controller requires, so that
+    // includes, aggregates and search of other models apply them too
+    static permissions = {
+        read: 'Resource.read',
+        create: 'Resource.create',
+        update: 'Resource.update',
+        delete: 'Resource.delete',
+    };
+
+    static pages = {
+        list: {
+            caption: 'Resources',
+            columns: ['type', 'name', 'number', 'email', 'phone', 'customer'],
+            filters: ['type', 'customer'],
+            orderBy: { column: 'name', direction: 'ASC' },
+        },
+        card: {
+            caption: 'Resource',
+            groups: [
+                { caption: 'General', fields: ['type', 'title', 'name', 'number', 'customer'] },
+                { caption: 'Communication', fields: ['email', 'phone'] },
+            ],
+        },
+    };
+
+    static searchable = {
+        fields: { name: 'A', number: 'A', email: 'B', phone: 'B' },
+        fuzzy: ['name', 'email'],
+        title: 'name',
     };
 
     // Define indexes for performance and uniqueness.
     static indexes = [
         { name: 'idx_resource_type', columns: ['type'], unique: false },
         { name: 'idx_resource_name', columns: ['name'], unique: false },
-        { name: 'idx_resource_email', columns: ['email'], unique: false }
+        { name: 'idx_resource_email', columns: ['email'], unique: false },
+        { name: 'idx_resource_customer', columns: ['customer'], unique: false }
     ];
 
     // --------------------------
@@ -0,0 +1,70 @@
+// models/Role.js
+import Model from '../lib/orm/Model.js';
+import fields from './fields/index.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Model class for Role.
+ * A role bundles permissions; users are granted permissions through their roles.
+ */
+class Role extends Model {
+    // The database table name for the model.
+    static tableName = 'roles';
+    static uid = '{77ea180e-93f0-4428-9d9f-391051082b82}';
+
+    // Field definitions using domain-specific field templates.
+    static fields = {
+        code: new fields.Code10({ required: true, caption: 'Role Code' }),
+        name: new fields.NameField({ required: true, caption: 'Role Name' }),
+    };
+
+    // Permissions of the role and the users holding it.
+    static associations = {
+        permissions: {
+            type: 'belongsToMany',
+            model: 'Permission',
+            through: 'role_permissions',
+            foreignKey: 'roleId',
+            otherKey: 'permissionId'
+        },
+        users: {
+            type: 'belongsToMany',
+            model: 'User',
+            through: 'user_roles',
+            foreignKey: 'roleId',
+            otherKey: 'userId'
+        },
+    };
+
+    // Only administrators manage roles.
+    static permissions = {
+        write: 'admin',
+    };
+
+    // Define indexes for performance and uniqueness.
+    static indexes = [
+        { name: 'idx_role_code', columns: ['code'], unique: true },
+    ];
+
+    // --------------------------
+    // Hooks
+    // --------------------------
+
+    /**
+     * Hook executed after a new role is created.
+     * @param {Object} role - The created role data.
+     */
+    static async onAfterCreate(role) {
+        logger.info(`Role created: ${role.code} (${role.id})`);
+    }
+
+    /**
+     * Hook executed before deleting a role.
+     * @param {any} id - The identifier of the role to delete.
+     */
+    static async onBeforeDelete(id) {
+        logger.info(`Deleting role with ID: ${id}`);
+    }
+}
+
+export default Role;
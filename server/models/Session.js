@@ -0,0 +1,199 @@
+// models/Session.js
+import crypto from 'crypto';
+import Model from '../lib/orm/Model.js';
+import fields from './fields/index.js';
+import logger from '../lib/logger.js';
+
+// Lifetime of a refresh token; every rotation starts a new period
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Model class for Session.
+ * A session is created on login and holds the (hashed) refresh token of one device.
+ * Access tokens carry the session id, so revoking the session invalidates them too.
+ */
+class Session extends Model {
+    // The database table name for the model.
+    static tableName = 'sessions';
+    static uid = '{aa93e987-fa68-4e0d-98cf-8321c3b7386f}';
+
+    // Field definitions using domain-specific field templates.
+    static fields = {
+        user: new fields.ReferenceField({
+            uid: '{c2e84a19-5f3b-4d67-9a0e-8b71d4f26c35}',
+            model: 'User',
+            caption: 'User',
+            displayField: 'username',
+            required: true,
+            onDelete: 'CASCADE'
+        }),
+        // SHA-256 of the current refresh token; the token itself is never stored
+        refreshTokenHash: new fields.String100({ required: true, caption: 'Refresh Token Hash' }),
+        // Hash of the token replaced by the last rotation, used to detect reuse
+        previousTokenHash: new fields.String100({ caption: 'Previous Token Hash' }),
+        userAgent: new fields.String250({ caption: 'Device' }),
+        ipAddress: new fields.String50({ caption: 'IP Address' }),
+        expiresAt: new fields.Field({ type: 'timestamp', caption: 'Expires At', required: true }),
+        lastUsedAt: new fields.Field({ type: 'timestamp', caption: 'Last Used At', default: null }),
+        revokedAt: new fields.Field({ type: 'timestamp', caption: 'Revoked At', default: null }),
+    };
+
+    // Sessions are managed by administrators; users only see their own.
+    static permissions = {
+        read: 'authenticated',
+        write: 'admin',
+        rows: (user) => ({ user: user.id }),
+    };
+
+    // Token hashes are never shown
+    static pages = {
+        list: {
+            caption: 'Sessions',
+            columns: ['user', 'userAgent', 'ipAddress', 'lastUsedAt', 'expiresAt', 'revokedAt'],
+            orderBy: { column: 'lastUsedAt', direction: 'DESC' },
+        },
+        card: {
+            caption: 'Session',
+            groups: [
+                { caption: 'General', fields: ['user', 'userAgent', 'ipAddress'] },
+                { caption: 'Validity', fields: ['createdAt', 'lastUsedAt', 'expiresAt', 'revokedAt'] },
+            ],
+        },
+    };
+
+    // Define indexes for performance and uniqueness.
+    static indexes = [
+        { name: 'idx_session_token', columns: ['refreshTokenHash'], unique: true },
+        { name: 'idx_session_previous_token', columns: ['previousTokenHash'] },
+        { name: 'idx_session_user', columns: ['user'] },
+    ];
+
+    /**
+     * Hashes a refresh token for storage and lookup
+     * @param {string} token - The refresh token
+     * @returns {string} Hex encoded SHA-256 hash
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    /**
+     * Whether a session can still be used
+     * @param {Object} session - The session record
+     * @returns {boolean} True if not revoked and not expired
+     */
+    static isActive(session) {
+        return !!session && !session.revokedAt && new Date(session.expiresAt) > new Date();
+    }
+
+    /**
+     * Starts a session for a user
+     * @param {number} userId - The user logging in
+     * @param {Object} [device={}] - Client information
+     * @param {string} [device.userAgent] - User agent of the client
+     * @param {string} [device.ipAddress] - Remote address of the client
+     * @returns {Promise<{ session: Object, refreshToken: string }>} The session and its refresh token
+     */
+    static async start(userId, { userAgent, ipAddress } = {}) {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const now = new Date();
+
+        const session = await this.create({
+            user: userId,
+            refreshTokenHash: this.hashToken(refreshToken),
+            userAgent: userAgent ? String(userAgent).slice(0, 250) : null,
+            ipAddress: ipAddress ? String(ipAddress).slice(0, 50) : null,
+            expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+            lastUsedAt: now,
+        });
+
+        return { session, refreshToken };
+    }
+
+    /**
+     * Finds the session a refresh token belongs to.
+     * Presenting a token that was already rotated away means it leaked; the whole
+     * session is revoked and null is returned.
+     * @param {string} refreshToken - The refresh token
+     * @returns {Promise<Object|null>} The active session or null
+     */
+    static async findByRefreshToken(refreshToken) {
+        if (!refreshToken) return null;
+        const hash = this.hashToken(refreshToken);
+
+        const session = await this.findOne({ where: { refreshTokenHash: hash } });
+        if (session) {
+            return this.isActive(session) ? session : null;
+        }
+
+        const reused = await this.findOne({ where: { previousTokenHash: hash } });
+        if (reused && !reused.revokedAt) {
+            logger.warn(`Refresh token reuse detected for session ${reused.id}; revoking session`);
+            await this.revoke(reused.id);
+        }
+        return null;
+    }
+
+    /**
+     * Replaces the refresh token of a session and extends its lifetime
+     * @param {Object} session - The session being refreshed
+     * @returns {Promise<{ session: Object, refreshToken: string }>} The updated session and the new token
+     */
+    static async rotate(session) {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const now = new Date();
+
+        const updated = await this.update(session.id, {
+            refreshTokenHash: this.hashToken(refreshToken),
+            previousTokenHash: session.refreshTokenHash,
+            expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+            lastUsedAt: now,
+        });
+
+        return { session: updated, refreshToken };
+    }
+
+    /**
+     * Revokes a session
+     * @param {number} id - The session id
+     * @returns {Promise<number>} Number of sessions revoked (0 or 1)
+     */
+    static async revoke(id) {
+        const revoked = await this.updateBatch({
+            where: { id, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+        return revoked.length;
+    }
+
+    /**
+     * Revokes every active session of a user
+     * @param {number} userId - The user
+     * @returns {Promise<number>} Number of sessions revoked
+     */
+    static async revokeAllForUser(userId) {
+        const revoked = await this.updateBatch({
+            where: { user: userId, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+        return revoked.length;
+    }
+
+    /**
+     * Lists the sessions of a user that can still be used
+     * @param {number} userId - The user
+     * @returns {Promise<Object[]>} Active sessions, most recently used first
+     */
+    static async findActiveForUser(userId) {
+        return this.find({
+            where: {
+                user: userId,
+                revokedAt: null,
+                expiresAt: { operator: '>', value: new Date() }
+            },
+            orderBy: { column: 'lastUsedAt', direction: 'DESC' }
+        });
+    }
+}
+
+export default Session;
@@ -9,6 +9,7 @@ import fields from './fields/index.js';
 class User extends Model {
     // The database table name for the model.
     static tableName = 'users';
+    static uid = '{10ce760e-78d3-4138-9f63-47c7289f171d}';
 
     // Field definitions using domain-specific field templates.
     static fields = {
@@ -48,6 +49,35 @@ class User extends Model {
         
     };
 
+    // Business units the user belongs to.
+    static associations = {
+        businessUnits: {
+            type: 'belongsToMany',
+            model: 'BusinessUnit',
+            through: 'user_business_units',
+            foreignKey: 'userId',
+            otherKey: 'businessUnitId'
+        },
+        roles: {
+            type: 'belongsToMany',
+            model: 'Role',
+            through: 'user_roles',
+            foreignKey: 'userId',
+            otherKey: 'roleId'
+        }
+    };
+
+    // Access rules: users are managed by administrators, who alone can grant or
+    // revoke administrator rights. Other users only see their own record.
+    static permissions = {
+        read: 'authenticated',
+        write: 'admin',
+        rows: (user) => ({ id: user.id }),
+        fields: {
+            isAdmin: { write: 'admin' },
+        }
+    };
+
     // Define indexes for performance and uniqueness.
     static indexes = [
         { name: 'idx_username', columns: ['username'], unique: true },
@@ -111,6 +141,35 @@ class User extends Model {
         return result;
     }
 
+    /**
+     * Loads a user with the stored password hash, which regular finds mask.
+     * Only meant for credential checks.
+     * @param {string} username - The username to look up
+     * @returns {Promise<Object|null>} The user row including `password`, or null
+     */
+    static async findWithPasswordHash(username) {
+        const rows = await this.query(
+            `SELECT * FROM ${this._quoteIdentifier(this.tableName)} WHERE "username" = $1 LIMIT 1`,
+            [username]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Stores a password hash made by PasswordField.hashPassword(). The password
+     * field hashes whatever it is given, so hashes are written here instead.
+     * Only meant for upgrading outdated hashes after a successful login.
+     * @param {number|string} id - The ID of the user
+     * @param {string} hash - The new hash
+     * @returns {Promise<void>}
+     */
+    static async setPasswordHash(id, hash) {
+        await this.query(
+            `UPDATE ${this._quoteIdentifier(this.tableName)} SET "password" = $1 WHERE "id" = $2`,
+            [hash, id]
+        );
+    }
+
     /**
      * Update the last login timestamp for a user
      * @param {number|string} userId - The ID of the user to update
@@ -1,4 +1,5 @@
 import Field from '../../lib/orm/Field.js';
+import { translateText } from '../../lib/i18n.js';
 
 /**
  * A specialized field class for storing boolean values.
@@ -91,6 +92,7 @@ class BooleanField extends Field {
     /**
      * Gets rich display information for the boolean value.
      * This method can be called when display formatting is needed.
+     * The display text is in the locale of the request.
      * 
      * @param {boolean} value - The boolean value to format.
      * @returns {Object} An object containing value, display text, and raw value.
@@ -98,10 +100,28 @@ class BooleanField extends Field {
     getDisplayInfo(value) {
         return {
             value: value === true,
-            display: value === true ? this._trueLabel : this._falseLabel,
+            display: translateText(this, value === true ? this._trueLabel : this._falseLabel),
             raw: value
         };
     }
+
+    /**
+     * Gets the labels shown for true and false values (untranslated).
+     * 
+     * @returns {{ trueLabel: string, falseLabel: string }} The labels.
+     */
+    getLabels() {
+        return { trueLabel: this._trueLabel, falseLabel: this._falseLabel };
+    }
+
+    /**
+     * Describes the field for clients, including the labels of true and false.
+     *
+     * @returns {Object} Field description.
+     */
+    describe() {
+        return { ...super.describe(), ...this.getLabels() };
+    }
 }
 
 export default BooleanField; 
\ No newline at end of file
@@ -8,6 +8,7 @@ import Field from '../../lib/orm/Field.js';
  * @param {boolean} [options.required=false] - Whether the field is required.
  * @param {string} [options.default] - Default value if none is provided.
  * @param {string} [options.caption] - Caption for the field.
+ * @param {string} [options.numberSeries] - Code of the NumberSeries that fills the field on create.
  */
 class Code10Field extends Field {
     constructor(options = {}) {
@@ -24,6 +25,7 @@ class Code10Field extends Field {
             required: options.required,
             default: options.default,
             caption: options.caption, // This allows the caption to be overridden.
+            numberSeries: options.numberSeries,
         };
 
         // Field documentation provides metadata about the field.
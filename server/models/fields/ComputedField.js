@@ -0,0 +1,113 @@
+import Field from '../../lib/orm/Field.js';
+
+// Aggregates over related records, and the type of their result
+const AGGREGATE_TYPES = {
+    count: 'integer',
+    sum: 'numeric',
+    min: 'numeric',
+    max: 'numeric',
+    exists: 'boolean',
+};
+
+/**
+ * A field whose value is derived instead of stored (a FlowField). It has no
+ * column; the value is either computed in JavaScript from the other values of
+ * the record, or aggregated in SQL over related records.
+ *
+ * Aggregate fields are computed by Model.find with a correlated subquery when
+ * they are selected or requested with the `computed` option, and can be used
+ * in where and orderBy like any other column.
+ *
+ * @example
+ * resourceCount: new fields.ComputedField({ caption: 'Resources', aggregate: 'count', association: 'resources' }),
+ * openAmount: new fields.ComputedField({
+ *     caption: 'Open Amount', aggregate: 'sum', model: 'Invoice', foreignKey: 'customer',
+ *     field: 'amount', where: { status: 'open' },
+ * }),
+ * fullName: new fields.ComputedField({ caption: 'Full Name', compute: ({ firstName, lastName }) => `${firstName} ${lastName}` }),
+ *
+ * @param {Object} options - Configuration options.
+ * @param {string} [options.caption='Computed'] - Caption for the field.
+ * @param {string} [options.type] - Type of the value; defaults to the type of the aggregate, or 'string'.
+ * @param {function} [options.compute] - Computes the value from the record (with onGet applied).
+ * @param {string} [options.aggregate] - 'count', 'sum', 'min', 'max' or 'exists'.
+ * @param {string} [options.association] - hasMany or belongsToMany association to aggregate over.
+ * @param {string} [options.model] - Model to aggregate over, instead of an association.
+ * @param {string} [options.foreignKey] - Field of `model` pointing to this record; defaults to its reference field to this model.
+ * @param {string} [options.field] - Field to sum, min or max.
+ * @param {Object} [options.where] - Conditions on the related records, in the syntax of Model.find.
+ */
+class ComputedField extends Field {
+    constructor(options = {}) {
+        const { aggregate, compute } = options;
+
+        if (aggregate && compute) {
+            throw new Error('A computed field has either an aggregate or a compute function, not both');
+        }
+        if (aggregate && !AGGREGATE_TYPES[aggregate]) {
+            throw new Error(`Invalid aggregate '${aggregate}', expected one of: ${Object.keys(AGGREGATE_TYPES).join(', ')}`);
+        }
+        if (['sum', 'min', 'max'].includes(aggregate) && !options.field) {
+            throw new Error(`The ${aggregate} aggregate needs the field to aggregate`);
+        }
+        if (aggregate && !options.association && !options.model) {
+            throw new Error(`The ${aggregate} aggregate needs an association or a model`);
+        }
+
+        // Fixed properties for a computed field; it has no column and no uid
+        const fixedProperties = {
+            type: options.type || AGGREGATE_TYPES[aggregate] || 'string',
+            caption: options.caption || 'Computed',
+        };
+
+        const documentation = {
+            description: 'Derived value that is not stored',
+            examples: ['12', 'true'],
+            usage: 'Use for values computed from the record or aggregated over related records.',
+        };
+
+        super({ ...fixedProperties, documentation }, 'ComputedField');
+
+        this.computed = true;
+        this.compute = typeof compute === 'function' ? compute : null;
+        this.aggregate = aggregate
+            ? {
+                function: aggregate,
+                association: options.association,
+                model: options.model,
+                foreignKey: options.foreignKey,
+                field: options.field,
+                where: options.where || {},
+            }
+            : null;
+    }
+
+    /**
+     * Computed fields are never written (see Model.validate), so there is nothing to check.
+     */
+    validate() {}
+
+    /**
+     * Converts the aggregate result: PostgreSQL returns COUNT as a bigint string.
+     *
+     * @param {any} value - The value read from the database.
+     * @returns {any} The value.
+     */
+    onGet(value) {
+        if (this.type === 'integer' && value !== null && value !== undefined) {
+            return Number(value);
+        }
+        return value;
+    }
+
+    /**
+     * Describes the field for clients; computed fields are read-only.
+     *
+     * @returns {Object} Field description.
+     */
+    describe() {
+        return { ...super.describe(), computed: true, aggregate: this.aggregate?.function };
+    }
+}
+
+export default ComputedField;
@@ -0,0 +1,85 @@
+import Field from '../../lib/orm/Field.js';
+
+/**
+ * A field for ISO 4217 currency codes such as 'EUR'.
+ * Codes are stored in upper case, and SchemaManager adds a FOREIGN KEY to
+ * currencies.code, so only currencies of the Currency model can be used.
+ * Like a reference field, the currency can be loaded with `include`.
+ *
+ * @param {Object} options - Configuration options.
+ * @param {boolean} [options.required=false] - Whether the field is required.
+ * @param {string} [options.default] - Default currency code.
+ * @param {string} [options.caption='Currency Code'] - Caption for the field.
+ * @param {string} [options.onDelete='RESTRICT'] - ON DELETE behaviour of the foreign key.
+ * @param {boolean} [options.reference=true] - Set to false for the code of the Currency model itself.
+ */
+class CurrencyCodeField extends Field {
+    constructor(options = {}) {
+        // Fixed properties for a currency code field
+        const fixedProperties = {
+            uid: '{5d13e146-d027-47f7-90ce-771c67a67bd5}',
+            type: 'varchar',
+            length: 3,
+            pattern: /^[A-Z]{3}$/,
+            caption: options.caption || 'Currency Code',
+        };
+
+        // Only allow specific properties to be overridden by options
+        const allowedOverrides = {
+            required: options.required,
+            default: options.default,
+        };
+
+        const documentation = {
+            description: 'ISO 4217 currency code',
+            examples: ['USD', 'EUR', 'JPY'],
+            usage: 'Use for the currency of amounts on a record, next to a MoneyField',
+        };
+
+        super({ ...fixedProperties, ...allowedOverrides, documentation }, 'CurrencyCodeField');
+
+        // Reference metadata used by SchemaManager (foreign keys) and Model (include)
+        if (options.reference !== false) {
+            this.reference = {
+                model: 'Currency',
+                field: 'code',
+                displayField: 'name',
+                onDelete: (options.onDelete || 'RESTRICT').toUpperCase(),
+                as: options.as,
+            };
+        }
+    }
+
+    /**
+     * Custom setter logic: trims the code and converts it to upper case.
+     *
+     * @param {any} value - The value to be set.
+     * @returns {string|null} The code, or null for empty values.
+     */
+    onSet(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        return String(value).trim().toUpperCase();
+    }
+
+    /**
+     * Describes the field for clients; `lookup` names the model to pick currencies from.
+     *
+     * @returns {Object} Field description.
+     */
+    describe() {
+        const description = super.describe();
+        if (!this.reference) return description;
+        return {
+            ...description,
+            lookup: {
+                model: this.reference.model,
+                valueField: this.reference.field,
+                displayField: this.reference.displayField,
+            },
+        };
+    }
+}
+
+export default CurrencyCodeField;
@@ -1,11 +1,23 @@
 import Field from '../../lib/orm/Field.js';
+import { parseAmount, roundAmount, formatMoney, getBaseCurrency } from '../../lib/money.js';
 
+/**
+ * A field for amounts in one fixed currency, returned with their formatted text.
+ * The row stores no currency code; use MoneyField with a CurrencyCodeField for
+ * amounts in varying currencies.
+ *
+ * @param {Object} options - Configuration options.
+ * @param {boolean} [options.required=false] - Whether the field is required.
+ * @param {number} [options.default] - Default amount.
+ * @param {string} [options.currency] - ISO 4217 code of the amounts, defaults to the base currency.
+ * @param {string} [options.locale] - Locale of the formatted text, defaults to the locale of the request.
+ */
 class CurrencyField extends Field {
     constructor(options = {}) {
         const fixedProperties = {
             uid: '{47d8f2e0-6b3d-4c82-9a1f-c0e2a42d5e91}',
-            type: 'decimal',
-            precision: 10, // Total digits
+            type: 'numeric',
+            precision: 18, // Total digits
             scale: 2,      // Decimal places
         };
 
@@ -14,58 +26,46 @@ class CurrencyField extends Field {
             required: options.required,
             default: options.default,
         };
-        
-        // Store currency code after super()
 
         const documentation = {
             description: 'Currency Field',
             examples: ['19.99', '1250.00', '0.50'],
-            usage: 'Used for storing monetary values with currency information'
+            usage: 'Used for storing monetary values in a fixed currency'
         };
 
         super({ ...fixedProperties, ...allowedOverrides, documentation });
-        
-        // Store currency setting - AFTER super() call
-        this._currency = options.currency || 'USD'; // Default currency is USD
+
+        // Store currency and locale settings - AFTER super() call
+        this._currency = options.currency || getBaseCurrency();
+        this._locale = options.locale;
     }
 
     onSet(value) {
-        // Custom setter logic
-        if (typeof value === 'string') {
-            // Remove currency symbols and commas
-            value = value.replace(/[$,€£¥]/g, '').trim();
-            // Convert to a number
-            value = parseFloat(value);
-        }
-        
-        // Round to 2 decimal places
-        if (typeof value === 'number' && !isNaN(value)) {
-            return Math.round(value * 100) / 100;
-        }
-        
-        return value;
+        // Accepts text such as '$1,250.00'; rounds to the stored decimal places
+        const amount = parseAmount(value);
+        return typeof amount === 'number' ? roundAmount(amount, this.scale) : amount;
     }
 
     onGet(value) {
         // Custom getter logic
         if (value !== null && value !== undefined) {
-            const currency = this._currency || 'USD';
             // Format the number as currency
             return {
                 value: parseFloat(value),
-                formatted: this.formatCurrency(value, currency)
+                formatted: this.formatCurrency(value, this._currency)
             };
         }
         return value;
     }
 
-    formatCurrency(value, currency) {
-        const formatter = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: currency,
-        });
-        return formatter.format(value);
+    formatCurrency(value, currency, locale = this._locale) {
+        return formatMoney(value, currency, locale);
+    }
+
+    describe() {
+        // Clients format entered amounts in the same currency
+        return { ...super.describe(), currency: this._currency };
     }
 }
 
-export default CurrencyField; 
\ No newline at end of file
+export default CurrencyField;
@@ -1,4 +1,5 @@
 import Field from '../../lib/orm/Field.js';
+import { t, translateText } from '../../lib/i18n.js';
 
 /**
  * A specialized field class for storing enumerated values.
@@ -96,7 +97,10 @@ class EnumField extends Field {
             
             if (!matchedOption) {
                 // Validation failed
-                throw new Error(`Value "${stringValue}" is not in the allowed options: ${this._options.join(', ')}`);
+                throw new Error(t('enum.invalid', {
+                    value: stringValue,
+                    options: this._options.map(option => translateText(this, option)).join(', '),
+                }));
             }
             
             // Return the matched option with correct case from the options list
@@ -149,6 +153,15 @@ class EnumField extends Field {
         }
     }
 
+    /**
+     * Describes the field for clients, including the valid options.
+     *
+     * @returns {Object} Field description.
+     */
+    describe() {
+        return { ...super.describe(), options: this.getOptions(), caseSensitive: this._caseSensitive };
+    }
+
     /**
      * Gets the list of valid options for this enum field.
      * 
@@ -1,5 +1,6 @@
 // models/fields/FileBlobField.js
 import Field from '../../lib/orm/Field.js';
+import { t } from '../../lib/i18n.js';
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
@@ -59,12 +60,12 @@ class FileBlobField extends Field {
         if (typeof value === 'object' && value.filename && value.data) {
             // Validate size if needed
             if (this.maxSizeBytes && value.size > this.maxSizeBytes) {
-                throw new Error(`File size (${value.size} bytes) exceeds maximum allowed size (${this.maxSizeBytes} bytes)`);
+                throw new Error(t('file.size', { size: value.size, maxSize: this.maxSizeBytes }));
             }
             
             // Validate mime type if needed
             if (this.allowedMimeTypes && !this.allowedMimeTypes.includes(value.mimeType)) {
-                throw new Error(`File type ${value.mimeType} is not allowed. Allowed types: ${this.allowedMimeTypes.join(', ')}`);
+                throw new Error(t('file.type', { type: value.mimeType, types: this.allowedMimeTypes.join(', ') }));
             }
             
             return value;
@@ -106,12 +107,12 @@ class FileBlobField extends Field {
                 
                 // Validate file size
                 if (this.maxSizeBytes && fileStats.size > this.maxSizeBytes) {
-                    throw new Error(`File size (${fileStats.size} bytes) exceeds maximum allowed size (${this.maxSizeBytes} bytes)`);
+                    throw new Error(t('file.size', { size: fileStats.size, maxSize: this.maxSizeBytes }));
                 }
                 
                 // Validate mime type
                 if (this.allowedMimeTypes && !this.allowedMimeTypes.includes(mimeType)) {
-                    throw new Error(`File type ${mimeType} is not allowed. Allowed types: ${this.allowedMimeTypes.join(', ')}`);
+                    throw new Error(t('file.type', { type: mimeType, types: this.allowedMimeTypes.join(', ') }));
                 }
                 
                 // Generate a unique ID for the file
@@ -134,6 +135,15 @@ class FileBlobField extends Field {
         throw new Error('Invalid file input. Expected a file path or file data object.');
     }
     
+    /**
+     * Describes the field for clients, including the upload limits.
+     *
+     * @returns {Object} Field description.
+     */
+    describe() {
+        return { ...super.describe(), allowedMimeTypes: this.allowedMimeTypes, maxSizeBytes: this.maxSizeBytes };
+    }
+
     /**
      * Custom getter logic: formats the returned file data
      *
@@ -1,5 +1,6 @@
 // models/fields/FileDiskField.js
 import Field from '../../lib/orm/Field.js';
+import { t } from '../../lib/i18n.js';
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
@@ -243,7 +244,7 @@ class FileDiskField extends Field {
                             
                             // Validate mime type if needed
                             if (this.allowedMimeTypes && !this.allowedMimeTypes.includes(mimeType)) {
-                                throw new Error(`File type ${mimeType} is not allowed. Allowed types: ${this.allowedMimeTypes.join(', ')}`);
+                                throw new Error(t('file.type', { type: mimeType, types: this.allowedMimeTypes.join(', ') }));
                             }
                             
                             // Convert base64 to binary
@@ -378,12 +379,12 @@ class FileDiskField extends Field {
                 
                 // Validate file size
                 if (this.maxSizeBytes && fileStats.size > this.maxSizeBytes) {
-                    throw new Error(`File size (${fileStats.size} bytes) exceeds maximum allowed size (${this.maxSizeBytes} bytes)`);
+                    throw new Error(t('file.size', { size: fileStats.size, maxSize: this.maxSizeBytes }));
                 }
                 
                 // Validate mime type
                 if (this.allowedMimeTypes && !this.allowedMimeTypes.includes(mimeType)) {
-                    throw new Error(`File type ${mimeType} is not allowed. Allowed types: ${this.allowedMimeTypes.join(', ')}`);
+                    throw new Error(t('file.type', { type: mimeType, types: this.allowedMimeTypes.join(', ') }));
                 }
                 
                 // Determine target file path
@@ -405,6 +406,15 @@ class FileDiskField extends Field {
         throw new Error('Invalid file input. Expected a file path or object with sourceFilePath.');
     }
     
+    /**
+     * Describes the field for clients, including the upload limits.
+     *
+     * @returns {Object} Field description.
+     */
+    describe() {
+        return { ...super.describe(), allowedMimeTypes: this.allowedMimeTypes, maxSizeBytes: this.maxSizeBytes };
+    }
+
     /**
      * Custom getter logic: returns file metadata object for the file path
      *
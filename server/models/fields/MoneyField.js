@@ -0,0 +1,106 @@
+import Field from '../../lib/orm/Field.js';
+import { parseAmount, roundAmount, formatMoney, getBaseCurrency } from '../../lib/money.js';
+
+/**
+ * A field for amounts of money in any currency.
+ * The amount is stored as NUMERIC(18, 4): up to 14 integer digits, and enough
+ * decimals for the minor units of every currency. Its currency is the code in
+ * the record's `currencyField` (a CurrencyCodeField), or the fixed `currency`.
+ * Convert amounts to the base currency with ExchangeRate.toBase().
+ *
+ * @example
+ * currency: new fields.CurrencyCodeField({ required: true }),
+ * amount: new fields.MoneyField({ caption: 'Amount', currencyField: 'currency' }),
+ *
+ * @param {Object} options - Configuration options.
+ * @param {boolean} [options.required=false] - Whether the field is required.
+ * @param {number} [options.default] - Default amount.
+ * @param {string} [options.caption='Amount'] - Caption for the field.
+ * @param {string} [options.currencyField] - Field of the record holding the currency code.
+ * @param {string} [options.currency] - Currency of the amounts when there is no currency field;
+ *   defaults to the base currency.
+ */
+class MoneyField extends Field {
+    constructor(options = {}) {
+        // Fixed properties for a money field
+        const fixedProperties = {
+            uid: '{d060bd4b-d843-4854-9286-ae271fb74ef7}',
+            type: 'numeric',
+            precision: 18,
+            scale: 4,
+            caption: options.caption || 'Amount',
+        };
+
+        // Only allow specific properties to be overridden by options
+        const allowedOverrides = {
+            required: options.required,
+            default: options.default,
+        };
+
+        const documentation = {
+            description: 'Amount of money in the currency of the record',
+            examples: ['19.99', '1250000.00', '-0.5'],
+            usage: 'Use for prices and amounts; pair it with a CurrencyCodeField through currencyField',
+        };
+
+        super({ ...fixedProperties, ...allowedOverrides, documentation }, 'MoneyField');
+
+        this.currencyField = options.currencyField;
+        this.currency = options.currency ? options.currency.toUpperCase() : undefined;
+    }
+
+    /**
+     * Custom setter logic: parses entered text such as '$1,250.00' and rounds to the stored scale.
+     *
+     * @param {any} value - The value to be set.
+     * @returns {number|null} The amount.
+     */
+    onSet(value) {
+        const amount = parseAmount(value);
+        return typeof amount === 'number' ? roundAmount(amount, this.scale) : amount;
+    }
+
+    /**
+     * Custom getter logic: PostgreSQL returns NUMERIC values as strings.
+     *
+     * @param {any} value - The stored value.
+     * @returns {number|null} The amount.
+     */
+    onGet(value) {
+        return value === null || value === undefined ? value : Number(value);
+    }
+
+    /**
+     * Returns the currency of the amount on a record.
+     *
+     * @param {Object} [record] - The record, or its data.
+     * @returns {string} ISO 4217 code.
+     */
+    currencyOf(record) {
+        const data = record?.data || record || {};
+        return (this.currencyField && data[this.currencyField]) || this.currency || getBaseCurrency();
+    }
+
+    /**
+     * Formats the amount of a record for a locale, e.g. '1.234,50 €'.
+     *
+     * @param {number} amount - The amount.
+     * @param {Object} [record] - The record the amount belongs to, for its currency.
+     * @param {string} [locale] - BCP 47 locale, defaults to the locale of the request.
+     * @returns {string|null} The formatted amount.
+     */
+    format(amount, record, locale) {
+        return formatMoney(amount, this.currencyOf(record), locale);
+    }
+
+    /**
+     * Describes the field for clients, including where its currency comes from.
+     *
+     * @returns {Object} Field description.
+     */
+    describe() {
+        return { ...super.describe(), currencyField: this.currencyField, currency: this.currency };
+    }
+}
+
+export default MoneyField;
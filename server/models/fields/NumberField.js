@@ -1,4 +1,5 @@
 import Field from '../../lib/orm/Field.js';
+import { t } from '../../lib/i18n.js';
 
 /**
  * A field for storing reference numbers (like invoice numbers, order numbers, etc.)
@@ -16,6 +17,7 @@ class NumberField extends Field {
             required: options.required,
             default: options.default,
             pattern: options.pattern,
+            numberSeries: options.numberSeries,
         };
 
         const documentation = {
@@ -36,7 +38,7 @@ class NumberField extends Field {
             
             // Validate against pattern if specified
             if (value && this._pattern && !this._pattern.test(value)) {
-                throw new Error(`Value "${value}" does not match the required pattern for reference numbers`);
+                throw new Error(t('number.pattern', { value }));
             }
         }
         return value;
@@ -45,6 +47,16 @@ class NumberField extends Field {
     onGet(value) {
         return value;
     }
+
+    /**
+     * Describes the field for clients, with the default pattern when none was given.
+     *
+     * @returns {Object} Field description.
+     */
+    describe() {
+        const pattern = { source: this._pattern.source, flags: this._pattern.flags };
+        return { ...super.describe(), pattern };
+    }
 }
 
 export default NumberField;
\ No newline at end of file
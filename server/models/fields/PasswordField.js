@@ -1,4 +1,22 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
 import Field from '../../lib/orm/Field.js';
+import { t } from '../../lib/i18n.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Current key derivation parameters. Hashes made with other parameters are
+// still verified and reported by needsRehash() so they can be upgraded.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Prefix of the base64 placeholder hashes written by earlier versions
+const LEGACY_MOCK_PREFIX = '$2b$10$mock_hash_';
+
+// Hash of a random password, made once and checked by verifyWithoutHash()
+let dummyHash = null;
+
 
 /**
  * A specialized field class for securely storing and handling password data.
@@ -18,8 +36,9 @@ class PasswordField extends Field {
         const fixedProperties = {
             uid: '7ec3d8a1-5c9f-4e8b-9a7d-68c09b64f1d3',
             type: 'varchar',
-            length: 255, // Sufficient length for bcrypt hashes
+            length: 255, // Sufficient length for encoded scrypt hashes
             caption: 'Password',
+            writeOnly: true, // Not even the hash is returned to clients
         };
 
         // Only allow specific properties to be overridden by options.
@@ -58,19 +77,15 @@ class PasswordField extends Field {
         }
 
         if (typeof value !== 'string') {
-            throw new Error('Password must be a string');
-        }
-
-        // Skip validation if the value looks like it's already hashed
-        if (value.length >= 40 && /[$./]/.test(value)) {
-            return value;
+            throw new Error(t('password.string'));
         }
 
-        // Perform validation
+        // Input is always a plain password, even if it looks like a hash;
+        // upgraded hashes are stored through User.setPasswordHash()
         await this._validatePassword(value);
         
         // Hash the password and return it
-        return this._mockHashPassword(value);
+        return this._scryptHash(value);
     }
 
     /**
@@ -96,6 +111,15 @@ class PasswordField extends Field {
         return value ? '********' : '';
     }
 
+    /**
+     * Describes the field for clients, including the password requirements.
+     *
+     * @returns {Object} Field description.
+     */
+    describe() {
+        return { ...super.describe(), default: undefined, passwordRules: { ...this._validationOptions } };
+    }
+
     /**
      * Validates a password against the configured requirements.
      * 
@@ -110,45 +134,79 @@ class PasswordField extends Field {
         const requireUppercase = this._validationOptions.requireUppercase;
 
         if (password.length < minLength) {
-            throw new Error(`Password must be at least ${minLength} characters long`);
+            throw new Error(t('password.minLength', { length: minLength }));
         }
 
         if (requireSpecialChar && !/[!@#$%^&*()_+\-=\[\]{};':\"\\|,.<>\/?]+/.test(password)) {
-            throw new Error('Password must contain at least one special character');
+            throw new Error(t('password.special'));
         }
 
         if (requireNumber && !/\d/.test(password)) {
-            throw new Error('Password must contain at least one number');
+            throw new Error(t('password.number'));
         }
 
         if (requireUppercase && !/[A-Z]/.test(password)) {
-            throw new Error('Password must contain at least one uppercase letter');
+            throw new Error(t('password.uppercase'));
         }
 
         return true;
     }
 
     /**
-     * Mock hash implementation for testing
-     * In production, this would use a proper hashing algorithm like bcrypt
-     * 
+     * Hashes a password with scrypt and a random salt.
+     * Format: `$scrypt$N=16384,r=8,p=1$<salt>$<key>` with base64 salt and key.
+     *
+     * @param {string} password - The plain password
+     * @param {Object} [params=SCRYPT_PARAMS] - scrypt cost parameters
+     * @returns {Promise<string>} The encoded hash
+     * @private
+     */
+    async _scryptHash(password, params = SCRYPT_PARAMS) {
+        const salt = crypto.randomBytes(SALT_LENGTH);
+        const key = await this._deriveKey(password, salt, params, KEY_LENGTH);
+        const encodedParams = `N=${params.N},r=${params.r},p=${params.p}`;
+        return `$scrypt$${encodedParams}$${salt.toString('base64')}$${key.toString('base64')}`;
+    }
+
+    /**
+     * Runs scrypt with the given parameters
+     * @private
+     */
+    _deriveKey(password, salt, { N, r, p }, keyLength) {
+        // scrypt needs about 128 * N * r bytes; leave headroom above that
+        return scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+    }
+
+    /**
+     * Parses an encoded scrypt hash
+     *
+     * @param {string} hash - The stored hash
+     * @returns {Object|null} `{ params, salt, key }` or null if the hash is not a scrypt hash
+     * @private
+     */
+    _parseScryptHash(hash) {
+        const match = /^\$scrypt\$N=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/.exec(hash);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            params: { N: Number(match[1]), r: Number(match[2]), p: Number(match[3]) },
+            salt: Buffer.from(match[4], 'base64'),
+            key: Buffer.from(match[5], 'base64'),
+        };
+    }
+
+    /**
+     * Produces a hash in the legacy mock format.
+     * Only kept so that hashes stored by earlier versions can be recognized and verified.
+     *
      * @param {string} password - The password to hash
-     * @returns {string} The hashed password
+     * @returns {string} The legacy hash
      * @private
      */
     _mockHashPassword(password) {
-        // In production, use: return bcrypt.hashSync(password, 10);
-        // Create a mock hash that will definitely be different from the input
-        const encodedPassword = Buffer.from(password).toString('base64');
-        const mockHash = `$2b$10$mock_hash_${encodedPassword}`;
-        
-        // Ensure the hash is always different from the input
-        if (mockHash === password) {
-            console.error('Hash unexpectedly matched password');
-            return `$2b$10$mock_hash_${Date.now()}_${encodedPassword}`;
-        }
-        
-        return mockHash;
+        return `${LEGACY_MOCK_PREFIX}${Buffer.from(password).toString('base64')}`;
     }
 
     /**
@@ -156,16 +214,22 @@ class PasswordField extends Field {
      * This is used by the User model when creating or updating users
      * 
      * @param {string} password - The password to hash
+     * @param {Object} [options={}] - Hashing options
+     * @param {boolean} [options.validate=true] - Check the password requirements first;
+     *   disable when re-hashing a password that was already accepted
      * @returns {Promise<string>} The hashed password
      */
-    async hashPassword(password) {
+    async hashPassword(password, { validate = true } = {}) {
         // Validate and hash the password
-        await this._validatePassword(password);
-        return this._mockHashPassword(password);
+        if (validate) {
+            await this._validatePassword(password);
+        }
+        return this._scryptHash(password);
     }
 
     /**
-     * Verify a password against its hash
+     * Verify a password against its hash.
+     * Accepts scrypt hashes with any parameters and the legacy mock hashes.
      * 
      * @param {string} plainPassword - The plain text password to check
      * @param {string} hashedPassword - The stored hash to verify against
@@ -176,15 +240,48 @@ class PasswordField extends Field {
             return false;
         }
 
-        // For mock implementation, extract the hash part
-        const parts = hashedPassword.split('mock_hash_');
-        if (parts.length !== 2) {
-            return false;
+        const parsed = this._parseScryptHash(hashedPassword);
+        if (parsed) {
+            const key = await this._deriveKey(plainPassword, parsed.salt, parsed.params, parsed.key.length);
+            return crypto.timingSafeEqual(key, parsed.key);
         }
 
-        // Compare the encoded password with the stored hash part
-        return parts[1] === Buffer.from(plainPassword).toString('base64');
+        if (hashedPassword.startsWith(LEGACY_MOCK_PREFIX)) {
+            const expected = Buffer.from(this._mockHashPassword(plainPassword));
+            const stored = Buffer.from(hashedPassword);
+            return expected.length === stored.length && crypto.timingSafeEqual(expected, stored);
+        }
+
+        return false;
+    }
+
+    /**
+     * Checks a password against a throwaway hash made with the current parameters.
+     * Call it when there is no stored hash, e.g. for an unknown username, so that
+     * the time taken does not reveal whether the account exists.
+     *
+     * @param {string} plainPassword - The plain text password to check
+     * @returns {Promise<boolean>} Always false
+     */
+    async verifyWithoutHash(plainPassword) {
+        dummyHash ??= this._scryptHash(crypto.randomUUID());
+        await this.verifyPassword(plainPassword || ' ', await dummyHash);
+        return false;
+    }
+
+    /**
+     * Whether a stored hash should be replaced with one using the current algorithm and parameters.
+     * Call after a successful verifyPassword() and store hashPassword() of the plain password.
+     *
+     * @param {string} hashedPassword - The stored hash
+     * @returns {boolean} True if the hash is outdated
+     */
+    needsRehash(hashedPassword) {
+        const parsed = this._parseScryptHash(hashedPassword);
+        return !parsed ||
+            parsed.key.length !== KEY_LENGTH ||
+            Object.entries(SCRYPT_PARAMS).some(([name, value]) => parsed.params[name] !== value);
     }
 }
 
-export default PasswordField; 
\ No newline at end of file
+export default PasswordField;
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import Field from '../../lib/orm/Field.js';
+import { t } from '../../lib/i18n.js';
+
+const ON_DELETE_ACTIONS = ['CASCADE', 'SET NULL', 'RESTRICT', 'NO ACTION'];
+
+/**
+ * Derives a stable uid for a reference field without one from the column it references.
+ *
+ * @param {string} model - Name of the referenced model.
+ * @param {string} field - Referenced column.
+ * @returns {string} Uid in the '{8-4-4-4-12}' form of the other fields.
+ */
+function referenceUid(model, field) {
+    const hex = crypto.createHash('sha1').update(`reference:${model}.${field}`).digest('hex');
+    return `{${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}}`;
+}
+
+/**
+ * A generic field class for referencing a record in another model.
+ * The column stores the primary key of the referenced record, and SchemaManager
+ * turns the reference into a real FOREIGN KEY constraint.
+ *
+ * Unlike other field templates, each reference field has its own uid, so that
+ * SchemaManager can tell its column apart when a field is renamed. Without the
+ * `uid` option it is derived from the referenced model, which is only unique
+ * while the model has one reference to that model.
+ *
+ * @param {Object} options - Configuration options.
+ * @param {string} options.model - Name of the referenced model (e.g. 'Country').
+ * @param {string} [options.uid] - Uid of the field, e.g. '{3c1f8e2a-7b4d-4e9a-a2c6-5d8f1b0e9c47}'.
+ * @param {string} [options.displayField='name'] - Field of the referenced model shown in the UI.
+ * @param {string} [options.valueField='id'] - Referenced column, defaults to the primary key.
+ * @param {string} [options.onDelete='SET NULL'] - ON DELETE behaviour (CASCADE, SET NULL, RESTRICT, NO ACTION).
+ * @param {string} [options.as] - Key under which an included record is attached (defaults to `<field>Record`).
+ * @param {boolean} [options.required=false] - Whether the field is required.
+ * @param {number} [options.default=null] - Default referenced ID if none is provided.
+ * @param {string} [options.caption] - Caption for the field.
+ */
+class ReferenceField extends Field {
+    constructor(options = {}) {
+        // Fixed properties for a reference field
+        const fixedProperties = {
+            uid: options.uid || referenceUid(options.model, options.valueField || 'id'),
+            type: 'integer',
+            caption: options.caption || options.model || 'Reference',
+        };
+
+        // Only allow specific properties to be overridden by options
+        const allowedOverrides = {
+            required: options.required || false,
+            default: options.default ?? null,
+        };
+
+        // Field documentation provides metadata about the field
+        const documentation = {
+            description: `References a record in the ${options.model || 'target'} table`,
+            examples: ['1', '2'],
+            usage: 'Use this field to link a record to a record of another model',
+        };
+
+        const onDelete = (options.onDelete || 'SET NULL').toUpperCase();
+        if (!ON_DELETE_ACTIONS.includes(onDelete)) {
+            throw new Error(`Invalid onDelete action "${options.onDelete}". Allowed: ${ON_DELETE_ACTIONS.join(', ')}`);
+        }
+
+        super({
+            ...fixedProperties,
+            ...allowedOverrides,
+            documentation,
+            options: {
+                dataSource: options.model,
+                displayField: options.displayField || 'name',
+                valueField: options.valueField || 'id',
+                required: options.required || false,
+                fieldType: 'lookup', // This is for UI/application layer, not database
+                validation: {
+                    message: `Please select a valid ${(options.caption || options.model || 'record').toLowerCase()}`
+                }
+            }
+        }, 'ReferenceField');
+
+        // Reference metadata used by SchemaManager (foreign keys) and Model (include)
+        this.reference = {
+            model: options.model,
+            field: options.valueField || 'id',
+            displayField: options.displayField || 'name',
+            onDelete,
+            as: options.as,
+        };
+    }
+
+    /**
+     * Custom setter logic to validate the referenced ID
+     *
+     * @param {any} value - The value to validate and transform.
+     * @returns {any} The validated value.
+     */
+    onSet(value) {
+        if (value === null || value === undefined || value === '') {
+            if (this.required) {
+                throw new Error(t('field.required', { field: this.fieldName }));
+            }
+            return null;
+        }
+
+        // Accept a referenced record as well as a plain ID
+        if (typeof value === 'object' && value[this.reference.field] !== undefined) {
+            value = value[this.reference.field];
+        }
+
+        // Check if it's a valid integer
+        const intValue = parseInt(value, 10);
+        if (isNaN(intValue) || intValue.toString() !== value.toString()) {
+            throw new Error(t('reference.invalid', { field: this.fieldName }));
+        }
+
+        return intValue;
+    }
+
+    /**
+     * Describes the field for clients; `lookup` names the model to pick records from.
+     *
+     * @returns {Object} Field description.
+     */
+    describe() {
+        return {
+            ...super.describe(),
+            lookup: {
+                model: this.reference.model,
+                valueField: this.reference.field,
+                displayField: this.reference.displayField,
+            },
+        };
+    }
+
+    /**
+     * Custom getter logic
+     *
+     * @param {any} value - The stored value.
+     * @returns {any} The processed value.
+     */
+    onGet(value) {
+        return value;
+    }
+}
+
+export default ReferenceField;
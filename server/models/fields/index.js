@@ -24,10 +24,14 @@ export const fieldPaths = {
     PasswordField: './PasswordField.js',
     BooleanField: './BooleanField.js',
     EnumField: './EnumField.js',
+    ReferenceField: './ReferenceField.js',
     CountryField: './CountryField.js',
     FileBlobField: './FileBlobField.js',
     FileDiskField: './FileDiskField.js',
-    NumberField: './NumberField.js'
+    NumberField: './NumberField.js',
+    ComputedField: './ComputedField.js',
+    CurrencyCodeField: './CurrencyCodeField.js',
+    MoneyField: './MoneyField.js'
 };
 
 // Dynamically import each module based on the above configuration.
@@ -37,18 +41,17 @@ const exportedFields = {};
 // Create a spinner for field loading
 const spinner = logger.spinner('Loading field definitions');
 
-await Promise.all(
-    Object.entries(fieldPaths).map(async ([name, path]) => {
-        try {
-            spinner.text = `Loading field: ${name}`;
-            const module = await import(path);
-            exportedFields[name] = module.default;
-        } catch (error) {
-            logger.error(`Failed to load field ${name} from ${path}:`, error);
-            throw error;
-        }
-    })
-);
+// One at a time: Jest's VM modules fail to link dependencies shared by modules imported in parallel
+for (const [name, path] of Object.entries(fieldPaths)) {
+    try {
+        spinner.text = `Loading field: ${name}`;
+        const module = await import(path);
+        exportedFields[name] = module.default;
+    } catch (error) {
+        logger.error(`Failed to load field ${name} from ${path}:`, error);
+        throw error;
+    }
+}
 
 spinner.succeed('All fields loaded successfully');
 
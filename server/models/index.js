@@ -3,6 +3,9 @@ import logger from '../lib/logger.js';
 import ora from 'ora';
 import seeders from '../seeders/index.js';
 import { initDatabase } from '../lib/db-init.js';
+import { registerModel, orderByDependencies } from '../lib/orm/modelRegistry.js';
+import MigrationManager from '../lib/orm/MigrationManager.js';
+import { getPages } from '../lib/pages.js';
 
 const modelPaths = {
     User: './User.js',
@@ -10,6 +13,14 @@ const modelPaths = {
     Log: './Log.js',
     Country: './Country.js',
     Resource: './Resource.js',
+    BusinessUnit: './BusinessUnit.js',
+    Role: './Role.js',
+    Permission: './Permission.js',
+    Session: './Session.js',
+    AuditEntry: './AuditEntry.js',
+    NumberSeries: './NumberSeries.js',
+    Currency: './Currency.js',
+    ExchangeRate: './ExchangeRate.js',
     
     // Add more models here as needed
 };
@@ -27,6 +38,7 @@ async function loadModels() {
                 // Loading model
                 const module = await import(path);
                 importedModels[name] = module.default;
+                registerModel(name, module.default);
                 loadedCount++;
                 modelSpinner.text = `Loading models`;
             } catch (error) {
@@ -36,6 +48,15 @@ async function loadModels() {
         })
     );
     
+    // Association helpers need all models registered first
+    for (const model of Object.values(importedModels)) {
+        if (typeof model.initAssociations === 'function') {
+            model.initAssociations();
+        }
+        // Fail at startup, not when a client opens the page, if a page uses an unknown field
+        getPages(model);
+    }
+    
     modelSpinner.succeed(`Models loaded successfully`);
     return importedModels;
 }
@@ -49,7 +70,8 @@ async function syncSchemas(models, options = { force: false }) {
         const modelNames = Object.keys(models);
         let syncedCount = 0;
         
-        const syncPromises = Object.entries(models).map(async ([name, model]) => {
+        // Sync sequentially in dependency order so foreign keys find their tables
+        for (const [name, model] of orderByDependencies(models)) {
             if (typeof model.syncSchema === 'function') {
                 // Syncing schema
                 // When force is true, also drop extra columns
@@ -61,9 +83,14 @@ async function syncSchemas(models, options = { force: false }) {
                 syncedCount++;
                 schemaSpinner.text = `Checking database schemas`;
             }
-        });
+        }
         
-        await Promise.all(syncPromises);
+        // Junction tables reference both sides, so they come after all tables
+        for (const model of Object.values(models)) {
+            if (typeof model.syncJunctionTables === 'function') {
+                await model.syncJunctionTables();
+            }
+        }
         
         if (options.force) {
             schemaSpinner.succeed('Forced schema synchronization completed successfully');
@@ -76,6 +103,30 @@ async function syncSchemas(models, options = { force: false }) {
     }
 }
 
+// Function to collect the statements a schema synchronization would run,
+// without changing the database (used by `mycli schema:plan`)
+async function planSchemas(models, options = { force: false }) {
+    const plan = [];
+    
+    for (const [name, model] of orderByDependencies(models)) {
+        if (typeof model.syncSchema === 'function') {
+            await model.syncSchema({
+                force: options.force,
+                dropExtraColumns: options.force || options.dropExtraColumns,
+                plan
+            });
+        }
+    }
+    
+    for (const model of Object.values(models)) {
+        if (typeof model.syncJunctionTables === 'function') {
+            await model.syncJunctionTables({ plan });
+        }
+    }
+    
+    return plan;
+}
+
 // Singleton class to load and initialize models only once
 class ModelLoader {
     constructor() {
@@ -89,6 +140,11 @@ class ModelLoader {
     }
 
     // Call this method to initialize the models (or await an ongoing init)
+    // Options:
+    //  - forceSyncSchema: sync every table even if its schema hash is unchanged
+    //  - syncSchema: sync tables from the model definitions (default true)
+    //  - runMigrations: apply pending migrations from server/migrations instead of syncing
+    //  - runSeeders / forceReseed: run the seeders after the schema is ready
     async init(options = { forceSyncSchema: false, runSeeders: true, forceReseed: false }) {
         if (this._models) return this._models;
         if (!this._initializationPromise) {
@@ -96,19 +152,24 @@ class ModelLoader {
                 const initSpinner = logger.spinner('Initializing models');
                 try {
                     // First ensure database infrastructure is ready
-                    initSpinner.text = 'Initializing database infrastructure';
-                    await initDatabase();
+                    // (not when only loading models, e.g. for planning)
+                    if (options.syncSchema !== false) {
+                        initSpinner.text = 'Initializing database infrastructure';
+                        await initDatabase();
+                    }
                     
                     const models = await loadModels();
                     
-                    if (options.forceSyncSchema) {
-                        // Forcing schema synchronization
-                    } else {
-                        // Checking schema consistency
+                    if (options.runMigrations) {
+                        // Versioned migrations replace the hash-based sync
+                        const applied = await new MigrationManager({ models }).up();
+                        if (applied.length) {
+                            logger.schema(`Applied ${applied.length} migration(s): ${applied.join(', ')}`);
+                        }
+                    } else if (options.syncSchema !== false) {
+                        await syncSchemas(models, { force: options.forceSyncSchema });
                     }
                     
-                    await syncSchemas(models, { force: options.forceSyncSchema });
-                    
                     // Run seeders if enabled
                     if (options.runSeeders) {
                         // Running database seeders
@@ -137,5 +198,7 @@ class ModelLoader {
     }
 }
 
+export { planSchemas };
+
 // Export a single instance of ModelLoader (singleton)
 export default new ModelLoader();
@@ -0,0 +1,85 @@
+import logger from '../lib/logger.js';
+
+// ISO 4217 currencies to seed, with their symbol and decimal places
+const CURRENCIES = [
+    { code: 'USD', name: 'US Dollar', symbol: '$', decimals: 2 },
+    { code: 'EUR', name: 'Euro', symbol: '€', decimals: 2 },
+    { code: 'GBP', name: 'Pound Sterling', symbol: '£', decimals: 2 },
+    { code: 'JPY', name: 'Yen', symbol: '¥', decimals: 0 },
+    { code: 'CNY', name: 'Yuan Renminbi', symbol: '¥', decimals: 2 },
+    { code: 'CHF', name: 'Swiss Franc', symbol: 'CHF', decimals: 2 },
+    { code: 'CAD', name: 'Canadian Dollar', symbol: '$', decimals: 2 },
+    { code: 'AUD', name: 'Australian Dollar', symbol: '$', decimals: 2 },
+    { code: 'NZD', name: 'New Zealand Dollar', symbol: '$', decimals: 2 },
+    { code: 'MXN', name: 'Mexican Peso', symbol: '$', decimals: 2 },
+    { code: 'BRL', name: 'Brazilian Real', symbol: 'R$', decimals: 2 },
+    { code: 'SEK', name: 'Swedish Krona', symbol: 'kr', decimals: 2 },
+    { code: 'NOK', name: 'Norwegian Krone', symbol: 'kr', decimals: 2 },
+    { code: 'DKK', name: 'Danish Krone', symbol: 'kr', decimals: 2 },
+    { code: 'ISK', name: 'Iceland Krona', symbol: 'kr', decimals: 0 },
+    { code: 'PLN', name: 'Zloty', symbol: 'zł', decimals: 2 },
+    { code: 'CZK', name: 'Czech Koruna', symbol: 'Kč', decimals: 2 },
+    { code: 'HUF', name: 'Forint', symbol: 'Ft', decimals: 2 },
+    { code: 'TRY', name: 'Turkish Lira', symbol: '₺', decimals: 2 },
+    { code: 'RUB', name: 'Russian Ruble', symbol: '₽', decimals: 2 },
+    { code: 'INR', name: 'Indian Rupee', symbol: '₹', decimals: 2 },
+    { code: 'KRW', name: 'Won', symbol: '₩', decimals: 0 },
+    { code: 'SGD', name: 'Singapore Dollar', symbol: '$', decimals: 2 },
+    { code: 'HKD', name: 'Hong Kong Dollar', symbol: '$', decimals: 2 },
+    { code: 'ZAR', name: 'Rand', symbol: 'R', decimals: 2 },
+    { code: 'AED', name: 'UAE Dirham', symbol: 'د.إ', decimals: 2 },
+    { code: 'KWD', name: 'Kuwaiti Dinar', symbol: 'د.ك', decimals: 3 },
+    { code: 'BHD', name: 'Bahraini Dinar', symbol: '.د.ب', decimals: 3 },
+    // Add more currencies as needed
+];
+
+/**
+ * Seed the currencies table with the ISO 4217 currencies
+ * @param {Object} models - Loaded application models
+ * @param {Object} options - Seeder options
+ * @param {boolean} options.force - Update currencies that already exist
+ * @returns {Promise<void>}
+ */
+async function run(models, options = { force: false }) {
+    const { Currency } = models;
+
+    try {
+        let createdCount = 0;
+        for (const currencyData of CURRENCIES) {
+            try {
+                const existingCurrency = await Currency.findOne({
+                    where: { code: currencyData.code }
+                });
+
+                if (existingCurrency && !options.force) {
+                    continue;
+                }
+
+                if (existingCurrency) {
+                    await Currency.update(existingCurrency.id, currencyData);
+                    logger.debug(`Updated currency: ${currencyData.code}`);
+                } else {
+                    await Currency.create(currencyData);
+                    logger.debug(`Created currency: ${currencyData.code}`);
+                }
+
+                createdCount++;
+            } catch (error) {
+                logger.error(`Failed to create/update currency ${currencyData.code}:`, error);
+                // Continue with other currencies instead of failing the entire seeder
+            }
+        }
+
+        if (createdCount > 0) {
+            logger.info(`Created/updated ${createdCount} currencies`);
+        }
+    } catch (error) {
+        logger.error('Failed to seed currencies:', error);
+        throw error;
+    }
+}
+
+export default {
+    name: 'Currency Seeder',
+    run
+};
@@ -6,11 +6,17 @@ import  pool  from '../config/db.js'
 // Import all seeders here
 import userSeeder from './userSeeder.js';
 import countrySeeder from './countrySeeder.js';
+import roleSeeder from './roleSeeder.js';
+import numberSeriesSeeder from './numberSeriesSeeder.js';
+import currencySeeder from './currencySeeder.js';
 
 // Collect all seeders in an array
 const seeders = [
     userSeeder,
     countrySeeder,
+    roleSeeder,
+    numberSeriesSeeder,
+    currencySeeder,
     // Add more seeders here as needed
 ];
 
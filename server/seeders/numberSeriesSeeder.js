@@ -0,0 +1,52 @@
+import logger from '../lib/logger.js';
+
+// Number series used by the fields declared with `numberSeries`
+const SERIES = [
+    {
+        code: 'CUSTOMER',
+        description: 'Customer numbers',
+        pattern: 'CUST-{YYYY}-{#####}',
+        mode: 'gapFree',
+        resetYearly: true
+    },
+    {
+        code: 'RESOURCE',
+        description: 'Resource numbers',
+        prefix: 'RES-',
+        pattern: '{PREFIX}{######}',
+        mode: 'fast'
+    },
+];
+
+/**
+ * Seed the number series the models need; existing series are left as they are
+ * @param {Object} models - Loaded application models
+ * @param {Object} options - Seeder options
+ * @returns {Promise<void>}
+ */
+async function run(models, options = { force: false }) {
+    const { NumberSeries } = models;
+
+    try {
+        let created = 0;
+        for (const series of SERIES) {
+            const existing = await NumberSeries.findOne({ where: { code: series.code } });
+            if (existing) continue;
+
+            await NumberSeries.create(series);
+            created++;
+        }
+
+        if (created > 0) {
+            logger.info(`Seeded ${created} number series`);
+        }
+    } catch (error) {
+        logger.error('Number series seeder failed:', error);
+        throw error;
+    }
+}
+
+export default {
+    name: 'Number Series Seeder',
+    run
+};
@@ -0,0 +1,60 @@
+import logger from '../lib/logger.js';
+
+// Permission codes checked by the controllers (see the controllers' `static permissions`)
+const PERMISSIONS = [
+    { code: 'Resource.create', description: 'Create resources' },
+    { code: 'Resource.read', description: 'View and search resources' },
+    { code: 'Resource.update', description: 'Edit resources' },
+    { code: 'Resource.delete', description: 'Delete resources' },
+];
+
+// Default roles and the permission codes they grant
+const ROLES = [
+    { code: 'USER', name: 'User', permissions: ['Resource.read'] },
+    { code: 'EDITOR', name: 'Editor', permissions: ['Resource.create', 'Resource.read', 'Resource.update'] },
+];
+
+/**
+ * Seed the permissions and the default roles
+ * @param {Object} models - Loaded application models
+ * @param {Object} options - Seeder options
+ * @param {boolean} options.force - Force re-seed even if roles exist
+ * @returns {Promise<void>}
+ */
+async function run(models, options = { force: false }) {
+    const { Role, Permission } = models;
+
+    try {
+        const existingRoles = await Role.count();
+        if (existingRoles > 0 && !options.force) {
+            // Silent skip
+            return;
+        }
+
+        // Create missing permissions, keyed by code
+        const permissionIds = {};
+        for (const permissionData of PERMISSIONS) {
+            const existing = await Permission.findOne({ where: { code: permissionData.code } });
+            const permission = existing || await Permission.create(permissionData);
+            permissionIds[permission.code] = permission.id;
+        }
+
+        // Create missing roles and link their permissions
+        for (const { permissions, ...roleData } of ROLES) {
+            const existing = await Role.findOne({ where: { code: roleData.code } });
+            const role = new Role(existing || await Role.create(roleData));
+            await role.addPermissions(permissions.map(code => permissionIds[code]));
+            logger.debug(`Seeded role ${roleData.code} with ${permissions.length} permissions`);
+        }
+
+        logger.info(`Seeded ${PERMISSIONS.length} permissions and ${ROLES.length} roles`);
+    } catch (error) {
+        logger.error('Role seeder failed:', error);
+        throw error;
+    }
+}
+
+export default {
+    name: 'Role Seeder',
+    run
+};
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the audit trail of audited models
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import { registerModel } from '../../../server/lib/orm/modelRegistry.js';
+import { asyncLocalStorage } from '../../../server/lib/orm/asyncContext.js';
+import AuditEntry from '../../../server/models/AuditEntry.js';
+import AuditController from '../../../server/controllers/Audit.js';
+
+class Supplier extends Model {
+  static tableName = 'suppliers';
+  static audited = true;
+  static fields = {
+    name: new Field({ type: 'string' }, 'name'),
+    address: new Field({ type: 'string' }, 'address')
+  };
+}
+
+class Contractor extends Model {
+  static tableName = 'contractors';
+  static audited = true;
+  static fields = {
+    name: new Field({ type: 'string' }, 'name'),
+    dayRate: new Field({ type: 'numeric' }, 'dayRate')
+  };
+  static permissions = {
+    fields: { dayRate: { read: 'admin' } }
+  };
+}
+
+registerModel('Contractor', Contractor);
+
+const user = { id: 3, username: 'jane', isAdmin: true };
+const runAsUser = (callback) =>
+  asyncLocalStorage.run({ user, request: { requestId: 'req-1' } }, callback);
+
+describe('Audited models', () => {
+  let record;
+
+  beforeAll(() => {
+    registerModel('AuditEntry', AuditEntry);
+  });
+
+  beforeEach(() => {
+    record = jest.spyOn(AuditEntry, 'record').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should include createdBy and updatedBy in the schema', () => {
+    expect(Supplier.getSchema()).toHaveProperty('createdBy');
+    expect(Supplier.getSchema()).toHaveProperty('updatedBy');
+  });
+
+  it('should stamp the user and record created fields', async () => {
+    const query = jest.spyOn(Supplier, '_executeQuery').mockImplementation(async (sql, values) => [
+      { id: 1, name: 'Acme', address: null, createdBy: 3, updatedBy: 3 }
+    ]);
+
+    await runAsUser(() => Supplier.create({ name: 'Acme', createdBy: 99, updatedBy: 99 }));
+
+    expect(query.mock.calls[0][0]).toContain('"createdBy"');
+    expect(query.mock.calls[0][1]).toEqual(['Acme', 3, 3]);
+    expect(record).toHaveBeenCalledWith([{
+      model: 'Supplier',
+      recordId: '1',
+      action: 'create',
+      userId: 3,
+      username: 'jane',
+      changes: { name: { old: null, new: 'Acme' } },
+      requestId: 'req-1'
+    }]);
+  });
+
+  it('should record only the changed fields of an update', async () => {
+    const before = { id: 1, name: 'Acme', address: 'Old Street 1' };
+    jest.spyOn(Supplier, 'findById').mockResolvedValue(new Supplier(before));
+    jest.spyOn(Supplier, '_executeQuery').mockImplementation(async (sql) =>
+      sql.trim().startsWith('SELECT') ? [before] : [{ ...before, address: 'New Street 2', updatedBy: 3 }]
+    );
+
+    await runAsUser(() => Supplier.update(1, { name: 'Acme', address: 'New Street 2' }));
+
+    expect(record.mock.calls[0][0][0]).toMatchObject({
+      action: 'update',
+      changes: { address: { old: 'Old Street 1', new: 'New Street 2' } }
+    });
+  });
+
+  it('should record the removed values on delete', async () => {
+    jest.spyOn(Supplier, '_executeQuery').mockResolvedValue([{ id: 1, name: 'Acme', address: null }]);
+
+    await runAsUser(() => Supplier.delete(1));
+
+    expect(record.mock.calls[0][0][0]).toMatchObject({
+      action: 'delete',
+      recordId: '1',
+      changes: { name: { old: 'Acme', new: null } }
+    });
+  });
+
+  it('should stamp the current user on save instead of the loaded editor', async () => {
+    const query = jest.spyOn(Supplier, '_executeQuery').mockResolvedValue([
+      { id: 1, name: 'Acme', address: null, createdBy: 5, updatedBy: 5 }
+    ]);
+    const [supplier] = await Supplier.find();
+    supplier.name = 'Acme Ltd';
+
+    await runAsUser(() => supplier.save());
+
+    const [sql, values] = query.mock.calls.find(([statement]) => statement.trim().startsWith('UPDATE'));
+    expect(sql).not.toContain('"createdBy"');
+    expect(values).toEqual(expect.arrayContaining(['Acme Ltd', 3]));
+    expect(values).not.toContain(5);
+  });
+
+  it('should leave fields the user may not read out of the history', async () => {
+    const reader = { id: 8, username: 'joe', isAdmin: false };
+    jest.spyOn(Contractor, '_executeQuery').mockResolvedValue([{ id: 1, name: 'Ann', dayRate: 900 }]);
+    jest.spyOn(AuditEntry, 'findForRecord').mockResolvedValue([{
+      id: 4,
+      action: 'update',
+      userId: 3,
+      changes: { name: { old: 'An', new: 'Ann' }, dayRate: { old: 800, new: 900 } }
+    }]);
+
+    const { entries } = await asyncLocalStorage.run(
+      { user: reader, permissions: new Set(), permissionsUserId: reader.id, request: {} },
+      () => AuditController.history('Contractor', 1)
+    );
+
+    expect(entries[0].changes).toEqual({ name: { old: 'An', new: 'Ann' } });
+  });
+});
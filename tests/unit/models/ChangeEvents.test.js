@@ -0,0 +1,149 @@
+/**
+ * Unit tests for record change events and subscriptions
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import { asyncLocalStorage } from '../../../server/lib/orm/asyncContext.js';
+import { registerModel } from '../../../server/lib/orm/modelRegistry.js';
+import changeBus from '../../../server/lib/changeBus.js';
+import pool from '../../../server/config/db.js';
+import { subscribe, unsubscribe, dispatchChange } from '../../../server/lib/subscriptions.js';
+
+class Ticket extends Model {
+  static tableName = 'tickets';
+  static fields = {
+    subject: new Field({ type: 'string' }, 'subject'),
+    status: new Field({ type: 'string' }, 'status'),
+    owner: new Field({ type: 'integer' }, 'owner')
+  };
+  static permissions = {
+    read: 'Ticket.read',
+    write: 'admin'
+  };
+}
+
+registerModel('Ticket', Ticket);
+
+const connection = (user) => ({
+  auth: { user, sessionId: 1 },
+  OPEN: 1,
+  readyState: 1,
+  send: jest.fn()
+});
+
+describe('Change events', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should queue changes in the request and publish the rest right away', async () => {
+    jest.spyOn(Ticket, '_executeQuery').mockResolvedValue([{ id: 7, subject: 'Printer', status: 'open' }]);
+    const publish = jest.spyOn(changeBus, 'publish').mockResolvedValue();
+
+    const store = { client: null, user: null };
+    await asyncLocalStorage.run(store, () => Ticket.create({ subject: 'Printer', status: 'open' }));
+    expect(store.changes).toEqual([{ model: 'Ticket', action: 'create', id: 7 }]);
+    expect(publish).not.toHaveBeenCalled();
+
+    await Ticket.delete(7);
+    expect(publish).toHaveBeenCalledWith([
+      { model: 'Ticket', action: 'delete', id: 7, row: { id: 7, subject: 'Printer', status: 'open' } }
+    ]);
+  });
+
+  it('should notify other instances of the keys only', async () => {
+    const notify = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [] });
+    const emitted = [];
+    const listener = event => emitted.push(event);
+    changeBus.on('change', listener);
+    changeBus.backend = 'postgres';
+
+    try {
+      await changeBus.publish([{ model: 'Ticket', action: 'delete', id: 9, row: { id: 9, subject: 'Printer' } }]);
+      const payload = notify.mock.calls[0][1][1];
+      changeBus._receive({ channel: 'model_changes', payload });
+      changeBus._receive({ channel: 'model_changes', payload: JSON.stringify({ model: 'Ticket', action: 'update', id: 3, origin: 'other' }) });
+
+      expect(JSON.parse(payload)).toEqual({ model: 'Ticket', action: 'delete', id: 9, origin: expect.any(String) });
+      expect(emitted).toEqual([
+        { model: 'Ticket', action: 'delete', id: 9, row: { id: 9, subject: 'Printer' } },
+        { model: 'Ticket', action: 'update', id: 3 }
+      ]);
+    } finally {
+      changeBus.backend = 'memory';
+      changeBus.off('change', listener);
+    }
+  });
+
+  it('should push changes to matching subscriptions only', async () => {
+    const query = jest.spyOn(Ticket, '_executeQuery').mockResolvedValue([{ id: 7, subject: 'Printer', status: 'open' }]);
+    const ws = connection({ id: 1, isAdmin: true });
+
+    const { id: subscriptionId } = await subscribe(ws, { model: 'Ticket', where: { status: 'open' } });
+    const other = await subscribe(ws, { model: 'Ticket', id: 8 });
+
+    await dispatchChange({ model: 'Ticket', action: 'update', id: 7 });
+
+    expect(ws.send).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(ws.send.mock.calls[0][0])).toMatchObject({
+      type: 'change',
+      subscriptionId,
+      action: 'update',
+      id: 7,
+      record: { subject: 'Printer' }
+    });
+    expect(query.mock.calls.at(-1)[1]).toEqual(['open', 7]);
+
+    expect(unsubscribe(ws, subscriptionId)).toBe(true);
+    expect(unsubscribe(ws, other.id)).toBe(true);
+    await dispatchChange({ model: 'Ticket', action: 'update', id: 7 });
+    expect(ws.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not let users subscribe to models they cannot read', async () => {
+    jest.spyOn(Ticket, '_executeQuery').mockResolvedValue([]);
+    const ws = connection({ id: 2, isAdmin: false });
+
+    await expect(subscribe(ws, { model: 'Ticket' })).rejects.toMatchObject({ code: 'FORBIDDEN' });
+    await expect(subscribe(ws, { model: 'Ticket', where: { secret: 1 } })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+  });
+
+  it('should send only the id of records removed from the database', async () => {
+    jest.spyOn(Ticket, '_executeQuery').mockResolvedValueOnce([{ count: '1' }]).mockResolvedValue([]);
+    const ws = connection({ id: 1, isAdmin: true });
+    const { id: subscriptionId } = await subscribe(ws, { model: 'Ticket', id: 9 });
+
+    await dispatchChange({ model: 'Ticket', action: 'update', id: 9 });
+    await dispatchChange({ model: 'Ticket', action: 'delete', id: 9 });
+    await dispatchChange({ model: 'Ticket', action: 'delete', id: 9, row: { id: 9, subject: 'Printer', status: 'open' } });
+
+    expect(ws.send).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(ws.send.mock.calls[0][0])).toMatchObject({ action: 'delete', id: 9, record: null });
+    unsubscribe(ws, subscriptionId);
+  });
+
+  it('should check removed rows against the row rules and the filter', async () => {
+    jest.replaceProperty(Ticket, 'permissions', { read: 'authenticated', rows: (user) => ({ owner: user.id }) });
+    const row = { id: 9, subject: 'Printer', status: 'open', owner: 2 };
+    let matches = [];
+    const query = jest.spyOn(Ticket, '_executeQuery')
+      .mockImplementation(async (sql) => {
+        if (sql.startsWith('SELECT COUNT')) return [{ count: '1' }];
+        return sql.includes('jsonb_populate_record') ? matches : [];
+      });
+    const ws = connection({ id: 2, isAdmin: false });
+    const { id: subscriptionId } = await subscribe(ws, { model: 'Ticket', where: { status: 'open' } });
+
+    await dispatchChange({ model: 'Ticket', action: 'delete', id: 9, row });
+    matches = [{ matched: 1 }];
+    await dispatchChange({ model: 'Ticket', action: 'delete', id: 9, row });
+
+    const [sql, values] = query.mock.calls.at(-1);
+    expect(sql).toContain('FROM jsonb_populate_record(NULL::"tickets", $1::jsonb) AS "tickets" WHERE');
+    expect(values).toEqual([JSON.stringify(row), 'open', 2]);
+    expect(ws.send).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(ws.send.mock.calls[0][0])).toMatchObject({ action: 'delete', id: 9, record: null });
+    unsubscribe(ws, subscriptionId);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for messages sent to the client with a response
+ */
+
+import { asyncLocalStorage } from '../../../server/lib/orm/asyncContext.js';
+import {
+  setResultMessage,
+  setDialogMessage,
+  clientLog,
+  clientWarning,
+  takeClientMessages
+} from '../../../server/lib/clientMessages.js';
+import { createResponse, createErrorResponse } from '../../../server/lib/protocol.js';
+
+describe('Client messages', () => {
+  it('should collect messages and log entries of a request', () => {
+    const messages = asyncLocalStorage.run({}, () => {
+      clientLog('Created customer');
+      clientWarning('Only 2 items in stock');
+      setResultMessage('Draft');
+      setResultMessage('Order saved');
+      setDialogMessage('The order is waiting for approval');
+      return takeClientMessages();
+    });
+
+    expect(messages.result).toBe('Order saved');
+    expect(messages.dialog).toBe('The order is waiting for approval');
+    expect(messages.log.map(({ level, text }) => [level, text])).toEqual([
+      ['info', 'Created customer'],
+      ['warning', 'Only 2 items in stock']
+    ]);
+  });
+
+  it('should leave out what was not set', () => {
+    asyncLocalStorage.run({}, () => {
+      expect(takeClientMessages()).toBeNull();
+
+      clientLog('Checked stock');
+      expect(Object.keys(takeClientMessages())).toEqual(['log']);
+      expect(takeClientMessages()).toBeNull();
+    });
+  });
+
+  it('should ignore calls outside of a request', () => {
+    expect(() => clientLog('Seeded countries')).not.toThrow();
+    expect(takeClientMessages()).toBeNull();
+  });
+
+  it('should add the messages to the response envelope', () => {
+    const request = { type: 'controller', requestId: 'r-1' };
+
+    expect(createResponse(request, {}, { result: 'Saved' }).messages).toEqual({ result: 'Saved' });
+    expect(createResponse(request, {})).not.toHaveProperty('messages');
+  });
+
+  it('should send the messages of a failed request with the error', async () => {
+    const request = { type: 'controller', requestId: 'r-2' };
+    const store = {};
+    await asyncLocalStorage.run(store, async () => {
+      clientLog('Reserved 3 items');
+    });
+
+    const response = createErrorResponse(request, new Error('Out of stock'), takeClientMessages(store));
+    expect(response).toMatchObject({ success: false, messages: { log: [{ level: 'info', text: 'Reserved 3 items' }] } });
+    expect(takeClientMessages(store)).toBeNull();
+    expect(createErrorResponse(request, new Error('Out of stock'), takeClientMessages(null))).not.toHaveProperty('messages');
+  });
+});
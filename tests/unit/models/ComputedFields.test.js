@@ -0,0 +1,122 @@
+/**
+ * Unit tests for computed and aggregate fields
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import ComputedField from '../../../server/models/fields/ComputedField.js';
+import ReferenceField from '../../../server/models/fields/ReferenceField.js';
+import { registerModel } from '../../../server/lib/orm/modelRegistry.js';
+import { ValidationError } from '../../../server/lib/errors.js';
+import { asyncLocalStorage } from '../../../server/lib/orm/asyncContext.js';
+
+class Vendor extends Model {
+  static tableName = 'vendors';
+  static fields = {
+    name: new Field({ type: 'string' }, 'name'),
+    city: new Field({ type: 'string' }, 'city'),
+    label: new ComputedField({ compute: ({ name, city }) => `${name} (${city})` }),
+    invoiceCount: new ComputedField({ aggregate: 'count', association: 'invoices' }),
+    openAmount: new ComputedField({ aggregate: 'sum', model: 'Bill', field: 'amount', where: { status: "o'pen" } }),
+    hasInvoices: new ComputedField({ aggregate: 'exists', association: 'invoices' })
+  };
+  static associations = {
+    invoices: { type: 'hasMany', model: 'Bill' }
+  };
+}
+
+class Bill extends Model {
+  static tableName = 'bills';
+  static softDelete = true;
+  static fields = {
+    vendor: new ReferenceField({ model: 'Vendor' }),
+    amount: new Field({ type: 'numeric' }, 'amount'),
+    status: new Field({ type: 'string' }, 'status')
+  };
+}
+
+registerModel('Vendor', Vendor);
+registerModel('Bill', Bill);
+
+describe('Computed fields', () => {
+  let query;
+
+  beforeEach(() => {
+    query = jest.spyOn(Vendor, '_executeQuery').mockResolvedValue([
+      { id: 1, name: 'Acme', city: 'Oslo', invoiceCount: '3', openAmount: '120.50', hasInvoices: true }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should compute requested aggregates with correlated subqueries', async () => {
+    const [vendor] = await Vendor.find({ computed: ['invoiceCount', 'openAmount'] });
+
+    const [sql, values] = query.mock.calls[0];
+    expect(sql).toContain('(SELECT COUNT(*) FROM "bills" WHERE "bills"."vendor" = "vendors"."id" AND ("bills"."deletedAt" IS NULL)) AS "invoiceCount"');
+    expect(sql).toContain(`COALESCE(SUM("bills"."amount"), 0) FROM "bills" WHERE "bills"."vendor" = "vendors"."id" AND ("bills"."status" = 'o''pen' AND "bills"."deletedAt" IS NULL)) AS "openAmount"`);
+    expect(sql).not.toContain('hasInvoices');
+    expect(values).toEqual([]);
+    expect(vendor.invoiceCount).toBe(3);
+  });
+
+  it('should leave aggregates out unless they are requested', async () => {
+    await Vendor.find();
+
+    expect(query.mock.calls[0][0]).toBe('SELECT "vendors".* FROM "vendors" ');
+  });
+
+  it('should filter and sort on aggregates', async () => {
+    await Vendor.query()
+      .where('invoiceCount', '>', 2)
+      .where({ hasInvoices: true })
+      .orderBy('openAmount', 'DESC')
+      .find();
+
+    const [sql, values] = query.mock.calls[0];
+    expect(sql).toMatch(/WHERE \(SELECT COUNT\(\*\) .*\) > \$1 AND EXISTS \(SELECT 1 .*\) = \$2 ORDER BY \(SELECT COALESCE\(SUM/);
+    expect(values).toEqual([2, true]);
+  });
+
+  it('should compute JavaScript fields from the record', async () => {
+    const [vendor] = await Vendor.find();
+
+    expect(vendor.label).toBe('Acme (Oslo)');
+    expect(() => Vendor.buildWhere({ label: 'Acme (Oslo)' })).toThrow(ValidationError);
+  });
+
+  it('should reject values for computed fields', async () => {
+    const error = await Vendor.create({ name: 'Acme', invoiceCount: 5 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details.fields).toEqual({ invoiceCount: 'Is computed and cannot be set' });
+  });
+
+  it('should not save computed values', async () => {
+    query.mockResolvedValue([{ id: 1, name: 'Acme' }]);
+    const [vendor] = await Vendor.find({ computed: true });
+
+    await vendor.save();
+
+    const update = query.mock.calls.find(([sql]) => sql.startsWith('UPDATE'));
+    expect(update[0]).not.toMatch(/invoiceCount|label/);
+  });
+
+  it('should aggregate only the related records the user may read', async () => {
+    const user = { id: 7, isAdmin: false };
+    const runAs = (callback, granted) =>
+      asyncLocalStorage.run({ user, permissions: new Set(granted), permissionsUserId: user.id }, callback);
+    jest.replaceProperty(Bill, 'permissions', { read: 'Bill.read', rows: (current) => ({ status: `o'pen ${current.id}` }) });
+
+    await runAs(() => Vendor.find({ computed: ['invoiceCount'], where: { invoiceCount: 2 } }), ['Bill.read']);
+    await runAs(() => Vendor.find({ computed: ['invoiceCount'] }), []);
+
+    const [readable, values] = query.mock.calls[0];
+    expect(readable).toContain(`AND (("bills"."deletedAt" IS NULL) AND "bills"."status" = 'o''pen 7')) AS "invoiceCount"`);
+    expect(values).toEqual([2]);
+    expect(query.mock.calls[1][0]).toBe('SELECT "vendors".*, NULL AS "invoiceCount" FROM "vendors" ');
+    expect(() => asyncLocalStorage.run({ user }, () => Vendor.buildWhere({ invoiceCount: 2 }))).toThrow('was not resolved');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for currencies, exchange rates and money fields
+ */
+
+import Currency from '../../../server/models/Currency.js';
+import ExchangeRate from '../../../server/models/ExchangeRate.js';
+import MoneyField from '../../../server/models/fields/MoneyField.js';
+import CurrencyField from '../../../server/models/fields/CurrencyField.js';
+import CurrencyCodeField from '../../../server/models/fields/CurrencyCodeField.js';
+import { formatMoney, parseAmount, roundAmount } from '../../../server/lib/money.js';
+import { asyncLocalStorage } from '../../../server/lib/orm/asyncContext.js';
+import { NotFoundError } from '../../../server/lib/errors.js';
+
+describe('Money', () => {
+  it('should round half away from zero without binary errors', () => {
+    expect(roundAmount(1.005, 2)).toBe(1.01);
+    expect(roundAmount(-2.5, 0)).toBe(-3);
+    expect(roundAmount(1234567890.12345, 4)).toBe(1234567890.1235);
+  });
+
+  it('should format amounts for a locale', () => {
+    expect(formatMoney(1234.5, 'EUR', 'de-DE')).toBe('1.234,50\u00a0€');
+    expect(formatMoney(1234.5, 'JPY', 'en-US')).toBe('¥1,235');
+    expect(formatMoney(null, 'EUR')).toBeNull();
+  });
+
+  it('should parse amounts with the separators of the locale', () => {
+    expect(parseAmount('$1,234.50', 'en-US')).toBe(1234.5);
+    expect(parseAmount('1.234,50 €', 'de-DE')).toBe(1234.5);
+    expect(parseAmount('-1.234.567,5', 'de-DE')).toBe(-1234567.5);
+    expect(parseAmount('kr. 1.234,50', 'da-DK')).toBe(1234.5);
+    expect(parseAmount('12,5', 'da-DK')).toBe(12.5);
+    expect(parseAmount('-,5', 'da-DK')).toBe(-0.5);
+    expect(() => parseAmount('1.5', 'de-DE')).toThrow('is not an amount');
+    expect(() => parseAmount('1,234.50', 'da-DK')).toThrow('is not an amount');
+    expect(() => parseAmount('1,5', 'en-US')).toThrow('is not an amount');
+  });
+
+  it('should parse amounts entered in the locale of the request', () => {
+    const amount = new MoneyField({ currencyField: 'currency' });
+
+    asyncLocalStorage.run({ request: { locale: 'de-DE' } }, () => {
+      expect(amount.onSet('1.234,50')).toBe(1234.5);
+    });
+    asyncLocalStorage.run({ request: { locale: 'da-DK' } }, () => {
+      expect(amount.onSet('1.234,50')).toBe(1234.5);
+    });
+  });
+
+  it('should store amounts beyond 99,999,999.99 with the currency of the record', () => {
+    const amount = new MoneyField({ currencyField: 'currency' });
+
+    expect(amount.onSet('$1,234,567,890.123456')).toBe(1234567890.1235);
+    expect(() => amount.onSet('ten')).toThrow('"ten" is not an amount');
+    expect(amount.onGet('19.9900')).toBe(19.99);
+    expect(amount.format(19.99, { currency: 'GBP' }, 'en-GB')).toBe('£19.99');
+    expect(amount.describe()).toMatchObject({ type: 'numeric', precision: 18, scale: 4, currencyField: 'currency' });
+  });
+
+  it('should format currency fields in their locale', () => {
+    const price = new CurrencyField({ currency: 'EUR', locale: 'fr-FR' });
+
+    expect(price.onSet('1,250.555')).toBe(1250.56);
+    expect(price.onGet('1250.50')).toEqual({ value: 1250.5, formatted: '1\u202f250,50\u00a0€' });
+  });
+
+  it('should reference the currencies by code', () => {
+    const currency = new CurrencyCodeField();
+
+    expect(currency.onSet(' eur ')).toBe('EUR');
+    expect(currency.reference).toMatchObject({ model: 'Currency', field: 'code' });
+    expect(ExchangeRate.getAssociations().currency).toMatchObject({ type: 'belongsTo', targetKey: 'code' });
+  });
+});
+
+describe('ExchangeRate', () => {
+  let query;
+
+  beforeEach(() => {
+    query = jest.spyOn(ExchangeRate, '_executeQuery').mockImplementation(async (sql, values) =>
+      [{ id: 1, currency: values[0], startingDate: values[1], rate: values[0] === 'EUR' ? '1.080000' : '0.092500' }]
+    );
+    jest.spyOn(Currency, 'getDecimals').mockResolvedValue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should use the latest rate starting on or before the date', async () => {
+    await expect(ExchangeRate.getRate('eur', new Date(2024, 2, 15, 23, 30))).resolves.toBe(1.08);
+
+    const [sql, values] = query.mock.calls[0];
+    expect(sql).toContain('"exchange_rates"."startingDate" <= $2');
+    expect(sql).toContain('ORDER BY "exchange_rates"."startingDate" DESC LIMIT 1');
+    expect(values).toEqual(['EUR', '2024-03-15']);
+  });
+
+  it('should not look up the base currency', async () => {
+    await expect(ExchangeRate.getRate('USD')).resolves.toBe(1);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('should convert through the base currency', async () => {
+    await expect(ExchangeRate.toBase(100, 'EUR', '2024-03-15')).resolves.toBe(108);
+    await expect(ExchangeRate.convert(100, 'EUR', 'NOK', '2024-03-15')).resolves.toBe(1167.57);
+  });
+
+  it('should fail without a rate', async () => {
+    query.mockResolvedValue([]);
+
+    await expect(ExchangeRate.getRate('EUR', '2024-03-15')).rejects.toThrow(NotFoundError);
+  });
+});
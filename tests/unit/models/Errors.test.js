@@ -0,0 +1,84 @@
+/**
+ * Unit tests for typed errors and the response envelope
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import { ValidationError, NotFoundError, PermissionError } from '../../../server/lib/errors.js';
+import { serializeError, createResponse, createErrorResponse, PROTOCOL_VERSION } from '../../../server/lib/protocol.js';
+
+class Supplier extends Model {
+  static tableName = 'suppliers';
+  static fields = {
+    email: new Field({ type: 'string', pattern: /@/ }, 'email')
+  };
+}
+
+describe('Errors', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep code, message and details of application errors', () => {
+    const error = new ValidationError('Invalid data', { email: 'Invalid email address' });
+
+    expect(serializeError(error)).toEqual({
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid data',
+      details: { fields: { email: 'Invalid email address' } }
+    });
+    expect(serializeError(new PermissionError()).code).toBe('FORBIDDEN');
+  });
+
+  it('should hide messages of internal errors in production', () => {
+    const error = new Error("Database error in table 'suppliers': Query: SELECT ...");
+
+    expect(serializeError(error, { exposeInternal: false })).toEqual({
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred'
+    });
+    expect(serializeError(error, { exposeInternal: true }).message).toContain('Database error');
+  });
+
+  it('should wrap results and errors in the envelope', () => {
+    const request = { type: 'controller', requestId: 'r-1' };
+
+    expect(createResponse(request, { ok: 1 })).toEqual({
+      version: PROTOCOL_VERSION,
+      type: 'controller',
+      requestId: 'r-1',
+      success: true,
+      data: { ok: 1 }
+    });
+    expect(createErrorResponse(null, new NotFoundError('Gone'))).toMatchObject({
+      requestId: null,
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Gone' }
+    });
+  });
+
+  it('should report invalid fields and missing records from models', async () => {
+    jest.spyOn(Supplier, '_executeQuery').mockResolvedValue([{ id: 1, email: 'a@example.com' }]);
+
+    const invalid = await Supplier.update(1, { email: 'nope' }).catch(e => e);
+    expect(invalid).toBeInstanceOf(ValidationError);
+    expect(invalid.details.fields).toEqual({ email: 'email does not match the required pattern.' });
+
+    Supplier._executeQuery.mockResolvedValue([]);
+    await expect(Supplier.update(2, { email: 'b@example.com' })).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  it('should turn unique violations into validation errors', () => {
+    const error = Supplier._duplicateError({
+      code: '23505',
+      constraint: 'idx_supplier_email',
+      detail: 'Key (email)=(a@example.com) already exists.'
+    });
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual({
+      constraint: 'idx_supplier_email',
+      fields: { email: 'This value already exists' }
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for translated captions, labels and messages
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import Customer from '../../../server/models/Customer.js';
+import User from '../../../server/models/User.js';
+import EnumField from '../../../server/models/fields/EnumField.js';
+import { asyncLocalStorage } from '../../../server/lib/orm/asyncContext.js';
+import { resolveLocale, getLocale, t, translateField } from '../../../server/lib/i18n.js';
+import { describeCaptions } from '../../../server/lib/metadata.js';
+
+class Note extends Model {
+  static tableName = 'notes';
+  static fields = {
+    title: new Field({ type: 'string', required: true, caption: 'Title' }, 'title')
+  };
+}
+
+// Runs a function in a request with the locale
+const inLocale = (locale, fn) => asyncLocalStorage.run({ request: { locale } }, fn);
+
+describe('I18n', () => {
+  it('should pick the first requested locale with a catalog', () => {
+    expect(resolveLocale('da-dk')).toBe('da-DK');
+    expect(resolveLocale(undefined, 'fr-FR,de;q=0.9,en;q=0.8')).toBe('de');
+    expect(resolveLocale('xx', 'en;q=0.5, da;q=0.7')).toBe('da');
+    expect(resolveLocale('fr', '*')).toBe('en-US');
+  });
+
+  it('should translate messages in the locale of the request', () => {
+    expect(getLocale()).toBe('en-US');
+    expect(t('field.required', { field: 'Name' })).toBe('Name is required.');
+
+    inLocale('da-DK', () => {
+      expect(getLocale()).toBe('da-DK');
+      expect(t('field.maxLength', { field: 'Navn', length: 50 })).toBe('Navn må højst være 50 tegn.');
+      expect(t('no.such.message')).toBe('no.such.message');
+    });
+  });
+
+  it('should report invalid fields with translated captions', async () => {
+    await inLocale('de-DE', async () => {
+      await expect(Note.validate({}, { operation: 'create' })).rejects.toMatchObject({
+        message: "Das Feld 'title' in der Tabelle 'notes' ist ungültig: Title muss angegeben werden.",
+        details: { fields: { title: 'Title muss angegeben werden.' } }
+      });
+      expect(() => new EnumField({ options: ['Male', 'Female'] }).onSet('x')).toThrow('Männlich, Weiblich');
+    });
+  });
+
+  it('should translate captions and labels of model fields', () => {
+    expect(translateField(Customer, 'gender', 'da').labels).toMatchObject({ Male: 'Mand', Female: 'Kvinde' });
+    expect(translateField(Customer, 'gender', 'da').caption).toBe('Køn');
+    expect(translateField(User, 'isAdmin', 'de')).toEqual({
+      caption: 'Administrator',
+      trueLabel: 'Administrator',
+      falseLabel: 'Normaler Benutzer'
+    });
+    expect(translateField(Customer, 'gender', 'en')).toMatchObject({ caption: 'Gender', labels: { Male: 'Male' } });
+  });
+
+  it('should describe the captions of the readable fields', async () => {
+    const captions = await inLocale('da', () => describeCaptions(Customer, { user: null }));
+
+    expect(captions.name).toEqual({ caption: 'Navn' });
+    expect(captions.gender.labels['Prefer not to say']).toBe('Ønsker ikke at oplyse');
+    expect(captions).not.toHaveProperty('id');
+  });
+});
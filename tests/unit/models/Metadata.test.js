@@ -0,0 +1,76 @@
+/**
+ * Unit tests for the model descriptions served to clients
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import EnumField from '../../../server/models/fields/EnumField.js';
+import ReferenceField from '../../../server/models/fields/ReferenceField.js';
+import PasswordField from '../../../server/models/fields/PasswordField.js';
+import { createModelController } from '../../../server/lib/modelController.js';
+import { describeModel } from '../../../server/lib/metadata.js';
+
+class Agent extends Model {
+  static tableName = 'agents';
+  static versioned = true;
+  static fields = {
+    code: new Field({ type: 'string', length: 10, required: true, pattern: /^[A-Z]+$/i, caption: 'Code' }, 'code'),
+    level: new EnumField({ options: ['Junior', 'Senior'], default: 'Junior' }),
+    country: new ReferenceField({ model: 'Country' }),
+    password: new PasswordField(),
+    salary: new Field({ type: 'numeric' }, 'salary'),
+    rating: new Field({ type: 'integer' }, 'rating')
+  };
+  static indexes = [{ name: 'idx_agent_code', columns: ['code'], unique: true }];
+  static permissions = {
+    write: 'admin',
+    fields: {
+      salary: { read: 'admin' },
+      rating: { write: 'admin' }
+    }
+  };
+}
+
+const user = { id: 7, isAdmin: false };
+
+describe('Model metadata', () => {
+  it('should describe fields with their validation rules', async () => {
+    const { fields } = await describeModel(Agent, { user });
+
+    expect(fields.code).toMatchObject({
+      name: 'code',
+      type: 'string',
+      caption: 'Code',
+      required: true,
+      length: 10,
+      pattern: { source: '^[A-Z]+$', flags: 'i' },
+      readOnly: false
+    });
+    expect(new RegExp(fields.code.pattern.source, fields.code.pattern.flags).test('abc')).toBe(true);
+    expect(fields.level).toMatchObject({ options: ['Junior', 'Senior'], default: 'Junior' });
+    expect(fields.country.lookup).toEqual({ model: 'Country', valueField: 'id', displayField: 'name' });
+    expect(fields.password).toMatchObject({ writeOnly: true, passwordRules: { minLength: 8 } });
+    expect(fields.version).toEqual({ type: 'int', required: false, system: true, readOnly: true });
+  });
+
+  it('should survive serialization to JSON', async () => {
+    const description = await describeModel(Agent, { user });
+
+    expect(JSON.parse(JSON.stringify(description)).fields.code.pattern.source).toBe('^[A-Z]+$');
+  });
+
+  it('should tailor fields, access and actions to the user', async () => {
+    const controller = createModelController(Agent);
+    const description = await describeModel(Agent, { controller, user });
+
+    expect(description.fields).not.toHaveProperty('salary');
+    expect(description.fields.rating.readOnly).toBe(true);
+    expect(description.access).toEqual({ read: true, create: false, update: false, delete: false });
+    expect(description.actions).toEqual(expect.arrayContaining(['list', 'get', 'next']));
+    expect(description.indexes).toEqual([{ name: 'idx_agent_code', columns: ['code'], unique: true }]);
+
+    const admin = await describeModel(Agent, { controller, user: { id: 1, isAdmin: true } });
+    expect(admin.fields).toHaveProperty('salary');
+    expect(admin.access.update).toBe(true);
+  });
+});
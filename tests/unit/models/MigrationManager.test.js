@@ -0,0 +1,130 @@
+/**
+ * Unit tests for schema diffing and the MigrationManager
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import SchemaManager from '../../../server/lib/orm/SchemaManager.js';
+import MigrationManager from '../../../server/lib/orm/MigrationManager.js';
+
+const NAME_UID = '{11111111-1111-4111-8111-111111111111}';
+const EMAIL_UID = '{22222222-2222-4222-8222-222222222222}';
+
+class Contact extends Model {
+  static tableName = 'contacts';
+  static fields = {
+    fullName: new Field({ type: 'string', length: 100, uid: NAME_UID }, 'fullName'),
+    email: new Field({ type: 'string', length: 255, uid: EMAIL_UID }, 'email')
+  };
+}
+
+// Minimal stand-in for a pg client returning canned catalog rows
+function createClient({ tableExists = true, columns = [] } = {}) {
+  return {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('information_schema.tables')) return { rows: [{ exists: tableExists }] };
+      if (sql.includes('information_schema.columns')) return { rows: columns };
+      return { rows: [] };
+    })
+  };
+}
+
+const column = (name, uid, extra = {}) => ({
+  column_name: name,
+  data_type: 'character varying',
+  character_maximum_length: 255,
+  is_nullable: 'YES',
+  comment: uid ? `uid: ${uid}` : null,
+  ...extra
+});
+
+describe('SchemaManager.diff', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should create missing tables and drop them on the way down', async () => {
+    const { up, down } = await new SchemaManager(Contact).diff(createClient({ tableExists: false }));
+
+    expect(up[0]).toMatch(/^CREATE TABLE "contacts"/);
+    expect(up).toContain(`COMMENT ON COLUMN "contacts"."email" IS 'uid: ${EMAIL_UID}'`);
+    expect(down).toEqual(['DROP TABLE IF EXISTS "contacts"']);
+  });
+
+  it('should detect renamed columns through the field uid', async () => {
+    const client = createClient({
+      columns: [
+        column('id', null, { data_type: 'integer', is_nullable: 'NO' }),
+        column('name', NAME_UID, { character_maximum_length: 100 }),
+        column('email', EMAIL_UID)
+      ]
+    });
+
+    const { up, down } = await new SchemaManager(Contact).diff(client);
+
+    expect(up).toContain('ALTER TABLE "contacts" RENAME COLUMN "name" TO "fullName"');
+    expect(up.some(sql => sql.includes('DROP COLUMN'))).toBe(false);
+    expect(down).toContain('ALTER TABLE "contacts" RENAME COLUMN "fullName" TO "name"');
+  });
+
+  it('should fall back to drop and add when the uid match is ambiguous', async () => {
+    const client = createClient({
+      columns: [
+        column('name', NAME_UID, { character_maximum_length: 100 }),
+        column('nickname', NAME_UID, { character_maximum_length: 100 }),
+        column('email', EMAIL_UID)
+      ]
+    });
+
+    const { up } = await new SchemaManager(Contact).diff(client);
+
+    expect(up.some(sql => sql.includes('RENAME COLUMN'))).toBe(false);
+    expect(up).toContain('ALTER TABLE "contacts" ADD COLUMN "fullName" VARCHAR(100)');
+    expect(up).toContain('ALTER TABLE "contacts" DROP COLUMN "name"');
+  });
+});
+
+describe('MigrationManager', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should write a timestamped migration file with up and down', async () => {
+    const migrations = new MigrationManager({ directory });
+    jest.spyOn(migrations, 'diff').mockResolvedValue({
+      up: ['ALTER TABLE "contacts" ADD COLUMN "phone" VARCHAR(20)'],
+      down: ['ALTER TABLE "contacts" DROP COLUMN IF EXISTS "phone"']
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = await migrations.generate('Add contact phone');
+
+    expect(path.basename(result.file)).toMatch(/^\d{14}_add_contact_phone\.js$/);
+    const source = fs.readFileSync(result.file, 'utf8');
+    expect(source).toContain('export async function up(client)');
+    expect(source).toContain('await client.query(`ALTER TABLE "contacts" ADD COLUMN "phone" VARCHAR(20)`);');
+    expect(source).toContain('await client.query(`ALTER TABLE "contacts" DROP COLUMN IF EXISTS "phone"`);');
+  });
+
+  it('should not create a file when nothing changed', async () => {
+    const migrations = new MigrationManager({ directory });
+    jest.spyOn(migrations, 'diff').mockResolvedValue({ up: [], down: [] });
+
+    expect(await migrations.generate('noop')).toBeNull();
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+});
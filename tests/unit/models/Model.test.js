@@ -6,6 +6,8 @@ import Model from '../../../server/lib/orm/Model.js';
 import Field from '../../../server/lib/orm/Field.js';
 import PasswordField from '../../../server/models/fields/PasswordField.js';
 import BooleanField from '../../../server/models/fields/BooleanField.js';
+import ReferenceField from '../../../server/models/fields/ReferenceField.js';
+import { registerModel } from '../../../server/lib/orm/modelRegistry.js';
 
 // Create a test model class that extends Model
 class TestModel extends Model {
@@ -90,6 +92,26 @@ describe('Model', () => {
       // Restore the original fields method
       jest.restoreAllMocks();
     });
+
+    it('should save only the values stored in columns', async () => {
+      class Account extends Model {
+        static tableName = 'accounts';
+        static fields = {
+          name: new Field({ type: 'string' }, 'name'),
+          password: new PasswordField()
+        };
+      }
+      const update = jest.spyOn(Account, 'update').mockResolvedValue({});
+      const account = new Account({ id: 1, name: 'Acme', password: '********', ownerRecord: { id: 2 } });
+
+      await account.save();
+      account.password = 'Secret@123';
+      await account.save();
+
+      expect(update).toHaveBeenNthCalledWith(1, 1, { id: 1, name: 'Acme' });
+      expect(update).toHaveBeenNthCalledWith(2, 1, { id: 1, name: 'Acme', password: 'Secret@123' });
+      update.mockRestore();
+    });
   });
 
   // Test _processOnSet and _processOnGet
@@ -163,4 +185,78 @@ describe('Model', () => {
       jest.restoreAllMocks();
     });
   });
-}); 
\ No newline at end of file
+
+  // Test associations
+  describe('associations', () => {
+    class Owner extends Model {
+      static tableName = 'owners';
+      static fields = { name: new Field({ type: 'string' }, 'name') };
+      static associations = {
+        items: { type: 'hasMany', model: 'Item' },
+        tags: { type: 'belongsToMany', model: 'Tag', through: 'owner_tags' }
+      };
+    }
+
+    class Item extends Model {
+      static tableName = 'items';
+      static fields = { owner: new ReferenceField({ model: 'Owner' }) };
+    }
+
+    class Tag extends Model {
+      static tableName = 'tags';
+      static fields = { name: new Field({ type: 'string' }, 'name') };
+    }
+
+    beforeAll(() => {
+      registerModel('Owner', Owner);
+      registerModel('Item', Item);
+      registerModel('Tag', Tag);
+      [Owner, Item, Tag].forEach(model => model.initAssociations());
+    });
+
+    it('should normalize declared and implicit associations', () => {
+      const ownerAssociations = Owner.getAssociations();
+      expect(ownerAssociations.items.foreignKey).toBe('owner');
+      expect(ownerAssociations.tags.foreignKey).toBe('ownerId');
+      expect(ownerAssociations.tags.otherKey).toBe('tagId');
+
+      const itemAssociations = Item.getAssociations();
+      expect(itemAssociations.owner.type).toBe('belongsTo');
+      expect(itemAssociations.owner.as).toBe('ownerRecord');
+    });
+
+    it('should define instance helpers for each association', () => {
+      const owner = new Owner({ id: 1 });
+      expect(typeof owner.getItems).toBe('function');
+      expect(typeof owner.addItem).toBe('function');
+      expect(typeof owner.countItems).toBe('function');
+      expect(typeof owner.getTags).toBe('function');
+      expect(typeof owner.setTags).toBe('function');
+      expect(typeof new Item({ id: 1 }).getOwner).toBe('function');
+    });
+
+    it('should scope hasMany helpers to the owning record', async () => {
+      const findSpy = jest.spyOn(Item, 'find').mockResolvedValue([]);
+
+      await new Owner({ id: 5 }).getItems();
+
+      expect(findSpy).toHaveBeenCalledWith({ where: { owner: 5 } });
+      findSpy.mockRestore();
+    });
+
+    it('should load nested associations as JSON subqueries', async () => {
+      const querySpy = jest.spyOn(Owner, 'query').mockResolvedValue([
+        { id: 1, name: 'Owner', items: [{ id: 2, owner: 1 }], tags: [] }
+      ]);
+
+      const [owner] = await Owner.find({ include: ['items', { association: 'tags' }] });
+      const [sql] = querySpy.mock.calls[0];
+
+      expect(sql).toContain('json_agg');
+      expect(sql).toContain('JOIN "owner_tags" AS "j1"');
+      expect(owner.data.items[0]).toBeInstanceOf(Item);
+      expect(owner.data.tags).toEqual([]);
+      querySpy.mockRestore();
+    });
+  });
+});
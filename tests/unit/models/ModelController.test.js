@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the generic CRUD controller of models
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import PasswordField from '../../../server/models/fields/PasswordField.js';
+import { createModelController } from '../../../server/lib/modelController.js';
+import { ValidationError, NotFoundError } from '../../../server/lib/errors.js';
+import { asyncLocalStorage } from '../../../server/lib/orm/asyncContext.js';
+
+class Member extends Model {
+  static tableName = 'members';
+  static fields = {
+    name: new Field({ type: 'string' }, 'name'),
+    city: new Field({ type: 'string' }, 'city'),
+    password: new PasswordField()
+  };
+}
+
+class Employee extends Model {
+  static tableName = 'employees';
+  static fields = {
+    name: new Field({ type: 'string' }, 'name'),
+    salary: new Field({ type: 'numeric' }, 'salary')
+  };
+  static permissions = {
+    read: 'authenticated',
+    write: 'admin',
+    fields: { salary: { read: 'admin' } }
+  };
+}
+
+const MemberController = createModelController(Member);
+const EmployeeController = createModelController(Employee);
+const normalize = sql => sql.replace(/\s+/g, ' ').trim();
+
+describe('Generic model controller', () => {
+  let query;
+
+  beforeEach(() => {
+    query = jest.spyOn(Member, '_executeQuery')
+      .mockResolvedValue([{ id: 2, name: 'Ann', city: 'Oslo', password: 'scrypt$hash' }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should be named after the model', () => {
+    expect(MemberController.name).toBe('MemberController');
+  });
+
+  it('should require the model permission codes unless the model has rules', () => {
+    expect(MemberController.permissions).toMatchObject({
+      create: 'Member.create',
+      get: 'Member.read',
+      list: 'Member.read',
+      update: 'Member.update',
+      delete: 'Member.delete'
+    });
+    expect(EmployeeController.permissions).toMatchObject({ list: 'authenticated', update: 'authenticated' });
+  });
+
+  it('should not filter or sort on fields the user may not read', async () => {
+    const employees = jest.spyOn(Employee, '_executeQuery').mockResolvedValue([{ count: '2' }]);
+    const user = { id: 7, isAdmin: false };
+
+    await expect(MemberController.list({ password: { like: 'scrypt%' } })).rejects.toBeInstanceOf(ValidationError);
+    await expect(MemberController.list({ name: { column: 'password' } })).rejects.toBeInstanceOf(ValidationError);
+    await expect(MemberController.first(null, 'password')).rejects.toBeInstanceOf(ValidationError);
+    await asyncLocalStorage.run({ user, permissions: new Set(), permissionsUserId: user.id }, async () => {
+      await expect(EmployeeController.count({ salary: { operator: '>', value: 5000 } })).rejects.toBeInstanceOf(ValidationError);
+      await expect(EmployeeController.list({ name: { column: 'salary', compare: '<' } })).rejects.toBeInstanceOf(ValidationError);
+      await expect(EmployeeController.list(null, 'salary')).rejects.toBeInstanceOf(ValidationError);
+    });
+    expect(query).not.toHaveBeenCalled();
+    expect(employees).not.toHaveBeenCalled();
+
+    await EmployeeController.count({ salary: { operator: '>', value: 5000 } });
+    expect(employees).toHaveBeenCalledTimes(1);
+  });
+
+  it('should never return password values', async () => {
+    const { record } = await MemberController.get(2);
+
+    expect(record).toEqual({ id: 2, name: 'Ann', city: 'Oslo' });
+  });
+
+  it('should reject unknown fields and columns', async () => {
+    const error = await MemberController.create({ name: 'Bob', isAdmin: true }).catch(e => e);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details.fields).toEqual({ isAdmin: 'Member has no field isAdmin' });
+
+    await expect(MemberController.list(null, 'salary')).rejects.toBeInstanceOf(ValidationError);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('should report missing records', async () => {
+    query.mockResolvedValue([]);
+
+    await expect(MemberController.get(9)).rejects.toBeInstanceOf(NotFoundError);
+    await expect(MemberController.delete(9)).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  it('should list a page of records with the total', async () => {
+    query.mockResolvedValueOnce([{ id: 2, name: 'Ann', password: 'scrypt$hash' }])
+      .mockResolvedValueOnce([{ count: '7' }]);
+
+    const result = await MemberController.list({ city: 'Oslo' }, { column: 'name', direction: 'desc' }, 1000, 5);
+
+    expect(result).toEqual({ success: true, records: [{ id: 2, name: 'Ann' }], total: 7, limit: 500, offset: 5 });
+    expect(normalize(query.mock.calls[0][0])).toContain('ORDER BY "members"."name" DESC, "members"."id" DESC');
+  });
+
+  it('should find the next record after ties on the order column', async () => {
+    query.mockResolvedValueOnce([{ id: 2, name: 'Ann', city: 'Oslo' }])
+      .mockResolvedValueOnce([{ id: 5, name: 'Bob', city: 'Oslo' }]);
+
+    const { record } = await MemberController.next(2, null, 'city');
+    const [sql, values] = query.mock.calls[1];
+
+    expect(record.id).toBe(5);
+    expect(normalize(sql)).toContain('ORDER BY "members"."city" ASC, "members"."id" ASC');
+    expect(normalize(sql)).toContain('"city" IS NULL');
+    expect(values).toEqual(expect.arrayContaining(['Oslo', 2]));
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for number series and fields filled from them
+ */
+
+import pool from '../../../server/config/db.js';
+import Model from '../../../server/lib/orm/Model.js';
+import NumberField from '../../../server/models/fields/NumberField.js';
+import NumberSeries from '../../../server/models/NumberSeries.js';
+import { registerModel } from '../../../server/lib/orm/modelRegistry.js';
+import { asyncLocalStorage } from '../../../server/lib/orm/asyncContext.js';
+import { ValidationError } from '../../../server/lib/errors.js';
+
+class Invoice extends Model {
+  static tableName = 'invoices';
+  static fields = {
+    number: new NumberField({ numberSeries: 'INVOICE' })
+  };
+}
+
+registerModel('NumberSeries', NumberSeries);
+
+const series = { id: 3, code: 'INVOICE', prefix: 'INV-', pattern: '{PREFIX}{YY}{MM}-{####}', nextValue: 42, mode: 'gapFree', resetYearly: false, year: 2024 };
+const date = new Date(2024, 2, 15);
+
+describe('NumberSeries', () => {
+  let query;
+
+  beforeEach(() => {
+    query = jest.spyOn(NumberSeries, '_executeQuery').mockImplementation(async sql =>
+      sql.startsWith('SELECT') ? [series] : []
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should format numbers from the pattern', () => {
+    expect(NumberSeries.format(series, 42, date)).toBe('INV-2403-0042');
+    expect(NumberSeries.format({ pattern: 'CUST-{YYYY}-{#####}' }, 7, date)).toBe('CUST-2024-00007');
+  });
+
+  it('should lock the series in the current transaction when gap-free', async () => {
+    const connect = jest.spyOn(pool, 'connect');
+
+    const number = await asyncLocalStorage.run({ client: {} }, () => NumberSeries.next('INVOICE', date));
+
+    expect(number).toBe('INV-2403-0042');
+    expect(query.mock.calls[1][0]).toContain('FOR UPDATE');
+    expect(query.mock.calls[2][1]).toEqual([43, 2024, 3]);
+    expect(connect).not.toHaveBeenCalled();
+  });
+
+  it('should take fast numbers in a transaction of their own', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    query.mockImplementation(async sql => (sql.startsWith('SELECT') ? [{ ...series, mode: 'fast' }] : []));
+
+    await asyncLocalStorage.run({ client: {} }, () => NumberSeries.next('INVOICE', date));
+
+    expect(client.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'COMMIT']);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should restart yearly counters in a new year', async () => {
+    query.mockImplementation(async sql => (sql.startsWith('SELECT') ? [{ ...series, resetYearly: true, year: 2023 }] : []));
+
+    const number = await asyncLocalStorage.run({ client: {} }, () => NumberSeries.next('INVOICE', date));
+
+    expect(number).toBe('INV-2403-0001');
+    expect(query.mock.calls[2][1]).toEqual([2, 2024, 3]);
+  });
+
+  it('should fill empty number fields on create', async () => {
+    jest.spyOn(NumberSeries, 'next').mockResolvedValue('INV-2403-0042');
+    const insert = jest.spyOn(Invoice, '_executeQuery').mockResolvedValue([{ id: 1, number: 'INV-2403-0042' }]);
+
+    await Invoice.create({});
+    await Invoice.create({ number: 'MANUAL-1' });
+
+    expect(insert.mock.calls.map(([, values]) => values)).toEqual([['INV-2403-0042'], ['MANUAL-1']]);
+    expect(NumberSeries.next).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report a missing series on the field', async () => {
+    query.mockResolvedValue([]);
+
+    const error = await Invoice.create({}).catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details.fields).toEqual({ number: 'Number series INVOICE does not exist' });
+  });
+
+  it('should require the counter in the pattern', async () => {
+    await expect(NumberSeries.validate({ code: 'X', pattern: 'X-{YYYY}' }))
+      .rejects.toThrow('Must contain the counter');
+    await expect(NumberSeries.validate({ code: 'X', pattern: 'X-{####}', resetYearly: true }))
+      .rejects.toThrow('Must contain {YYYY} or {YY}');
+  });
+});
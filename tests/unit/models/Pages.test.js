@@ -0,0 +1,99 @@
+/**
+ * Unit tests for page definitions and the menu
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import PasswordField from '../../../server/models/fields/PasswordField.js';
+import { registerModel } from '../../../server/lib/orm/modelRegistry.js';
+import { getPages, getPageAction, describePage, filterMenu } from '../../../server/lib/pages.js';
+import { NotFoundError } from '../../../server/lib/errors.js';
+
+class Vendor extends Model {
+  static tableName = 'vendors';
+  static fields = {
+    name: new Field({ type: 'string' }, 'name'),
+    rating: new Field({ type: 'integer' }, 'rating'),
+    password: new PasswordField()
+  };
+  static permissions = {
+    fields: { rating: { read: 'admin' } }
+  };
+  static pages = {
+    card: {
+      groups: [{ caption: 'General', fields: ['name', 'rating'] }],
+      actions: [
+        { name: 'approve', caption: 'Approve' },
+        { name: 'block', caption: 'Block' }
+      ]
+    }
+  };
+}
+
+class Warehouse extends Model {
+  static tableName = 'warehouses';
+  static fields = { code: new Field({ type: 'string' }, 'code') };
+  static permissions = { read: 'admin' };
+}
+
+registerModel('Vendor', Vendor);
+registerModel('Warehouse', Warehouse);
+
+const user = { id: 7, isAdmin: false };
+
+describe('Pages', () => {
+  it('should add default pages without write-only fields', () => {
+    const { list, card } = getPages(Vendor);
+
+    expect(list).toMatchObject({
+      type: 'list',
+      model: 'Vendor',
+      columns: [{ field: 'name' }, { field: 'rating' }],
+      orderBy: { column: 'id', direction: 'ASC' },
+      card: 'card'
+    });
+    expect(card.actions[0]).toEqual({ name: 'approve', caption: 'Approve', controller: 'Vendor', action: 'approve' });
+  });
+
+  it('should reject pages using unknown fields', () => {
+    class Broken extends Vendor {
+      static pages = { list: { columns: ['name', 'nickname'] } };
+    }
+
+    expect(() => getPages(Broken)).toThrow('Page Broken.list uses unknown fields: nickname');
+  });
+
+  it('should find page actions', () => {
+    expect(getPageAction('Vendor', 'card', 'approve').action.controller).toBe('Vendor');
+    expect(() => getPageAction('Vendor', 'card', 'delete')).toThrow(NotFoundError);
+    expect(() => getPageAction('Vendor', 'report', 'print')).toThrow(NotFoundError);
+  });
+
+  it('should leave out fields and actions the user may not use', async () => {
+    const controllers = {
+      Vendor: class {
+        static permissions = { approve: 'authenticated' };
+        static async approve(record) {}
+        static async block(record) {}
+      }
+    };
+
+    const card = await describePage(Vendor, getPages(Vendor).card, { controllers, user });
+
+    expect(card.groups[0].fields).toEqual(['name']);
+    expect(card.actions.map(action => action.name)).toEqual(['approve']);
+  });
+
+  it('should only show menu items the user can open', async () => {
+    const menu = [
+      { caption: 'Purchase', items: [{ caption: 'Vendors', page: 'Vendor' }, { caption: 'Missing', page: 'Nothing.list' }] },
+      { caption: 'Logistics', items: [{ caption: 'Warehouses', page: 'Warehouse.list' }] },
+      { caption: 'Setup', permission: 'admin', items: [{ caption: 'Vendor Cards', page: 'Vendor.card' }] }
+    ];
+
+    expect(await filterMenu(menu, user)).toEqual([
+      { caption: 'Purchase', items: [{ caption: 'Vendors', page: 'Vendor.list' }] }
+    ]);
+    expect(await filterMenu(menu, { id: 1, isAdmin: true })).toHaveLength(3);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the chainable QueryBuilder
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import QueryBuilder from '../../../server/lib/orm/QueryBuilder.js';
+
+class Person extends Model {
+  static tableName = 'persons';
+  static fields = {
+    name: new Field({ type: 'string' }, 'name'),
+    email: new Field({ type: 'string' }, 'email'),
+    country: new Field({ type: 'integer' }, 'country')
+  };
+}
+
+describe('QueryBuilder', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep the flat where object syntax working', () => {
+    const { whereClause, values } = Person.buildWhere({
+      country: 3,
+      name: { like: 'A%' },
+      email: [ 'a@example.com', 'b@example.com' ]
+    });
+
+    expect(whereClause).toBe('WHERE ("persons"."country" = $1 AND "persons"."name" LIKE $2 AND "persons"."email" IN ($3, $4))');
+    expect(values).toEqual([3, 'A%', 'a@example.com', 'b@example.com']);
+  });
+
+  it('should compose OR groups and negations', () => {
+    const builder = Person.query()
+      .where('country', 3)
+      .where(q => q.whereILike('name', '%acme%').orWhereILike('email', '%acme%'))
+      .whereNot('name', 'Test');
+
+    expect(builder).toBeInstanceOf(QueryBuilder);
+
+    const { whereClause, values } = builder.buildWhere();
+    expect(whereClause).toBe(
+      'WHERE "persons"."country" = $1 AND ("persons"."name" ILIKE $2 OR "persons"."email" ILIKE $3) AND NOT ("persons"."name" = $4)'
+    );
+    expect(values).toEqual([3, '%acme%', '%acme%', 'Test']);
+  });
+
+  it('should pass select, multi-column ordering and pagination to find', async () => {
+    const querySpy = jest.spyOn(Person, '_executeQuery').mockResolvedValue([{ id: 1, name: 'ACME' }]);
+
+    await Person.query()
+      .whereIn('country', [1, 2])
+      .select(['id', 'name'])
+      .orderBy([{ column: 'name' }, { column: 'id', direction: 'desc; DROP TABLE persons' }])
+      .limit(10)
+      .offset(20);
+
+    const [sql, params] = querySpy.mock.calls[0];
+    expect(sql).toContain('SELECT "persons"."id", "persons"."name" FROM "persons"');
+    expect(sql).toContain('WHERE "persons"."country" IN ($1, $2)');
+    expect(sql).toContain('ORDER BY "persons"."name" ASC, "persons"."id" ASC LIMIT 10 OFFSET 20');
+    expect(params).toEqual([1, 2]);
+  });
+
+  it('should refuse batch updates and deletes without conditions', async () => {
+    await expect(Person.query().update({ name: 'X' })).rejects.toThrow();
+    await expect(Person.query().delete()).rejects.toThrow();
+  });
+});
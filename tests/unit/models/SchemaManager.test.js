@@ -0,0 +1,162 @@
+/**
+ * Unit tests for SchemaManager plan mode and uid-based renames
+ */
+
+import pool from '../../../server/config/db.js';
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import SchemaManager from '../../../server/lib/orm/SchemaManager.js';
+
+class Note extends Model {
+  static tableName = 'notes';
+  static fields = {
+    title: new Field({ type: 'string', length: 100 }, 'title')
+  };
+  static indexes = [
+    { name: 'title_idx', columns: ['title'] }
+  ];
+}
+
+// Fake connection: the table exists with an extra column and a shorter title
+function createConnection() {
+  return {
+    release: jest.fn(),
+    query: jest.fn(async (sql) => {
+      if (sql.includes('information_schema.tables')) return { rows: [{ exists: true }] };
+      if (sql.includes('information_schema.columns')) {
+        return {
+          rows: [
+            { column_name: 'id', data_type: 'integer', is_nullable: 'NO' },
+            { column_name: 'createdAt', data_type: 'timestamp with time zone', is_nullable: 'NO' },
+            { column_name: 'updatedAt', data_type: 'timestamp with time zone', is_nullable: 'NO' },
+            { column_name: 'title', data_type: 'character varying', character_maximum_length: 50, is_nullable: 'YES' },
+            { column_name: 'legacy', data_type: 'text', is_nullable: 'YES' }
+          ]
+        };
+      }
+      if (/^\s*(SELECT|BEGIN|COMMIT|ROLLBACK)/i.test(sql)) return { rows: [] };
+      throw new Error(`Statement executed in plan mode: ${sql}`);
+    })
+  };
+}
+
+describe('SchemaManager plan mode', () => {
+  let connection;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    connection = createConnection();
+    jest.spyOn(pool, 'connect').mockResolvedValue(connection);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should collect statements without executing them', async () => {
+    const plan = [];
+    await new SchemaManager(Note).syncSchema({ force: true, dropExtraColumns: true, plan });
+
+    const statements = plan.map(statement => statement.sql);
+    expect(statements).toContain('ALTER TABLE "notes" DROP COLUMN "legacy"');
+    expect(statements).toContain('CREATE INDEX "notes_title_idx" ON "notes" ("title")');
+    expect(statements.some(sql => sql.includes('schema_versions'))).toBe(false);
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  it('should flag destructive statements', async () => {
+    const plan = [];
+    await new SchemaManager(Note).syncSchema({ force: true, dropExtraColumns: true, plan });
+
+    const drop = plan.find(statement => statement.sql.includes('DROP COLUMN'));
+    const index = plan.find(statement => statement.sql.startsWith('CREATE INDEX'));
+    expect(drop.destructive).toBe(true);
+    expect(index.destructive).toBe(false);
+    expect(plan.find(statement => /TYPE character varying\(100\)/.test(statement.sql)).destructive).toBe(true);
+  });
+
+  it('should format the plan as SQL and JSON', () => {
+    const plan = [
+      { table: 'notes', sql: 'ALTER TABLE "notes" DROP COLUMN "legacy"', destructive: true },
+      { table: 'notes', sql: 'CREATE INDEX "notes_title_idx" ON "notes" ("title")', destructive: false }
+    ];
+
+    const sql = SchemaManager.formatPlanAsSql(plan);
+    expect(sql).toContain('-- Table: notes');
+    expect(sql).toContain('-- DESTRUCTIVE: may lose data\nALTER TABLE "notes" DROP COLUMN "legacy";');
+
+    const json = JSON.parse(SchemaManager.formatPlanAsJson(plan));
+    expect(json.summary).toEqual({ total: 2, destructive: 1 });
+    expect(json.statements).toHaveLength(2);
+  });
+});
+
+describe('SchemaManager renames', () => {
+  const TITLE_UID = '{33333333-3333-4333-8333-333333333333}';
+  const MODEL_UID = '{44444444-4444-4444-8444-444444444444}';
+
+  class Memo extends Model {
+    static tableName = 'memos';
+    static uid = MODEL_UID;
+    static fields = {
+      heading: new Field({ type: 'string', length: 100, uid: TITLE_UID }, 'heading')
+    };
+  }
+
+  // Fake connection for a table stored as `liveTable` with a `title` column carrying TITLE_UID
+  function createConnection(liveTable) {
+    const executed = [];
+    return {
+      executed,
+      release: jest.fn(),
+      query: jest.fn(async (sql, params = []) => {
+        executed.push(sql.replace(/\s+/g, ' ').trim());
+        if (sql.includes('information_schema.tables')) return { rows: [{ exists: params[0] === liveTable }] };
+        if (sql.includes('FROM pg_class')) return { rows: [{ relname: liveTable }] };
+        if (sql.includes('information_schema.columns')) {
+          return {
+            rows: [
+              { column_name: 'id', data_type: 'integer', is_nullable: 'NO' },
+              { column_name: 'createdAt', data_type: 'timestamp with time zone', is_nullable: 'NO' },
+              { column_name: 'updatedAt', data_type: 'timestamp with time zone', is_nullable: 'NO' },
+              { column_name: 'title', data_type: 'character varying', character_maximum_length: 100, is_nullable: 'YES', comment: `uid: ${TITLE_UID}` }
+            ]
+          };
+        }
+        return { rows: [{}] };
+      })
+    };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should rename a column whose field key changed but kept its uid', async () => {
+    const connection = createConnection('memos');
+    jest.spyOn(pool, 'connect').mockResolvedValue(connection);
+
+    await new SchemaManager(Memo).syncSchema({ force: true, dropExtraColumns: true });
+
+    expect(connection.executed).toContain('ALTER TABLE "memos" RENAME COLUMN "title" TO "heading"');
+    expect(connection.executed.some(sql => /ADD COLUMN "heading"|DROP COLUMN "title"/.test(sql))).toBe(false);
+  });
+
+  it('should rename a table whose tableName changed but kept its uid', async () => {
+    const connection = createConnection('notes_old');
+    jest.spyOn(pool, 'connect').mockResolvedValue(connection);
+
+    const plan = [];
+    await new SchemaManager(Memo).syncSchema({ plan });
+
+    const statements = plan.map(statement => statement.sql);
+    expect(statements[0]).toBe('ALTER TABLE "notes_old" RENAME TO "memos"');
+    expect(statements).toContain('ALTER TABLE "memos" RENAME CONSTRAINT "notes_old_pkey" TO "memos_pkey"');
+    expect(statements).toContain('ALTER TABLE "memos" RENAME COLUMN "title" TO "heading"');
+    expect(statements.some(sql => sql.startsWith('CREATE TABLE'))).toBe(false);
+  });
+});
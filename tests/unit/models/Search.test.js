@@ -0,0 +1,118 @@
+/**
+ * Unit tests for full-text and fuzzy search
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import SchemaManager from '../../../server/lib/orm/SchemaManager.js';
+import { registerModel } from '../../../server/lib/orm/modelRegistry.js';
+import { asyncLocalStorage } from '../../../server/lib/orm/asyncContext.js';
+import SearchController from '../../../server/controllers/Search.js';
+import { ValidationError, NotFoundError } from '../../../server/lib/errors.js';
+
+class Supplier extends Model {
+  static tableName = 'suppliers';
+  static fields = {
+    name: new Field({ type: 'string' }, 'name'),
+    email: new Field({ type: 'string' }, 'email'),
+    notes: new Field({ type: 'string' }, 'notes')
+  };
+  static permissions = {
+    fields: { notes: { read: 'admin' } }
+  };
+  static searchable = {
+    fields: { name: 'A', notes: 'C' },
+    fuzzy: ['name', 'email'],
+    title: 'name'
+  };
+}
+
+registerModel('Supplier', Supplier);
+
+const normalize = sql => sql.replace(/\s+/g, ' ').trim();
+
+describe('Search', () => {
+  let query;
+
+  beforeEach(() => {
+    query = jest.spyOn(Supplier, '_executeQuery').mockResolvedValue([
+      { id: 4, name: 'Nordic Timber', email: 'sales@nordic.no', notes: 'secret', _searchRank: '0.8', _searchHighlight: '\u0002Nordic\u0003 Timber' }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should build prefix queries from the words of a term', () => {
+    expect(Supplier._toTsQuery('  Nord  tim\'ber! ')).toBe("'nord':* & 'timber':*");
+    expect(Supplier._toTsQuery('&|')).toBe('');
+  });
+
+  it('should define a generated search vector column and its indexes', () => {
+    const { searchVector } = Supplier._searchColumns();
+
+    // notes has a read rule and stays out of the vector every user searches
+    expect(searchVector.sql).toBe(
+      `TSVECTOR GENERATED ALWAYS AS (setweight(to_tsvector('simple'::regconfig, coalesce("name"::text, '')), 'A')) STORED`
+    );
+    expect(searchVector.checksum).toMatch(/^[0-9a-f]{12}$/);
+
+    const manager = new SchemaManager(Supplier);
+    expect(manager._getIndexes().map(index => manager._getCreateIndexSQL(index))).toEqual([
+      'CREATE INDEX "suppliers_idx_search" ON "suppliers" USING gin ("searchVector")',
+      'CREATE INDEX "suppliers_idx_search_name" ON "suppliers" USING gin ("name" gin_trgm_ops)',
+      'CREATE INDEX "suppliers_idx_search_email" ON "suppliers" USING gin ("email" gin_trgm_ops)'
+    ]);
+  });
+
+  it('should reject invalid declarations', () => {
+    class Broken extends Supplier {
+      static searchable = { fields: { name: 'E' } };
+    }
+
+    expect(() => Broken._searchConfig()).toThrow('weight of name must be A, B, C or D');
+  });
+
+  it('should rank full-text and fuzzy matches and highlight them', async () => {
+    const hits = await Supplier.search('nordc', { where: { email: 'sales@nordic.no' }, limit: 5 });
+
+    const [sql, values] = query.mock.calls[0];
+    expect(normalize(sql)).toContain(
+      'WHERE ("suppliers"."email" = $1) AND ("searchVector" @@ to_tsquery(\'simple\'::regconfig, $2) OR "name" ILIKE $4 OR $3 <% "name" OR "email" ILIKE $4 OR $3 <% "email")'
+    );
+    expect(normalize(sql)).toMatch(/^SELECT "suppliers"\.\*, /);
+    expect(normalize(sql)).toContain('ORDER BY "_searchRank" DESC, "id" ASC LIMIT 5');
+    expect(values.slice(0, 4)).toEqual(['sales@nordic.no', "'nordc':*", 'nordc', '%nordc%']);
+    expect(hits).toEqual([{
+      record: expect.objectContaining({ id: 4, name: 'Nordic Timber' }),
+      rank: 0.8,
+      highlight: [{ text: 'Nordic', match: true }, { text: ' Timber', match: false }]
+    }]);
+  });
+
+  it('should not search or return fields the user can not read', async () => {
+    const user = { id: 7, isAdmin: false };
+    const hits = await asyncLocalStorage.run({ user }, () => Supplier.search('nordic'));
+
+    expect(normalize(query.mock.calls[0][0])).toContain('concat_ws(\' \', "name")');
+    expect(hits[0].record.notes).toBeUndefined();
+  });
+
+  it('should search all searchable models from the Search controller', async () => {
+    const result = await SearchController.search('nordic', ['Supplier']);
+
+    expect(result.hits).toEqual([{
+      model: 'Supplier',
+      id: 4,
+      title: 'Nordic Timber',
+      rank: 0.8,
+      highlight: [{ text: 'Nordic', match: true }, { text: ' Timber', match: false }],
+      page: 'Supplier.card'
+    }]);
+    await SearchController.search('nordic', ['Supplier'], 100000);
+    expect(normalize(query.mock.calls[1][0])).toMatch(/LIMIT 100$/);
+    await expect(SearchController.search('n')).rejects.toBeInstanceOf(ValidationError);
+    await expect(SearchController.search('nordic', ['Nothing'])).rejects.toBeInstanceOf(NotFoundError);
+  });
+});
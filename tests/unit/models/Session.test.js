@@ -0,0 +1,88 @@
+/**
+ * Unit tests for the Session model
+ */
+
+import Session from '../../../server/models/Session.js';
+import { registerModel } from '../../../server/lib/orm/modelRegistry.js';
+import { bindConnectionUser, endRevokedSessions } from '../../../server/lib/connections.js';
+
+registerModel('Session', Session);
+
+const connection = () => ({ auth: null, send: jest.fn(), close: jest.fn() });
+
+describe('Session', () => {
+  const active = {
+    id: 5,
+    user: 1,
+    refreshTokenHash: Session.hashToken('current-token'),
+    expiresAt: new Date(Date.now() + 60000),
+    revokedAt: null
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only store a hash of the refresh token', async () => {
+    const create = jest.spyOn(Session, 'create').mockImplementation(async data => ({ id: 5, ...data }));
+
+    const { session, refreshToken } = await Session.start(1, { userAgent: 'Browser', ipAddress: '127.0.0.1' });
+
+    expect(refreshToken).toMatch(/^[A-Za-z0-9_-]{64}$/);
+    expect(session.refreshTokenHash).toBe(Session.hashToken(refreshToken));
+    expect(JSON.stringify(create.mock.calls[0][0])).not.toContain(refreshToken);
+    expect(Session.isActive(session)).toBe(true);
+  });
+
+  it('should reject revoked and expired sessions', () => {
+    expect(Session.isActive(active)).toBe(true);
+    expect(Session.isActive({ ...active, revokedAt: new Date() })).toBe(false);
+    expect(Session.isActive({ ...active, expiresAt: new Date(Date.now() - 1000) })).toBe(false);
+  });
+
+  it('should rotate the refresh token and remember the previous hash', async () => {
+    const update = jest.spyOn(Session, 'update').mockImplementation(async (id, data) => ({ id, ...data }));
+
+    const { refreshToken } = await Session.rotate(active);
+
+    expect(update).toHaveBeenCalledWith(5, expect.objectContaining({
+      refreshTokenHash: Session.hashToken(refreshToken),
+      previousTokenHash: active.refreshTokenHash
+    }));
+  });
+
+  it('should revoke the session when a rotated token is reused', async () => {
+    jest.spyOn(Session, 'findOne').mockImplementation(async ({ where }) =>
+      where.previousTokenHash === Session.hashToken('old-token') ? active : null
+    );
+    const revoke = jest.spyOn(Session, 'revoke').mockResolvedValue(1);
+
+    expect(await Session.findByRefreshToken('old-token')).toBeNull();
+    expect(revoke).toHaveBeenCalledWith(5);
+  });
+
+  it('should close the connections of a revoked session', async () => {
+    const revoked = connection();
+    const other = connection();
+    bindConnectionUser(revoked, { success: true, user: { id: 1 }, sessionId: 5 });
+    bindConnectionUser(other, { success: true, user: { id: 1 }, sessionId: 6 });
+    const findById = jest.spyOn(Session, 'findById').mockResolvedValue(active);
+
+    // Rotations change the session without ending it
+    await endRevokedSessions({ model: 'Session', action: 'update', id: 5 });
+    expect(revoked.auth).toEqual({ user: { id: 1 }, sessionId: 5 });
+
+    findById.mockResolvedValue({ ...active, revokedAt: new Date() });
+    await endRevokedSessions({ model: 'Session', action: 'update', id: 5 });
+
+    expect(revoked.auth).toBeNull();
+    expect(JSON.parse(revoked.send.mock.calls[0][0]).type).toBe('session_revoked');
+    expect(revoked.close).toHaveBeenCalledWith(4001, 'Session revoked');
+    expect(other.auth).toEqual({ user: { id: 1 }, sessionId: 6 });
+    expect(other.close).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for soft delete and restore
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import SchemaManager from '../../../server/lib/orm/SchemaManager.js';
+
+class Vendor extends Model {
+  static tableName = 'vendors';
+  static softDelete = true;
+  static fields = {
+    name: new Field({ type: 'string' }, 'name')
+  };
+  static indexes = [
+    { name: 'idx_name', columns: ['name'], unique: true },
+    { name: 'idx_created', columns: ['createdAt'] }
+  ];
+}
+
+const normalize = sql => sql.replace(/\s+/g, ' ').trim();
+
+describe('Soft delete', () => {
+  let query;
+
+  beforeEach(() => {
+    query = jest.spyOn(Vendor, '_executeQuery').mockResolvedValue([{ id: 1, name: 'Acme', deletedAt: new Date() }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should skip deleted rows unless asked for them', async () => {
+    await Vendor.find({ where: { name: 'Acme' } });
+    await Vendor.find({ where: { name: 'Acme' }, withDeleted: true });
+    await Vendor.query().where('name', 'Acme').onlyDeleted().find();
+
+    const [scoped, all, deleted] = query.mock.calls.map(([sql]) => normalize(sql));
+    expect(scoped).toContain('WHERE "vendors"."name" = $1 AND "vendors"."deletedAt" IS NULL');
+    expect(all).not.toContain('deletedAt');
+    expect(deleted).toContain('"vendors"."deletedAt" IS NOT NULL');
+  });
+
+  it('should turn deletes into updates unless forced', async () => {
+    await Vendor.delete(1);
+    await Vendor.delete(1, { force: true });
+
+    const [soft, hard] = query.mock.calls;
+    expect(normalize(soft[0])).toMatch(/^UPDATE "vendors" SET "deletedAt" = \$2 WHERE \("id" = \$1\) AND "vendors"."deletedAt" IS NULL/);
+    expect(soft[1][1]).toBeInstanceOf(Date);
+    expect(normalize(hard[0])).toMatch(/^DELETE FROM "vendors" WHERE "id" = \$1/);
+  });
+
+  it('should restore a deleted record', async () => {
+    const restored = await Vendor.restore(1);
+
+    const [select, update] = query.mock.calls.map(([sql]) => normalize(sql));
+    expect(select).toContain('"deletedAt" IS NOT NULL');
+    expect(update).toMatch(/^UPDATE "vendors" SET "deletedAt" = \$2 WHERE "id" = \$1/);
+    expect(restored).toBeInstanceOf(Vendor);
+  });
+
+  it('should make unique indexes ignore deleted rows', () => {
+    const manager = new SchemaManager(Vendor);
+
+    expect(manager._getCreateIndexSQL(Vendor.indexes[0])).toBe('CREATE UNIQUE INDEX "vendors_idx_name" ON "vendors" ("name") WHERE "deletedAt" IS NULL');
+    expect(manager._getCreateIndexSQL(Vendor.indexes[1])).toBe('CREATE INDEX "vendors_idx_created" ON "vendors" ("createdAt")');
+    expect(manager._indexNeedsRecreation('CREATE UNIQUE INDEX vendors_idx_name ON public.vendors USING btree (name)', Vendor.indexes[0])).toBe(true);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the validation stage shared by all write paths
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import EnumField from '../../../server/models/fields/EnumField.js';
+import { ValidationError } from '../../../server/lib/errors.js';
+
+class Shop extends Model {
+  static tableName = 'shops';
+  static fields = {
+    name: new Field({ type: 'string', length: 10, required: true, onSet: value => value?.trim() }, 'name'),
+    zip: new Field({ type: 'string', pattern: /^\d+$/, caption: 'Zip code' }, 'zip'),
+    country: new Field({ type: 'string', default: 'US' }, 'country'),
+    kind: new EnumField({ options: ['Retail', 'Online'] })
+  };
+  static validators = [
+    ({ country, zip }) => {
+      if (country === 'US' && zip && zip.length !== 5) return { zip: 'Must have 5 digits in the US' };
+    }
+  ];
+}
+
+const errorOf = promise => promise.then(() => null, error => error);
+
+describe('Validation', () => {
+  let query;
+
+  beforeEach(() => {
+    query = jest.spyOn(Shop, '_executeQuery').mockImplementation(async sql =>
+      sql.startsWith('SELECT') ? [{ id: 1, name: 'Corner', zip: '12345', country: 'US' }] : [{ id: 1 }]
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report every invalid field at once', async () => {
+    const error = await errorOf(Shop.create({ zip: '12a', kind: 'Mail' }));
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details.fields).toEqual({
+      name: 'name is required.',
+      zip: 'Zip code does not match the required pattern.',
+      kind: 'Value "Mail" is not in the allowed options: Retail, Online'
+    });
+    expect(error.message).toMatch(/^Validation failed for 3 fields in table 'shops'/);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('should apply defaults and onSet before checking values', async () => {
+    await Shop.create({ name: '  Corner    ', zip: '12345' });
+
+    const [sql, values] = query.mock.calls[0];
+    expect(sql).toContain('"name", "zip", "country"');
+    expect(values).toEqual(['Corner', '12345', 'US']);
+  });
+
+  it('should run model validators on the record with the changes applied', async () => {
+    const error = await errorOf(Shop.update(1, { zip: '1234' }));
+
+    expect(error.details.fields).toEqual({ zip: 'Must have 5 digits in the US' });
+    expect(error.message).toBe("Validation failed for field 'zip' in table 'shops': Must have 5 digits in the US");
+  });
+
+  it('should only check the changed fields on update', async () => {
+    await expect(Shop.updateBatch({ where: { country: 'US' }, data: { kind: 'online' } })).resolves.toBeDefined();
+
+    const update = query.mock.calls.find(([sql]) => sql.startsWith('UPDATE'));
+    expect(update[1][0]).toBe('Online');
+  });
+
+  it('should key batch failures by item', async () => {
+    const error = await errorOf(Shop.createBatch([
+      { name: 'Corner', zip: '12345' },
+      { name: 'Supermarket', zip: '123' }
+    ]));
+
+    expect(error.details.fields).toEqual({
+      '1.name': 'name exceeds the maximum length of 10.',
+      '1.zip': 'Must have 5 digits in the US'
+    });
+  });
+});
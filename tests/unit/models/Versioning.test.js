@@ -0,0 +1,86 @@
+/**
+ * Unit tests for optimistic concurrency control on versioned models
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import { ConflictError } from '../../../server/lib/errors.js';
+
+class Contract extends Model {
+  static tableName = 'contracts';
+  static versioned = true;
+  static fields = {
+    title: new Field({ type: 'string' }, 'title')
+  };
+}
+
+const normalize = sql => sql.replace(/\s+/g, ' ').trim();
+
+describe('Versioned models', () => {
+  let stored;
+  let query;
+
+  beforeEach(() => {
+    stored = { id: 1, title: 'Draft', version: 3 };
+    query = jest.spyOn(Contract, '_executeQuery').mockImplementation(async (sql, values) => {
+      if (sql.startsWith('UPDATE')) {
+        if (values.length === 3 && values[2] !== stored.version) return [];
+        stored = { ...stored, title: values[0], version: stored.version + 1 };
+        return [stored];
+      }
+      return [stored];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should add a version column to the schema', () => {
+    expect(Contract.getSchema().version.sql).toBe('INT NOT NULL DEFAULT 1');
+    expect(Model.getSchema().version).toBeUndefined();
+  });
+
+  it('should update conditionally and increment the version', async () => {
+    const updated = await Contract.update(1, { title: 'Final', version: 3 });
+
+    const sql = normalize(query.mock.calls[1][0]);
+    expect(sql).toContain('SET "title" = $1, "version" = "version" + 1');
+    expect(sql).toContain('WHERE "id" = $2 AND "version" = $3');
+    expect(query.mock.calls[1][1]).toEqual(['Final', 1, 3]);
+    expect(updated.version).toBe(4);
+  });
+
+  it('should reject an outdated version with the current record', async () => {
+    stored.version = 5;
+
+    const error = await Contract.update(1, { title: 'Final', version: 3 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.code).toBe('CONFLICT');
+    expect(error.details).toMatchObject({ expectedVersion: 3, currentVersion: 5, current: { title: 'Draft' } });
+    expect(query.mock.calls.some(([sql]) => sql.startsWith('UPDATE'))).toBe(false);
+  });
+
+  it('should detect a change made between reading and writing', async () => {
+    query.mockImplementationOnce(async () => [stored]);
+    query.mockImplementationOnce(async () => {
+      stored = { ...stored, title: 'Changed elsewhere', version: 4 };
+      return [];
+    });
+
+    const error = await Contract.update(1, { title: 'Final', version: 3 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.details.current.title).toBe('Changed elsewhere');
+  });
+
+  it('should carry the version on save', async () => {
+    const contract = await Contract.findById(1);
+    contract.title = 'Final';
+    await contract.save();
+
+    expect(contract.version).toBe(4);
+    await expect(Contract.update(1, { title: 'Stale', version: 3 })).rejects.toBeInstanceOf(ConflictError);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for controller and model permissions
+ */
+
+import Model from '../../../server/lib/orm/Model.js';
+import Field from '../../../server/lib/orm/Field.js';
+import ReferenceField from '../../../server/models/fields/ReferenceField.js';
+import User from '../../../server/models/User.js';
+import Customer from '../../../server/models/Customer.js';
+import Resource from '../../../server/models/Resource.js';
+import { registerModel } from '../../../server/lib/orm/modelRegistry.js';
+import { asyncLocalStorage } from '../../../server/lib/orm/asyncContext.js';
+import { hasPermission, authorizeAction } from '../../../server/lib/authorization.js';
+import { PermissionError } from '../../../server/lib/errors.js';
+
+class Ticket extends Model {
+  static tableName = 'tickets';
+  static fields = {
+    title: new Field({ type: 'string' }, 'title'),
+    ownerId: new Field({ type: 'integer' }, 'ownerId'),
+    priority: new Field({ type: 'integer', default: 0 }, 'priority'),
+    internalNote: new Field({ type: 'string' }, 'internalNote')
+  };
+  static permissions = {
+    write: 'Ticket.write',
+    rows: (user) => ({ ownerId: user.id }),
+    fields: {
+      priority: { write: 'admin' },
+      internalNote: { read: 'admin' }
+    }
+  };
+}
+
+class Site extends Model {
+  static tableName = 'sites';
+  static softDelete = true;
+  static fields = {
+    name: new Field({ type: 'string' }, 'name'),
+    ownerId: new Field({ type: 'integer' }, 'ownerId'),
+    alarmCode: new Field({ type: 'string' }, 'alarmCode')
+  };
+  static permissions = {
+    rows: (user) => ({ ownerId: user.id }),
+    fields: { alarmCode: { read: 'admin' } }
+  };
+}
+
+class Visit extends Model {
+  static tableName = 'visits';
+  static fields = {
+    site: new ReferenceField({ model: 'Site' })
+  };
+}
+
+class Team extends Model {
+  static tableName = 'teams';
+  static associations = {
+    sites: { type: 'belongsToMany', model: 'Site', through: 'team_sites' }
+  };
+}
+
+registerModel('Site', Site);
+registerModel('Visit', Visit);
+registerModel('Team', Team);
+registerModel('Customer', Customer);
+registerModel('Resource', Resource);
+Team.initAssociations();
+
+class TicketController {
+  static permissions = { list: 'authenticated' };
+  static async list() {}
+  static async close() {}
+}
+
+const user = { id: 7, isAdmin: false };
+const admin = { id: 1, isAdmin: true };
+
+// Runs the callback as the given user with a fixed set of granted permission codes
+const runAs = (currentUser, callback, granted = []) =>
+  asyncLocalStorage.run({ user: currentUser, permissions: new Set(granted), permissionsUserId: currentUser.id }, callback);
+
+describe('authorization', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should resolve special values, wildcards and admin rights', async () => {
+    await runAs(user, async () => {
+      expect(await hasPermission(null, 'public')).toBe(true);
+      expect(await hasPermission(null, 'authenticated')).toBe(false);
+      expect(await hasPermission(user, 'authenticated')).toBe(true);
+      expect(await hasPermission(user, 'admin')).toBe(false);
+      expect(await hasPermission(user, 'Ticket.close')).toBe(true);
+      expect(await hasPermission(user, 'Resource.read')).toBe(false);
+      expect(await hasPermission(admin, 'Resource.read')).toBe(true);
+    }, ['Ticket.*']);
+  });
+
+  it('should check declared and default action permissions', async () => {
+    await expect(authorizeAction(TicketController, 'Ticket', 'list', user)).resolves.toBeUndefined();
+    await expect(authorizeAction(TicketController, 'Ticket', 'list', null)).rejects.toThrow(PermissionError);
+
+    await runAs(user, async () => {
+      await expect(authorizeAction(TicketController, 'Ticket', 'close', user)).rejects.toMatchObject({
+        code: 'FORBIDDEN',
+        details: { permission: 'Ticket.close' }
+      });
+    });
+    await runAs(user, async () => {
+      await expect(authorizeAction(TicketController, 'Ticket', 'close', user)).resolves.toBeUndefined();
+    }, ['Ticket.close']);
+  });
+
+  it('should restrict rows and hide unreadable fields', async () => {
+    const spy = jest.spyOn(Ticket, '_executeQuery').mockResolvedValue([
+      { id: 1, title: 'Printer', ownerId: 7, internalNote: 'VIP' }
+    ]);
+
+    const records = await runAs(user, () => Ticket.find({ where: { title: 'Printer' } }));
+
+    const [sql, params] = spy.mock.calls[0];
+    expect(sql).toContain('"tickets"."ownerId" = $2');
+    expect(params).toEqual(['Printer', 7]);
+    expect(records[0].title).toBe('Printer');
+    expect(records[0].internalNote).toBeUndefined();
+  });
+
+  it('should show users only their own user record', async () => {
+    const spy = jest.spyOn(User, '_executeQuery').mockResolvedValue([]);
+
+    await runAs(user, () => User.find());
+    await runAs(admin, () => User.find());
+
+    expect(spy.mock.calls[0][0]).toContain('WHERE "users"."id" = $1');
+    expect(spy.mock.calls[0][1]).toEqual([7]);
+    expect(spy.mock.calls[1][0]).not.toContain('WHERE');
+  });
+
+  it('should include only records the user may read', async () => {
+    const spy = jest.spyOn(Visit, '_executeQuery').mockResolvedValue([
+      { id: 1, site: 4, siteRecord: { id: 4, name: 'Depot', ownerId: 7, alarmCode: '1234' } }
+    ]);
+
+    const [visit] = await runAs(user, () => Visit.find({ where: { id: 1 }, include: ['site'] }));
+
+    const [sql, params] = spy.mock.calls[0];
+    expect(sql).toContain('WHERE "t1"."id" = "visits"."site" AND "t1"."id" IN (SELECT "sites"."id" FROM "sites" WHERE');
+    expect(sql).toContain('"sites"."deletedAt" IS NULL');
+    expect(sql).toContain('"sites"."ownerId" = $2');
+    expect(params).toEqual([1, 7]);
+    expect(visit.siteRecord.name).toBe('Depot');
+    expect(visit.siteRecord.alarmCode).toBeUndefined();
+  });
+
+  it('should not include records of models the user may not read', async () => {
+    const spy = jest.spyOn(Visit, '_executeQuery').mockResolvedValue([]);
+    jest.replaceProperty(Site, 'permissions', { ...Site.permissions, read: 'Site.read' });
+
+    await runAs(user, async () => {
+      await expect(Visit.find({ include: ['site'] })).rejects.toThrow(PermissionError);
+    });
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it('should load linked records as the target model would', async () => {
+    const spy = jest.spyOn(Team, '_executeQuery').mockResolvedValue([
+      { id: 4, name: 'Depot', ownerId: 7, alarmCode: '1234' }
+    ]);
+
+    const [site] = await runAs(user, () => new Team({ id: 3 }).getSites());
+
+    const [sql, params] = spy.mock.calls[0];
+    expect(sql).toContain('WHERE "j"."teamId" = $1 AND (');
+    expect(sql).toContain('"sites"."deletedAt" IS NULL');
+    expect(sql).toContain('"sites"."ownerId" = $2');
+    expect(params).toEqual([3, 7]);
+    expect(site).toBeInstanceOf(Site);
+    expect(site.alarmCode).toBeUndefined();
+  });
+
+  it('should require the resource permissions wherever resources are read', async () => {
+    const spy = jest.spyOn(Customer, '_executeQuery').mockResolvedValue([{ id: 1, name: 'Acme', resourceCount: null }]);
+
+    await runAs(user, async () => {
+      await expect(Customer.find({ include: ['resources'] })).rejects.toThrow(PermissionError);
+      await Customer.find({ computed: ['resourceCount'] });
+    });
+    await runAs(user, () => Customer.find({ include: ['resources'] }), ['Resource.read']);
+
+    expect(spy.mock.calls[0][0]).toContain('NULL AS "resourceCount"');
+    expect(spy.mock.calls[1][0]).toContain('"resources"');
+    await expect(Resource.canAccess('update', user)).resolves.toBe(false);
+  });
+
+  it('should reject writes without the model or field permission', async () => {
+    const spy = jest.spyOn(Ticket, '_executeQuery').mockResolvedValue([{ id: 2 }]);
+
+    await runAs(user, async () => {
+      await expect(Ticket.create({ title: 'New', ownerId: 7 })).rejects.toThrow(PermissionError);
+    });
+    await runAs(user, async () => {
+      await expect(Ticket.create({ title: 'New', ownerId: 7, priority: 5 })).rejects.toThrow('Ticket.priority');
+    }, ['Ticket.write']);
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
@@ -50,7 +50,15 @@ describe('PasswordField', () => {
       
       // Just check that it's a string and matches the expected pattern
       expect(typeof hashedPassword).toBe('string');
-      expect(hashedPassword).toMatch(/^\$2b\$10\$mock_hash_/);
+      expect(hashedPassword).toMatch(/^\$scrypt\$N=16384,r=8,p=1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+    });
+
+    it('should salt each hash', async () => {
+      const passwordField = new PasswordField('password');
+      const first = await passwordField.hashPassword('Test@123');
+      const second = await passwordField.hashPassword('Test@123');
+
+      expect(first).not.toBe(second);
     });
 
     it('should return null when null is passed to onSet', async () => {
@@ -65,13 +73,16 @@ describe('PasswordField', () => {
       expect(result).toBeUndefined();
     });
 
-    it('should not hash an already hashed password', () => {
+    it('should hash input that looks like a hash as a password', async () => {
       const passwordField = new PasswordField('password');
-      const hashedPassword = '$2b$10$abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
-      const result = passwordField.onSet(hashedPassword);
-      
-      // Should return the same hash
-      expect(result).toBe(hashedPassword);
+      const bcrypt = '$2b$10$N9qo8uLOickgx2ZMRZoMyeIjZAgcfl7p92ldGxad68LJZdL17lhWy';
+      const issued = await passwordField.hashPassword('Test@123');
+
+      for (const value of [bcrypt, passwordField._mockHashPassword('Test@123'), issued]) {
+        const stored = await passwordField.onSet(value);
+        expect(stored).not.toBe(value);
+        expect(await passwordField.verifyPassword(value, stored)).toBe(true);
+      }
     });
   });
 
@@ -124,5 +135,32 @@ describe('PasswordField', () => {
       const isValid = await passwordField.verifyPassword(wrongPassword, hashedPassword);
       expect(isValid).toBe(false);
     });
+
+    it('should verify scrypt hashes', async () => {
+      const passwordField = new PasswordField('password');
+      const hashedPassword = await passwordField.hashPassword('Test@123');
+
+      expect(await passwordField.verifyPassword('Test@123', hashedPassword)).toBe(true);
+      expect(await passwordField.verifyPassword('Wrong@123', hashedPassword)).toBe(false);
+    });
+
+    it('should run scrypt when there is no hash to verify against', async () => {
+      const passwordField = new PasswordField('password');
+      const deriveKey = jest.spyOn(passwordField, '_deriveKey');
+
+      expect(await passwordField.verifyWithoutHash('Test@123')).toBe(false);
+      expect(deriveKey).toHaveBeenCalledWith('Test@123', expect.any(Buffer), { N: 16384, r: 8, p: 1 }, 64);
+    });
+
+    it('should report legacy and outdated hashes for rehashing', async () => {
+      const passwordField = new PasswordField('password');
+      const current = await passwordField.hashPassword('Test@123');
+      const weaker = await passwordField._scryptHash('Test@123', { N: 1024, r: 8, p: 1 });
+
+      expect(passwordField.needsRehash(current)).toBe(false);
+      expect(passwordField.needsRehash(weaker)).toBe(true);
+      expect(passwordField.needsRehash(passwordField._mockHashPassword('Test@123'))).toBe(true);
+      expect(await passwordField.verifyPassword('Test@123', weaker)).toBe(true);
+    });
   });
 }); 
\ No newline at end of file
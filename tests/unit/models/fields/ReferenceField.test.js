@@ -0,0 +1,101 @@
+/**
+ * Unit tests for ReferenceField and including referenced records in Model.find
+ */
+
+import ReferenceField from '../../../../server/models/fields/ReferenceField.js';
+import Field from '../../../../server/lib/orm/Field.js';
+import Model from '../../../../server/lib/orm/Model.js';
+import { registerModel } from '../../../../server/lib/orm/modelRegistry.js';
+
+class Country extends Model {
+  static tableName = 'countries';
+  static fields = {
+    name: new Field({ type: 'string' }, 'name')
+  };
+}
+
+class Customer extends Model {
+  static tableName = 'customers';
+  static fields = {
+    name: new Field({ type: 'string' }, 'name'),
+    country: new ReferenceField({ model: 'Country', caption: 'Country' })
+  };
+}
+
+describe('ReferenceField', () => {
+  beforeAll(() => {
+    registerModel('Country', Country);
+    registerModel('Customer', Customer);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('constructor', () => {
+    it('should extend the Field class and store reference metadata', () => {
+      const field = new ReferenceField({ model: 'Country', onDelete: 'cascade' });
+
+      expect(field).toBeInstanceOf(Field);
+      expect(field.type).toBe('integer');
+      expect(field.reference).toEqual({
+        model: 'Country',
+        field: 'id',
+        displayField: 'name',
+        onDelete: 'CASCADE',
+        as: undefined
+      });
+    });
+
+    it('should give each reference its own uid', () => {
+      const country = new ReferenceField({ model: 'Country' });
+
+      expect(country.uid).toMatch(/^\{[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}$/);
+      expect(new ReferenceField({ model: 'Country' }).uid).toBe(country.uid);
+      expect(new ReferenceField({ model: 'Customer' }).uid).not.toBe(country.uid);
+      expect(new ReferenceField({ model: 'Country', uid: '{a7e9d312-8f56-4b91-b954-c0e76c3d8e2f}' }).uid)
+        .toBe('{a7e9d312-8f56-4b91-b954-c0e76c3d8e2f}');
+    });
+
+    it('should reject unknown onDelete actions', () => {
+      expect(() => new ReferenceField({ model: 'Country', onDelete: 'DROP' })).toThrow(/Invalid onDelete/);
+    });
+  });
+
+  describe('onSet', () => {
+    it('should convert IDs and referenced records to integers', () => {
+      const field = new ReferenceField({ model: 'Country' });
+
+      expect(field.onSet('42')).toBe(42);
+      expect(field.onSet({ id: 7, name: 'Denmark' })).toBe(7);
+      expect(field.onSet('')).toBeNull();
+    });
+
+    it('should reject values that are not integer IDs', () => {
+      const field = new ReferenceField({ model: 'Country' });
+
+      expect(() => field.onSet('abc')).toThrow(/valid integer ID/);
+    });
+  });
+
+  describe('include', () => {
+    it('should load the referenced record in the same query', async () => {
+      const querySpy = jest.spyOn(Model, 'query').mockResolvedValue([
+        { id: 1, name: 'ACME', country: 3, countryRecord: { id: 3, name: 'Denmark' } }
+      ]);
+
+      const [customer] = await Customer.find({ include: ['country'] });
+
+      expect(querySpy).toHaveBeenCalledTimes(1);
+      const [sql] = querySpy.mock.calls[0];
+      expect(sql).toContain('row_to_json');
+      expect(sql).toContain('FROM "countries" AS "t1" WHERE "t1"."id" = "customers"."country"');
+      expect(customer.data.countryRecord).toBeInstanceOf(Country);
+      expect(customer.data.countryRecord.name).toBe('Denmark');
+    });
+
+    it('should throw when including a field that is not a reference', async () => {
+      await expect(Customer.find({ include: ['name'] })).rejects.toThrow(/not a reference field/);
+    });
+  });
+});